@@ -1,8 +1,13 @@
 require('dotenv').config();
+const http = require('http');
 const app = require('./src/app');
 const { sequelize } = require('./src/config/database');
 const { connectRedis } = require('./src/config/redis');
 const logger = require('./src/utils/logger');
+const { startJobs, stopJobs } = require('./src/jobs');
+const realtimeService = require('./src/services/realtimeService');
+const analyticsService = require('./src/services/analyticsService');
+const signingKeyService = require('./src/services/signingKeyService');
 
 // Import models to ensure they are initialized
 require('./src/models');
@@ -29,10 +34,19 @@ async function startServer() {
     const { User } = require('./src/models');
     console.log('Models loaded successfully, User:', !!User);
     
-    app.listen(PORT, () => {
+    // HTTP and WebSocket (live seat maps) share the port
+    const server = http.createServer(app);
+    realtimeService.attach(server);
+    analyticsService.connectPubSub();
+    signingKeyService.connectPubSub();
+
+    server.listen(PORT, () => {
       logger.info(` Server running on port ${PORT}`);
       logger.info(` Test endpoints: http://localhost:${PORT}/api`);
     });
+
+    // Background jobs (reservation expiry)
+    startJobs();
     
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -41,4 +55,15 @@ async function startServer() {
   }
 }
 
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    logger.info(`${signal} received, shutting down`);
+    stopJobs();
+    analyticsService.destroy();
+    signingKeyService.disconnectPubSub();
+    await realtimeService.close();
+    process.exit(0);
+  });
+});
+
 startServer();
@@ -8,15 +8,23 @@ require('express-async-errors');
 
 const routes = require('./routes');
 const { errorHandler } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
 const logger = require('./utils/logger');
 
 const app = express();
 
 // Middleware
+app.use(requestId);
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload for payment webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging
@@ -86,6 +86,25 @@ const lock = {
       console.error(`Lock release error:`, error);
       return false;
     }
+  },
+
+  // Renew a lock we still own; false if it expired or was taken over
+  async extend(lockKey, lockValue, ttl = 30000) {
+    const script = `
+      if redis.call("GET", KEYS[1]) == ARGV[1] then
+        return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+      else
+        return 0
+      end
+    `;
+
+    try {
+      const result = await redis.eval(script, 1, lockKey, lockValue, ttl);
+      return result === 1;
+    } catch (error) {
+      console.error(`Lock extend error:`, error);
+      return false;
+    }
   }
 };
 
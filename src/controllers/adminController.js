@@ -1,6 +1,10 @@
-const { User, Event, Booking } = require('../models');
+const { User, Event, Booking, AuditLog } = require('../models');
 const { MESSAGES, USER_ROLES } = require('../utils/constants');
 const logger = require('../utils/logger');
+const tokenService = require('../services/tokenService');
+const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const { toCsv } = require('../utils/csv');
 const { Op } = require('sequelize');
 
 class AdminController {
@@ -32,8 +36,16 @@ class AdminController {
         });
       }
 
+      const previousRole = user.role;
       await user.update({ role: 'ADMIN' });
 
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'user.make_admin',
+        entityType: 'User',
+        entityId: user.id,
+        changes: { role: { from: previousRole, to: 'ADMIN' } }
+      });
+
       logger.info(`User ${user.email} promoted to admin by ${req.user.email}`);
 
       res.json({
@@ -54,50 +66,40 @@ class AdminController {
     }
   }
 
-  // Create admin user directly
-  async createAdminUser(req, res, next) {
+  // Invite someone to become an admin. The invite link creates the account
+  // (POST /auth/accept-invite); existing accounts are promoted with make-admin.
+  async createAdminInvite(req, res, next) {
     try {
-      const { email, password, name, phone } = req.body;
-
-      // Only existing admins can create new admin users
-      if (req.user.role !== 'ADMIN') {
-        return res.status(403).json({
-          success: false,
-          message: 'Admin privileges required'
-        });
-      }
+      const { email } = req.body;
 
-      // Check if user already exists
       const existingUser = await User.findOne({ where: { email } });
       if (existingUser) {
         return res.status(409).json({
           success: false,
-          message: 'User with this email already exists'
+          message: 'User with this email already exists. Use make-admin to promote them.'
         });
       }
 
-      // Create admin user
-      const adminUser = await User.create({
+      const token = await tokenService.issueActionToken('ADMIN_INVITE', {
         email,
-        password,
-        name,
-        phone,
-        role: 'ADMIN'
+        invitedBy: req.user.id
+      });
+      const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invite?token=${encodeURIComponent(token)}`;
+
+      await emailService.sendAdminInvite(email, req.user, inviteUrl);
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'admin.invite',
+        entityType: 'User',
+        metadata: { email }
       });
 
-      logger.info(`New admin user created: ${adminUser.email} by ${req.user.email}`);
+      logger.info(`Admin invite sent to ${email} by ${req.user.email}`);
 
       res.status(201).json({
         success: true,
-        message: 'Admin user created successfully',
-        data: {
-          user: {
-            id: adminUser.id,
-            name: adminUser.name,
-            email: adminUser.email,
-            role: adminUser.role
-          }
-        }
+        message: 'Admin invitation sent',
+        data: { email, expiresInHours: 72 }
       });
 
     } catch (error) {
@@ -168,10 +170,11 @@ class AdminController {
         });
       }
 
-      if (!['USER', 'ADMIN'].includes(role)) {
+      const roles = Object.values(USER_ROLES);
+      if (!roles.includes(role)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid role. Must be USER or ADMIN'
+          message: `Invalid role. Must be one of ${roles.join(', ')}`
         });
       }
 
@@ -184,7 +187,7 @@ class AdminController {
       }
 
       // Prevent admin from demoting themselves
-      if (user.id === req.user.id && role === 'USER') {
+      if (user.id === req.user.id && role !== USER_ROLES.ADMIN) {
         return res.status(400).json({
           success: false,
           message: 'Cannot change your own admin privileges'
@@ -194,6 +197,13 @@ class AdminController {
       const oldRole = user.role;
       await user.update({ role });
 
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'user.role_change',
+        entityType: 'User',
+        entityId: user.id,
+        changes: { role: { from: oldRole, to: role } }
+      });
+
       logger.info(`User ${user.email} role changed from ${oldRole} to ${role} by ${req.user.email}`);
 
       res.json({
@@ -245,6 +255,17 @@ class AdminController {
       const newStatus = !user.isActive;
       await user.update({ isActive: newStatus });
 
+      if (!newStatus) {
+        await tokenService.revokeAllSessions(user.id);
+      }
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: newStatus ? 'user.activate' : 'user.deactivate',
+        entityType: 'User',
+        entityId: user.id,
+        changes: { isActive: { from: !newStatus, to: newStatus } }
+      });
+
       const action = newStatus ? 'activated' : 'deactivated';
       logger.info(`User ${user.email} ${action} by ${req.user.email}`);
 
@@ -313,6 +334,70 @@ class AdminController {
       next(error);
     }
   }
+
+  // Audit trail, filterable by entity, actor, action and date; ?format=csv exports every match
+  async getAuditLogs(req, res, next) {
+    try {
+      const { page = 1, limit = 50, action, entityType, entityId, actorId, requestId, from, to, format } = req.query;
+
+      const whereClause = {};
+      if (action) whereClause.action = action;
+      if (entityType) whereClause.entityType = entityType;
+      if (entityId) whereClause.entityId = entityId;
+      if (actorId) whereClause.actorId = actorId;
+      if (requestId) whereClause.requestId = requestId;
+      if (from || to) {
+        whereClause.createdAt = {};
+        if (from) whereClause.createdAt[Op.gte] = new Date(from);
+        if (to) whereClause.createdAt[Op.lte] = new Date(to);
+      }
+
+      const include = [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'] }];
+
+      if (format === 'csv') {
+        const logs = await AuditLog.findAll({ where: whereClause, include, order: [['createdAt', 'ASC']] });
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="audit-logs.csv"');
+        return res.send(toCsv(logs, [
+          'createdAt',
+          'action',
+          'entityType',
+          'entityId',
+          'actorId',
+          { header: 'actorEmail', value: log => log.actor && log.actor.email },
+          'actorRole',
+          'ip',
+          'requestId',
+          { header: 'changes', value: log => log.changes && JSON.stringify(log.changes) },
+          { header: 'metadata', value: log => log.metadata && JSON.stringify(log.metadata) }
+        ]));
+      }
+
+      const { count, rows: logs } = await AuditLog.findAndCountAll({
+        where: whereClause,
+        include,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          logs,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(count / limit),
+            totalItems: count
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AdminController();
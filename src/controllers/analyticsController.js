@@ -2,17 +2,10 @@ const { User, Event, Booking } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
+const analyticsService = require('../services/analyticsService');
 
 const getDashboardStats = async (req, res, next) => {
   try {
-    // Only admins can access analytics
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin privileges required'
-      });
-    }
-
     console.log(' Getting dashboard stats...');
 
     const [
@@ -20,6 +13,7 @@ const getDashboardStats = async (req, res, next) => {
       totalEvents,
       totalBookings,
       totalRevenue,
+      totalDiscounts,
       activeEvents,
       recentBookings
     ] = await Promise.all([
@@ -27,6 +21,8 @@ const getDashboardStats = async (req, res, next) => {
       Event.count(),
       Booking.count(),
       Booking.sum('totalAmount', { where: { status: ['CONFIRMED', 'PAYMENT_PENDING'] } }),
+      // Revenue is net of promo codes; this is what they gave away
+      Booking.sum('discountAmount', { where: { status: ['CONFIRMED', 'PAYMENT_PENDING'] } }),
       Event.count({ where: { status: 'PUBLISHED' } }),
       Booking.count({ where: { createdAt: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) } } })
     ]);
@@ -69,6 +65,7 @@ const getDashboardStats = async (req, res, next) => {
           totalEvents: totalEvents || 0,
           totalBookings: totalBookings || 0,
           totalRevenue: parseFloat(totalRevenue || 0),
+          totalDiscounts: parseFloat(totalDiscounts || 0),
           activeEvents: activeEvents || 0,
           recentBookings: recentBookings || 0
         },
@@ -86,13 +83,6 @@ const getDashboardStats = async (req, res, next) => {
 
 const getBookingTrends = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin privileges required'
-      });
-    }
-
     const { startDate, endDate } = req.query;
 
     console.log(' Getting booking trends:', { startDate, endDate });
@@ -165,13 +155,6 @@ const getBookingTrends = async (req, res, next) => {
 // Event analytics
 const getEventAnalytics = async (req, res, next) => {
   try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin privileges required'
-      });
-    }
-
     // Get events with booking stats
     const eventStats = await sequelize.query(`
       SELECT 
@@ -208,8 +191,27 @@ const getEventAnalytics = async (req, res, next) => {
   }
 };
 
+// Server-Sent Events stream of LIVE_STATS, SEAT_ACTIVITY and
+// BOOKING_STATUS_CHANGE for the admin dashboard. Clients must send the
+// Authorization header, so use fetch streaming or an EventSource polyfill.
+const streamLiveStats = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+
+  // Reconnect delay for EventSource clients
+  res.write('retry: 5000\n\n');
+
+  analyticsService.addClient(res);
+};
+
 module.exports = {
   getDashboardStats,
   getBookingTrends,
-  getEventAnalytics
+  getEventAnalytics,
+  streamLiveStats
 };
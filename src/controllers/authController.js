@@ -1,5 +1,8 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { User } = require('../models');
+const { lock } = require('../config/redis');
+const tokenService = require('../services/tokenService');
+const emailService = require('../services/emailService');
 const { MESSAGES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
@@ -13,6 +16,14 @@ class AuthController {
     this.checkAdminExists = this.checkAdminExists.bind(this);
     this.changePassword = this.changePassword.bind(this);
     this.updateProfile = this.updateProfile.bind(this);
+    this.refresh = this.refresh.bind(this);
+    this.logout = this.logout.bind(this);
+    this.logoutAll = this.logoutAll.bind(this);
+    this.forgotPassword = this.forgotPassword.bind(this);
+    this.resetPassword = this.resetPassword.bind(this);
+    this.verifyEmail = this.verifyEmail.bind(this);
+    this.resendVerification = this.resendVerification.bind(this);
+    this.acceptAdminInvite = this.acceptAdminInvite.bind(this);
   }
 
   async register(req, res, next) {
@@ -31,8 +42,8 @@ class AuthController {
       // Create user
       const user = await User.create({ email, password, name, phone });
 
-      // Generate JWT token
-      const token = this.generateToken(user);
+      const tokens = await this.createSession(user, req);
+      await this.sendVerificationEmail(user);
 
       logger.info(`User registered: ${user.email}`);
 
@@ -41,7 +52,8 @@ class AuthController {
         message: MESSAGES.SUCCESS.USER_REGISTERED || 'User registered successfully',
         data: {
           user: this.sanitizeUser(user),
-          token
+          token: tokens.accessToken,
+          ...tokens
         }
       });
     } catch (error) {
@@ -49,18 +61,41 @@ class AuthController {
     }
   }
 
+  // Bootstrap only: creates the very first admin, and requires
+  // ADMIN_CREATION_CODE to be configured and presented. Every later admin is
+  // invited by an existing one (POST /admin/invites).
   async registerAdmin(req, res, next) {
+    let bootstrapLock = null;
+
     try {
       const { email, password, name, phone, adminCode } = req.body;
-      
-      // Optional: Check admin creation code
-      if (process.env.ADMIN_CREATION_CODE && adminCode !== process.env.ADMIN_CREATION_CODE) {
+
+      if (!this.isValidAdminCode(adminCode)) {
         return res.status(403).json({
           success: false,
           message: 'Invalid admin creation code',
           code: 'INVALID_ADMIN_CODE'
         });
       }
+
+      // Serialize bootstrap attempts so two requests cannot both see zero admins
+      bootstrapLock = await lock.acquire('admin-bootstrap', 10000);
+      if (!bootstrapLock) {
+        return res.status(409).json({
+          success: false,
+          message: 'Admin bootstrap already in progress',
+          code: 'ADMIN_BOOTSTRAP_CLOSED'
+        });
+      }
+
+      const adminCount = await User.count({ where: { role: 'ADMIN' } });
+      if (adminCount > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'An admin already exists. New admins must be invited by an existing admin.',
+          code: 'ADMIN_BOOTSTRAP_CLOSED'
+        });
+      }
       
       // Check if user with this email already exists
       const existingUser = await User.findOne({ where: { email } });
@@ -81,22 +116,78 @@ class AuthController {
         role: 'ADMIN' 
       });
 
-      // Generate JWT token
-      const token = this.generateToken(adminUser);
+      const tokens = await this.createSession(adminUser, req);
 
-      logger.info(`Admin user created: ${adminUser.email}`);
+      logger.info(`First admin user created: ${adminUser.email}`);
 
       res.status(201).json({
         success: true,
         message: 'Admin user created successfully',
         data: {
           user: this.sanitizeUser(adminUser),
-          token
+          token: tokens.accessToken,
+          ...tokens
         }
       });
     } catch (error) {
       logger.error('Admin registration error:', error);
       next(error);
+    } finally {
+      if (bootstrapLock) {
+        await lock.release(bootstrapLock.key, bootstrapLock.value);
+      }
+    }
+  }
+
+  // Create the account an existing admin invited (see adminController.createAdminInvite)
+  async acceptAdminInvite(req, res, next) {
+    try {
+      const { token, password, name, phone } = req.body;
+
+      const claims = await tokenService.consumeActionToken(token, 'ADMIN_INVITE');
+      if (!claims) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired invitation',
+          code: 'INVALID_INVITE'
+        });
+      }
+
+      const existingUser = await User.findOne({ where: { email: claims.email } });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'An account with this email already exists. Ask an admin to promote it instead.',
+          code: 'EMAIL_EXISTS'
+        });
+      }
+
+      // The invite was delivered to this address, so it counts as verified
+      const adminUser = await User.create({
+        email: claims.email,
+        password,
+        name,
+        phone,
+        role: 'ADMIN',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+
+      const tokens = await this.createSession(adminUser, req);
+
+      logger.info(`Admin invite accepted: ${adminUser.email} (invited by ${claims.invitedBy})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin account created successfully',
+        data: {
+          user: this.sanitizeUser(adminUser),
+          token: tokens.accessToken,
+          ...tokens
+        }
+      });
+    } catch (error) {
+      next(error);
     }
   }
 
@@ -121,8 +212,7 @@ class AuthController {
         });
       }
 
-      // Generate JWT token
-      const token = this.generateToken(user);
+      const tokens = await this.createSession(user, req);
 
       logger.info(`User logged in: ${user.email}`);
 
@@ -131,7 +221,8 @@ class AuthController {
         message: MESSAGES.SUCCESS.LOGIN_SUCCESS || 'Login successful',
         data: {
           user: this.sanitizeUser(user),
-          token
+          token: tokens.accessToken,
+          ...tokens
         }
       });
     } catch (error) {
@@ -161,6 +252,7 @@ class AuthController {
         data: {
           adminExists: adminCount > 0,
           adminCount,
+          bootstrapOpen: adminCount === 0,
           message: adminCount > 0 ? 'Admin users exist in the system' : 'No admin users found'
         }
       });
@@ -195,11 +287,15 @@ class AuthController {
       // Update password
       await user.update({ password: newPassword });
 
+      // Everyone else holding this account's tokens has to log in again
+      const revokedSessions = await tokenService.revokeAllSessions(user.id, { except: req.sessionId });
+
       logger.info(`Password changed for user: ${user.email}`);
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        data: { revokedSessions }
       });
     } catch (error) {
       next(error);
@@ -237,17 +333,195 @@ class AuthController {
     }
   }
 
-  // Helper methods (note: no underscore prefix needed)
-  generateToken(user) {
-    return jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-        issuer: 'evently-api',
-        audience: 'evently-client'
+  async refresh(req, res, next) {
+    try {
+      const tokens = await tokenService.rotate(req.body.refreshToken, userId => User.findByPk(userId));
+
+      if (!tokens) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: { token: tokens.accessToken, ...tokens }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async logout(req, res, next) {
+    try {
+      await tokenService.revokeSession(req.sessionId);
+
+      logger.info(`User logged out: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async logoutAll(req, res, next) {
+    try {
+      const revokedSessions = await tokenService.revokeAllSessions(req.user.id);
+
+      logger.info(`User logged out of all sessions: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Logged out of all sessions',
+        data: { revokedSessions }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Always answers the same way so the endpoint cannot be used to find out
+  // which emails have accounts
+  async forgotPassword(req, res, next) {
+    try {
+      const user = await User.findOne({ where: { email: req.body.email } });
+
+      if (user && user.isActive) {
+        const token = await tokenService.issueActionToken('PASSWORD_RESET', { userId: user.id });
+        try {
+          await emailService.sendPasswordResetEmail(user, this.buildLink('reset-password', token));
+          logger.info(`Password reset requested for user: ${user.email}`);
+        } catch (emailError) {
+          logger.error('Password reset email failed:', emailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+
+      const claims = await tokenService.consumeActionToken(token, 'PASSWORD_RESET');
+      const user = claims && await User.findByPk(claims.userId);
+
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token',
+          code: 'INVALID_RESET_TOKEN'
+        });
       }
-    );
+
+      // Receiving the reset link proves ownership of the mailbox as well
+      await user.update({
+        password: newPassword,
+        ...(!user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+      });
+      await tokenService.revokeAllSessions(user.id);
+
+      logger.info(`Password reset for user: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async verifyEmail(req, res, next) {
+    try {
+      const claims = await tokenService.consumeActionToken(req.body.token, 'EMAIL_VERIFICATION');
+      const user = claims && await User.findByPk(claims.userId);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired verification token',
+          code: 'INVALID_VERIFICATION_TOKEN'
+        });
+      }
+
+      if (!user.emailVerified) {
+        await user.update({ emailVerified: true, emailVerifiedAt: new Date() });
+        logger.info(`Email verified for user: ${user.email}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: { user: this.sanitizeUser(user) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resendVerification(req, res, next) {
+    try {
+      if (req.user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      await this.sendVerificationEmail(req.user);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Helper methods (note: no underscore prefix needed)
+  async sendVerificationEmail(user) {
+    try {
+      const token = await tokenService.issueActionToken('EMAIL_VERIFICATION', { userId: user.id });
+      await emailService.sendEmailVerification(user, this.buildLink('verify-email', token));
+    } catch (error) {
+      // Registration still succeeds; the user can ask for another email
+      logger.error('Verification email failed:', error);
+    }
+  }
+
+  isValidAdminCode(adminCode) {
+    const expected = process.env.ADMIN_CREATION_CODE;
+    if (!expected || typeof adminCode !== 'string') return false;
+
+    const given = Buffer.from(adminCode);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  }
+
+  buildLink(path, token) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${baseUrl}/${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  createSession(user, req) {
+    return tokenService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
   }
 
   sanitizeUser(user) {
@@ -258,6 +532,7 @@ class AuthController {
       role: user.role,
       phone: user.phone,
       isActive: user.isActive,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     };
   }
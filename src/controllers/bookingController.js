@@ -1,20 +1,36 @@
 // src/controllers/bookingController.js - COMPLETE FIXED VERSION
-const { Booking, Event, User } = require('../models');
+const { Booking, Event, Seat, User, TicketType, PromoRedemption } = require('../models');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const emailService = require('../services/emailService');
 const analyticsService = require('../services/analyticsService');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const auditService = require('../services/auditService');
+const promoService = require('../services/promoService');
+const groupBookingService = require('../services/groupBookingService');
+const ticketService = require('../services/ticketService');
+const reservationExpiryJob = require('../jobs/reservationExpiryJob');
+const { MESSAGES } = require('../utils/constants');
 const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { resolveRefundPolicy, evaluateRefundPolicy } = require('../utils/refundPolicy');
+const { buildLineItems, countByTicketType, removeSeats } = require('../utils/lineItems');
+
+// How long an asynchronous payment (UPI, wallet) may stay pending before the
+// sweeper voids it and releases the seats
+const paymentPendingMinutes = () => parseInt(process.env.PAYMENT_PENDING_WINDOW_MINUTES || '30', 10);
 
 class BookingController {
-  // Step 1: Select seats and start 15-min timer
+  // Step 1: Select seats and start 15-min timer.
+  // Seats are real Seat rows, picked by id or by seat number. Events with
+  // ticket types take `tickets` instead, naming a ticket type for each seat.
   selectSeats = asyncHandler(async (req, res) => {
     const {
       eventId,
+      seatIds,
       seatNumbers,
-      seatSection,
-      seatRow,
+      tickets,
       bookingType = 'SEAT_SELECTION'
     } = req.body;
     
@@ -25,11 +41,16 @@ class BookingController {
     if (!event) {
       throw createError.notFound('Event not found');
     }
+    if (!event.isBookable()) {
+      throw createError.conflict(event.isOpenForBooking() ? MESSAGES.ERROR.INSUFFICIENT_SEATS : 'Event is not open for booking');
+    }
+
+    const seats = tickets
+      ? await this.findTicketSeats(eventId, tickets)
+      : await this.findEventSeats(eventId, { seatIds, seatNumbers });
 
     // Check seat availability
-    const unavailableSeats = await this.checkSeatAvailability(
-      eventId, seatNumbers, seatSection, seatRow
-    );
+    const unavailableSeats = seats.filter(seat => !seat.isAvailable()).map(seat => seat.seatNumber);
 
     if (unavailableSeats.length > 0) {
       return res.status(409).json({
@@ -39,27 +60,69 @@ class BookingController {
       });
     }
 
+    const pricing = await this.priceSeats(event, seats, tickets);
+
     const transaction = await sequelize.transaction();
 
     try {
-      // Create booking with 15-minute timer
+      // Take the seats off the event's availability for the duration of the hold
+      const held = await Event.holdSeats(eventId, seats.length, transaction);
+      if (!held) {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: MESSAGES.ERROR.INSUFFICIENT_SEATS
+        });
+      }
+
+      for (const [ticketTypeId, count] of Object.entries(countByTicketType(pricing.lineItems))) {
+        if (!await TicketType.hold(ticketTypeId, count, transaction)) {
+          await transaction.rollback();
+          const soldOut = pricing.lineItems.find(item => item.ticketTypeId === ticketTypeId);
+          return res.status(409).json({
+            success: false,
+            message: `Not enough ${soldOut.name} tickets left`,
+            ticketTypeId
+          });
+        }
+      }
+
+      const { totalAmount } = pricing;
+      const sections = [...new Set(seats.map(seat => seat.section))];
+      const rows = [...new Set(seats.map(seat => seat.row))];
+
+      // Create booking with 15-minute timer (expired by the reservation expiry job)
       const booking = await Booking.create({
         bookingNumber: this.generateBookingNumber(),
         userId,
         eventId,
-        seatNumbers,
-        seatSection,
-        seatRow,
-        ticketCount: seatNumbers.length,
+        seatNumbers: seats.map(seat => seat.seatNumber),
+        seatSection: sections.length === 1 ? sections[0] : null,
+        seatRow: rows.length === 1 ? rows[0] : null,
+        ticketCount: seats.length,
         bookingType,
-        unitPrice: event.price,
-        totalAmount: event.price * seatNumbers.length,
+        unitPrice: Math.round(totalAmount / seats.length * 100) / 100,
+        totalAmount: Math.round(totalAmount * 100) / 100,
+        lineItems: pricing.lineItems,
         status: 'SEAT_SELECTED',
         reservationExpiresAt: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes
       }, { transaction });
 
-      // Schedule auto-expiry
-      this.scheduleExpiry(booking.id, booking.reservationExpiresAt);
+      // Lock and hold the seat rows; loses cleanly to a concurrent selection
+      try {
+        await Seat.reserveSeats(eventId, seats.map(seat => seat.id), userId, transaction, {
+          bookingId: booking.id,
+          expiresAt: booking.reservationExpiresAt
+        });
+      } catch (error) {
+        if (error.code !== 'SEATS_UNAVAILABLE') throw error;
+
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'Some seats are no longer available'
+        });
+      }
 
       await transaction.commit();
 
@@ -67,7 +130,7 @@ class BookingController {
       try {
         if (analyticsService && analyticsService.broadcastSeatActivity) {
           analyticsService.broadcastSeatActivity(eventId, 'SELECTED', {
-            seatNumbers,
+            seatNumbers: booking.seatNumbers,
             userId,
             bookingId: booking.id
           });
@@ -83,6 +146,7 @@ class BookingController {
           bookingId: booking.id,
           bookingNumber: booking.bookingNumber,
           seatNumbers: booking.seatNumbers,
+          lineItems: booking.lineItems,
           totalAmount: booking.totalAmount,
           expiresAt: booking.reservationExpiresAt,
           nextStep: 'PAYMENT'
@@ -95,6 +159,90 @@ class BookingController {
     }
   });
 
+  // Load the requested Seat rows of an event, rejecting any that do not exist
+  async findEventSeats(eventId, { seatIds, seatNumbers }) {
+    const requested = seatIds || seatNumbers;
+    const where = seatIds
+      ? { eventId, id: { [Op.in]: seatIds } }
+      : { eventId, seatNumber: { [Op.in]: seatNumbers } };
+
+    const seats = await Seat.findAll({
+      where,
+      order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']]
+    });
+
+    if (seats.length !== requested.length) {
+      const found = seats.map(seat => (seatIds ? seat.id : seat.seatNumber));
+      const missing = requested.filter(ref => !found.includes(ref));
+      throw createError.badRequest(`Seats not found for this event: ${missing.join(', ')}`);
+    }
+
+    return seats;
+  }
+
+  // Seats of a `tickets` selection, each tagged with the ticket type chosen for it
+  async findTicketSeats(eventId, tickets) {
+    const seats = [];
+    for (const ticket of tickets) {
+      const ticketSeats = await this.findEventSeats(eventId, ticket);
+      ticketSeats.forEach(seat => {
+        seat.ticketTypeId = ticket.ticketTypeId;
+        seats.push(seat);
+      });
+    }
+
+    const seatIds = seats.map(seat => seat.id);
+    const repeated = seats.filter((seat, index) => seatIds.indexOf(seat.id) !== index);
+    if (repeated.length > 0) {
+      throw createError.badRequest(`Seats selected more than once: ${repeated.map(seat => seat.seatNumber).join(', ')}`);
+    }
+
+    return seats;
+  }
+
+  // Total for the selected seats. With ticket types each seat costs its
+  // ticket type's price, checked against the type's sale window, sections
+  // and per-order limits; otherwise each seat costs its own price.
+  async priceSeats(event, seats, tickets) {
+    const ticketTypes = await TicketType.findAll({ where: { eventId: event.id } });
+
+    if (!tickets) {
+      if (ticketTypes.length > 0) {
+        throw createError.badRequest('This event sells ticket types; choose one for each seat using "tickets"');
+      }
+      const totalAmount = seats.reduce((sum, seat) => sum + parseFloat(seat.price), 0);
+      return { totalAmount, lineItems: null };
+    }
+
+    const typesById = new Map(ticketTypes.map(ticketType => [ticketType.id, ticketType]));
+    const assignments = seats.map(seat => {
+      const ticketType = typesById.get(seat.ticketTypeId);
+      if (!ticketType) {
+        throw createError.badRequest(`Ticket type ${seat.ticketTypeId} is not sold for this event`);
+      }
+      if (!ticketType.isOnSale(event)) {
+        throw createError.badRequest(`${ticketType.name} tickets are not on sale`);
+      }
+      if (ticketType.sections && !ticketType.sections.includes(seat.section)) {
+        throw createError.badRequest(`${ticketType.name} tickets cannot be used for seat ${seat.seatNumber}`);
+      }
+      return { ticketType, seat };
+    });
+
+    const { lineItems, totalAmount } = buildLineItems(assignments);
+
+    lineItems.forEach(item => {
+      const ticketType = typesById.get(item.ticketTypeId);
+      if (item.quantity < ticketType.minPerOrder || item.quantity > ticketType.maxPerOrder) {
+        throw createError.badRequest(
+          `${ticketType.name} tickets are sold ${ticketType.minPerOrder}-${ticketType.maxPerOrder} per order`
+        );
+      }
+    });
+
+    return { totalAmount, lineItems };
+  }
+
 confirmBooking = asyncHandler(async (req, res) => {
   const { bookingId } = req.params;
   const { paymentMethod = 'CARD', paymentDetails = {} } = req.body;
@@ -117,51 +265,80 @@ confirmBooking = asyncHandler(async (req, res) => {
 
   if (!booking) throw createError.notFound('Booking not found or expired');
 
+  if (booking.paymentMode === 'SPLIT') {
+    throw createError.conflict('This booking is paid share by share');
+  }
+
   // Check if reservation expired
   if (booking.reservationExpiresAt && new Date() > booking.reservationExpiresAt) {
-    await booking.update({ status: 'EXPIRED' });
+    await reservationExpiryJob.expireBooking(booking);
     throw createError.gone('Booking expired');
   }
 
+  // The event may have been cancelled or unpublished, or started, since the seats were selected
+  if (!booking.event.isOpenForBooking()) {
+    throw createError.conflict('Event is not open for booking');
+  }
+
   const transaction = await sequelize.transaction();
+  let paymentResult = null;
 
   try {
+    // Pin the seat hold while the payment runs so the sweeper cannot release it;
+    // a hold that has already lapsed cannot be paid for
+    const heldSeats = await Seat.extendReservation(booking.id, null, transaction);
+    if (heldSeats !== booking.ticketCount) {
+      throw createError.gone('Seat reservation has lapsed');
+    }
+
     // Process payment
-    const paymentResult = await this.processPayment(booking, paymentMethod, paymentDetails);
+    paymentResult = await this.processPayment(booking, paymentMethod, paymentDetails);
     if (!paymentResult.success) {
       throw createError.badRequest(`Payment failed: ${paymentResult.error || 'Unknown error'}`);
     }
 
-    // Generate ticket hash synchronously
-    const ticketHash = this.generateTicketHash(booking.id, booking.bookingNumber);
-
-    // Generate QR code data URL inside transaction before commit
-    const QRCode = require('qrcode');
-    const qrData = {
-      bookingNumber: booking.bookingNumber,
-      eventId: booking.eventId,
-      userId: booking.userId,
-      ticketHash,
-      validation: `${process.env.BASE_URL}/api/tickets/validate/${ticketHash}`
-    };
-    const qrCode = await QRCode.toDataURL(JSON.stringify(qrData), {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+    // Async methods (UPI, wallets): seats stay held until the gateway webhook
+    // settles the payment, or until the payment deadline when the sweeper
+    // voids the authorization and releases them
+    if (paymentResult.pending) {
+      await booking.update({
+        status: 'PAYMENT_PENDING',
+        paymentStatus: 'PROCESSING',
+        paymentMethod,
+        paymentGateway: paymentResult.gateway,
+        paymentAuthorizationId: paymentResult.transactionId,
+        reservationExpiresAt: new Date(Date.now() + paymentPendingMinutes() * 60 * 1000)
+      }, { transaction });
+
+      await transaction.commit();
+      logger.info('Booking awaiting payment confirmation:', { bookingId, gateway: paymentResult.gateway });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Payment initiated. Your booking will be confirmed once the payment completes.',
+        data: {
+          bookingId: booking.id,
+          bookingNumber: booking.bookingNumber,
+          status: 'PAYMENT_PENDING',
+          totalAmount: parseFloat(booking.totalAmount),
+          paymentDeadline: booking.reservationExpiresAt,
+          nextStep: 'AWAIT_PAYMENT'
+        }
+      });
+    }
+
+    await Seat.confirmReservation(booking.id, userId, transaction);
+
+    // One ticket per seat, issued in the same transaction as the confirmation
+    const tickets = await ticketService.issueForBooking(booking, {}, transaction);
 
-    // Update booking with all info including qrCode and ticketHash atomically
     await booking.update({
       status: 'CONFIRMED',
       paymentStatus: 'COMPLETED',
       paymentId: paymentResult.paymentId,
       paymentMethod,
-      reservationExpiresAt: null,
-      ticketHash,
-      qrCode
+      paymentGateway: paymentResult.gateway,
+      reservationExpiresAt: null
     }, { transaction });
 
     // Commit transaction
@@ -185,165 +362,52 @@ confirmBooking = asyncHandler(async (req, res) => {
           venue: booking.event.venue,
           dateTime: booking.event.dateTime
         },
-        qrCode
+        tickets: tickets.map(ticket => ticketService.format(ticket))
       }
     });
 
-    // Fire-and-forget async tasks not blocking response
-    setImmediate(async () => {
-      try {
-        // Send confirmation email
-        await emailService.sendBookingConfirmation(booking, booking.event, booking.user);
-
-        // Broadcast booking analytics
-        if (analyticsService.broadcastSeatActivity) {
-          analyticsService.broadcastSeatActivity(booking.eventId, 'BOOKED', {
-            seatNumbers: booking.seatNumbers,
-            userId,
-            bookingId: booking.id
-          });
-        }
-
-        logger.info('Post-confirmation tasks completed:', { bookingId });
-      } catch (postError) {
-        logger.error('Post-confirmation tasks failed:', { bookingId, error: postError.message });
-      }
-    });
+    this.runPostConfirmationTasks(booking, tickets);
 
   } catch (error) {
     await transaction.rollback();
     logger.error('Booking confirmation failed:', { bookingId, error: error.message, stack: error.stack });
+
+    // Charged but nothing recorded: give the money back so a retry does not charge twice
+    if (paymentResult && paymentResult.success) {
+      await paymentService.reverse({ ...paymentResult, authorizationId: paymentResult.transactionId }, {
+        reference: booking.bookingNumber,
+        reason: 'BOOKING_NOT_CONFIRMED'
+      });
+    }
     throw error;
   }
 });
-  // FIXED: Separate method for post-confirmation tasks
-  async handlePostConfirmationTasks(bookingData) {
-    setTimeout(async () => {
-      try {
-        logger.info('Starting post-confirmation tasks:', { bookingId: bookingData.id });
-
-        // Generate QR code
-        await this.generateAndSaveQRCode(bookingData);
-        logger.info('QR code generated successfully');
 
+  // Fire-and-forget async tasks not blocking response.
+  // Expects booking to be loaded with its event and user.
+  runPostConfirmationTasks(booking, tickets = []) {
+    setImmediate(async () => {
+      try {
         // Send confirmation email
-        if (emailService && emailService.sendBookingConfirmation) {
-          // Fetch fresh instances for email
-          const [event, user] = await Promise.all([
-            Event.findByPk(bookingData.eventId),
-            User.findByPk(bookingData.userId)
-          ]);
-          
-          await emailService.sendBookingConfirmation(bookingData, event, user);
-          logger.info('Confirmation email sent successfully');
-        }
+        await emailService.sendBookingConfirmation(booking, booking.event, booking.user, tickets);
 
-        // Broadcast analytics
-        if (analyticsService && analyticsService.broadcastSeatActivity) {
-          analyticsService.broadcastSeatActivity(bookingData.eventId, 'BOOKED', {
-            seatNumbers: bookingData.seatNumbers,
-            userId: bookingData.userId,
-            bookingId: bookingData.id,
-            timestamp: new Date()
+        // Broadcast booking analytics
+        if (analyticsService.broadcastSeatActivity) {
+          analyticsService.broadcastSeatActivity(booking.eventId, 'BOOKED', {
+            seatNumbers: booking.seatNumbers,
+            userId: booking.userId,
+            bookingId: booking.id
           });
-          logger.info('Analytics broadcast completed');
         }
 
-        logger.info('All post-confirmation tasks completed successfully:', { 
-          bookingId: bookingData.id 
-        });
-
+        logger.info('Post-confirmation tasks completed:', { bookingId: booking.id });
       } catch (postError) {
-        logger.error('Post-confirmation tasks failed:', { 
-          bookingId: bookingData.id, 
-          error: postError.message,
-          stack: postError.stack
-        });
+        logger.error('Post-confirmation tasks failed:', { bookingId: booking.id, error: postError.message });
       }
-    }, 100); // 100ms delay to ensure response is sent first
-  }
-
-  // FIXED: Generate and save QR code without transaction
-  async generateAndSaveQRCode(bookingData) {
-    try {
-      const qrCode = await this.generateQRCodeSync(bookingData);
-      
-      // Update booking with QR code without transaction
-      await Booking.update(
-        { qrCode },
-        { 
-          where: { id: bookingData.id },
-          transaction: null // Ensure no transaction is used
-        }
-      );
-      
-      logger.info('QR code saved successfully');
-    } catch (error) {
-      logger.error('Failed to generate or save QR code:', { 
-        bookingId: bookingData.id, 
-        error: error.message 
-      });
-    }
-  }
-
-  // FIXED: Generate ticket hash with better error handling
-  generateTicketHash(bookingId, bookingNumber) {
-    try {
-      const crypto = require('crypto');
-      const timestamp = Date.now();
-      const randomBytes = crypto.randomBytes(8).toString('hex');
-      
-      return crypto
-        .createHash('sha256')
-        .update(`${bookingId}-${bookingNumber}-${timestamp}-${randomBytes}`)
-        .digest('hex');
-    } catch (error) {
-      logger.error('Ticket hash generation failed:', { bookingId, error: error.message });
-      // Fallback hash generation
-      return `ticket_${bookingId}_${bookingNumber}_${Date.now()}`.replace(/[^a-zA-Z0-9]/g, '');
-    }
-  }
-
-  // FIXED: Synchronous QR generation (no DB update)
-  async generateQRCodeSync(bookingData) {
-    try {
-      const QRCode = require('qrcode');
-      
-      const qrData = {
-        bookingNumber: bookingData.bookingNumber,
-        eventId: bookingData.eventId,
-        userId: bookingData.userId,
-        ticketHash: bookingData.ticketHash,
-        validation: `${process.env.BASE_URL || 'https://yourapp.com'}/api/tickets/validate/${bookingData.ticketHash}`,
-        timestamp: Date.now()
-      };
-      
-      const qrCode = await QRCode.toDataURL(JSON.stringify(qrData), {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        errorCorrectionLevel: 'M'
-      });
-      
-      logger.info('QR code generated successfully:', { 
-        bookingId: bookingData.id 
-      });
-      
-      return qrCode;
-      
-    } catch (error) {
-      logger.error('QR code generation failed:', { 
-        bookingId: bookingData.id, 
-        error: error.message
-      });
-      throw error;
-    }
+    });
   }
 
-  // FIXED: Payment processing with better simulation and error handling
+  // Charge the booking through its payment gateway (Booking.paymentGateway or the default)
   async processPayment(booking, method, details) {
     try {
       logger.info('Starting payment processing:', { 
@@ -352,44 +416,47 @@ confirmBooking = asyncHandler(async (req, res) => {
         amount: booking.totalAmount 
       });
       
+      // Free ticket types, or a promo code covering the whole booking: there is nothing to charge
+      if (booking && parseFloat(booking.totalAmount) === 0) {
+        return { success: true, pending: false, paymentId: null, gateway: null, method, amount: 0, processedAt: new Date() };
+      }
+
       // Validate payment details
       if (!booking || !booking.totalAmount || booking.totalAmount <= 0) {
         throw new Error('Invalid booking or amount');
       }
 
-      // Simulate payment processing delay (reduced for faster testing)
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      // Simulate payment outcomes with higher success rate
-      const random = Math.random();
-      
-      if (random > 0.98) { // 2% chance of timeout
-        throw new Error('Payment gateway timeout - please try again');
-      }
-      
-      if (random > 0.95) { // 3% chance of decline
+      const amount = parseFloat(booking.totalAmount);
+      const charge = await paymentService.charge({
+        gateway: booking.paymentGateway,
+        amount,
+        currency: booking.currency || 'USD',
+        method,
+        details,
+        reference: booking.bookingNumber
+      });
+
+      if (!charge.success) {
+        logger.warn('Payment declined:', { bookingId: booking.id, gateway: charge.gateway, code: charge.code });
         return {
           success: false,
-          error: 'Payment declined by bank',
+          error: charge.error || 'Payment declined',
           paymentId: null,
-          code: 'PAYMENT_DECLINED'
+          gateway: charge.gateway,
+          code: charge.code || 'PAYMENT_DECLINED'
         };
       }
       
-      // Success case - 95% success rate
-      const paymentId = `PAY_${Date.now()}_${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-      const transactionId = `TXN_${booking.bookingNumber}_${Date.now()}`;
-      
       const result = {
         success: true,
-        paymentId,
-        transactionId,
+        pending: !!charge.pending,
+        paymentId: charge.paymentId,
+        transactionId: charge.authorizationId,
+        gateway: charge.gateway,
         method,
-        amount: parseFloat(booking.totalAmount),
-        currency: 'USD',
-        processedAt: new Date(),
-        transactionFee: Math.round(booking.totalAmount * 0.029 * 100) / 100, // 2.9% fee
-        netAmount: Math.round(booking.totalAmount * 0.971 * 100) / 100
+        amount: charge.amount,
+        currency: charge.currency,
+        processedAt: new Date()
       };
       
       logger.info('Payment processed successfully:', result);
@@ -406,7 +473,7 @@ confirmBooking = asyncHandler(async (req, res) => {
         success: false,
         error: error.message || 'Payment processing failed',
         paymentId: null,
-        code: 'PAYMENT_ERROR'
+        code: error.code || 'PAYMENT_ERROR'
       };
     }
   }
@@ -420,28 +487,24 @@ confirmBooking = asyncHandler(async (req, res) => {
       throw createError.notFound('Event not found');
     }
 
-    // Get current seat bookings
-    const bookedSeats = await Booking.findAll({
-      where: {
-        eventId,
-        status: { [Op.in]: ['CONFIRMED', 'SEAT_SELECTED', 'RESERVED'] },
-        seatNumbers: { [Op.not]: null }
-      },
-      attributes: ['seatNumbers', 'seatSection', 'seatRow', 'status', 'reservationExpiresAt']
+    const seats = await Seat.findAll({
+      where: { eventId },
+      order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']]
     });
 
-    // Generate seat map (simulate venue layout)
-    const seatMap = this.generateSeatMap(event, bookedSeats);
+    if (seats.length === 0) {
+      throw createError.notFound('No seat map found for this event');
+    }
 
     res.json({
       success: true,
       data: {
         eventId,
         eventName: event.name,
-        seatMap,
+        seatMap: this.buildSeatMap(seats),
         legend: {
           available: 'Available for booking',
-          selected: 'In your selection',
+          selected: 'Held by another booking',
           booked: 'Already booked',
           blocked: 'Not available'
         }
@@ -449,9 +512,118 @@ confirmBooking = asyncHandler(async (req, res) => {
     });
   });
 
-  // Cancel booking
+  // Apply a promo code to a booking before it is paid for; replaces any code already applied
+  applyPromoCode = asyncHandler(async (req, res) => {
+    const booking = await promoService.applyToBooking(
+      req.params.bookingId,
+      req.body.code,
+      req.user,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Promo code applied',
+      data: this.buildPriceBreakdown(booking)
+    });
+  });
+
+  removePromoCode = asyncHandler(async (req, res) => {
+    const booking = await promoService.removeFromBooking(
+      req.params.bookingId,
+      req.user,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Promo code removed',
+      data: this.buildPriceBreakdown(booking)
+    });
+  });
+
+  buildPriceBreakdown(booking) {
+    return {
+      bookingId: booking.id,
+      lineItems: booking.lineItems,
+      subtotal: promoService.subtotalOf(booking),
+      discount: booking.discount,
+      totalAmount: parseFloat(booking.totalAmount),
+      currency: booking.currency,
+      expiresAt: booking.reservationExpiresAt
+    };
+  }
+
+  // Split the booking between several payers; each is emailed a link to pay for their seats
+  splitBooking = asyncHandler(async (req, res) => {
+    const { booking, shares } = await groupBookingService.splitBooking(
+      req.params.bookingId,
+      req.body.shares,
+      req.user,
+      auditService.contextFrom(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking split. Payers have been invited to pay for their seats.',
+      data: {
+        bookingId: booking.id,
+        status: booking.status,
+        paymentDeadline: booking.reservationExpiresAt,
+        shares: shares.map(share => this.formatShare(share))
+      }
+    });
+  });
+
+  getMyShares = asyncHandler(async (req, res) => {
+    const shares = await groupBookingService.findSharesFor(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        shares: shares.map(share => ({
+          ...this.formatShare(share),
+          booking: share.booking
+        }))
+      }
+    });
+  });
+
+  payShare = asyncHandler(async (req, res) => {
+    const { share, booking, tickets } = await groupBookingService.payShare(
+      req.params.shareId,
+      req.user,
+      req.body,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payment received. Your tickets are ready.',
+      data: {
+        ...this.formatShare(share),
+        bookingStatus: booking.status,
+        paymentId: share.paymentId,
+        tickets: tickets.map(ticket => ticketService.format(ticket))
+      }
+    });
+  });
+
+  formatShare(share) {
+    return {
+      id: share.id,
+      email: share.email,
+      seatNumbers: share.seatNumbers,
+      amount: parseFloat(share.amount),
+      status: share.status,
+      paidAt: share.paidAt
+    };
+  }
+
+  // Cancel a booking, or some of its seats, refunding the paid share through the gateway
   cancelBooking = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
+    const { seatNumbers: seatsToCancel, reason } = req.body;
     const userId = req.user.id;
 
     const booking = await Booking.findOne({
@@ -466,44 +638,241 @@ confirmBooking = asyncHandler(async (req, res) => {
       throw createError.notFound('Booking not found');
     }
 
+    if (booking.paymentMode === 'SPLIT') {
+      const { cancelledSeats, refunds } = await groupBookingService.cancelSplitBooking(booking, {
+        seatNumbers: seatsToCancel,
+        reason,
+        auditContext: auditService.contextFrom(req)
+      });
+
+      return res.json({
+        success: true,
+        message: 'Booking cancelled successfully',
+        data: {
+          bookingId: booking.id,
+          status: 'CANCELLED',
+          cancelledSeats,
+          remainingSeats: [],
+          refunds: refunds.map(refund => ({
+            id: refund.id,
+            amount: parseFloat(refund.amount),
+            currency: refund.currency,
+            status: refund.status
+          }))
+        }
+      });
+    }
+
+    const quote = await this.buildCancellationQuote(booking, seatsToCancel);
+    if (!quote.cancellable) {
+      throw createError.forbidden(quote.reason);
+    }
+
+    const { cancelledSeats, remainingSeats, isPartial, refundAmount } = quote;
+    if (booking.status === 'CONFIRMED') {
+      await ticketService.assertHeldByOwner(booking, isPartial ? cancelledSeats : null);
+    }
+    const releasedCount = isPartial ? cancelledSeats.length : booking.ticketCount;
+    const paymentPending = booking.status === 'PAYMENT_PENDING';
+    const auditContext = auditService.contextFrom(req);
+    const before = booking.get({ plain: true });
+
     const transaction = await sequelize.transaction();
 
     try {
-      await booking.update({
-        status: 'CANCELLED',
-        paymentStatus: 'REFUNDED'
+      await Event.releaseSeats(booking.eventId, releasedCount, transaction);
+
+      // Confirmed bookings own booked seats; anything earlier only holds them
+      if (booking.status === 'CONFIRMED') {
+        await Seat.releaseBookedSeats(booking.id, isPartial ? cancelledSeats : null, transaction);
+        await ticketService.cancelForBooking(booking, isPartial ? cancelledSeats : null, transaction);
+      } else {
+        await Seat.releaseReservation(booking.userId, booking.id, transaction);
+        await PromoRedemption.releaseForBooking(booking, transaction);
+      }
+      await TicketType.releaseForBooking(booking, isPartial ? cancelledSeats : null, transaction);
+
+      if (isPartial) {
+        await booking.update({
+          seatNumbers: remainingSeats,
+          ticketCount: remainingSeats.length,
+          lineItems: booking.lineItems ? removeSeats(booking.lineItems, cancelledSeats) : null
+        }, { transaction });
+      } else {
+        await booking.update(
+          paymentPending ? { status: 'CANCELLED', paymentStatus: 'FAILED' } : { status: 'CANCELLED' },
+          { transaction }
+        );
+      }
+
+      await auditService.record(auditContext, {
+        action: isPartial ? 'booking.partial_cancel' : 'booking.cancel',
+        entityType: 'Booking',
+        entityId: booking.id,
+        before,
+        after: booking,
+        fields: ['status', 'seatNumbers', 'ticketCount'],
+        metadata: { cancelledSeats, refundAmount, reason: reason || null }
       }, { transaction });
 
       await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
-      // Non-transactional side effects
-      setTimeout(async () => {
-        try {
-          if (emailService && emailService.sendCancellationEmail) {
-            await emailService.sendCancellationEmail(booking, booking.event, booking.user);
-          }
-
-          if (analyticsService && analyticsService.broadcastSeatActivity) {
-            analyticsService.broadcastSeatActivity(booking.eventId, 'RELEASED', {
-              seatNumbers: booking.seatNumbers
-            });
-          }
-        } catch (error) {
-          logger.error('Post-cancellation side-effects failed:', error.message);
-        }
-      }, 100);
+    // Withdraw an unsettled payment, as the sweeper does when its deadline
+    // passes; one that settles anyway is refunded by the webhook
+    if (paymentPending && booking.paymentAuthorizationId) {
+      await paymentService.reverse({
+        gateway: booking.paymentGateway,
+        authorizationId: booking.paymentAuthorizationId
+      }, { reference: booking.bookingNumber, reason: 'CUSTOMER_CANCELLATION' });
+    }
 
-      res.json({
-        success: true,
-        message: 'Booking cancelled successfully'
+    // Refund after the seats are released; paymentStatus only changes once the gateway confirms
+    let refund = null;
+    if (refundAmount > 0) {
+      refund = await refundService.requestRefund(booking, {
+        amount: refundAmount,
+        seatNumbers: isPartial ? cancelledSeats : null,
+        reason: reason || 'CUSTOMER_CANCELLATION',
+        requestedBy: userId,
+        auditContext
       });
+    }
 
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
+    // Non-transactional side effects
+    setTimeout(async () => {
+      try {
+        if (emailService && emailService.sendCancellationEmail) {
+          await emailService.sendCancellationEmail(booking, booking.event, booking.user, {
+            cancelledSeats,
+            refund
+          });
+        }
+
+        if (analyticsService && analyticsService.broadcastSeatActivity) {
+          analyticsService.broadcastSeatActivity(booking.eventId, 'RELEASED', {
+            seatNumbers: cancelledSeats
+          });
+        }
+      } catch (error) {
+        logger.error('Post-cancellation side-effects failed:', error.message);
+      }
+    }, 100);
+
+    res.json({
+      success: true,
+      message: isPartial ? 'Seats cancelled successfully' : 'Booking cancelled successfully',
+      data: {
+        bookingId: booking.id,
+        status: isPartial ? booking.status : 'CANCELLED',
+        cancelledSeats,
+        remainingSeats,
+        refund: refund && {
+          id: refund.id,
+          amount: parseFloat(refund.amount),
+          currency: refund.currency,
+          status: refund.status
+        }
+      }
+    });
+  });
+
+  // Preview what cancelling would refund under the event's policy
+  getCancellationQuote = asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+    const seatNumbers = req.query.seatNumbers
+      ? req.query.seatNumbers.split(',').map(seat => seat.trim()).filter(Boolean)
+      : undefined;
+
+    const booking = await Booking.findOne({
+      where: { id: bookingId, userId: req.user.id },
+      include: [{ model: Event, as: 'event' }]
+    });
+
+    if (!booking) {
+      throw createError.notFound('Booking not found');
     }
+
+    const quote = await this.buildCancellationQuote(booking, seatNumbers);
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking.id,
+        cancellable: quote.cancellable,
+        reason: quote.reason,
+        cancelledSeats: quote.cancelledSeats,
+        remainingSeats: quote.remainingSeats,
+        paidAmount: quote.paidAmount,
+        refundPercent: quote.refundPercent,
+        refundAmount: quote.refundAmount,
+        currency: booking.currency,
+        deadline: quote.deadline,
+        policy: resolveRefundPolicy(booking.event)
+      }
+    });
   });
 
+  // Work out which seats a cancellation covers and how much is refundable.
+  // Unpaid holds can always be released; paid bookings follow the event's refund policy.
+  async buildCancellationQuote(booking, seatsToCancel) {
+    if (['CANCELLED', 'EXPIRED'].includes(booking.status)) {
+      throw createError.badRequest(`Booking is already ${booking.status.toLowerCase()}`);
+    }
+
+    const currentSeats = booking.seatNumbers || [];
+    let cancelledSeats = currentSeats;
+
+    if (seatsToCancel && seatsToCancel.length > 0) {
+      const unknownSeats = seatsToCancel.filter(seat => !currentSeats.includes(seat));
+      if (unknownSeats.length > 0) {
+        throw createError.badRequest(`Seats not part of this booking: ${unknownSeats.join(', ')}`);
+      }
+      // A seat listed twice is still only one seat to release and refund
+      cancelledSeats = [...new Set(seatsToCancel)];
+    }
+
+    const remainingSeats = currentSeats.filter(seat => !cancelledSeats.includes(seat));
+    const isPartial = remainingSeats.length > 0;
+
+    if (isPartial && booking.status !== 'CONFIRMED') {
+      throw createError.badRequest('Only confirmed bookings can be partially cancelled');
+    }
+
+    const quote = {
+      cancellable: true,
+      reason: null,
+      cancelledSeats,
+      remainingSeats,
+      isPartial,
+      paidAmount: 0,
+      refundPercent: 0,
+      refundAmount: 0,
+      deadline: null
+    };
+
+    if (booking.status !== 'CONFIRMED') {
+      return quote;
+    }
+
+    const evaluation = evaluateRefundPolicy(resolveRefundPolicy(booking.event), booking.event.dateTime);
+    quote.cancellable = evaluation.cancellable;
+    quote.reason = evaluation.reason;
+    quote.refundPercent = evaluation.refundPercent;
+    quote.deadline = evaluation.deadline;
+
+    const isPaid = !!booking.paymentId && ['COMPLETED', 'PARTIALLY_REFUNDED'].includes(booking.paymentStatus);
+    if (isPaid) {
+      quote.paidAmount = await refundService.calculateSeatRefund(booking, cancelledSeats);
+      quote.refundAmount = Math.round(quote.paidAmount * evaluation.refundPercent) / 100;
+    }
+
+    return quote;
+  }
+
   // Get user bookings
   getUserBookings = asyncHandler(async (req, res) => {
     const userId = req.user.id;
@@ -542,41 +911,6 @@ confirmBooking = asyncHandler(async (req, res) => {
     });
   });
 
-  // Helper method to check seat availability
-  async checkSeatAvailability(eventId, seatNumbers, seatSection, seatRow) {
-    try {
-      const bookedSeats = await Booking.findAll({
-        where: {
-          eventId,
-          seatSection,
-          seatRow,
-          status: { [Op.in]: ['CONFIRMED', 'SEAT_SELECTED', 'RESERVED'] },
-          [Op.or]: [
-            { reservationExpiresAt: null },
-            { reservationExpiresAt: { [Op.gt]: new Date() } }
-          ]
-        },
-        attributes: ['seatNumbers']
-      });
-
-      const unavailable = [];
-      bookedSeats.forEach(booking => {
-        if (booking.seatNumbers && Array.isArray(booking.seatNumbers)) {
-          booking.seatNumbers.forEach(seat => {
-            if (seatNumbers.includes(seat)) {
-              unavailable.push(seat);
-            }
-          });
-        }
-      });
-
-      return unavailable;
-    } catch (error) {
-      logger.error('Seat availability check failed:', { error: error.message });
-      return seatNumbers; // Assume all seats unavailable on error
-    }
-  }
-
   // Generate booking number
   generateBookingNumber() {
     const timestamp = Date.now().toString();
@@ -584,93 +918,33 @@ confirmBooking = asyncHandler(async (req, res) => {
     return `BKG${timestamp.slice(-6)}${random}`;
   }
 
-  // Generate seat map
-  generateSeatMap(event, bookedSeats) {
-    // Simulate venue seat map generation
-    const sections = ['PREMIUM', 'GOLD', 'SILVER'];
-    const rows = ['A', 'B', 'C', 'D', 'E'];
-    const seatsPerRow = 10;
+  // Group seats by section and row with their display status
+  buildSeatMap(seats) {
+    const statusLabels = {
+      AVAILABLE: 'available',
+      EXPIRED_RESERVATION: 'available',
+      RESERVED: 'selected',
+      BOOKED: 'booked',
+      BLOCKED: 'blocked'
+    };
 
     const seatMap = {};
-
-    sections.forEach(section => {
-      seatMap[section] = {};
-      rows.forEach(row => {
-        seatMap[section][row] = [];
-        for (let i = 1; i <= seatsPerRow; i++) {
-          const seatNumber = `${row}${i}`;
-          let status = 'available';
-
-          // Check if seat is booked or selected
-          bookedSeats.forEach(booking => {
-            if (booking.seatSection === section && 
-                booking.seatNumbers.includes(seatNumber)) {
-              status = booking.status === 'CONFIRMED' ? 'booked' : 'selected';
-            }
-          });
-
-          seatMap[section][row].push({
-            seatNumber,
-            status,
-            price: this.getSeatPrice(section, event.price)
-          });
-        }
+    seats.forEach(seat => {
+      if (!seatMap[seat.section]) seatMap[seat.section] = {};
+      if (!seatMap[seat.section][seat.row]) seatMap[seat.section][seat.row] = [];
+
+      seatMap[seat.section][seat.row].push({
+        id: seat.id,
+        seatNumber: seat.seatNumber,
+        status: statusLabels[seat.getStatus()],
+        price: parseFloat(seat.price),
+        seatType: seat.seatType
       });
     });
 
     return seatMap;
   }
 
-  // Get seat price based on section
-  getSeatPrice(section, basePrice) {
-    const multipliers = {
-      'PREMIUM': 1.5,
-      'GOLD': 1.2,
-      'SILVER': 1.0
-    };
-    return basePrice * (multipliers[section] || 1);
-  }
-
-  // Schedule expiry for bookings
-  scheduleExpiry(bookingId, expiresAt) {
-    const delay = expiresAt.getTime() - Date.now();
-
-    // Don't schedule if already expired or delay is too long
-    if (delay <= 0 || delay > 24 * 60 * 60 * 1000) return;
-
-    setTimeout(async () => {
-      try {
-        const updated = await Booking.update(
-          { status: 'EXPIRED' },
-          {
-            where: {
-              id: bookingId,
-              status: { [Op.in]: ['SEAT_SELECTED', 'RESERVED'] }
-            }
-          }
-        );
-        
-        if (updated[0] > 0) {
-          logger.info('Booking expired automatically:', { bookingId });
-          
-          // Broadcast seat release
-          try {
-            const expiredBooking = await Booking.findByPk(bookingId);
-            if (expiredBooking && analyticsService && analyticsService.broadcastSeatActivity) {
-              analyticsService.broadcastSeatActivity(expiredBooking.eventId, 'RELEASED', {
-                seatNumbers: expiredBooking.seatNumbers,
-                reason: 'EXPIRED'
-              });
-            }
-          } catch (broadcastError) {
-            logger.error('Failed to broadcast expiry:', broadcastError.message);
-          }
-        }
-      } catch (error) {
-        logger.error('Auto-expiry error:', { bookingId, error: error.message });
-      }
-    }, Math.max(0, delay));
-  }
 }
 
 module.exports = new BookingController();
\ No newline at end of file
@@ -1,8 +1,54 @@
-const { Event, User, Booking } = require('../models');
-const { MESSAGES } = require('../utils/constants');
+const { Event, User, Booking, Seat } = require('../models');
+const { MESSAGES, ACTIVE_BOOKING_STATUSES } = require('../utils/constants');
+const { resolveRefundPolicy } = require('../utils/refundPolicy');
+const { resolveEntryPolicy } = require('../utils/entryPolicy');
+const { createError } = require('../middleware/errorHandler');
+const { canManageEvent } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const eventLifecycleService = require('../services/eventLifecycleService');
+const eventService = require('../services/eventService');
 const logger = require('../utils/logger');
+const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
+// Load an event the caller may manage and check it can move to `status`.
+// Sends the error response itself and returns null when it cannot.
+const findEventForTransition = async (req, res, status) => {
+  const event = await Event.findByPk(req.params.eventId);
+  if (!event) {
+    res.status(404).json({
+      success: false,
+      message: MESSAGES.ERROR.EVENT_NOT_FOUND
+    });
+    return null;
+  }
+
+  if (!canManageEvent(event, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this event'
+    });
+    return null;
+  }
+
+  if (!event.canTransitionTo(status)) {
+    res.status(409).json({
+      success: false,
+      message: `Cannot move an event from ${event.status} to ${status}`,
+      code: 'INVALID_STATUS_TRANSITION'
+    });
+    return null;
+  }
+
+  return event;
+};
+
+const transitionConflict = (res, event) => res.status(409).json({
+  success: false,
+  message: `Event ${event.id} was changed by another request, please retry`,
+  code: 'INVALID_STATUS_TRANSITION'
+});
+
 class EventController {
   async getEvents(req, res, next) {
     try {
@@ -79,7 +125,9 @@ class EventController {
         success: true,
         data: { 
           event,
-          isBookable: event.isBookable()
+          isBookable: event.isBookable(),
+          refundPolicy: resolveRefundPolicy(event),
+          entryPolicy: resolveEntryPolicy(event)
         }
       });
     } catch (error) {
@@ -91,6 +139,7 @@ class EventController {
     try {
       const eventData = {
         ...req.body,
+        ...(await eventService.resolveVenueSelection(req.body.venueId, req.body.seatingLayoutId)),
         createdBy: req.user.id,
         availableSeats: req.body.capacity
       };
@@ -122,20 +171,269 @@ class EventController {
       }
 
       // Check ownership or admin role
-      if (event.createdBy !== req.user.id && req.user.role !== 'ADMIN') {
+      if (!canManageEvent(event, req.user)) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to update this event'
         });
       }
 
-      await event.update(req.body);
+      if (!eventService.isEditable(event)) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${event.status.toLowerCase()} event can no longer be edited`
+        });
+      }
+
+      let priceChange;
+      const transaction = await sequelize.transaction();
+
+      try {
+        priceChange = await eventService.applyUpdate(event, req.body, auditService.contextFrom(req), transaction);
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
 
       logger.info(`Event updated: ${eventId} by user ${req.user.id}`);
 
       res.json({
         success: true,
         message: MESSAGES.SUCCESS.EVENT_UPDATED,
+        data: { event, priceChange }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateRefundPolicy(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: MESSAGES.ERROR.EVENT_NOT_FOUND
+        });
+      }
+
+      if (!canManageEvent(event, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this event'
+        });
+      }
+
+      const previousPolicy = event.refundPolicy;
+      await event.update({ refundPolicy: req.body.refundPolicy });
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'event.refund_policy_update',
+        entityType: 'Event',
+        entityId: event.id,
+        changes: { refundPolicy: { from: previousPolicy || null, to: event.refundPolicy } }
+      });
+
+      logger.info(`Refund policy updated for event ${eventId} by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Refund policy updated successfully',
+        data: {
+          eventId: event.id,
+          refundPolicy: resolveRefundPolicy(event)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Re-entry rules applied at the gates; offline devices pick them up with
+  // their next manifest
+  async updateEntryPolicy(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: MESSAGES.ERROR.EVENT_NOT_FOUND
+        });
+      }
+
+      if (!canManageEvent(event, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this event'
+        });
+      }
+
+      const previousPolicy = event.entryPolicy;
+      await event.update({ entryPolicy: req.body.entryPolicy });
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'event.entry_policy_update',
+        entityType: 'Event',
+        entityId: event.id,
+        changes: { entryPolicy: { from: previousPolicy || null, to: event.entryPolicy } }
+      });
+
+      logger.info(`Entry policy updated for event ${eventId} by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Entry policy updated successfully',
+        data: {
+          eventId: event.id,
+          entryPolicy: resolveEntryPolicy(event)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Choose the layout new seat maps are generated from
+  async attachSeatingLayout(req, res, next) {
+    try {
+      const { eventId } = req.params;
+
+      const event = await Event.findByPk(eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: MESSAGES.ERROR.EVENT_NOT_FOUND
+        });
+      }
+
+      if (!canManageEvent(event, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this event'
+        });
+      }
+
+      const { seatingLayoutId } = req.body;
+      const selection = seatingLayoutId
+        ? await eventService.resolveVenueSelection(event.venueId, seatingLayoutId)
+        : { seatingLayoutId: null };
+
+      await event.update(selection);
+
+      const existingSeats = await Seat.count({ where: { eventId } });
+
+      logger.info(`Seating layout ${seatingLayoutId || 'default'} attached to event ${eventId}`);
+
+      res.json({
+        success: true,
+        message: existingSeats > 0
+          ? 'Seating layout attached. Regenerate the seat map to apply it.'
+          : 'Seating layout attached successfully',
+        data: {
+          eventId: event.id,
+          venueId: event.venueId,
+          seatingLayoutId: event.seatingLayoutId,
+          seatMapGenerated: existingSeats > 0
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async publishEvent(req, res, next) {
+    try {
+      const event = await findEventForTransition(req, res, 'PUBLISHED');
+      if (!event) return;
+
+      if (new Date(event.dateTime) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot publish an event that has already started'
+        });
+      }
+
+      // Bookings pick real seats, so there must be a seat map to sell from
+      const seatCount = await Seat.count({ where: { eventId: event.id } });
+      if (seatCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Generate or import a seat map before publishing',
+          code: 'SEAT_MAP_REQUIRED'
+        });
+      }
+
+      if (!await eventLifecycleService.transition(event, 'PUBLISHED', auditService.contextFrom(req))) {
+        return transitionConflict(res, event);
+      }
+
+      res.json({
+        success: true,
+        message: 'Event published successfully',
+        data: { event }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancelling cascades to every booking (cancel, full refund, email) and the
+  // waitlist. The cascade runs after the response; eventLifecycleJob finishes
+  // it if this instance stops half way.
+  async cancelEvent(req, res, next) {
+    try {
+      const event = await findEventForTransition(req, res, 'CANCELLED');
+      if (!event) return;
+
+      const auditContext = auditService.contextFrom(req);
+      const { reason = null } = req.body;
+
+      if (!await eventLifecycleService.transition(event, 'CANCELLED', auditContext, { reason })) {
+        return transitionConflict(res, event);
+      }
+
+      const affectedBookings = await Booking.count({
+        where: { eventId: event.id, status: ACTIVE_BOOKING_STATUSES }
+      });
+
+      eventLifecycleService.cascadeCancellation(event, auditContext).catch(error => {
+        logger.error('Event cancellation cascade failed:', { eventId: event.id, error: error.message });
+      });
+
+      res.json({
+        success: true,
+        message: 'Event cancelled. Bookings are being cancelled and refunded.',
+        data: { event, affectedBookings }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async completeEvent(req, res, next) {
+    try {
+      const event = await findEventForTransition(req, res, 'COMPLETED');
+      if (!event) return;
+
+      if (new Date(event.dateTime) > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot complete an event before it has started'
+        });
+      }
+
+      if (!await eventLifecycleService.transition(event, 'COMPLETED', auditService.contextFrom(req))) {
+        return transitionConflict(res, event);
+      }
+
+      res.json({
+        success: true,
+        message: 'Event completed successfully',
         data: { event }
       });
     } catch (error) {
@@ -155,6 +453,13 @@ class EventController {
         });
       }
 
+      if (!canManageEvent(event, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view stats for this event'
+        });
+      }
+
       const bookingStats = await Booking.findAll({
         where: { eventId },
         attributes: [
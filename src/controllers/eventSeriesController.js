@@ -0,0 +1,78 @@
+// src/controllers/eventSeriesController.js
+const { EventSeries, Event } = require('../models');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { canManageEvent } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const eventSeriesService = require('../services/eventSeriesService');
+
+class EventSeriesController {
+  createSeries = asyncHandler(async (req, res) => {
+    const { series, events } = await eventSeriesService.createSeries(
+      req.body,
+      req.user,
+      auditService.contextFrom(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Event series created with ${events.length} occurrences`,
+      data: { series, occurrences: events }
+    });
+  });
+
+  getSeries = asyncHandler(async (req, res) => {
+    const series = await this.findManageableSeries(req.params.seriesId, req.user);
+
+    const occurrences = await Event.findAll({
+      where: { seriesId: series.id },
+      order: [['occurrenceDate', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { series, occurrences }
+    });
+  });
+
+  // PUT /event-series/:seriesId/occurrences/:eventId with scope THIS edits
+  // one occurrence; FUTURE edits it and every later one and the template
+  updateOccurrences = asyncHandler(async (req, res) => {
+    const series = await this.findManageableSeries(req.params.seriesId, req.user);
+
+    const event = await Event.findByPk(req.params.eventId);
+    if (!event) {
+      throw createError.notFound('Event not found');
+    }
+
+    const { scope, changes } = req.body;
+    const result = await eventSeriesService.updateOccurrences(
+      series,
+      event,
+      scope,
+      changes,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: `${result.events.length} occurrence(s) updated`,
+      data: { scope, ...result }
+    });
+  });
+
+  // Series follow the same ownership rule as events
+  async findManageableSeries(seriesId, user) {
+    const series = await EventSeries.findByPk(seriesId);
+    if (!series) {
+      throw createError.notFound('Event series not found');
+    }
+
+    if (!canManageEvent(series, user)) {
+      throw createError.forbidden('Not authorized to manage this event series');
+    }
+
+    return series;
+  }
+}
+
+module.exports = new EventSeriesController();
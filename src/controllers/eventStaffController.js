@@ -0,0 +1,98 @@
+// src/controllers/eventStaffController.js
+const { Event, EventStaff, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { canManageEvent, hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Gate staff assigned to an event. Assignment is what lets gate staff and
+// box office accounts check tickets in for it (see scanService.canCheckIn).
+class EventStaffController {
+  listStaff = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+
+    const staff = await EventStaff.findAll({
+      where: { eventId: event.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email', 'role'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { eventId: event.id, staff }
+    });
+  });
+
+  assignStaff = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+
+    const user = await User.findOne({
+      where: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), req.body.email.trim().toLowerCase())
+    });
+    if (!user || !user.isActive) {
+      throw createError.notFound('No active account is registered with that email address');
+    }
+    if (!hasPermission(user, PERMISSIONS.TICKETS_VALIDATE_ANY)) {
+      throw createError.badRequest('Only gate staff and box office accounts can be assigned');
+    }
+
+    const [assignment, created] = await EventStaff.findOrCreate({
+      where: { eventId: event.id, userId: user.id },
+      defaults: { assignedBy: req.user.id }
+    });
+
+    if (created) {
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'event.staff_assign',
+        entityType: 'Event',
+        entityId: event.id,
+        metadata: { userId: user.id, email: user.email }
+      });
+
+      logger.info(`User ${user.id} assigned to the gates of event ${event.id} by user ${req.user.id}`);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Staff member assigned' : 'Staff member already assigned',
+      data: { assignment }
+    });
+  });
+
+  removeStaff = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+
+    const removed = await EventStaff.destroy({ where: { eventId: event.id, userId: req.params.userId } });
+    if (!removed) {
+      throw createError.notFound('Staff member is not assigned to this event');
+    }
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'event.staff_remove',
+      entityType: 'Event',
+      entityId: event.id,
+      metadata: { userId: req.params.userId }
+    });
+
+    logger.info(`User ${req.params.userId} removed from the gates of event ${event.id} by user ${req.user.id}`);
+
+    res.json({ success: true, message: 'Staff member removed' });
+  });
+
+  async findManageableEvent(eventId, user) {
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      throw createError.notFound('Event not found');
+    }
+
+    if (!canManageEvent(event, user)) {
+      throw createError.forbidden('Not authorized to manage staff for this event');
+    }
+
+    return event;
+  }
+}
+
+module.exports = new EventStaffController();
@@ -0,0 +1,371 @@
+// src/controllers/paymentController.js
+const { Booking, BookingShare, Event, Seat, User, PaymentWebhookEvent, Refund, TicketType, PromoRedemption, Ticket } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { PAYMENT_EVENTS } = require('../utils/constants');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const auditService = require('../services/auditService');
+const ticketService = require('../services/ticketService');
+const analyticsService = require('../services/analyticsService');
+const bookingController = require('./bookingController');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { toCsv } = require('../utils/csv');
+
+// Split booking shares are charged as `${bookingNumber}-${share id prefix}`
+// (groupBookingService.shareReference)
+const SHARE_REFERENCE = /^(.+)-([0-9a-f]{8})$/;
+
+class PaymentController {
+  // Asynchronous gateway callbacks: POST /api/payments/webhooks/:gateway
+  handleWebhook = asyncHandler(async (req, res) => {
+    let gateway;
+    try {
+      gateway = paymentService.getGateway(req.params.gateway);
+    } catch (error) {
+      throw createError.notFound('Unknown payment gateway');
+    }
+
+    const signature = req.headers[gateway.signatureHeader];
+    if (!gateway.verifyWebhook(req.rawBody, signature)) {
+      logger.warn('Rejected webhook with invalid signature:', { gateway: gateway.name, ip: req.ip });
+      throw createError.unauthorized('Invalid webhook signature');
+    }
+
+    const event = gateway.parseWebhook(req.body);
+    if (!event.id || !event.type) {
+      throw createError.badRequest('Malformed webhook payload');
+    }
+
+    const transaction = await sequelize.transaction();
+    let booking = null;
+    let target = { booking: null, share: null, isShare: false };
+    let outcome;
+
+    try {
+      const [record, created] = await PaymentWebhookEvent.findOrCreate({
+        where: { gateway: gateway.name, eventId: event.id },
+        defaults: { type: event.type, payload: req.body },
+        transaction
+      });
+
+      if (!created) {
+        await transaction.commit();
+        logger.info('Duplicate webhook ignored:', { gateway: gateway.name, eventId: event.id });
+        return res.json({ success: true, received: true, duplicate: true });
+      }
+
+      if (event.reference) {
+        target = await this.findPaymentTarget(event.reference, transaction);
+        booking = target.booking;
+      }
+
+      if (event.type === PAYMENT_EVENTS.REFUND_SUCCEEDED || event.type === PAYMENT_EVENTS.REFUND_FAILED) {
+        outcome = await this.applyRefundEvent(gateway.name, event, transaction);
+      } else if (target.isShare) {
+        outcome = this.applySharePaymentEvent(target.share, event);
+      } else {
+        outcome = booking ? await this.applyPaymentEvent(booking, event, transaction) : 'IGNORED';
+      }
+
+      await record.update({
+        bookingId: booking ? booking.id : null,
+        outcome,
+        processedAt: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+
+      // A concurrent delivery of the same event won the insert
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.json({ success: true, received: true, duplicate: true });
+      }
+      throw error;
+    }
+
+    logger.info('Payment webhook processed:', {
+      gateway: gateway.name,
+      eventId: event.id,
+      type: event.type,
+      bookingId: booking && booking.id,
+      outcome
+    });
+
+    if (outcome === 'REFUND_REQUIRED' && target.isShare) {
+      logger.warn('Payment captured for an unpaid share, refunding:', {
+        bookingId: booking.id,
+        shareId: target.share && target.share.id,
+        paymentId: event.paymentId
+      });
+      await paymentService.reverse({ gateway: gateway.name, paymentId: event.paymentId, amount: event.amount }, {
+        reference: event.reference,
+        reason: 'LATE_PAYMENT'
+      });
+    } else if (outcome === 'REFUND_REQUIRED') {
+      logger.warn('Payment captured for inactive booking, refunding:', {
+        bookingId: booking.id,
+        status: booking.status,
+        paymentId: event.paymentId
+      });
+      await refundService.requestRefund(booking, {
+        amount: await refundService.refundableBalance(booking),
+        reason: 'LATE_PAYMENT'
+      });
+    }
+
+    if (outcome === 'APPLIED' && booking) {
+      this.runPostWebhookTasks(booking.id, event.type);
+    }
+
+    res.json({ success: true, received: true, outcome });
+  });
+
+  // Resolve a payment reference to the booking it pays for, or to the split
+  // booking share it pays for. The booking is locked, so a webhook waits for
+  // a payShare that is still committing.
+  async findPaymentTarget(reference, transaction) {
+    const lockBooking = (bookingNumber) => Booking.findOne({
+      where: { bookingNumber },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const booking = await lockBooking(reference);
+    const match = !booking && SHARE_REFERENCE.exec(reference);
+    if (!match) {
+      return { booking, share: null, isShare: false };
+    }
+
+    const parent = await lockBooking(match[1]);
+    if (!parent) {
+      return { booking: null, share: null, isShare: false };
+    }
+
+    const shares = await BookingShare.findAll({ where: { bookingId: parent.id }, transaction });
+    return {
+      booking: parent,
+      share: shares.find(share => share.id.startsWith(match[2])) || null,
+      isShare: true
+    };
+  }
+
+  // Shares are only paid with methods that settle immediately (payShare), so
+  // a webhook for one just repeats a capture that is already recorded. A
+  // capture no paid share owns, e.g. from a payShare that rolled back and
+  // could not reverse its charge, has to be refunded.
+  applySharePaymentEvent(share, event) {
+    if (event.type !== PAYMENT_EVENTS.SUCCEEDED || !event.paymentId) {
+      return 'IGNORED';
+    }
+    if (share && share.status === 'PAID' && share.paymentId === event.paymentId) {
+      return 'IGNORED';
+    }
+    return 'REFUND_REQUIRED';
+  }
+
+  // Drive the booking out of PAYMENT_PENDING. Anything else is a late or
+  // repeated notification and leaves the booking untouched.
+  async applyPaymentEvent(booking, event, transaction) {
+    if (event.type === PAYMENT_EVENTS.SUCCEEDED) {
+      if (booking.status === 'PAYMENT_PENDING') {
+        await Seat.confirmReservation(booking.id, booking.userId, transaction);
+        await ticketService.issueForBooking(booking, {}, transaction);
+
+        await booking.update({
+          status: 'CONFIRMED',
+          paymentStatus: 'COMPLETED',
+          paymentId: event.paymentId,
+          reservationExpiresAt: null
+        }, { transaction });
+        return 'APPLIED';
+      }
+
+      // Money arrived for a booking that no longer holds seats: record the
+      // capture so it can be refunded
+      if (['CANCELLED', 'EXPIRED'].includes(booking.status) && booking.paymentStatus !== 'COMPLETED') {
+        await booking.update({
+          paymentStatus: 'COMPLETED',
+          paymentId: event.paymentId
+        }, { transaction });
+        return 'REFUND_REQUIRED';
+      }
+
+      return 'IGNORED';
+    }
+
+    if (event.type === PAYMENT_EVENTS.FAILED && booking.status === 'PAYMENT_PENDING') {
+      await Event.releaseSeats(booking.eventId, booking.ticketCount, transaction);
+      await TicketType.releaseForBooking(booking, null, transaction);
+      await PromoRedemption.releaseForBooking(booking, transaction);
+      await Seat.releaseReservation(booking.userId, booking.id, transaction);
+      await booking.update({
+        status: 'CANCELLED',
+        paymentStatus: 'FAILED'
+      }, { transaction });
+      return 'APPLIED';
+    }
+
+    return 'IGNORED';
+  }
+
+  async applyRefundEvent(gatewayName, event, transaction) {
+    if (!event.refundId) return 'IGNORED';
+
+    const refund = await Refund.findOne({
+      where: { gateway: gatewayName, gatewayRefundId: event.refundId },
+      transaction
+    });
+
+    if (!refund || refund.status !== 'PENDING') return 'IGNORED';
+
+    await refundService.complete(refund, event.type === PAYMENT_EVENTS.REFUND_SUCCEEDED, {
+      failureReason: event.error
+    }, transaction);
+    return 'APPLIED';
+  }
+
+  runPostWebhookTasks(bookingId, type) {
+    if (type !== PAYMENT_EVENTS.SUCCEEDED && type !== PAYMENT_EVENTS.FAILED) return;
+
+    setImmediate(async () => {
+      try {
+        const booking = await Booking.findByPk(bookingId, {
+          include: [
+            { model: Event, as: 'event' },
+            { model: User, as: 'user' },
+            { model: Ticket, as: 'tickets' }
+          ]
+        });
+
+        if (type === PAYMENT_EVENTS.SUCCEEDED) {
+          bookingController.runPostConfirmationTasks(booking, booking.tickets);
+        } else if (analyticsService.broadcastSeatActivity) {
+          analyticsService.broadcastSeatActivity(booking.eventId, 'RELEASED', {
+            seatNumbers: booking.seatNumbers,
+            reason: 'PAYMENT_FAILED'
+          });
+        }
+      } catch (error) {
+        logger.error('Post-webhook tasks failed:', { bookingId, error: error.message });
+      }
+    });
+  }
+
+  // Refund ledger for finance reconciliation (admin only)
+  listRefunds = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, status, gateway, bookingId, from, to, format } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (gateway) whereClause.gateway = gateway;
+    if (bookingId) whereClause.bookingId = bookingId;
+    if (from || to) {
+      whereClause.createdAt = {};
+      if (from) whereClause.createdAt[Op.gte] = new Date(from);
+      if (to) whereClause.createdAt[Op.lte] = new Date(to);
+    }
+
+    const include = [{
+      model: Booking,
+      as: 'booking',
+      attributes: ['id', 'bookingNumber', 'eventId', 'userId', 'totalAmount', 'paymentStatus']
+    }];
+
+    if (format === 'csv') {
+      const refunds = await Refund.findAll({ where: whereClause, include, order: [['createdAt', 'ASC']] });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="refunds.csv"');
+      return res.send(toCsv(refunds, [
+        'id',
+        { header: 'bookingNumber', value: refund => refund.booking && refund.booking.bookingNumber },
+        'amount',
+        'currency',
+        'status',
+        'reason',
+        'gateway',
+        'paymentId',
+        'gatewayRefundId',
+        'failureReason',
+        'requestedBy',
+        'createdAt',
+        'processedAt'
+      ]));
+    }
+
+    const [refunds, totals] = await Promise.all([
+      Refund.findAndCountAll({
+        where: whereClause,
+        include,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (page - 1) * limit
+      }),
+      Refund.findAll({
+        where: whereClause,
+        attributes: [
+          'status',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+          [sequelize.fn('SUM', sequelize.col('amount')), 'amount']
+        ],
+        group: ['status'],
+        raw: true
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        refunds: refunds.rows,
+        totals: totals.map(row => ({
+          status: row.status,
+          count: parseInt(row.count),
+          amount: parseFloat(row.amount || 0)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: refunds.count,
+          pages: Math.ceil(refunds.count / limit)
+        }
+      }
+    });
+  });
+
+  getRefund = asyncHandler(async (req, res) => {
+    const refund = await Refund.findByPk(req.params.refundId, {
+      include: [{ model: Booking, as: 'booking' }]
+    });
+
+    if (!refund) {
+      throw createError.notFound('Refund not found');
+    }
+
+    res.json({ success: true, data: { refund } });
+  });
+
+  retryRefund = asyncHandler(async (req, res) => {
+    const refund = await Refund.findByPk(req.params.refundId);
+
+    if (!refund) {
+      throw createError.notFound('Refund not found');
+    }
+
+    if (refund.status !== 'FAILED') {
+      throw createError.badRequest('Only failed refunds can be retried');
+    }
+
+    const result = await refundService.retry(refund, auditService.contextFrom(req));
+
+    res.json({
+      success: true,
+      message: result.status === 'SUCCEEDED' ? 'Refund succeeded' : `Refund ${result.status.toLowerCase()}`,
+      data: { refund: result }
+    });
+  });
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,133 @@
+// src/controllers/promoCodeController.js
+const { PromoCode, PromoRedemption } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+class PromoCodeController {
+  listPromoCodes = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search, active } = req.query;
+
+    const whereClause = {};
+    if (search) whereClause.code = { [Op.iLike]: `%${search}%` };
+    if (active !== undefined) whereClause.isActive = active === 'true';
+
+    const promoCodes = await PromoCode.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promoCodes: promoCodes.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: promoCodes.count,
+          pages: Math.ceil(promoCodes.count / limit)
+        }
+      }
+    });
+  });
+
+  // Includes how much the code has given away, split into paid and unpaid bookings
+  getPromoCode = asyncHandler(async (req, res) => {
+    const promoCode = await this.findPromoCode(req.params.promoCodeId);
+
+    const redemptions = await PromoRedemption.findAll({
+      where: { promoCodeId: promoCode.id, status: 'ACTIVE' },
+      include: [{ association: 'booking', attributes: [] }],
+      attributes: [
+        [sequelize.col('booking.status'), 'bookingStatus'],
+        [sequelize.fn('COUNT', sequelize.col('PromoRedemption.id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('PromoRedemption.discountAmount')), 'discountAmount']
+      ],
+      group: ['booking.status'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promoCode,
+        redemptions: redemptions.map(row => ({
+          bookingStatus: row.bookingStatus,
+          count: parseInt(row.count),
+          discountAmount: parseFloat(row.discountAmount || 0)
+        }))
+      }
+    });
+  });
+
+  createPromoCode = asyncHandler(async (req, res) => {
+    this.assertValidWindow(req.body);
+
+    const promoCode = await PromoCode.create({ ...req.body, createdBy: req.user.id });
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'promo_code.create',
+      entityType: 'PromoCode',
+      entityId: promoCode.id,
+      metadata: {
+        code: promoCode.code,
+        discountType: promoCode.discountType,
+        discountValue: promoCode.discountValue
+      }
+    });
+
+    logger.info(`Promo code ${promoCode.code} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: { promoCode }
+    });
+  });
+
+  updatePromoCode = asyncHandler(async (req, res) => {
+    const promoCode = await this.findPromoCode(req.params.promoCodeId);
+
+    this.assertValidWindow({ ...promoCode.get({ plain: true }), ...req.body });
+
+    const before = promoCode.get({ plain: true });
+    await promoCode.update(req.body);
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'promo_code.update',
+      entityType: 'PromoCode',
+      entityId: promoCode.id,
+      before,
+      after: promoCode,
+      fields: Object.keys(req.body)
+    });
+
+    logger.info(`Promo code ${promoCode.code} updated by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: { promoCode }
+    });
+  });
+
+  async findPromoCode(promoCodeId) {
+    const promoCode = await PromoCode.findByPk(promoCodeId);
+    if (!promoCode) {
+      throw createError.notFound('Promo code not found');
+    }
+    return promoCode;
+  }
+
+  assertValidWindow({ validFrom, validUntil }) {
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      throw createError.badRequest('validUntil must be after validFrom');
+    }
+  }
+}
+
+module.exports = new PromoCodeController();
@@ -1,9 +1,45 @@
 // src/controllers/seatController.js
-const { Seat, Event, Booking, User } = require('../models');
+const { Seat, Event, SeatingLayout } = require('../models');
 const { sequelize } = require('../config/database');
-const { lock } = require('../config/redis');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { getDefaultLayout, expandLayout, summarizeLayout } = require('../utils/seatLayout');
+const { parseSeatMapFile, serializeSeatMap } = require('../utils/seatMapFile');
+const { canManageEvent } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+// With nothing sold yet, the seat map defines how many seats the event has.
+// Once sales have started, `addedSeats` (appended to the map) go on sale on
+// top of what is left; the increment is atomic so concurrent bookings keep
+// their holds.
+const syncCapacityWithSeatMap = async (event, seatCount, transaction, addedSeats = 0) => {
+  if (event.availableSeats === event.capacity) {
+    if (seatCount !== event.capacity) {
+      await event.update({ capacity: seatCount, availableSeats: seatCount }, { transaction });
+    }
+  } else if (addedSeats > 0) {
+    await event.increment({ capacity: addedSeats, availableSeats: addedSeats }, { transaction });
+    await event.reload({ transaction });
+  }
+};
+
+// Locks the event's seats until the transaction ends and counts the booked or
+// held ones. Holds and bookings lock the same rows, so none can land on a seat
+// between this check and destroying it in the same transaction.
+const lockAndCountTakenSeats = async (eventId, transaction) => {
+  const seats = await Seat.findAll({
+    where: { eventId },
+    attributes: ['id', 'isBooked', 'isReserved'],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  return seats.filter(seat => seat.isBooked || seat.isReserved).length;
+};
+
+const countBySection = (seats) => seats.reduce((counts, seat) => {
+  counts[seat.section] = (counts[seat.section] || 0) + 1;
+  return counts;
+}, {});
 
 const generateSeatMap = async (req, res, next) => {
   try {
@@ -20,6 +56,13 @@ const generateSeatMap = async (req, res, next) => {
       });
     }
 
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage seats for this event'
+      });
+    }
+
     const existingSeats = await Seat.count({ where: { eventId } });
     
     if (existingSeats > 0 && !regenerate) {
@@ -30,54 +73,54 @@ const generateSeatMap = async (req, res, next) => {
       });
     }
 
-    if (regenerate && existingSeats > 0) {
-      await Seat.destroy({ where: { eventId } });
-      console.log('Deleted existing seats for regeneration');
-    }
+    const layout = event.seatingLayoutId
+      ? await SeatingLayout.findByPk(event.seatingLayoutId)
+      : null;
+    const definition = layout ? layout.definition : getDefaultLayout();
 
     const transaction = await sequelize.transaction();
 
     try {
-      const seats = [];
-      
-      const venueLayout = {
-        VIP: { rows: ['A', 'B'], seatsPerRow: 10, priceMultiplier: 2.0 },
-        PREMIUM: { rows: ['C', 'D', 'E'], seatsPerRow: 15, priceMultiplier: 1.5 },
-        GENERAL: { rows: ['F', 'G', 'H', 'I', 'J'], seatsPerRow: 20, priceMultiplier: 1.0 }
-      };
-
-      for (const [section, config] of Object.entries(venueLayout)) {
-        for (const row of config.rows) {
-          for (let seatNum = 1; seatNum <= config.seatsPerRow; seatNum++) {
-            const seatNumber = `${row}${seatNum}`;
-            const price = parseFloat(event.price) * config.priceMultiplier;
-            
-            let seatType = 'REGULAR';
-            if (seatNum === 1 || seatNum === config.seatsPerRow) {
-              seatType = 'AISLE';
-            }
-            if (section === 'VIP' && (seatNum >= 5 && seatNum <= 6)) {
-              seatType = 'PREMIUM';
-            }
-            if (row === 'A' && (seatNum === 1 || seatNum === 2)) {
-              seatType = 'WHEELCHAIR_ACCESSIBLE';
-            }
-
-            seats.push({
-              eventId,
-              seatNumber,
-              row,
-              section,
-              price,
-              seatType,
-              isBooked: false,
-              isBlocked: false
-            });
-          }
+      // Regeneration replaces the old map in the same transaction
+      if (existingSeats > 0) {
+        const takenSeats = await lockAndCountTakenSeats(eventId, transaction);
+        if (takenSeats > 0) {
+          await transaction.rollback();
+          return res.status(409).json({
+            success: false,
+            message: 'Cannot regenerate a seat map with booked or held seats',
+            takenSeats
+          });
         }
+
+        await Seat.destroy({ where: { eventId }, transaction });
       }
 
+      const seats = expandLayout(definition, event.price).map(seat => ({
+        ...seat,
+        eventId,
+        isBooked: false,
+        isBlocked: false
+      }));
+
+      const previousCapacity = event.capacity;
       await Seat.bulkCreate(seats, { transaction });
+      await syncCapacityWithSeatMap(event, seats.length, transaction);
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: existingSeats > 0 ? 'seat_map.regenerate' : 'seat_map.generate',
+        entityType: 'Event',
+        entityId: eventId,
+        changes: previousCapacity !== event.capacity
+          ? { capacity: { from: previousCapacity, to: event.capacity } }
+          : null,
+        metadata: {
+          previousSeatCount: existingSeats,
+          seatCount: seats.length,
+          seatingLayoutId: layout ? layout.id : null
+        }
+      }, { transaction });
+
       await transaction.commit();
 
       console.log(`Generated ${seats.length} seats for event ${eventId}`);
@@ -88,8 +131,8 @@ const generateSeatMap = async (req, res, next) => {
         data: {
           eventId,
           totalSeats: seats.length,
-          sections: Object.keys(venueLayout),
-          layout: venueLayout
+          layout: layout ? { id: layout.id, name: layout.name } : 'DEFAULT',
+          sections: summarizeLayout(definition).sections
         }
       });
 
@@ -123,7 +166,7 @@ const getSeatMap = async (req, res, next) => {
       order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']],
       attributes: [
         'id', 'seatNumber', 'row', 'section', 'price', 
-        'isBooked', 'isBlocked', 'seatType', 'bookedAt'
+        'isBooked', 'isReserved', 'reserveExpiresAt', 'isBlocked', 'seatType', 'bookedAt'
       ]
     });
 
@@ -136,7 +179,7 @@ const getSeatMap = async (req, res, next) => {
     }
 
     const seatMap = {};
-    const stats = { total: seats.length, available: 0, booked: 0, blocked: 0 };
+    const stats = { total: seats.length, available: 0, reserved: 0, booked: 0, blocked: 0 };
 
     seats.forEach(seat => {
       if (!seatMap[seat.section]) seatMap[seat.section] = {};
@@ -146,6 +189,7 @@ const getSeatMap = async (req, res, next) => {
         id: seat.id,
         seatNumber: seat.seatNumber,
         price: parseFloat(seat.price),
+        status: seat.getStatus(),
         isBooked: seat.isBooked,
         isBlocked: seat.isBlocked,
         seatType: seat.seatType,
@@ -154,6 +198,7 @@ const getSeatMap = async (req, res, next) => {
 
       if (seat.isBooked) stats.booked++;
       else if (seat.isBlocked) stats.blocked++;
+      else if (!seat.isAvailable()) stats.reserved++;
       else stats.available++;
     });
 
@@ -174,17 +219,101 @@ const getSeatMap = async (req, res, next) => {
   }
 };
 
-const bookSpecificSeats = async (req, res, next) => {
+// Kept for older clients: rewrites their body into a POST
+// /api/bookings/select-seats request, which the route then validates and
+// hands to bookingController.selectSeats
+const bookSpecificSeats = (req, res, next) => {
+  const { eventId, selectedSeatIds } = req.body;
+
+  if (!selectedSeatIds || !Array.isArray(selectedSeatIds) || selectedSeatIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Selected seat IDs are required'
+    });
+  }
+
+  req.body = { eventId, seatIds: selectedSeatIds };
+  next();
+};
+
+const getAvailableSeats = async (req, res, next) => {
   try {
-    const { eventId, selectedSeatIds } = req.body;
-    const userId = req.user.id;
+    const { eventId } = req.params;
+    const { section, priceRange, seatType } = req.query;
+
+    let whereClause = {
+      eventId,
+      isBooked: false,
+      isBlocked: false,
+      [Op.or]: [
+        { isReserved: false },
+        { reserveExpiresAt: { [Op.lt]: new Date() } }
+      ]
+    };
+
+    if (section) whereClause.section = section;
+    if (seatType) whereClause.seatType = seatType;
+    if (priceRange) {
+      const [minPrice, maxPrice] = priceRange.split('-').map(Number);
+      whereClause.price = { [Op.between]: [minPrice, maxPrice] };
+    }
 
-    console.log('Booking specific seats:', { userId, eventId, selectedSeatIds });
+    const availableSeats = await Seat.findAll({
+      where: whereClause,
+      order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']],
+      attributes: ['id', 'seatNumber', 'row', 'section', 'price', 'seatType']
+    });
 
-    if (!selectedSeatIds || !Array.isArray(selectedSeatIds) || selectedSeatIds.length === 0) {
+    res.json({
+      success: true,
+      data: {
+        eventId,
+        availableSeats,
+        count: availableSeats.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get available seats error:', error);
+    next(error);
+  }
+};
+
+// Work out the format and content of an import request
+const readSeatMapUpload = (req) => {
+  if (req.file) {
+    const name = (req.file.originalname || '').toLowerCase();
+    const isCsv = req.query.format
+      ? req.query.format === 'csv'
+      : name.endsWith('.csv') || req.file.mimetype === 'text/csv';
+
+    return {
+      format: isCsv ? 'csv' : 'json',
+      content: req.file.buffer.toString('utf8')
+    };
+  }
+
+  if (req.is('application/json') && req.body && Object.keys(req.body).length > 0) {
+    return { format: 'json', content: req.body };
+  }
+
+  return null;
+};
+
+// Upload a seat map file (CSV or JSON, see utils/seatMapFile). The whole file is
+// validated first; nothing is written if any line has an error.
+//   ?mode=replace (default) swaps the seat map, only while no seat is booked or held
+//   ?mode=append  adds seats next to the existing ones
+//   ?dryRun=true  validates and reports without writing
+const importSeatMap = async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+    const { mode = 'replace', dryRun } = req.query;
+
+    if (!['replace', 'append'].includes(mode)) {
       return res.status(400).json({
         success: false,
-        message: 'Selected seat IDs are required'
+        message: 'mode must be "replace" or "append"'
       });
     }
 
@@ -196,161 +325,174 @@ const bookSpecificSeats = async (req, res, next) => {
       });
     }
 
-    const lockResource = `seats:${eventId}`;
-    const lockInfo = await lock.acquire(lockResource, 30000);
-    
-    if (!lockInfo) {
-      return res.status(500).json({
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({
         success: false,
-        message: 'Unable to process seat booking. Please try again.'
+        message: 'Not authorized to manage seats for this event'
       });
     }
 
-    const transaction = await sequelize.transaction();
-
-    try {
-      const selectedSeats = await Seat.findAll({
-        where: { 
-          id: { [Op.in]: selectedSeatIds },
-          eventId 
-        },
-        lock: transaction.LOCK.UPDATE,
-        transaction
+    const upload = readSeatMapUpload(req);
+    if (!upload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a seat map as multipart field "file" or send a JSON document'
       });
+    }
 
-      if (selectedSeats.length !== selectedSeatIds.length) {
-        await transaction.rollback();
-        await lock.release(lockInfo.key, lockInfo.value);
-        
-        return res.status(404).json({
-          success: false,
-          message: 'Some selected seats not found'
-        });
-      }
+    const existingSeats = await Seat.findAll({
+      where: { eventId },
+      attributes: ['id', 'seatNumber']
+    });
 
-      const unavailableSeats = selectedSeats.filter(seat => seat.isBooked || seat.isBlocked);
-      if (unavailableSeats.length > 0) {
-        await transaction.rollback();
-        await lock.release(lockInfo.key, lockInfo.value);
-
-        return res.status(409).json({
-          success: false,
-          message: 'Some selected seats are no longer available',
-          unavailableSeats: unavailableSeats.map(seat => ({
-            id: seat.id,
-            seatNumber: seat.seatNumber,
-            status: seat.isBooked ? 'booked' : 'blocked'
-          }))
-        });
-      }
+    const { seats, errors } = parseSeatMapFile(upload.content, upload.format, {
+      basePrice: event.price,
+      existingSeatNumbers: mode === 'append' ? existingSeats.map(seat => seat.seatNumber) : []
+    });
 
-      const totalAmount = selectedSeats.reduce((sum, seat) => sum + parseFloat(seat.price), 0);
-      
-      const booking = await Booking.create({
-        userId,
-        eventId,
-        ticketCount: selectedSeats.length,
-        totalAmount,
-        currency: 'USD',
-        bookingType: 'SEAT_SELECTION',
-        status: 'PENDING',
-        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
-      }, { transaction });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Seat map file has ${errors.length} error(s); nothing was imported`,
+        errors
+      });
+    }
 
-      await Seat.update({
-        isBooked: true,
-        bookedBy: userId,
-        bookingId: booking.id,
-        bookedAt: new Date()
-      }, {
-        where: { id: { [Op.in]: selectedSeatIds } },
-        transaction
+    const totalSeats = mode === 'append' ? existingSeats.length + seats.length : seats.length;
+    const summary = {
+      eventId,
+      format: upload.format,
+      mode,
+      imported: seats.length,
+      totalSeats,
+      sections: countBySection(seats)
+    };
+
+    if (dryRun === 'true') {
+      return res.json({
+        success: true,
+        message: 'Seat map file is valid',
+        data: { ...summary, dryRun: true }
       });
+    }
 
-      await event.update({
-        availableSeats: event.availableSeats - selectedSeats.length
-      }, { transaction });
+    const transaction = await sequelize.transaction();
 
-      await transaction.commit();
-      await lock.release(lockInfo.key, lockInfo.value);
+    try {
+      const previousCapacity = event.capacity;
+      if (mode === 'replace') {
+        const takenSeats = await lockAndCountTakenSeats(eventId, transaction);
+        if (takenSeats > 0) {
+          await transaction.rollback();
+          return res.status(409).json({
+            success: false,
+            message: 'Cannot replace a seat map with booked or held seats. Use mode=append.',
+            takenSeats
+          });
+        }
 
-      console.log('Seats booked successfully:', booking.bookingNumber);
+        await Seat.destroy({ where: { eventId }, transaction });
+      }
 
-      res.status(201).json({
-        success: true,
-        message: 'Seats booked successfully',
-        data: {
-          booking: {
-            id: booking.id,
-            bookingNumber: booking.bookingNumber,
-            totalAmount: parseFloat(booking.totalAmount),
-            ticketCount: booking.ticketCount,
-            status: booking.status,
-            expiresAt: booking.expiresAt
-          },
-          bookedSeats: selectedSeats.map(seat => ({
-            id: seat.id,
-            seatNumber: seat.seatNumber,
-            section: seat.section,
-            row: seat.row,
-            price: parseFloat(seat.price)
-          }))
+      await Seat.bulkCreate(seats.map(seat => ({
+        eventId,
+        seatNumber: seat.seatNumber,
+        row: seat.row,
+        section: seat.section,
+        price: seat.price,
+        seatType: seat.seatType,
+        isBooked: false,
+        isBlocked: false
+      })), { transaction });
+
+      await syncCapacityWithSeatMap(event, totalSeats, transaction, mode === 'append' ? seats.length : 0);
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'seat_map.import',
+        entityType: 'Event',
+        entityId: eventId,
+        changes: previousCapacity !== event.capacity
+          ? { capacity: { from: previousCapacity, to: event.capacity } }
+          : null,
+        metadata: {
+          mode,
+          format: upload.format,
+          previousSeatCount: existingSeats.length,
+          importedSeats: seats.length
         }
-      });
+      }, { transaction });
 
+      await transaction.commit();
     } catch (error) {
       await transaction.rollback();
-      await lock.release(lockInfo.key, lockInfo.value);
       throw error;
     }
 
+    logger.info(`Imported ${seats.length} seats for event ${eventId}`, { mode, format: upload.format });
+
+    res.status(201).json({
+      success: true,
+      message: 'Seat map imported successfully',
+      data: summary
+    });
+
   } catch (error) {
-    console.error(' Book specific seats error:', error);
+    console.error('Import seat map error:', error);
     next(error);
   }
 };
 
-const getAvailableSeats = async (req, res, next) => {
+// Download the event's seats with their live status, as CSV or JSON
+const exportSeatMap = async (req, res, next) => {
   try {
     const { eventId } = req.params;
-    const { section, priceRange, seatType } = req.query;
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
 
-    let whereClause = {
-      eventId,
-      isBooked: false,
-      isBlocked: false
-    };
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
 
-    if (section) whereClause.section = section;
-    if (seatType) whereClause.seatType = seatType;
-    if (priceRange) {
-      const [minPrice, maxPrice] = priceRange.split('-').map(Number);
-      whereClause.price = { [Op.between]: [minPrice, maxPrice] };
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage seats for this event'
+      });
     }
 
-    const availableSeats = await Seat.findAll({
-      where: whereClause,
-      order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']],
-      attributes: ['id', 'seatNumber', 'row', 'section', 'price', 'seatType']
+    const seats = await Seat.findAll({
+      where: { eventId },
+      order: [['section', 'ASC'], ['row', 'ASC'], ['seatNumber', 'ASC']]
     });
 
+    res.setHeader('Content-Disposition', `attachment; filename="seat-map-${eventId}.${format}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      return res.send(serializeSeatMap(seats, 'csv'));
+    }
+
+    // Same document shape the JSON import accepts
     res.json({
-      success: true,
-      data: {
-        eventId,
-        availableSeats,
-        count: availableSeats.length
-      }
+      eventId,
+      eventName: event.name,
+      exportedAt: new Date(),
+      seats: serializeSeatMap(seats, 'json')
     });
 
   } catch (error) {
-    console.error('Get available seats error:', error);
+    console.error('Export seat map error:', error);
     next(error);
   }
 };
 
 module.exports = {
   generateSeatMap,
+  importSeatMap,
+  exportSeatMap,
   getSeatMap,
   bookSpecificSeats,
   getAvailableSeats
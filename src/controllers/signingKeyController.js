@@ -0,0 +1,47 @@
+// src/controllers/signingKeyController.js
+const signingKeyService = require('../services/signingKeyService');
+const ticketService = require('../services/ticketService');
+const auditService = require('../services/auditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Ticket signing keys (see signingKeyService). Private keys never leave the server.
+class SigningKeyController {
+  listKeys = asyncHandler(async (req, res) => {
+    const keys = await signingKeyService.list();
+
+    res.json({
+      success: true,
+      data: { keys }
+    });
+  });
+
+  rotateKey = asyncHandler(async (req, res) => {
+    const key = await signingKeyService.rotate(auditService.contextFrom(req));
+
+    logger.info(`Ticket signing key rotated by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Signing key rotated. New tickets are signed with the new key.',
+      data: { key }
+    });
+  });
+
+  // Withdraw a key and re-sign the tickets it signed
+  revokeKey = asyncHandler(async (req, res) => {
+    const key = await signingKeyService.revoke(req.params.kid, auditService.contextFrom(req));
+    const reissuedTickets = await ticketService.reissueSignedWith(key.kid);
+
+    res.json({
+      success: true,
+      message: 'Signing key revoked',
+      data: {
+        key,
+        reissuedTickets
+      }
+    });
+  });
+}
+
+module.exports = new SigningKeyController();
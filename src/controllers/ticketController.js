@@ -1,71 +1,151 @@
 // src/controllers/ticketController.js
-const { Booking, Event, User } = require('../models');
+const { Booking, Event, Ticket } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const ticketService = require('../services/ticketService');
+const signingKeyService = require('../services/signingKeyService');
+const scanService = require('../services/scanService');
+const auditService = require('../services/auditService');
 const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+const { decode: decodeJws } = require('../utils/jws');
+
+const PROBLEM_OUTCOMES = ['DUPLICATE', 'NOT_INSIDE', 'CANCELLED', 'REVOKED', 'WRONG_EVENT', 'UNKNOWN', 'REJECTED'];
+
+// Responses for scans that do not let the holder through
+const CHECK_IN_REJECTIONS = {
+  UNKNOWN: { status: 404, message: 'Invalid ticket' },
+  WRONG_EVENT: { status: 409, message: 'Ticket is for a different event' },
+  DUPLICATE: { status: 409, message: 'Ticket already used' },
+  NOT_INSIDE: { status: 409, message: 'Ticket is not checked in' },
+  CANCELLED: { status: 410, message: 'Ticket has been cancelled' },
+  REVOKED: { status: 410, message: 'Ticket has been replaced' }
+};
 
 class TicketController {
-  // Validate QR ticket at venue entrance
-  validateTicket = asyncHandler(async (req, res) => {
-    const { ticketHash } = req.params;
-    
-    const booking = await Booking.findOne({
-      where: { ticketHash },
-      include: [
-        { model: Event, as: 'event' },
-        { model: User, as: 'user', attributes: ['name', 'email'] }
-      ]
-    });
+  // Check a ticket in (or out) at one of the event's gates. Only staff
+  // assigned to the event, its organizer and admins can scan. `code` is what
+  // the QR code holds: a signed token, or the hash on booking-wide QR codes
+  // from before per-seat tickets. Every scan is recorded alongside those
+  // uploaded by offline gate devices.
+  checkIn = asyncHandler(async (req, res) => {
+    const { code, gateId, deviceId = null, direction = 'IN' } = req.body;
+    const event = await this.findScannableEvent(req.body.eventId, req.user);
 
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid ticket',
-        valid: false
-      });
+    let ticketHash = code;
+    if (decodeJws(code)) {
+      const claims = await signingKeyService.verify(code);
+      if (!claims) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invalid ticket',
+          valid: false,
+          outcome: 'UNKNOWN'
+        });
+      }
+      ticketHash = claims.jti;
     }
 
-    // Check if already validated
-    if (booking.qrValidated) {
-      return res.status(409).json({
+    const transaction = await sequelize.transaction();
+    let credential;
+    let scan;
+
+    try {
+      credential = await scanService.findCredential(ticketHash, transaction);
+      scan = await scanService.recordScan(credential, {
+        expectedEventId: event.id,
+        source: 'ONLINE',
+        direction,
+        scannedAt: new Date(),
+        gateId,
+        deviceId
+      }, req.user, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const { ticket, booking, holder } = credential;
+    const { outcome } = scan;
+    const rejection = CHECK_IN_REJECTIONS[outcome];
+
+    if (rejection) {
+      return res.status(rejection.status).json({
         success: false,
-        message: 'Ticket already used',
+        message: rejection.message,
         valid: false,
-        validatedAt: booking.qrValidatedAt
+        outcome,
+        ...(outcome === 'DUPLICATE' && { validatedAt: (ticket || booking).qrValidatedAt })
       });
     }
 
-    // Validate ticket
-    await booking.validateTicket();
-
-    logger.info('Ticket validated', {
+    logger.info(outcome === 'ADMITTED' ? 'Ticket checked in' : 'Ticket checked out', {
+      ticketId: ticket ? ticket.id : null,
       bookingId: booking.id,
-      eventId: booking.eventId,
-      userId: booking.userId
+      eventId: event.id,
+      seatNumber: ticket ? ticket.seatNumber : null,
+      gateId,
+      staffUserId: req.user.id
     });
 
     res.json({
       success: true,
-      message: 'Ticket validated successfully',
+      message: outcome === 'ADMITTED' ? 'Ticket checked in' : 'Ticket checked out',
       valid: true,
+      outcome,
       data: {
-        bookingNumber: booking.bookingNumber,
-        eventName: booking.event.name,
-        userName: booking.user.name,
-        seatNumbers: booking.seatNumbers,
-        ticketCount: booking.ticketCount,
-        validatedAt: booking.qrValidatedAt
+        ...(ticket
+          ? {
+            ticketId: ticket.id,
+            bookingNumber: booking.bookingNumber,
+            userName: ticket.attendeeName || holder.name,
+            seatNumbers: ticket.seatNumber ? [ticket.seatNumber] : [],
+            ticketCount: 1
+          }
+          : {
+            bookingNumber: booking.bookingNumber,
+            userName: holder.name,
+            seatNumbers: booking.seatNumbers,
+            ticketCount: booking.ticketCount
+          }),
+        eventName: event.name,
+        gateId,
+        scannedAt: scan.scannedAt,
+        validatedAt: (ticket || booking).qrValidatedAt
       }
     });
   });
 
-  // Get ticket details by booking ID
+  // All tickets of a booking. QR codes of tickets held by someone else
+  // (transferred, or paid for by another member of a split booking) are
+  // withheld from the booking owner.
   getTicket = asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
-    const userId = req.user.id;
+
+    // Box office can pull up any customer's ticket for reprints
+    const viewAny = hasPermission(req.user, PERMISSIONS.BOOKINGS_VIEW_ANY);
+    const where = {
+      id: bookingId,
+      [Op.or]: [
+        { status: 'CONFIRMED' },
+        { status: 'RESERVED', paymentMode: 'SPLIT' } // Shares paid so far
+      ]
+    };
+    if (!viewAny) {
+      where.userId = req.user.id;
+    }
 
     const booking = await Booking.findOne({
-      where: { id: bookingId, userId, status: 'CONFIRMED' },
-      include: [{ model: Event, as: 'event' }]
+      where,
+      include: [
+        { model: Event, as: 'event' },
+        { model: Ticket, as: 'tickets', where: { status: 'VALID' }, required: false }
+      ],
+      order: [[{ model: Ticket, as: 'tickets' }, 'seatNumber', 'ASC']]
     });
 
     if (!booking) {
@@ -75,16 +155,176 @@ class TicketController {
     res.json({
       success: true,
       data: {
-        ticketHash: booking.ticketHash,
-        qrCode: booking.qrCode,
         bookingNumber: booking.bookingNumber,
         event: booking.event,
         seatNumbers: booking.seatNumbers,
+        tickets: booking.tickets.map(ticket => ticketService.format(ticket, {
+          includeCode: viewAny || ticket.holderUserId === req.user.id
+        })),
+        // Bookings confirmed before per-seat tickets
+        ticketHash: booking.ticketHash,
+        qrCode: booking.qrCode,
         isValidated: booking.qrValidated
       }
     });
   });
 
+  // Tickets held by the signed-in user, including ones transferred to them
+  getMyTickets = asyncHandler(async (req, res) => {
+    const tickets = await ticketService.findHeldBy(req.user, { upcoming: req.query.upcoming === 'true' });
+
+    res.json({
+      success: true,
+      data: {
+        tickets: tickets.map(ticket => ({
+          ...ticketService.format(ticket),
+          bookingNumber: ticket.booking.bookingNumber,
+          event: ticket.event
+        }))
+      }
+    });
+  });
+
+  transferTicket = asyncHandler(async (req, res) => {
+    const ticket = await ticketService.transfer(
+      req.params.ticketId,
+      req.user,
+      req.body,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Ticket transferred successfully',
+      data: { ticket: ticketService.format(ticket, { includeCode: false }) }
+    });
+  });
+
+  updateAttendee = asyncHandler(async (req, res) => {
+    const ticket = await ticketService.updateAttendee(
+      req.params.ticketId,
+      req.user,
+      req.body,
+      auditService.contextFrom(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Attendee details updated',
+      data: { ticket: ticketService.format(ticket) }
+    });
+  });
+
+  // Public keys for offline QR verification. Scanners should refresh their
+  // copy whenever online: tickets signed after a key rotation only verify
+  // against a copy fetched since.
+  getJwks = asyncHandler(async (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await signingKeyService.getJwks());
+  });
+
+  // Revoked credentials of an event (cancelled or transferred tickets) and
+  // withdrawn keys. Pass the previous response's generatedAt as `since` to
+  // fetch only what changed.
+  getRevocations = asyncHandler(async (req, res) => {
+    const event = await this.findScannableEvent(req.query.eventId, req.user);
+    const sinceDate = this.parseSince(req.query.since);
+
+    const generatedAt = new Date();
+    const [revocations, revokedKeys] = await Promise.all([
+      ticketService.findRevocations(event.id, sinceDate),
+      signingKeyService.getRevokedKids()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event.id,
+        revocations,
+        revokedKeys,
+        generatedAt
+      }
+    });
+  });
+
+  // Everything a gate device needs to admit people for an event while
+  // offline, or the changes since a previous manifest's generatedAt
+  getManifest = asyncHandler(async (req, res) => {
+    const event = await this.findScannableEvent(req.query.eventId, req.user);
+    const manifest = await scanService.buildManifest(event, this.parseSince(req.query.since));
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+  });
+
+  // Scans a gate device made while offline. Safe to retry: scans are
+  // deduplicated by deviceId and scanId.
+  uploadScans = asyncHandler(async (req, res) => {
+    const event = await this.findScannableEvent(req.body.eventId, req.user);
+    const { results, summary } = await scanService.uploadScans(event, req.user, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event.id,
+        results,
+        summary
+      }
+    });
+  });
+
+  // Admin view of duplicate entry attempts (default) or other problem scans
+  getProblemScans = asyncHandler(async (req, res) => {
+    const { eventId, outcome = 'DUPLICATE', page = 1, limit = 50 } = req.query;
+    if (!PROBLEM_OUTCOMES.includes(outcome)) {
+      throw createError.badRequest(`outcome must be one of ${PROBLEM_OUTCOMES.join(', ')}`);
+    }
+
+    const { count, rows: scans } = await scanService.findProblemScans({
+      eventId,
+      outcome,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        scans,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count
+        }
+      }
+    });
+  });
+
+  async findScannableEvent(eventId, user) {
+    if (!eventId) {
+      throw createError.badRequest('eventId is required');
+    }
+
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      throw createError.notFound('Event not found');
+    }
+    if (!(await scanService.canCheckIn(event, user))) {
+      throw createError.forbidden('Not assigned to check tickets in for this event');
+    }
+    return event;
+  }
+
+  parseSince(since) {
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      throw createError.badRequest('since must be an ISO 8601 date');
+    }
+    return sinceDate;
+  }
+
   // Download ticket as PDF (future enhancement)
   downloadTicket = asyncHandler(async (req, res) => {
     // Implementation for PDF ticket download
@@ -0,0 +1,155 @@
+// src/controllers/ticketTypeController.js
+const { Event, TicketType } = require('../models');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { canManageEvent } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const eventService = require('../services/eventService');
+const logger = require('../utils/logger');
+
+// Price changes only apply to new selections: a held booking keeps the
+// totalAmount (and line items) it was created with
+class TicketTypeController {
+  listTicketTypes = asyncHandler(async (req, res) => {
+    const event = await Event.findByPk(req.params.eventId);
+    if (!event) {
+      throw createError.notFound('Event not found');
+    }
+
+    const ticketTypes = await TicketType.findAll({
+      where: { eventId: event.id },
+      order: [['sortOrder', 'ASC'], ['price', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        eventId: event.id,
+        ticketTypes: ticketTypes.map(ticketType => ({
+          ...ticketType.toJSON(),
+          remaining: ticketType.getRemaining(),
+          onSale: ticketType.isOnSale(event)
+        }))
+      }
+    });
+  });
+
+  createTicketType = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+
+    this.assertConsistent(req.body);
+
+    const ticketType = await TicketType.create({ ...req.body, eventId: event.id });
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'ticket_type.create',
+      entityType: 'TicketType',
+      entityId: ticketType.id,
+      metadata: { eventId: event.id, name: ticketType.name, price: ticketType.price, quantity: ticketType.quantity }
+    });
+
+    logger.info(`Ticket type ${ticketType.name} created for event ${event.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket type created successfully',
+      data: { ticketType }
+    });
+  });
+
+  updateTicketType = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+    const ticketType = await this.findTicketType(event.id, req.params.ticketTypeId);
+
+    this.assertConsistent({ ...ticketType.get({ plain: true }), ...req.body });
+
+    const { quantity } = req.body;
+    if (quantity !== undefined && quantity !== null && quantity < ticketType.quantitySold) {
+      throw createError.conflict(
+        `Quantity cannot be lower than the ${ticketType.quantitySold} ticket(s) already sold or held`
+      );
+    }
+
+    const before = ticketType.get({ plain: true });
+    await ticketType.update(req.body);
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'ticket_type.update',
+      entityType: 'TicketType',
+      entityId: ticketType.id,
+      before,
+      after: ticketType,
+      fields: Object.keys(req.body),
+      metadata: { eventId: event.id }
+    });
+
+    logger.info(`Ticket type ${ticketType.id} updated by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Ticket type updated successfully',
+      data: { ticketType }
+    });
+  });
+
+  // Bookings keep their line items, so only unsold types can go
+  deleteTicketType = asyncHandler(async (req, res) => {
+    const event = await this.findManageableEvent(req.params.eventId, req.user);
+    const ticketType = await this.findTicketType(event.id, req.params.ticketTypeId);
+
+    if (ticketType.quantitySold > 0) {
+      throw createError.conflict(
+        `${ticketType.quantitySold} ${ticketType.name} ticket(s) are sold or held; end its sale window instead`
+      );
+    }
+
+    await ticketType.destroy();
+
+    await auditService.record(auditService.contextFrom(req), {
+      action: 'ticket_type.delete',
+      entityType: 'TicketType',
+      entityId: ticketType.id,
+      metadata: { eventId: event.id, name: ticketType.name }
+    });
+
+    logger.info(`Ticket type ${ticketType.id} deleted by user ${req.user.id}`);
+
+    res.json({ success: true, message: 'Ticket type deleted successfully' });
+  });
+
+  async findManageableEvent(eventId, user) {
+    const event = await Event.findByPk(eventId);
+    if (!event) {
+      throw createError.notFound('Event not found');
+    }
+
+    if (!canManageEvent(event, user)) {
+      throw createError.forbidden('Not authorized to manage ticket types for this event');
+    }
+
+    if (!eventService.isEditable(event)) {
+      throw createError.conflict(`A ${event.status.toLowerCase()} event can no longer be edited`);
+    }
+
+    return event;
+  }
+
+  async findTicketType(eventId, ticketTypeId) {
+    const ticketType = await TicketType.findOne({ where: { id: ticketTypeId, eventId } });
+    if (!ticketType) {
+      throw createError.notFound('Ticket type not found');
+    }
+    return ticketType;
+  }
+
+  // Cross-field rules Joi cannot see on a partial update
+  assertConsistent({ saleStartsAt, saleEndsAt, minPerOrder = 1, maxPerOrder = 10 }) {
+    if (saleStartsAt && saleEndsAt && new Date(saleEndsAt) <= new Date(saleStartsAt)) {
+      throw createError.badRequest('saleEndsAt must be after saleStartsAt');
+    }
+    if (minPerOrder > maxPerOrder) {
+      throw createError.badRequest('minPerOrder cannot exceed maxPerOrder');
+    }
+  }
+}
+
+module.exports = new TicketTypeController();
@@ -0,0 +1,214 @@
+// src/controllers/venueController.js
+const { Venue, SeatingLayout, Event } = require('../models');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { createError, asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+const { validateLayout, summarizeLayout } = require('../utils/seatLayout');
+
+class VenueController {
+  getVenues = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search, city } = req.query;
+
+    const whereClause = {};
+    if (search) whereClause.name = { [Op.iLike]: `%${search}%` };
+    if (city) whereClause.city = city;
+
+    const venues = await Venue.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: SeatingLayout,
+        as: 'layouts',
+        attributes: ['id', 'name', 'totalSeats']
+      }],
+      distinct: true,
+      order: [['name', 'ASC']],
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        venues: venues.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: venues.count,
+          pages: Math.ceil(venues.count / limit)
+        }
+      }
+    });
+  });
+
+  getVenue = asyncHandler(async (req, res) => {
+    const venue = await Venue.findByPk(req.params.venueId, {
+      include: [{
+        model: SeatingLayout,
+        as: 'layouts',
+        attributes: ['id', 'name', 'description', 'totalSeats', 'updatedAt']
+      }]
+    });
+
+    if (!venue) {
+      throw createError.notFound('Venue not found');
+    }
+
+    res.json({ success: true, data: { venue } });
+  });
+
+  createVenue = asyncHandler(async (req, res) => {
+    const venue = await Venue.create({ ...req.body, createdBy: req.user.id });
+
+    logger.info(`Venue created: ${venue.name} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: { venue }
+    });
+  });
+
+  updateVenue = asyncHandler(async (req, res) => {
+    const venue = await this.findManageableVenue(req.params.venueId, req.user);
+
+    await venue.update(req.body);
+
+    logger.info(`Venue updated: ${venue.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: { venue }
+    });
+  });
+
+  deleteVenue = asyncHandler(async (req, res) => {
+    const venue = await this.findManageableVenue(req.params.venueId, req.user);
+
+    const eventCount = await Event.count({ where: { venueId: venue.id } });
+    if (eventCount > 0) {
+      throw createError.conflict(`Venue is used by ${eventCount} event(s)`);
+    }
+
+    await SeatingLayout.destroy({ where: { venueId: venue.id } });
+    await venue.destroy();
+
+    logger.info(`Venue deleted: ${venue.id} by user ${req.user.id}`);
+
+    res.json({ success: true, message: 'Venue deleted successfully' });
+  });
+
+  getLayout = asyncHandler(async (req, res) => {
+    const layout = await this.findLayout(req.params.venueId, req.params.layoutId);
+
+    res.json({
+      success: true,
+      data: {
+        layout,
+        summary: summarizeLayout(layout.definition)
+      }
+    });
+  });
+
+  createLayout = asyncHandler(async (req, res) => {
+    const venue = await this.findManageableVenue(req.params.venueId, req.user);
+    const { name, description, definition } = req.body;
+
+    this.assertValidDefinition(definition);
+
+    const layout = await SeatingLayout.create({
+      venueId: venue.id,
+      name,
+      description,
+      definition,
+      totalSeats: summarizeLayout(definition).totalSeats,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Seating layout created: ${layout.name} for venue ${venue.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Seating layout created successfully',
+      data: {
+        layout,
+        summary: summarizeLayout(definition)
+      }
+    });
+  });
+
+  // Events copy their seats at generation time, so editing a layout only
+  // affects seat maps generated afterwards
+  updateLayout = asyncHandler(async (req, res) => {
+    await this.findManageableVenue(req.params.venueId, req.user);
+    const layout = await this.findLayout(req.params.venueId, req.params.layoutId);
+
+    const updates = { ...req.body };
+    if (updates.definition) {
+      this.assertValidDefinition(updates.definition);
+      updates.totalSeats = summarizeLayout(updates.definition).totalSeats;
+    }
+
+    await layout.update(updates);
+
+    logger.info(`Seating layout updated: ${layout.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Seating layout updated successfully',
+      data: {
+        layout,
+        summary: summarizeLayout(layout.definition)
+      }
+    });
+  });
+
+  deleteLayout = asyncHandler(async (req, res) => {
+    await this.findManageableVenue(req.params.venueId, req.user);
+    const layout = await this.findLayout(req.params.venueId, req.params.layoutId);
+
+    const eventCount = await Event.count({ where: { seatingLayoutId: layout.id } });
+    if (eventCount > 0) {
+      throw createError.conflict(`Seating layout is used by ${eventCount} event(s)`);
+    }
+
+    await layout.destroy();
+
+    logger.info(`Seating layout deleted: ${layout.id} by user ${req.user.id}`);
+
+    res.json({ success: true, message: 'Seating layout deleted successfully' });
+  });
+
+  // Venues are managed by whoever created them, or with VENUES_MANAGE_ANY
+  async findManageableVenue(venueId, user) {
+    const venue = await Venue.findByPk(venueId);
+    if (!venue) {
+      throw createError.notFound('Venue not found');
+    }
+
+    if (venue.createdBy !== user.id && !hasPermission(user, PERMISSIONS.VENUES_MANAGE_ANY)) {
+      throw createError.forbidden('Not authorized to manage this venue');
+    }
+
+    return venue;
+  }
+
+  async findLayout(venueId, layoutId) {
+    const layout = await SeatingLayout.findOne({ where: { id: layoutId, venueId } });
+    if (!layout) {
+      throw createError.notFound('Seating layout not found');
+    }
+    return layout;
+  }
+
+  assertValidDefinition(definition) {
+    const errors = validateLayout(definition);
+    if (errors.length > 0) {
+      throw createError.badRequest(`Invalid seating layout: ${errors.join('; ')}`);
+    }
+  }
+}
+
+module.exports = new VenueController();
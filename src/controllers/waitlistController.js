@@ -2,6 +2,7 @@ const { Waitlist, Event, User } = require('../models');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { canManageEvent } = require('../middleware/auth');
 
 class WaitlistController {
   async joinWaitlist(req, res, next) {
@@ -207,7 +208,7 @@ class WaitlistController {
         });
       }
 
-      if (event.createdBy !== req.user.id && req.user.role !== 'ADMIN') {
+      if (!canManageEvent(event, req.user)) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view waitlist for this event'
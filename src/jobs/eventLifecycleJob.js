@@ -0,0 +1,66 @@
+// src/jobs/eventLifecycleJob.js
+const logger = require('../utils/logger');
+const eventLifecycleService = require('../services/eventLifecycleService');
+const { runExclusive } = require('./sweepLock');
+
+// Completes published events once they are over, and finishes cancellation
+// cascades (refunds, emails, waitlist) that an instance did not get to finish.
+class EventLifecycleJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.EVENT_LIFECYCLE_INTERVAL_MS || '60000', 10);
+    // Events have no end time, so they count as over this long after they start
+    this.completionGraceHours = parseFloat(process.env.EVENT_COMPLETION_GRACE_HOURS || '6');
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        logger.error('Event lifecycle sweep failed:', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    logger.info(`Event lifecycle job started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce() {
+    if (this.running) return;
+
+    await runExclusive('event-lifecycle-sweep', this.intervalMs * 5, () => this.sweep());
+  }
+
+  async sweep() {
+    this.running = true;
+
+    try {
+      const completed = await eventLifecycleService.completePastEvents(this.completionGraceHours);
+      if (completed > 0) {
+        logger.info(`Completed ${completed} past event(s)`);
+      }
+
+      const unfinished = await eventLifecycleService.findUnfinishedCancellations();
+      for (const event of unfinished) {
+        await eventLifecycleService.cascadeCancellation(event);
+      }
+
+      const resubmitted = await eventLifecycleService.resumeStalledRefunds();
+      if (resubmitted > 0) {
+        logger.info(`Resubmitted ${resubmitted} stalled event cancellation refund(s)`);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new EventLifecycleJob();
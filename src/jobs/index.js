@@ -0,0 +1,18 @@
+// src/jobs/index.js
+// Background jobs started by server.js. Each job is safe to run on every
+// instance; they coordinate through Redis locks, or database locks while
+// Redis is down (see sweepLock).
+const reservationExpiryJob = require('./reservationExpiryJob');
+const eventLifecycleJob = require('./eventLifecycleJob');
+
+const jobs = [reservationExpiryJob, eventLifecycleJob];
+
+const startJobs = () => {
+  jobs.forEach(job => job.start());
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => job.stop());
+};
+
+module.exports = { startJobs, stopJobs };
@@ -0,0 +1,159 @@
+// src/jobs/reservationExpiryJob.js
+const { Booking, Event, Seat, TicketType, PromoRedemption } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const analyticsService = require('../services/analyticsService');
+const groupBookingService = require('../services/groupBookingService');
+const paymentService = require('../services/paymentService');
+const { runExclusive } = require('./sweepLock');
+
+// Booking states that hold seats until reservationExpiresAt; for
+// PAYMENT_PENDING that is the deadline for the payment to settle
+const HOLD_STATUSES = ['SEAT_SELECTED', 'RESERVED', 'PAYMENT_PENDING'];
+
+const SWEEP_LOCK = 'reservation-expiry-sweep';
+
+// Expires held bookings whose timer has run out. The sweep polls the database,
+// so holds survive restarts; a Redis lock keeps a single instance sweeping, and
+// the conditional status update guarantees each booking is expired (and its
+// release broadcast) exactly once even if two sweeps overlap. While Redis is
+// unreachable a Postgres advisory lock takes its place (see sweepLock).
+class ReservationExpiryJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '10000', 10);
+    this.batchSize = 100;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        logger.error('Reservation expiry sweep failed:', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    logger.info(`Reservation expiry job started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce() {
+    // Skip if the previous sweep on this instance is still going
+    if (this.running) return 0;
+
+    const { ran, result } = await runExclusive(SWEEP_LOCK, this.intervalMs * 3, () => this.sweep());
+    return ran ? result : 0;
+  }
+
+  // One pass over the due bookings
+  async sweep() {
+    this.running = true;
+    let expiredCount = 0;
+
+    try {
+      const dueBookings = await Booking.findAll({
+        where: {
+          status: { [Op.in]: HOLD_STATUSES },
+          reservationExpiresAt: { [Op.lt]: new Date() }
+        },
+        order: [['reservationExpiresAt', 'ASC']],
+        limit: this.batchSize
+      });
+
+      for (const booking of dueBookings) {
+        if (await this.expireBooking(booking)) {
+          expiredCount++;
+        }
+      }
+
+      // Seat holds whose booking was already gone
+      await Seat.cleanupExpiredReservations();
+
+      if (expiredCount > 0) {
+        logger.info(`Expired ${expiredCount} reservation(s)`);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return expiredCount;
+  }
+
+  // Expire one held booking. Returns false if it was no longer held
+  // (confirmed, cancelled or already expired elsewhere).
+  async expireBooking(booking) {
+    // Split bookings keep the seats whose shares were paid
+    if (booking.paymentMode === 'SPLIT') {
+      return groupBookingService.settleAtDeadline(booking);
+    }
+
+    const paymentPending = booking.status === 'PAYMENT_PENDING';
+    const transaction = await sequelize.transaction();
+
+    try {
+      const [updated] = await Booking.update(
+        paymentPending ? { status: 'EXPIRED', paymentStatus: 'FAILED' } : { status: 'EXPIRED' },
+        {
+          where: {
+            id: booking.id,
+            status: { [Op.in]: HOLD_STATUSES }
+          },
+          transaction
+        }
+      );
+
+      if (updated === 0) {
+        await transaction.rollback();
+        return false;
+      }
+
+      await Seat.releaseReservation(booking.userId, booking.id, transaction);
+      await Event.releaseSeats(booking.eventId, booking.ticketCount, transaction);
+      await TicketType.releaseForBooking(booking, null, transaction);
+      await PromoRedemption.releaseForBooking(booking, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info('Booking expired automatically:', { bookingId: booking.id });
+
+    // Only once the booking is ours to expire: a payment that settled first
+    // has confirmed it instead. One that settles after this void is refunded
+    // by the webhook.
+    if (paymentPending && booking.paymentAuthorizationId) {
+      await paymentService.reverse({
+        gateway: booking.paymentGateway,
+        authorizationId: booking.paymentAuthorizationId
+      }, { reference: booking.bookingNumber, reason: 'PAYMENT_TIMEOUT' });
+    }
+
+    try {
+      if (analyticsService && analyticsService.broadcastSeatActivity) {
+        analyticsService.broadcastSeatActivity(booking.eventId, 'RELEASED', {
+          seatNumbers: booking.seatNumbers,
+          reason: 'EXPIRED'
+        });
+      }
+    } catch (broadcastError) {
+      logger.error('Failed to broadcast expiry:', broadcastError.message);
+    }
+
+    return true;
+  }
+}
+
+ReservationExpiryJob.HOLD_STATUSES = HOLD_STATUSES;
+
+module.exports = new ReservationExpiryJob();
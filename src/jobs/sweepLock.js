@@ -0,0 +1,56 @@
+// src/jobs/sweepLock.js
+const { sequelize } = require('../config/database');
+const { redis, lock } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Sweeps currently falling back to the database lock, to log each switch once
+const onDatabaseLock = new Set();
+
+// Transaction-scoped advisory lock, held for the length of the sweep and
+// released when it commits
+const runUnderAdvisoryLock = async (resource, sweep) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const [{ locked }] = await sequelize.query(
+      'SELECT pg_try_advisory_xact_lock(hashtext(:resource)) AS locked',
+      { replacements: { resource }, type: sequelize.QueryTypes.SELECT, transaction }
+    );
+    if (!locked) return { ran: false }; // Another instance is sweeping
+
+    if (!onDatabaseLock.has(resource)) {
+      onDatabaseLock.add(resource);
+      logger.warn(`Redis unavailable, ${resource} falls back to a database lock`);
+    }
+
+    return { ran: true, result: await sweep() };
+  } finally {
+    await transaction.commit();
+  }
+};
+
+// Runs `sweep` on a single instance at a time: under a Redis lock, or under a
+// Postgres advisory lock while Redis is unreachable. Resolves to
+// { ran, result }; ran is false when another instance holds the lock.
+const runExclusive = async (resource, ttlMs, sweep) => {
+  const lockInfo = await lock.acquire(resource, ttlMs);
+
+  if (lockInfo) {
+    if (onDatabaseLock.delete(resource)) {
+      logger.info(`Redis is back, ${resource} uses the Redis lock again`);
+    }
+
+    try {
+      return { ran: true, result: await sweep() };
+    } finally {
+      await lock.release(lockInfo.key, lockInfo.value);
+    }
+  }
+
+  // Redis answered, so another instance holds the lock
+  if (redis.status === 'ready') return { ran: false };
+
+  return runUnderAdvisoryLock(resource, sweep);
+};
+
+module.exports = { runExclusive };
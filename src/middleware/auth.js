@@ -1,69 +1,51 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const tokenService = require('../services/tokenService');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/constants');
+
+// Resolve a bearer token to { user, sessionId }. Throws on a bad token;
+// returns null when the session was revoked (logout, password change) or the
+// user no longer exists or is deactivated. Shared by the HTTP middleware and
+// the WebSocket handshake.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!await tokenService.isSessionActive(decoded.sid)) {
+    return null;
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  return user && user.isActive ? { user, sessionId: decoded.sid } : null;
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
-    console.log(' DEBUG: Auth Header:', authHeader ? 'Present' : 'Missing');
-    console.log(' DEBUG: Token extracted:', token ? 'Yes' : 'No');
-
     if (!token) {
-      console.log(' DEBUG: No token provided');
       return res.status(401).json({ 
         success: false,
         message: 'Access token required'
       });
     }
 
-    // Debug JWT Secret
-    console.log(' DEBUG: JWT_SECRET exists:', !!process.env.JWT_SECRET);
-    console.log(' DEBUG: JWT_SECRET value:', process.env.JWT_SECRET);
-    console.log(' DEBUG: JWT_SECRET length:', process.env.JWT_SECRET?.length);
-
-    // Try to decode without verification first
-    const decodedWithoutVerify = jwt.decode(token, { complete: true });
-    console.log(' DEBUG: Token decoded (no verify):', JSON.stringify(decodedWithoutVerify, null, 2));
-
-    // Now verify with secret
-    console.log(' DEBUG: Attempting to verify token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log(' DEBUG: Token verified successfully:', decoded);
-    
-    // Find user
-    console.log(' DEBUG: Looking for user with ID:', decoded.userId);
-    const user = await User.findByPk(decoded.userId);
-    console.log(' DEBUG: User found:', user ? `Yes - ${user.email}` : 'No');
-    
-    if (user) {
-      console.log(' DEBUG: User active:', user.isActive);
-      console.log(' DEBUG: User role:', user.role);
-    }
+    const auth = await verifyAccessToken(token);
 
-    if (!user || !user.isActive) {
-      console.log(' DEBUG: User not found or inactive');
+    if (!auth) {
       return res.status(401).json({ 
         success: false,
-        message: 'Invalid token - user not found or inactive'
+        message: 'Invalid token - session revoked or user inactive'
       });
     }
 
-    req.user = user;
-    console.log(' DEBUG: Authentication successful');
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
-    console.log(' DEBUG: JWT Error type:', error.name);
-    console.log(' DEBUG: JWT Error message:', error.message);
-    console.log(' DEBUG: Full error:', error);
-    
     return res.status(401).json({ 
       success: false,
-      message: 'Invalid token',
-      debug: {
-        errorType: error.name,
-        errorMessage: error.message
-      }
+      message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
     });
   }
 };
@@ -79,7 +61,51 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+const hasPermission = (user, permission) =>
+  Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// Creators manage the events they created, whatever their role now (events
+// created before roles existed belong to USER accounts); EVENTS_MANAGE_ANY
+// reaches all
+const canManageEvent = (event, user) =>
+  hasPermission(user, PERMISSIONS.EVENTS_MANAGE_ANY) ||
+  (Boolean(user) && event.createdBy === user.id);
+
+// Route guard for a permission from utils/constants PERMISSIONS. Ownership
+// scoping (canManageEvent) is left to the controller, which has the record.
+const authorize = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Insufficient permissions',
+    code: 'FORBIDDEN',
+    requiredPermission: permission
+  });
+};
+
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true, so existing accounts
+// keep working until the operator opts in
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before booking',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
-  isAdmin
+  isAdmin,
+  authorize,
+  hasPermission,
+  canManageEvent,
+  requireVerifiedEmail
 };
@@ -18,7 +18,9 @@ function asyncHandler(fn) {
 const createError = {
   badRequest: (message) => new AppError(message, 400),
   unauthorized: (message) => new AppError(message, 401),
+  forbidden: (message) => new AppError(message, 403),
   notFound: (message) => new AppError(message, 404),
+  conflict: (message) => new AppError(message, 409),
   gone: (message) => new AppError(message, 410),
   internal: (message) => new AppError(message, 500),
 };
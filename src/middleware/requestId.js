@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Accept a caller's X-Request-Id if it looks sane, otherwise mint one. The id
+// is echoed back and stored with audit log entries to tie them to a request.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
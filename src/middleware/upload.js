@@ -0,0 +1,22 @@
+const multer = require('multer');
+const { createError } = require('./errorHandler');
+
+// Accept one file in memory under `field`; multer errors (size, unexpected
+// field) become 400s instead of falling through as server errors
+const singleFileUpload = (field, maxBytes = 2 * 1024 * 1024) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return next(createError.badRequest(`Upload failed: ${error.message}`));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = { singleFileUpload };
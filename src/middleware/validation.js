@@ -14,6 +14,67 @@ const validate = (schema) => {
   };
 };
 
+// Per-event re-entry rules (see utils/entryPolicy)
+const entryPolicySchema = Joi.object({
+  maxReentries: Joi.number().integer().min(0).allow(null).required(), // null: unlimited
+  requireCheckOut: Joi.boolean().optional()
+});
+
+// Tiers of a per-event refund policy (see utils/refundPolicy)
+const refundPolicySchema = Joi.object({
+  tiers: Joi.array().items(Joi.object({
+    hoursBeforeEvent: Joi.number().min(0).required(),
+    refundPercent: Joi.number().min(0).max(100).required()
+  })).min(1).unique('hoursBeforeEvent').required(),
+  allowLateCancellation: Joi.boolean().optional(),
+  description: Joi.string().max(1000).optional()
+});
+
+// Structure of a seating layout definition (see utils/seatLayout)
+const seatTypeSchema = Joi.string().valid('REGULAR', 'WHEELCHAIR_ACCESSIBLE', 'AISLE', 'PREMIUM', 'VIP');
+
+const layoutDefinitionSchema = Joi.object({
+  priceTiers: Joi.object().pattern(Joi.string(), Joi.number().min(0)).optional(),
+  aisleEdges: Joi.boolean().optional(),
+  sections: Joi.array().items(Joi.object({
+    name: Joi.string().max(50).required(),
+    priceTier: Joi.string().optional(),
+    seatType: seatTypeSchema.optional(),
+    rows: Joi.array().items(Joi.object({
+      label: Joi.string().pattern(/^[A-Za-z0-9]{1,4}$/).required(),
+      seats: Joi.number().integer().min(1).max(200).required(),
+      gaps: Joi.array().items(Joi.number().integer()).unique().optional(),
+      priceTier: Joi.string().optional(),
+      seatTypes: Joi.object().pattern(Joi.string().pattern(/^\d+$/), seatTypeSchema).optional()
+    })).min(1).required()
+  })).min(1).required()
+});
+
+// Editable event fields, shared by single-event and series edits
+const eventChangeFields = {
+  name: Joi.string().min(3).max(200).optional(),
+  description: Joi.string().max(2000).allow('').optional(),
+  venue: Joi.string().min(3).max(200).optional(),
+  dateTime: Joi.date().greater('now').optional(),
+  capacity: Joi.number().integer().min(1).max(100000).optional(),
+  price: Joi.number().min(0).precision(2).optional(),
+  category: Joi.string().valid('CONCERT', 'CONFERENCE', 'WORKSHOP', 'SPORTS', 'THEATER', 'OTHER').optional(),
+  imageUrl: Joi.string().uri().allow(null).optional()
+};
+
+// Shape of a recurrence rule; utils/recurrence checks dates and combinations
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('DAILY', 'WEEKLY').required(),
+  interval: Joi.number().integer().min(1).max(52).optional(),
+  byDay: Joi.array().items(Joi.string().valid('SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA')).min(1).unique().optional(),
+  startDate: Joi.string().required(),
+  time: Joi.string().required(),
+  timezone: Joi.string().max(100).optional(),
+  until: Joi.string().optional(),
+  count: Joi.number().integer().min(1).optional(),
+  exclusions: Joi.array().items(Joi.string()).optional()
+}).xor('until', 'count');
+
 const schemas = {
   register: Joi.object({
     name: Joi.string().min(2).max(100).required(),
@@ -27,7 +88,18 @@ const schemas = {
     email: Joi.string().email().required(),
     password: Joi.string().min(8).required(),
     phone: Joi.string().min(10).max(15).optional(),
-    adminCode: Joi.string().optional() // Optional admin verification code
+    adminCode: Joi.string().required() // Must match ADMIN_CREATION_CODE
+  }),
+
+  adminInvite: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  acceptAdminInvite: Joi.object({
+    token: Joi.string().required(),
+    name: Joi.string().min(2).max(100).required(),
+    password: Joi.string().min(8).required(),
+    phone: Joi.string().min(10).max(15).optional()
   }),
 
   login: Joi.object({
@@ -35,6 +107,23 @@ const schemas = {
     password: Joi.string().required()
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    newPassword: Joi.string().min(8).required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(8).required()
@@ -53,7 +142,121 @@ const schemas = {
     capacity: Joi.number().min(1).max(100000).required(),
     price: Joi.number().min(0).required(),
     category: Joi.string().valid('CONCERT', 'CONFERENCE', 'WORKSHOP', 'SPORTS', 'THEATER', 'OTHER').optional(),
-    imageUrl: Joi.string().uri().optional()
+    imageUrl: Joi.string().uri().optional(),
+    refundPolicy: refundPolicySchema.optional(),
+    entryPolicy: entryPolicySchema.optional(),
+    venueId: Joi.string().uuid().optional(),
+    seatingLayoutId: Joi.string().uuid().optional()
+  }),
+
+  // Status, venue/layout and refund and entry policies have their own endpoints, and
+  // createdBy / availableSeats are never client-controlled
+  updateEvent: Joi.object(eventChangeFields).min(1),
+
+  createEventSeries: Joi.object({
+    name: Joi.string().min(3).max(200).required(),
+    description: Joi.string().max(2000).optional(),
+    venue: Joi.string().min(3).max(200).required(),
+    capacity: Joi.number().integer().min(1).max(100000).optional(), // Defaults to the layout's seat count
+    price: Joi.number().min(0).precision(2).required(),
+    category: Joi.string().valid('CONCERT', 'CONFERENCE', 'WORKSHOP', 'SPORTS', 'THEATER', 'OTHER').optional(),
+    imageUrl: Joi.string().uri().optional(),
+    refundPolicy: refundPolicySchema.optional(),
+    venueId: Joi.string().uuid().optional(),
+    seatingLayoutId: Joi.string().uuid().optional(),
+    recurrence: recurrenceSchema.required()
+  }),
+
+  // An "all future occurrences" edit moves the start time, not the date
+  updateSeriesOccurrences: Joi.object({
+    scope: Joi.string().valid('THIS', 'FUTURE').required(),
+    changes: Joi.when('scope', {
+      is: 'THIS',
+      then: Joi.object(eventChangeFields).min(1).required(),
+      otherwise: Joi.object({
+        ...eventChangeFields,
+        dateTime: Joi.forbidden(),
+        time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional()
+      }).min(1).required()
+    })
+  }),
+
+  // Sale window and per-order limits are checked against each other by the controller
+  createTicketType: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(2000).optional(),
+    price: Joi.number().min(0).precision(2).required(),
+    quantity: Joi.number().integer().min(1).allow(null).optional(),
+    saleStartsAt: Joi.date().allow(null).optional(),
+    saleEndsAt: Joi.date().allow(null).optional(),
+    minPerOrder: Joi.number().integer().min(1).max(10).optional(),
+    maxPerOrder: Joi.number().integer().min(1).max(10).optional(),
+    sections: Joi.array().items(Joi.string().max(50)).min(1).unique().allow(null).optional(),
+    sortOrder: Joi.number().integer().optional()
+  }),
+
+  updateTicketType: Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    description: Joi.string().max(2000).allow('', null).optional(),
+    price: Joi.number().min(0).precision(2).optional(),
+    quantity: Joi.number().integer().min(1).allow(null).optional(),
+    saleStartsAt: Joi.date().allow(null).optional(),
+    saleEndsAt: Joi.date().allow(null).optional(),
+    minPerOrder: Joi.number().integer().min(1).max(10).optional(),
+    maxPerOrder: Joi.number().integer().min(1).max(10).optional(),
+    sections: Joi.array().items(Joi.string().max(50)).min(1).unique().allow(null).optional(),
+    sortOrder: Joi.number().integer().optional()
+  }).min(1),
+
+  cancelEvent: Joi.object({
+    reason: Joi.string().max(500).optional()
+  }),
+
+  attachSeatingLayout: Joi.object({
+    seatingLayoutId: Joi.string().uuid().allow(null).required() // null goes back to the default grid
+  }),
+
+  createVenue: Joi.object({
+    name: Joi.string().min(3).max(200).required(),
+    address: Joi.string().max(500).optional(),
+    city: Joi.string().max(100).optional(),
+    country: Joi.string().max(100).optional(),
+    timezone: Joi.string().max(100).optional(),
+    description: Joi.string().max(2000).optional()
+  }),
+
+  updateVenue: Joi.object({
+    name: Joi.string().min(3).max(200).optional(),
+    address: Joi.string().max(500).allow(null).optional(),
+    city: Joi.string().max(100).allow(null).optional(),
+    country: Joi.string().max(100).allow(null).optional(),
+    timezone: Joi.string().max(100).allow(null).optional(),
+    description: Joi.string().max(2000).allow(null).optional()
+  }).min(1),
+
+  createSeatingLayout: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(1000).optional(),
+    definition: layoutDefinitionSchema.required()
+  }),
+
+  updateSeatingLayout: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    description: Joi.string().max(1000).allow(null).optional(),
+    definition: layoutDefinitionSchema.optional()
+  }).min(1),
+
+  updateRefundPolicy: Joi.object({
+    refundPolicy: refundPolicySchema.allow(null).required() // null restores the default policy
+  }),
+
+  updateEntryPolicy: Joi.object({
+    entryPolicy: entryPolicySchema.allow(null).required() // null restores single entry
+  }),
+
+  // Staff member to assign to an event's gates
+  assignEventStaff: Joi.object({
+    email: Joi.string().email().required() // Must belong to a gate staff or box office account
   }),
 
   createBooking: Joi.object({
@@ -63,12 +266,59 @@ const schemas = {
 
   selectSeats: Joi.object({
     eventId: Joi.string().uuid().required(),
-    seatNumbers: Joi.array().items(Joi.string().required()).min(1).required(),
-    seatSection: Joi.string().required(),   // Seat section is required
-    seatRow: Joi.string().required(),       // Seat row is required
+    seatIds: Joi.array().items(Joi.string().uuid().required()).min(1).max(10).unique(),
+    seatNumbers: Joi.array().items(Joi.string().required()).min(1).max(10).unique(),
+    // Events with ticket types: the seats bought with each ticket type
+    tickets: Joi.array().items(Joi.object({
+      ticketTypeId: Joi.string().uuid().required(),
+      seatIds: Joi.array().items(Joi.string().uuid().required()).min(1).max(10).unique(),
+      seatNumbers: Joi.array().items(Joi.string().required()).min(1).max(10).unique()
+    }).xor('seatIds', 'seatNumbers')).min(1).max(10).custom((tickets, helpers) => {
+      const seatCount = tickets.reduce((sum, ticket) => sum + (ticket.seatIds || ticket.seatNumbers).length, 0);
+      return seatCount > 10 ? helpers.message('"tickets" must contain at most 10 seats') : tickets;
+    }),
+    seatSection: Joi.string().optional(),   // Ignored: section and row come from the Seat rows
+    seatRow: Joi.string().optional(),
     bookingType: Joi.string().optional()
-  }),
+  }).xor('seatIds', 'seatNumbers', 'tickets'),
   
+  applyPromoCode: Joi.object({
+    code: Joi.string().trim().min(3).max(50).required()
+  }),
+
+  createPromoCode: Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,50}$/).required(),
+    description: Joi.string().max(500).optional(),
+    discountType: Joi.string().valid('PERCENTAGE', 'FIXED_AMOUNT').required(),
+    discountValue: Joi.number().positive().precision(2).when('discountType', {
+      is: 'PERCENTAGE',
+      then: Joi.number().max(100)
+    }).required(),
+    maxDiscountAmount: Joi.number().positive().precision(2).allow(null).optional(),
+    minOrderAmount: Joi.number().min(0).precision(2).allow(null).optional(),
+    maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).allow(null).optional(),
+    validFrom: Joi.date().allow(null).optional(),
+    validUntil: Joi.date().allow(null).optional(),
+    eventIds: Joi.array().items(Joi.string().uuid()).min(1).unique().allow(null).optional(),
+    categories: Joi.array().items(Joi.string().valid('CONCERT', 'CONFERENCE', 'WORKSHOP', 'SPORTS', 'THEATER', 'OTHER')).min(1).unique().allow(null).optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // The code and discount are fixed once created; deactivate and create a new code instead
+  updatePromoCode: Joi.object({
+    description: Joi.string().max(500).allow(null).optional(),
+    maxDiscountAmount: Joi.number().positive().precision(2).allow(null).optional(),
+    minOrderAmount: Joi.number().min(0).precision(2).allow(null).optional(),
+    maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).allow(null).optional(),
+    validFrom: Joi.date().allow(null).optional(),
+    validUntil: Joi.date().allow(null).optional(),
+    eventIds: Joi.array().items(Joi.string().uuid()).min(1).unique().allow(null).optional(),
+    categories: Joi.array().items(Joi.string().valid('CONCERT', 'CONFERENCE', 'WORKSHOP', 'SPORTS', 'THEATER', 'OTHER')).min(1).unique().allow(null).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1),
+
   confirmBooking: Joi.object({
   paymentMethod: Joi.string().valid('CARD', 'UPI', 'WALLET').required(),
   paymentDetails: Joi.object({
@@ -80,6 +330,64 @@ const schemas = {
   }).required()
 }) , 
 
+  cancelBooking: Joi.object({
+    seatNumbers: Joi.array().items(Joi.string()).min(1).unique().optional(), // Omit to cancel the whole booking
+    reason: Joi.string().max(200).optional()
+  }),
+
+  // Seats not given to anyone stay with the booking owner
+  splitBooking: Joi.object({
+    shares: Joi.array().items(Joi.object({
+      email: Joi.string().email().required(),
+      seatNumbers: Joi.array().items(Joi.string().required()).min(1).unique().required()
+    })).min(1).max(9).required()
+  }),
+
+  transferTicket: Joi.object({
+    email: Joi.string().email().required(), // Must belong to an existing account
+    attendeeName: Joi.string().trim().max(100).optional()
+  }),
+
+  updateTicketAttendee: Joi.object({
+    attendeeName: Joi.string().trim().max(100).allow(null),
+    attendeeEmail: Joi.string().email().allow(null)
+  }).min(1),
+
+  // Gate scan; code is the QR content (signed token or legacy ticket hash)
+  checkIn: Joi.object({
+    eventId: Joi.string().uuid().required(),
+    code: Joi.string().max(2048).required(),
+    gateId: Joi.string().trim().max(100).required(),
+    deviceId: Joi.string().trim().max(100).optional(),
+    direction: Joi.string().valid('IN', 'OUT').optional() // Defaults to IN
+  }),
+
+  // Offline gate device upload; scanId is unique per device so retries are harmless
+  uploadTicketScans: Joi.object({
+    eventId: Joi.string().uuid().required(),
+    deviceId: Joi.string().trim().max(100).required(),
+    gateId: Joi.string().trim().max(100).optional(),
+    scans: Joi.array().items(Joi.object({
+      scanId: Joi.string().trim().max(100).required(),
+      ticketHash: Joi.string().max(255).required(), // jti of the scanned QR token
+      scannedAt: Joi.date().iso().max('now').required(),
+      direction: Joi.string().valid('IN', 'OUT').optional(),
+      result: Joi.string().valid('ADMITTED', 'REJECTED').required(),
+      gateId: Joi.string().trim().max(100).optional()
+    })).min(1).max(500).unique('scanId').required()
+  }),
+
+  // Shares settle immediately, so only card payments are accepted
+  payShare: Joi.object({
+    paymentMethod: Joi.string().valid('CARD').required(),
+    paymentDetails: Joi.object({
+      cardNumber: Joi.string().optional(),
+      expiry: Joi.string().optional(),
+      cvv: Joi.string().optional(),
+      name: Joi.string().optional()
+    }).required()
+  }),
+
 
 
 };
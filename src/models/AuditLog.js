@@ -0,0 +1,76 @@
+// src/models/AuditLog.js
+// Append-only record of administrative and financial actions: who (actor),
+// what (action on entityType/entityId), the field-level changes and the
+// request it came from. Written through services/auditService.
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    action: {
+      type: DataTypes.STRING, // "user.role_change", "event.update", "refund.succeeded", ...
+      allowNull: false
+    },
+    entityType: {
+      type: DataTypes.STRING, // "User", "Event", "Booking", "Refund"
+      allowNull: false
+    },
+    entityId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    // Who did it; null for system actors (jobs, payment webhooks)
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    actorRole: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ip: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    requestId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    changes: {
+      type: DataTypes.JSON, // { field: { from, to } }
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['entityType', 'entityId']
+      },
+      {
+        fields: ['actorId']
+      },
+      {
+        fields: ['action', 'createdAt']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  return AuditLog;
+};
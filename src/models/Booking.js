@@ -1,7 +1,5 @@
 // src/models/Booking.js
 const { DataTypes } = require('sequelize');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
 
 module.exports = (sequelize) => {
   const Booking = sequelize.define('Booking', {
@@ -48,6 +46,10 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('GENERAL_ADMISSION', 'SEAT_SELECTION'),
       defaultValue: 'GENERAL_ADMISSION'
     },
+    paymentMode: {
+      type: DataTypes.ENUM('SINGLE', 'SPLIT'), // SPLIT: each BookingShare is paid and ticketed separately
+      defaultValue: 'SINGLE'
+    },
     
     // Pricing
     unitPrice: {
@@ -60,6 +62,23 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
     },
+    subtotalAmount: {
+      type: DataTypes.DECIMAL(10, 2), // Before discounts; totalAmount is what is charged
+      allowNull: true
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.0
+    },
+    discount: {
+      type: DataTypes.JSON, // Applied promo code: { promoCodeId, code, discountType, discountValue, subtotal, amount }
+      allowNull: true
+    },
+    lineItems: {
+      type: DataTypes.JSON, // Per ticket type breakdown, see utils/lineItems; null for events without ticket types
+      allowNull: true
+    },
     currency: {
       type: DataTypes.STRING,
       defaultValue: 'USD'
@@ -101,9 +120,14 @@ module.exports = (sequelize) => {
     
     // Payment fields
     paymentStatus: {
-      type: DataTypes.ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'REFUNDED'),
+      type: DataTypes.ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'),
       defaultValue: 'PENDING'
     },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.0
+    },
     paymentId: {
       type: DataTypes.STRING,
       allowNull: true
@@ -116,8 +140,13 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    paymentAuthorizationId: {
+      type: DataTypes.STRING, // Pending UPI/wallet authorization, voided if it misses the payment deadline
+      allowNull: true
+    },
     
-    // QR Ticket fields
+    // Booking-wide QR ticket of bookings confirmed before per-seat Tickets;
+    // new bookings are ticketed through the Ticket model
     qrCode: {
       type: DataTypes.TEXT, // Base64 QR code image
       allowNull: true
@@ -156,70 +185,10 @@ module.exports = (sequelize) => {
     }
   }, {
     tableName: 'bookings',
-    timestamps: true,
-    hooks: {
-      // Generate QR ticket after confirmation
-      afterUpdate: async (booking, options) => {
-        if (booking.status === 'CONFIRMED' && !booking.qrCode) {
-          await booking.generateQRTicket();
-        }
-      }
-    }
+    timestamps: true
   });
 
   // Instance methods
-  Booking.prototype.generateQRTicket = async function() {
-    try {
-      // Create unique ticket hash
-      const ticketData = {
-        bookingId: this.id,
-        bookingNumber: this.bookingNumber,
-        eventId: this.eventId,
-        userId: this.userId,
-        seatNumbers: this.seatNumbers,
-        timestamp: Date.now()
-      };
-      
-      this.ticketHash = crypto
-        .createHash('sha256')
-        .update(JSON.stringify(ticketData))
-        .digest('hex');
-      
-      // Generate QR code
-      const qrData = {
-        hash: this.ticketHash,
-        booking: this.bookingNumber,
-        event: this.eventId,
-        seats: this.seatNumbers,
-        validation: `${process.env.BASE_URL}/api/tickets/validate/${this.ticketHash}`
-      };
-      
-      this.qrCode = await QRCode.toDataURL(JSON.stringify(qrData), {
-        width: 300,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        }
-      });
-      
-      await this.save();
-      return this.qrCode;
-    } catch (error) {
-      console.error('QR generation error:', error);
-      throw error;
-    }
-  };
-
-  Booking.prototype.validateTicket = function() {
-    if (this.status !== 'CONFIRMED') return false;
-    if (this.qrValidated) return false; // Already used
-    
-    this.qrValidated = true;
-    this.qrValidatedAt = new Date();
-    return this.save();
-  };
-
   Booking.prototype.getTimeRemainingFormatted = function() {
     const seconds = this.timeRemaining;
     if (seconds <= 0) return 'Expired';
@@ -0,0 +1,70 @@
+// src/models/BookingShare.js
+// One payer's part of a split (group) booking: the seats they pay for and
+// what they owe. Paying issues Tickets for the seats to the payer.
+module.exports = (sequelize, DataTypes) => {
+  const BookingShare = sequelize.define('BookingShare', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING, // Invited payer; the booking owner for their own seats
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID, // Set when the share is paid
+      allowNull: true
+    },
+    seatNumbers: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(
+        'PENDING',    // Invited, not paid yet
+        'PAID',       // Seats booked for the payer
+        'RELEASED',   // Unpaid at the deadline; seats returned to sale
+        'CANCELLED'   // Booking cancelled
+      ),
+      defaultValue: 'PENDING'
+    },
+    paymentId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paymentMethod: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paymentGateway: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'booking_shares',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['bookingId']
+      },
+      {
+        fields: ['email']
+      }
+    ]
+  });
+
+  return BookingShare;
+};
@@ -0,0 +1,69 @@
+// src/models/CheckIn.js
+// A ticket's movements through the gates: every accepted entry (IN) and,
+// for events whose entry policy uses it, exit (OUT). The scan that led to
+// each movement is kept in ticket_scans.
+module.exports = (sequelize, DataTypes) => {
+  const CheckIn = sequelize.define('CheckIn', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    ticketId: {
+      type: DataTypes.UUID,
+      allowNull: true // Booking-wide QR codes from before per-seat tickets
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    ticketScanId: {
+      type: DataTypes.UUID, // Scan that led to this movement
+      allowNull: false
+    },
+    direction: {
+      type: DataTypes.ENUM('IN', 'OUT'),
+      allowNull: false
+    },
+    entryNumber: {
+      type: DataTypes.INTEGER, // 1 for the first entry, 2 for the first re-entry, ...; null for OUT
+      allowNull: true
+    },
+    gateId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    deviceId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    staffUserId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'check_ins',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['ticketId', 'occurredAt']
+      },
+      {
+        fields: ['bookingId', 'occurredAt']
+      },
+      {
+        fields: ['eventId', 'gateId']
+      }
+    ]
+  });
+
+  return CheckIn;
+};
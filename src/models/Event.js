@@ -1,3 +1,5 @@
+const { EVENT_TRANSITIONS } = require('../utils/constants');
+
 module.exports = (sequelize, DataTypes) => {
   const Event = sequelize.define('Event', {
     id: {
@@ -18,6 +20,22 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    seatingLayoutId: {
+      type: DataTypes.UUID, // Layout the seat map is generated from; null uses the default grid
+      allowNull: true
+    },
+    seriesId: {
+      type: DataTypes.UUID, // Set for occurrences of an EventSeries
+      allowNull: true
+    },
+    occurrenceDate: {
+      type: DataTypes.DATEONLY, // Date the series rule scheduled, local to the series timezone
+      allowNull: true
+    },
     dateTime: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -52,6 +70,22 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.ENUM('DRAFT', 'PUBLISHED', 'CANCELLED', 'COMPLETED'),
       defaultValue: 'DRAFT'
     },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancellationReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    refundPolicy: {
+      type: DataTypes.JSON, // See utils/refundPolicy; null falls back to the default policy
+      allowNull: true
+    },
+    entryPolicy: {
+      type: DataTypes.JSON, // See utils/entryPolicy; null means single entry
+      allowNull: true
+    },
     imageUrl: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -69,11 +103,47 @@ module.exports = (sequelize, DataTypes) => {
   });
   
 
-  Event.prototype.isBookable = function() {
-    return this.status === 'PUBLISHED' 
-      && this.availableSeats > 0 
+  // Take `count` seats off availableSeats; false if not enough are left
+  Event.holdSeats = async function(eventId, count, transaction) {
+    const [updated] = await Event.update({
+      availableSeats: sequelize.literal(`"availableSeats" - ${parseInt(count, 10)}`)
+    }, {
+      where: {
+        id: eventId,
+        availableSeats: { [sequelize.Sequelize.Op.gte]: count }
+      },
+      transaction
+    });
+
+    return updated === 1;
+  };
+
+  // Give `count` seats back, never exceeding capacity
+  Event.releaseSeats = async function(eventId, count, transaction) {
+    const [updated] = await Event.update({
+      availableSeats: sequelize.literal(`LEAST("availableSeats" + ${parseInt(count, 10)}, "capacity")`)
+    }, {
+      where: { id: eventId },
+      transaction
+    });
+
+    return updated === 1;
+  };
+
+  Event.prototype.canTransitionTo = function(status) {
+    return (EVENT_TRANSITIONS[this.status] || []).includes(status);
+  };
+
+  // Published and not started. Paying for seats already held only needs
+  // this; new selections also need seats left (isBookable).
+  Event.prototype.isOpenForBooking = function() {
+    return this.status === 'PUBLISHED'
       && new Date() < new Date(this.dateTime);
   };
 
+  Event.prototype.isBookable = function() {
+    return this.isOpenForBooking() && this.availableSeats > 0;
+  };
+
   return Event;
 };
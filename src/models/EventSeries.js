@@ -0,0 +1,47 @@
+// src/models/EventSeries.js
+// A recurring event; each occurrence is a regular Event row with its own
+// date, capacity and seat map
+module.exports = (sequelize, DataTypes) => {
+  const EventSeries = sequelize.define('EventSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: { len: [3, 200] }
+    },
+    recurrence: {
+      type: DataTypes.JSON, // See utils/recurrence
+      allowNull: false
+    },
+    template: {
+      type: DataTypes.JSON, // Event fields copied to every occurrence; kept in step by "all future" edits
+      allowNull: false
+    },
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    seatingLayoutId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'event_series',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['createdBy']
+      }
+    ]
+  });
+
+  return EventSeries;
+};
@@ -0,0 +1,38 @@
+// src/models/EventStaff.js
+// Gate staff assigned to an event by its organizer. Only assigned staff (and
+// those who manage the event) can check tickets in at its gates.
+module.exports = (sequelize, DataTypes) => {
+  const EventStaff = sequelize.define('EventStaff', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    assignedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'event_staff',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['eventId', 'userId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return EventStaff;
+};
@@ -0,0 +1,55 @@
+// src/models/PaymentWebhookEvent.js
+// One row per gateway webhook delivery; the unique (gateway, eventId) pair makes
+// redeliveries of the same event a no-op.
+module.exports = (sequelize, DataTypes) => {
+  const PaymentWebhookEvent = sequelize.define('PaymentWebhookEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    gateway: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    eventId: {
+      type: DataTypes.STRING, // Gateway's own event id
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING, // "payment.succeeded", "payment.failed"
+      allowNull: false
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.ENUM('APPLIED', 'IGNORED', 'REFUND_REQUIRED'),
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'payment_webhook_events',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['gateway', 'eventId'],
+        unique: true,
+        name: 'payment_webhook_events_gateway_event_unique'
+      },
+      {
+        fields: ['bookingId']
+      }
+    ]
+  });
+
+  return PaymentWebhookEvent;
+};
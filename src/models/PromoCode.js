@@ -0,0 +1,86 @@
+// src/models/PromoCode.js
+// A discount code for marketing campaigns; see utils/discount for how it is
+// checked and applied
+module.exports = (sequelize, DataTypes) => {
+  const PromoCode = sequelize.define('PromoCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    code: {
+      type: DataTypes.STRING(50), // Stored upper case; matched case-insensitively
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    discountType: {
+      type: DataTypes.ENUM('PERCENTAGE', 'FIXED_AMOUNT'),
+      allowNull: false
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2), // Percent off, or an amount in the booking currency
+      allowNull: false,
+      validate: { min: 0.01 }
+    },
+    maxDiscountAmount: {
+      type: DataTypes.DECIMAL(10, 2), // Cap for percentage discounts
+      allowNull: true
+    },
+    minOrderAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    maxRedemptions: {
+      type: DataTypes.INTEGER, // Null for unlimited
+      allowNull: true
+    },
+    redemptionCount: {
+      type: DataTypes.INTEGER, // Active redemptions, including bookings still awaiting payment
+      allowNull: false,
+      defaultValue: 0
+    },
+    perUserLimit: {
+      type: DataTypes.INTEGER, // Null for unlimited
+      allowNull: true,
+      defaultValue: 1
+    },
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    validUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    eventIds: {
+      type: DataTypes.JSON, // Events the code applies to; null for any
+      allowNull: true
+    },
+    categories: {
+      type: DataTypes.JSON, // Event categories the code applies to; null for any
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'promo_codes',
+    timestamps: true,
+    hooks: {
+      beforeValidate: (promoCode) => {
+        if (promoCode.code) promoCode.code = promoCode.code.trim().toUpperCase();
+      }
+    }
+  });
+
+  return PromoCode;
+};
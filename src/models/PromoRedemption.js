@@ -0,0 +1,68 @@
+// src/models/PromoRedemption.js
+// One use of a promo code by a booking. Released (and the code's count given
+// back) when the booking ends without being paid or the code is removed.
+module.exports = (sequelize, DataTypes) => {
+  const PromoRedemption = sequelize.define('PromoRedemption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    promoCodeId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('ACTIVE', 'RELEASED'),
+      defaultValue: 'ACTIVE'
+    },
+    releasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'promo_redemptions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['promoCodeId', 'userId', 'status']
+      },
+      {
+        fields: ['bookingId']
+      }
+    ]
+  });
+
+  // Give back the booking's active redemption, if any
+  PromoRedemption.releaseForBooking = async function(booking, transaction) {
+    const redemption = await PromoRedemption.findOne({
+      where: { bookingId: booking.id, status: 'ACTIVE' },
+      transaction
+    });
+    if (!redemption) return null;
+
+    await redemption.update({ status: 'RELEASED', releasedAt: new Date() }, { transaction });
+    await sequelize.models.PromoCode.update({
+      redemptionCount: sequelize.literal('GREATEST("redemptionCount" - 1, 0)')
+    }, {
+      where: { id: redemption.promoCodeId },
+      transaction
+    });
+
+    return redemption;
+  };
+
+  return PromoRedemption;
+};
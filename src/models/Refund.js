@@ -0,0 +1,79 @@
+// src/models/Refund.js
+// Refund ledger: one row per refund attempt against a booking's captured payment
+module.exports = (sequelize, DataTypes) => {
+  const Refund = sequelize.define('Refund', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: 0.01 }
+    },
+    currency: {
+      type: DataTypes.STRING,
+      defaultValue: 'USD'
+    },
+    reason: {
+      type: DataTypes.STRING, // "CUSTOMER_CANCELLATION", "LATE_PAYMENT", ...
+      allowNull: true
+    },
+    seatNumbers: {
+      type: DataTypes.JSON, // Seats covered by a partial refund; null for the whole booking
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('PENDING', 'SUCCEEDED', 'FAILED'),
+      defaultValue: 'PENDING'
+    },
+
+    // Gateway references for reconciliation
+    gateway: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    paymentId: {
+      type: DataTypes.STRING, // Original captured payment
+      allowNull: false
+    },
+    gatewayRefundId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    failureReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    requestedBy: {
+      type: DataTypes.UUID, // null for system-initiated refunds
+      allowNull: true
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'refunds',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['bookingId']
+      },
+      {
+        fields: ['status', 'createdAt']
+      },
+      {
+        fields: ['gateway', 'gatewayRefundId']
+      }
+    ]
+  });
+
+  return Refund;
+};
@@ -59,7 +59,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.UUID,
       allowNull: true,
       references: {
-        model: 'Bookings',
+        model: 'bookings',
         key: 'id'
       }
     },
@@ -145,8 +145,9 @@ module.exports = (sequelize, DataTypes) => {
       return false;
     }
     
-    // Not available if currently reserved and not expired
-    if (this.isReserved && this.reserveExpiresAt && now < new Date(this.reserveExpiresAt)) {
+    // Not available if currently reserved and not expired (a null expiry is a
+    // hold pinned while the booking's payment settles)
+    if (this.isReserved && (!this.reserveExpiresAt || now < new Date(this.reserveExpiresAt))) {
       return false;
     }
     
@@ -176,7 +177,7 @@ module.exports = (sequelize, DataTypes) => {
     if (this.isBooked) return 'BOOKED';
     
     if (this.isReserved) {
-      if (this.reserveExpiresAt && now < new Date(this.reserveExpiresAt)) {
+      if (!this.reserveExpiresAt || now < new Date(this.reserveExpiresAt)) {
         return 'RESERVED';
       } else {
         return 'EXPIRED_RESERVATION'; // Should be cleaned up
@@ -187,9 +188,10 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // CLASS METHODS
-  Seat.reserveSeats = async function(eventId, seatIds, userId, transaction) {
+  // Hold seats for a booking. Fails unless every seat is free or its hold has lapsed.
+  Seat.reserveSeats = async function(eventId, seatIds, userId, transaction, { bookingId = null, expiresAt } = {}) {
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
+    expiresAt = expiresAt || new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes
 
     // Use SELECT FOR UPDATE to prevent race conditions
     const seats = await Seat.findAll({
@@ -203,10 +205,6 @@ module.exports = (sequelize, DataTypes) => {
           { 
             isReserved: true,
             reserveExpiresAt: { [sequelize.Sequelize.Op.lt]: now }
-          },
-          {
-            isReserved: true,
-            reservedBy: userId
           }
         ]
       },
@@ -215,7 +213,9 @@ module.exports = (sequelize, DataTypes) => {
     });
 
     if (seats.length !== seatIds.length) {
-      throw new Error('Some seats are not available for reservation');
+      const error = new Error('Some seats are not available for reservation');
+      error.code = 'SEATS_UNAVAILABLE';
+      throw error;
     }
 
     // Update seats to reserved status
@@ -224,6 +224,7 @@ module.exports = (sequelize, DataTypes) => {
       reservedBy: userId,
       reservedAt: now,
       reserveExpiresAt: expiresAt,
+      bookingId,
       version: sequelize.literal('version + 1')
     }, {
       where: {
@@ -235,11 +236,28 @@ module.exports = (sequelize, DataTypes) => {
     return seats;
   };
 
+  // Move a booking's hold to a new expiry; null pins it until released or confirmed.
+  // Returns how many seats the booking still holds.
+  Seat.extendReservation = async function(bookingId, expiresAt, transaction) {
+    const updated = await Seat.update({
+      reserveExpiresAt: expiresAt,
+      version: sequelize.literal('version + 1')
+    }, {
+      where: {
+        bookingId,
+        isReserved: true,
+        isBooked: false
+      },
+      transaction
+    });
+
+    return updated[0];
+  };
+
   Seat.confirmReservation = async function(bookingId, userId, transaction) {
     const updated = await Seat.update({
       isBooked: true,
       isReserved: false,
-      bookingId,
       bookedBy: userId,
       bookedAt: new Date(),
       reservedBy: null,
@@ -248,8 +266,8 @@ module.exports = (sequelize, DataTypes) => {
       version: sequelize.literal('version + 1')
     }, {
       where: {
+        bookingId,
         reservedBy: userId,
-        bookingId: null,
         isReserved: true
       },
       transaction
@@ -258,7 +276,30 @@ module.exports = (sequelize, DataTypes) => {
     return updated[0]; // Number of affected rows
   };
 
-  Seat.releaseReservation = async function(userId, bookingId = null, transaction) {
+  // Book some of a booking's held seats for `userId` (one payer of a split booking)
+  Seat.confirmSeats = async function(bookingId, seatNumbers, userId, transaction) {
+    const updated = await Seat.update({
+      isBooked: true,
+      isReserved: false,
+      bookedBy: userId,
+      bookedAt: new Date(),
+      reservedBy: null,
+      reservedAt: null,
+      reserveExpiresAt: null,
+      version: sequelize.literal('version + 1')
+    }, {
+      where: {
+        bookingId,
+        seatNumber: { [sequelize.Sequelize.Op.in]: seatNumbers },
+        isReserved: true
+      },
+      transaction
+    });
+
+    return updated[0];
+  };
+
+  Seat.releaseReservation = async function(userId, bookingId = null, transaction, seatNumbers = null) {
     const whereClause = {
       reservedBy: userId,
       isReserved: true,
@@ -269,11 +310,16 @@ module.exports = (sequelize, DataTypes) => {
       whereClause.bookingId = bookingId;
     }
 
+    if (seatNumbers) {
+      whereClause.seatNumber = { [sequelize.Sequelize.Op.in]: seatNumbers };
+    }
+
     const updated = await Seat.update({
       isReserved: false,
       reservedBy: null,
       reservedAt: null,
       reserveExpiresAt: null,
+      bookingId: null,
       version: sequelize.literal('version + 1')
     }, {
       where: whereClause,
@@ -283,6 +329,31 @@ module.exports = (sequelize, DataTypes) => {
     return updated[0]; // Number of affected rows
   };
 
+  // Return booked seats to sale (booking cancelled, or some of its seats)
+  Seat.releaseBookedSeats = async function(bookingId, seatNumbers = null, transaction) {
+    const whereClause = {
+      bookingId,
+      isBooked: true
+    };
+
+    if (seatNumbers) {
+      whereClause.seatNumber = { [sequelize.Sequelize.Op.in]: seatNumbers };
+    }
+
+    const updated = await Seat.update({
+      isBooked: false,
+      bookedBy: null,
+      bookedAt: null,
+      bookingId: null,
+      version: sequelize.literal('version + 1')
+    }, {
+      where: whereClause,
+      transaction
+    });
+
+    return updated[0];
+  };
+
   Seat.cleanupExpiredReservations = async function(transaction) {
     const now = new Date();
     
@@ -291,6 +362,7 @@ module.exports = (sequelize, DataTypes) => {
       reservedBy: null,
       reservedAt: null,
       reserveExpiresAt: null,
+      bookingId: null,
       version: sequelize.literal('version + 1')
     }, {
       where: {
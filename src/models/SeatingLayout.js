@@ -0,0 +1,50 @@
+// src/models/SeatingLayout.js
+// A reusable seat arrangement for a venue; see utils/seatLayout for the definition format
+module.exports = (sequelize, DataTypes) => {
+  const SeatingLayout = sequelize.define('SeatingLayout', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING, // "Full house", "Reduced stage"
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    definition: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    totalSeats: {
+      type: DataTypes.INTEGER, // Derived from definition on save
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'seating_layouts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['venueId']
+      },
+      {
+        fields: ['venueId', 'name'],
+        unique: true
+      }
+    ]
+  });
+
+  return SeatingLayout;
+};
@@ -0,0 +1,75 @@
+// src/models/SigningKey.js
+// Ed25519 key pairs that sign ticket QR codes. One key is ACTIVE and signs
+// new tickets; RETIRED keys are still published so tickets they signed keep
+// verifying; REVOKED keys are withdrawn and their tickets re-signed.
+module.exports = (sequelize, DataTypes) => {
+  const SigningKey = sequelize.define('SigningKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    kid: {
+      type: DataTypes.STRING, // Key id in JWS headers and the JWKS
+      allowNull: false,
+      unique: true
+    },
+    algorithm: {
+      type: DataTypes.STRING,
+      defaultValue: 'EdDSA'
+    },
+    publicKey: {
+      type: DataTypes.TEXT, // SPKI PEM
+      allowNull: false
+    },
+    privateKey: {
+      type: DataTypes.TEXT, // PKCS#8 PEM, encrypted by signingKeyService
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('ACTIVE', 'RETIRED', 'REVOKED'),
+      defaultValue: 'ACTIVE'
+    },
+    activatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true // Null when generated on first use
+    }
+  }, {
+    tableName: 'signing_keys',
+    timestamps: true,
+    defaultScope: {
+      attributes: { exclude: ['privateKey'] }
+    },
+    scopes: {
+      withPrivateKey: {
+        attributes: { include: ['privateKey'] }
+      }
+    },
+    indexes: [
+      {
+        fields: ['status']
+      },
+      {
+        // At most one key signs at a time
+        name: 'signing_keys_single_active',
+        unique: true,
+        fields: ['status'],
+        where: { status: 'ACTIVE' }
+      }
+    ]
+  });
+
+  return SigningKey;
+};
@@ -0,0 +1,105 @@
+// src/models/Ticket.js
+// One admission: a seat of a confirmed booking with its own QR code. Tickets
+// are validated at the gate independently and can be passed on to another
+// account, which re-keys the QR code. ticketHash identifies the current
+// credential (the jti of the signed token).
+module.exports = (sequelize, DataTypes) => {
+  const Ticket = sequelize.define('Ticket', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    shareId: {
+      type: DataTypes.UUID, // Split bookings: the share that paid for the seat
+      allowNull: true
+    },
+    seatNumber: {
+      type: DataTypes.STRING,
+      allowNull: true // General admission
+    },
+    holderUserId: {
+      type: DataTypes.UUID, // Who can show and transfer the ticket
+      allowNull: false
+    },
+    attendeeName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    attendeeEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    ticketHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    signedToken: {
+      type: DataTypes.TEXT, // Compact JWS the QR code encodes; see signingKeyService
+      allowNull: true
+    },
+    signingKeyId: {
+      type: DataTypes.STRING, // kid of the key that signed signedToken
+      allowNull: true
+    },
+    qrCode: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('VALID', 'CANCELLED'),
+      defaultValue: 'VALID'
+    },
+    qrValidated: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    qrValidatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    validatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    transferCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastTransferredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'tickets',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['bookingId']
+      },
+      {
+        fields: ['holderUserId']
+      },
+      {
+        fields: ['eventId', 'seatNumber']
+      },
+      {
+        fields: ['signingKeyId']
+      }
+    ]
+  });
+
+  return Ticket;
+};
@@ -0,0 +1,44 @@
+// src/models/TicketRevocation.js
+// Ticket credentials (the jti of a signed QR code) that must no longer admit.
+// Scanners download these per event alongside the public keys, so a
+// cancelled or transferred ticket is refused even while offline.
+module.exports = (sequelize, DataTypes) => {
+  const TicketRevocation = sequelize.define('TicketRevocation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    jti: {
+      type: DataTypes.STRING, // Ticket.ticketHash at the time it was revoked
+      allowNull: false,
+      unique: true
+    },
+    ticketId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('CANCELLED', 'TRANSFERRED'),
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'ticket_revocations',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['eventId', 'revokedAt']
+      }
+    ]
+  });
+
+  return TicketRevocation;
+};
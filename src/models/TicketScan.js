@@ -0,0 +1,100 @@
+// src/models/TicketScan.js
+// Every scan of a ticket QR code, whether checked in online or uploaded
+// later by an offline gate device. When two gates admitted the same ticket
+// beyond what the event's entry policy allows, the earliest scan keeps
+// outcome ADMITTED and the others become DUPLICATE, pointing at it through
+// duplicateOfId. Accepted scans also appear as check_ins movements.
+module.exports = (sequelize, DataTypes) => {
+  const TicketScan = sequelize.define('TicketScan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    ticketId: {
+      type: DataTypes.UUID,
+      allowNull: true // Unknown credential, or a booking-wide QR code
+    },
+    bookingId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    ticketHash: {
+      type: DataTypes.STRING, // Credential scanned (jti)
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM('ONLINE', 'DEVICE'),
+      allowNull: false
+    },
+    deviceId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    gateId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    scanId: {
+      type: DataTypes.STRING, // Device-generated id; makes batch uploads idempotent
+      allowNull: true
+    },
+    scannedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    scannedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    direction: {
+      type: DataTypes.ENUM('IN', 'OUT'),
+      allowNull: false,
+      defaultValue: 'IN'
+    },
+    deviceResult: {
+      type: DataTypes.ENUM('ADMITTED', 'REJECTED'), // What the offline device decided
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.ENUM(
+        'ADMITTED',     // Entry, or re-entry the entry policy allows
+        'CHECKED_OUT',  // Exit scan; re-entry may require one
+        'DUPLICATE',    // Ticket already admitted as often as the policy allows
+        'NOT_INSIDE',   // Exit scan of a ticket that is not checked in
+        'CANCELLED',    // Ticket was cancelled
+        'REVOKED',      // Credential replaced by a transfer or cancellation
+        'WRONG_EVENT',  // Ticket is for another event
+        'UNKNOWN',      // No such credential
+        'REJECTED'      // Refused by the device; recorded only
+      ),
+      allowNull: false
+    },
+    duplicateOfId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ticket_scans',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['eventId', 'outcome']
+      },
+      {
+        fields: ['ticketId']
+      },
+      {
+        // Idempotency key of uploaded device scans (see scanService.uploadScans)
+        unique: true,
+        fields: ['deviceId', 'scanId']
+      }
+    ]
+  });
+
+  return TicketScan;
+};
@@ -0,0 +1,125 @@
+// src/models/TicketType.js
+// A kind of ticket sold for an event (Early Bird, Student, VIP, ...), with its
+// own price, quantity cap, sale window and per-order limits
+const { countByTicketType } = require('../utils/lineItems');
+
+module.exports = (sequelize, DataTypes) => {
+  const TicketType = sequelize.define('TicketType', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: { min: 0 }
+    },
+    quantity: {
+      type: DataTypes.INTEGER, // Cap on tickets of this type; null means only seats limit it
+      allowNull: true,
+      validate: { min: 1 }
+    },
+    quantitySold: {
+      type: DataTypes.INTEGER, // Sold or held; released when a booking expires or is cancelled
+      allowNull: false,
+      defaultValue: 0
+    },
+    saleStartsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    saleEndsAt: {
+      type: DataTypes.DATE, // Null sells until the event starts
+      allowNull: true
+    },
+    minPerOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    maxPerOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    },
+    sections: {
+      type: DataTypes.JSON, // Seat sections this type may be used for; null allows any
+      allowNull: true
+    },
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'ticket_types',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['eventId']
+      },
+      {
+        fields: ['eventId', 'name'],
+        unique: true
+      }
+    ]
+  });
+
+  // Take `count` tickets of a type; false if its cap would be exceeded
+  TicketType.hold = async function(ticketTypeId, count, transaction) {
+    const amount = parseInt(count, 10);
+    const [updated] = await TicketType.update({
+      quantitySold: sequelize.literal(`"quantitySold" + ${amount}`)
+    }, {
+      where: {
+        id: ticketTypeId,
+        [sequelize.Sequelize.Op.or]: [
+          { quantity: null },
+          sequelize.literal(`"quantitySold" + ${amount} <= "quantity"`)
+        ]
+      },
+      transaction
+    });
+
+    return updated === 1;
+  };
+
+  // Give back the tickets of `seatNumbers` (all of the booking's when null)
+  TicketType.releaseForBooking = async function(booking, seatNumbers, transaction) {
+    const counts = countByTicketType(booking.lineItems, seatNumbers);
+
+    for (const [ticketTypeId, count] of Object.entries(counts)) {
+      await TicketType.update({
+        quantitySold: sequelize.literal(`GREATEST("quantitySold" - ${parseInt(count, 10)}, 0)`)
+      }, {
+        where: { id: ticketTypeId },
+        transaction
+      });
+    }
+  };
+
+  TicketType.prototype.isOnSale = function(event, now = new Date()) {
+    if (this.saleStartsAt && now < new Date(this.saleStartsAt)) return false;
+    const saleEnd = this.saleEndsAt || event.dateTime;
+    return now < new Date(saleEnd);
+  };
+
+  TicketType.prototype.getRemaining = function() {
+    return this.quantity === null ? null : Math.max(0, this.quantity - this.quantitySold);
+  };
+
+  return TicketType;
+};
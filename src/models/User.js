@@ -27,12 +27,20 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false
     },
     role: {
-      type: DataTypes.ENUM('USER', 'ADMIN'),
+      type: DataTypes.ENUM('USER', 'ORGANIZER', 'BOX_OFFICE', 'GATE_STAFF', 'ADMIN'),
       defaultValue: 'USER'
     },
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     hooks: {
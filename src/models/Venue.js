@@ -0,0 +1,53 @@
+// src/models/Venue.js
+// A physical venue; its seating layouts are reused by every event held there
+module.exports = (sequelize, DataTypes) => {
+  const Venue = sequelize.define('Venue', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: { len: [3, 200] }
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    city: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    country: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    timezone: {
+      type: DataTypes.STRING, // IANA name, e.g. "Asia/Kolkata"
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'venues',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['name']
+      },
+      {
+        fields: ['city']
+      }
+    ]
+  });
+
+  return Venue;
+};
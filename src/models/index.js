@@ -6,12 +6,46 @@ const UserModel = require('./User');
 const EventModel = require('./Event');
 const BookingModel = require('./Booking');
 const WaitlistModel = require('./Waitlist');
+const SeatModel = require('./Seat');
+const PaymentWebhookEventModel = require('./PaymentWebhookEvent');
+const RefundModel = require('./Refund');
+const VenueModel = require('./Venue');
+const SeatingLayoutModel = require('./SeatingLayout');
+const AuditLogModel = require('./AuditLog');
+const EventSeriesModel = require('./EventSeries');
+const TicketTypeModel = require('./TicketType');
+const PromoCodeModel = require('./PromoCode');
+const PromoRedemptionModel = require('./PromoRedemption');
+const BookingShareModel = require('./BookingShare');
+const TicketModel = require('./Ticket');
+const SigningKeyModel = require('./SigningKey');
+const TicketRevocationModel = require('./TicketRevocation');
+const TicketScanModel = require('./TicketScan');
+const EventStaffModel = require('./EventStaff');
+const CheckInModel = require('./CheckIn');
 
 // Initialize models
 const User = UserModel(sequelize, Sequelize.DataTypes);
 const Event = EventModel(sequelize, Sequelize.DataTypes);
 const Booking = BookingModel(sequelize, Sequelize.DataTypes);
 const Waitlist = WaitlistModel(sequelize, Sequelize.DataTypes);
+const Seat = SeatModel(sequelize, Sequelize.DataTypes);
+const PaymentWebhookEvent = PaymentWebhookEventModel(sequelize, Sequelize.DataTypes);
+const Refund = RefundModel(sequelize, Sequelize.DataTypes);
+const Venue = VenueModel(sequelize, Sequelize.DataTypes);
+const SeatingLayout = SeatingLayoutModel(sequelize, Sequelize.DataTypes);
+const AuditLog = AuditLogModel(sequelize, Sequelize.DataTypes);
+const EventSeries = EventSeriesModel(sequelize, Sequelize.DataTypes);
+const TicketType = TicketTypeModel(sequelize, Sequelize.DataTypes);
+const PromoCode = PromoCodeModel(sequelize, Sequelize.DataTypes);
+const PromoRedemption = PromoRedemptionModel(sequelize, Sequelize.DataTypes);
+const BookingShare = BookingShareModel(sequelize, Sequelize.DataTypes);
+const Ticket = TicketModel(sequelize, Sequelize.DataTypes);
+const SigningKey = SigningKeyModel(sequelize, Sequelize.DataTypes);
+const TicketRevocation = TicketRevocationModel(sequelize, Sequelize.DataTypes);
+const TicketScan = TicketScanModel(sequelize, Sequelize.DataTypes);
+const EventStaff = EventStaffModel(sequelize, Sequelize.DataTypes);
+const CheckIn = CheckInModel(sequelize, Sequelize.DataTypes);
 
 // Define associations
 User.hasMany(Event, { foreignKey: 'createdBy', as: 'createdEvents' });
@@ -28,6 +62,74 @@ Booking.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
 Waitlist.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 Waitlist.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
 
+Event.hasMany(Seat, { foreignKey: 'eventId', as: 'seats' });
+Booking.hasMany(Seat, { foreignKey: 'bookingId', as: 'seats' });
+Seat.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
+Seat.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+Booking.hasMany(PaymentWebhookEvent, { foreignKey: 'bookingId', as: 'webhookEvents' });
+PaymentWebhookEvent.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+Booking.hasMany(Refund, { foreignKey: 'bookingId', as: 'refunds' });
+Refund.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Refund.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+
+Venue.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+Venue.hasMany(SeatingLayout, { foreignKey: 'venueId', as: 'layouts' });
+SeatingLayout.belongsTo(Venue, { foreignKey: 'venueId', as: 'venue' });
+
+// Event.venue is the free-text venue name, hence the longer alias
+Event.belongsTo(Venue, { foreignKey: 'venueId', as: 'venueDetails' });
+Event.belongsTo(SeatingLayout, { foreignKey: 'seatingLayoutId', as: 'seatingLayout' });
+Venue.hasMany(Event, { foreignKey: 'venueId', as: 'events' });
+SeatingLayout.hasMany(Event, { foreignKey: 'seatingLayoutId', as: 'events' });
+
+AuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor', constraints: false });
+
+EventSeries.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+EventSeries.hasMany(Event, { foreignKey: 'seriesId', as: 'occurrences' });
+Event.belongsTo(EventSeries, { foreignKey: 'seriesId', as: 'series' });
+
+Event.hasMany(TicketType, { foreignKey: 'eventId', as: 'ticketTypes' });
+TicketType.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
+
+PromoCode.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+PromoCode.hasMany(PromoRedemption, { foreignKey: 'promoCodeId', as: 'redemptions' });
+PromoRedemption.belongsTo(PromoCode, { foreignKey: 'promoCodeId', as: 'promoCode' });
+PromoRedemption.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+PromoRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Booking.hasMany(BookingShare, { foreignKey: 'bookingId', as: 'shares' });
+BookingShare.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+BookingShare.belongsTo(User, { foreignKey: 'userId', as: 'payer' });
+
+Booking.hasMany(Ticket, { foreignKey: 'bookingId', as: 'tickets' });
+Ticket.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Ticket.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
+Ticket.belongsTo(User, { foreignKey: 'holderUserId', as: 'holder' });
+Ticket.belongsTo(BookingShare, { foreignKey: 'shareId', as: 'share' });
+Ticket.hasMany(TicketRevocation, { foreignKey: 'ticketId', as: 'revocations' });
+TicketRevocation.belongsTo(Ticket, { foreignKey: 'ticketId', as: 'ticket' });
+
+SigningKey.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+Ticket.hasMany(TicketScan, { foreignKey: 'ticketId', as: 'scans' });
+TicketScan.belongsTo(Ticket, { foreignKey: 'ticketId', as: 'ticket' });
+TicketScan.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+TicketScan.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
+TicketScan.belongsTo(User, { foreignKey: 'scannedBy', as: 'scanner' });
+TicketScan.belongsTo(TicketScan, { foreignKey: 'duplicateOfId', as: 'duplicateOf' });
+
+Event.hasMany(EventStaff, { foreignKey: 'eventId', as: 'staff' });
+EventStaff.belongsTo(Event, { foreignKey: 'eventId', as: 'event' });
+EventStaff.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Ticket.hasMany(CheckIn, { foreignKey: 'ticketId', as: 'checkIns' });
+CheckIn.belongsTo(Ticket, { foreignKey: 'ticketId', as: 'ticket' });
+CheckIn.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+CheckIn.belongsTo(TicketScan, { foreignKey: 'ticketScanId', as: 'scan' });
+CheckIn.belongsTo(User, { foreignKey: 'staffUserId', as: 'staff' });
+
 
 // Export models
 module.exports = {
@@ -35,6 +137,23 @@ module.exports = {
   Event,
   Booking,
   Waitlist,
+  Seat,
+  PaymentWebhookEvent,
+  Refund,
+  Venue,
+  SeatingLayout,
+  AuditLog,
+  EventSeries,
+  TicketType,
+  PromoCode,
+  PromoRedemption,
+  BookingShare,
+  Ticket,
+  SigningKey,
+  TicketRevocation,
+  TicketScan,
+  EventStaff,
+  CheckIn,
   sequelize,
   Sequelize
 };
@@ -1,18 +1,21 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const signingKeyController = require('../controllers/signingKeyController');
+const ticketController = require('../controllers/ticketController');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
-// All admin routes require authentication
-router.use(authenticateToken);
+// All admin routes require an authenticated user with user management rights
+router.use(authenticateToken, authorize(PERMISSIONS.USERS_MANAGE));
 
 // Make user admin
 router.patch('/users/:userId/make-admin', adminController.makeUserAdmin);
 
-// Create admin user
-router.post('/users', validate(schemas.register), adminController.createAdminUser);
+// Invite a new admin (they set their own password when accepting)
+router.post('/invites', validate(schemas.adminInvite), adminController.createAdminInvite);
 
 // Get all users
 router.get('/users', adminController.getAllUsers);
@@ -26,4 +29,15 @@ router.patch('/users/:userId/status', adminController.toggleUserStatus);
 // Get user details
 router.get('/users/:userId', adminController.getUserDetails);
 
+// Audit trail (JSON or ?format=csv)
+router.get('/audit-logs', adminController.getAuditLogs);
+
+// Ticket signing keys
+router.get('/signing-keys', signingKeyController.listKeys);
+router.post('/signing-keys/rotate', signingKeyController.rotateKey);
+router.post('/signing-keys/:kid/revoke', signingKeyController.revokeKey);
+
+// Gate scans by outcome, duplicate entry attempts by default (?eventId=&outcome=)
+router.get('/ticket-scans', ticketController.getProblemScans);
+
 module.exports = router;
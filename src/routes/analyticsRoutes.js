@@ -1,11 +1,20 @@
 const express = require('express');
-const { getDashboardStats, getBookingTrends, getEventAnalytics } = require('../controllers/analyticsController');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  getDashboardStats,
+  getBookingTrends,
+  getEventAnalytics,
+  streamLiveStats
+} = require('../controllers/analyticsController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
-router.get('/dashboard', authenticateToken, getDashboardStats);
-router.get('/booking-trends', authenticateToken, getBookingTrends);
-router.get('/events', authenticateToken, getEventAnalytics);
+router.use(authenticateToken, authorize(PERMISSIONS.ANALYTICS_VIEW));
+
+router.get('/dashboard', getDashboardStats);
+router.get('/booking-trends', getBookingTrends);
+router.get('/events', getEventAnalytics);
+router.get('/live', streamLiveStats);
 
 module.exports = router;
@@ -8,7 +8,12 @@ const router = express.Router();
 // Public routes
 router.post('/register', validate(schemas.register), authController.register);
 router.post('/register-admin', validate(schemas.adminRegister), authController.registerAdmin);
+router.post('/accept-invite', validate(schemas.acceptAdminInvite), authController.acceptAdminInvite);
 router.post('/login', validate(schemas.login), authController.login);
+router.post('/refresh', validate(schemas.refreshToken), authController.refresh);
+router.post('/forgot-password', validate(schemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), authController.resetPassword);
+router.post('/verify-email', validate(schemas.verifyEmail), authController.verifyEmail);
 router.get('/admin-exists', authController.checkAdminExists);
 
 // Protected routes (require authentication)
@@ -17,5 +22,8 @@ router.use(authenticateToken); // Apply to all routes below
 router.get('/profile', authController.getProfile);
 router.put('/profile', authController.updateProfile);
 router.put('/change-password', authController.changePassword);
+router.post('/verify-email/resend', authController.resendVerification);
+router.post('/logout', authController.logout);
+router.post('/logout-all', authController.logoutAll);
 
 module.exports = router;
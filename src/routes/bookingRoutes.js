@@ -2,22 +2,27 @@
 const express = require('express');
 const bookingController = require('../controllers/bookingController');
 const ticketController = require('../controllers/ticketController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 
 const router = express.Router();
 
 // BookMyShow-style booking flow
 router.get('/events/:eventId/seats', bookingController.getSeatMap);
-router.post('/select-seats', authenticateToken, validate(schemas.selectSeats), bookingController.selectSeats);
+router.post('/select-seats', authenticateToken, requireVerifiedEmail, validate(schemas.selectSeats), bookingController.selectSeats);
+router.get('/shares', authenticateToken, bookingController.getMyShares);
+router.post('/shares/:shareId/pay', authenticateToken, validate(schemas.payShare), bookingController.payShare);
+router.post('/:bookingId/split', authenticateToken, validate(schemas.splitBooking), bookingController.splitBooking);
+router.post('/:bookingId/promo-code', authenticateToken, validate(schemas.applyPromoCode), bookingController.applyPromoCode);
+router.delete('/:bookingId/promo-code', authenticateToken, bookingController.removePromoCode);
 router.post('/:bookingId/confirm', authenticateToken, validate(schemas.confirmBooking), bookingController.confirmBooking);
-router.delete('/:bookingId/cancel', authenticateToken, bookingController.cancelBooking);
+router.get('/:bookingId/cancellation-quote', authenticateToken, bookingController.getCancellationQuote);
+router.delete('/:bookingId/cancel', authenticateToken, validate(schemas.cancelBooking), bookingController.cancelBooking);
 
 // User bookings
 router.get('/my-bookings', authenticateToken, bookingController.getUserBookings);
 
 // QR Tickets
 router.get('/:bookingId/ticket', authenticateToken, ticketController.getTicket);
-router.get('/validate/:ticketHash', ticketController.validateTicket);
 
 module.exports = router;
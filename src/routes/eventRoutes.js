@@ -1,7 +1,10 @@
 const express = require('express');
 const eventController = require('../controllers/eventController');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const ticketTypeController = require('../controllers/ticketTypeController');
+const eventStaffController = require('../controllers/eventStaffController');
+const { authenticateToken, authorize } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -9,7 +12,24 @@ router.get('/', eventController.getEvents);
 router.get('/:eventId', eventController.getEvent);
 router.get('/:eventId/stats', authenticateToken, eventController.getEventStats);
 
-router.post('/', authenticateToken, validate(schemas.createEvent), eventController.createEvent);
-router.put('/:eventId', authenticateToken, eventController.updateEvent);
+router.post('/', authenticateToken, authorize(PERMISSIONS.EVENTS_CREATE), validate(schemas.createEvent), eventController.createEvent);
+router.put('/:eventId', authenticateToken, validate(schemas.updateEvent), eventController.updateEvent);
+router.put('/:eventId/seating-layout', authenticateToken, validate(schemas.attachSeatingLayout), eventController.attachSeatingLayout);
+router.post('/:eventId/publish', authenticateToken, eventController.publishEvent);
+router.post('/:eventId/cancel', authenticateToken, validate(schemas.cancelEvent), eventController.cancelEvent);
+router.post('/:eventId/complete', authenticateToken, eventController.completeEvent);
+router.put('/:eventId/refund-policy', authenticateToken, validate(schemas.updateRefundPolicy), eventController.updateRefundPolicy);
+router.put('/:eventId/entry-policy', authenticateToken, validate(schemas.updateEntryPolicy), eventController.updateEntryPolicy);
+
+// Ticket types (Early Bird, Student, VIP, ...)
+router.get('/:eventId/ticket-types', ticketTypeController.listTicketTypes);
+router.post('/:eventId/ticket-types', authenticateToken, validate(schemas.createTicketType), ticketTypeController.createTicketType);
+router.put('/:eventId/ticket-types/:ticketTypeId', authenticateToken, validate(schemas.updateTicketType), ticketTypeController.updateTicketType);
+router.delete('/:eventId/ticket-types/:ticketTypeId', authenticateToken, ticketTypeController.deleteTicketType);
+
+// Gate staff who can check tickets in for the event
+router.get('/:eventId/staff', authenticateToken, eventStaffController.listStaff);
+router.post('/:eventId/staff', authenticateToken, validate(schemas.assignEventStaff), eventStaffController.assignStaff);
+router.delete('/:eventId/staff/:userId', authenticateToken, eventStaffController.removeStaff);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+// src/routes/eventSeriesRoutes.js
+const express = require('express');
+const eventSeriesController = require('../controllers/eventSeriesController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Occurrences are listed and booked through /events like any other event
+router.use(authenticateToken, authorize(PERMISSIONS.EVENTS_CREATE));
+
+router.post('/', validate(schemas.createEventSeries), eventSeriesController.createSeries);
+router.get('/:seriesId', eventSeriesController.getSeries);
+router.put('/:seriesId/occurrences/:eventId', validate(schemas.updateSeriesOccurrences), eventSeriesController.updateOccurrences);
+
+module.exports = router;
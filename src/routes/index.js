@@ -6,6 +6,11 @@ const waitlistRoutes = require('./waitlistRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
 const adminRoutes = require('./adminRoutes'); // Add this line
 const seatRoutes = require('./seatRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const venueRoutes = require('./venueRoutes');
+const eventSeriesRoutes = require('./eventSeriesRoutes');
+const promoCodeRoutes = require('./promoCodeRoutes');
+const ticketRoutes = require('./ticketRoutes');
 const router = express.Router();
 
 // API info
@@ -17,10 +22,16 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/auth',
       events: '/events',
+      eventSeries: '/event-series',
       bookings: '/bookings',
       waitlist: '/waitlist',
       analytics: '/analytics',
-      admin: '/admin' // Add this line
+      admin: '/admin', // Add this line
+      seats: '/seats',
+      venues: '/venues',
+      payments: '/payments',
+      promoCodes: '/promo-codes',
+      tickets: '/tickets'
     }
   });
 });
@@ -28,9 +39,15 @@ router.get('/', (req, res) => {
 // Route modules
 router.use('/auth', authRoutes);
 router.use('/events', eventRoutes);
+router.use('/event-series', eventSeriesRoutes);
 router.use('/bookings', bookingRoutes);
 router.use('/waitlist', waitlistRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/admin', adminRoutes); // Add this line
+router.use('/seats', seatRoutes);
+router.use('/venues', venueRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/promo-codes', promoCodeRoutes);
+router.use('/tickets', ticketRoutes);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+// src/routes/paymentRoutes.js
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Gateway callbacks (authenticated by HMAC signature, not JWT)
+router.post('/webhooks/:gateway', paymentController.handleWebhook);
+
+// Refund ledger (finance / admin)
+router.get('/refunds', authenticateToken, authorize(PERMISSIONS.REFUNDS_MANAGE), paymentController.listRefunds);
+router.get('/refunds/:refundId', authenticateToken, authorize(PERMISSIONS.REFUNDS_MANAGE), paymentController.getRefund);
+router.post('/refunds/:refundId/retry', authenticateToken, authorize(PERMISSIONS.REFUNDS_MANAGE), paymentController.retryRefund);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// src/routes/promoCodeRoutes.js
+const express = require('express');
+const promoCodeController = require('../controllers/promoCodeController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Customers apply codes through /bookings/:bookingId/promo-code
+router.use(authenticateToken, authorize(PERMISSIONS.PROMOTIONS_MANAGE));
+
+router.get('/', promoCodeController.listPromoCodes);
+router.post('/', validate(schemas.createPromoCode), promoCodeController.createPromoCode);
+router.get('/:promoCodeId', promoCodeController.getPromoCode);
+router.put('/:promoCodeId', validate(schemas.updatePromoCode), promoCodeController.updatePromoCode);
+
+module.exports = router;
@@ -2,11 +2,16 @@
 const express = require('express');
 const {
   generateSeatMap,
+  importSeatMap,
+  exportSeatMap,
   getSeatMap,
   bookSpecificSeats,
   getAvailableSeats
 } = require('../controllers/seatController');
-const { authenticateToken } = require('../middleware/auth');
+const bookingController = require('../controllers/bookingController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { singleFileUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -18,9 +23,11 @@ router.get('/:eventId', getSeatMap);
 router.use(authenticateToken);
 
 // User routes
-router.post('/book', bookSpecificSeats);
+router.post('/book', requireVerifiedEmail, bookSpecificSeats, validate(schemas.selectSeats), bookingController.selectSeats);
 
-// Admin routes  
+// Event owner or admin
 router.post('/:eventId/generate', generateSeatMap);
+router.post('/:eventId/import', singleFileUpload('file'), importSeatMap);
+router.get('/:eventId/export', exportSeatMap);
 
 module.exports = router;
\ No newline at end of file
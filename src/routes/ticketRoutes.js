@@ -0,0 +1,24 @@
+// src/routes/ticketRoutes.js
+const express = require('express');
+const ticketController = require('../controllers/ticketController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public so scanner devices can fetch it before signing in
+router.get('/jwks', ticketController.getJwks);
+
+// A booking's tickets: GET /bookings/:bookingId/ticket
+router.use(authenticateToken);
+
+router.get('/', ticketController.getMyTickets);
+// Gate check-in and offline scanner sync, for staff assigned to the event
+router.post('/check-in', validate(schemas.checkIn), ticketController.checkIn);
+router.get('/revocations', ticketController.getRevocations);
+router.get('/manifest', ticketController.getManifest);
+router.post('/scans', validate(schemas.uploadTicketScans), ticketController.uploadScans);
+router.post('/:ticketId/transfer', validate(schemas.transferTicket), ticketController.transferTicket);
+router.put('/:ticketId/attendee', validate(schemas.updateTicketAttendee), ticketController.updateAttendee);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/routes/venueRoutes.js
+const express = require('express');
+const venueController = require('../controllers/venueController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', venueController.getVenues);
+router.get('/:venueId', venueController.getVenue);
+router.get('/:venueId/layouts/:layoutId', venueController.getLayout);
+
+// Protected routes (organizers; scoped to their own venues unless admin)
+router.use(authenticateToken, authorize(PERMISSIONS.VENUES_MANAGE));
+
+router.post('/', validate(schemas.createVenue), venueController.createVenue);
+router.put('/:venueId', validate(schemas.updateVenue), venueController.updateVenue);
+router.delete('/:venueId', venueController.deleteVenue);
+
+router.post('/:venueId/layouts', validate(schemas.createSeatingLayout), venueController.createLayout);
+router.put('/:venueId/layouts/:layoutId', validate(schemas.updateSeatingLayout), venueController.updateLayout);
+router.delete('/:venueId/layouts/:layoutId', venueController.deleteLayout);
+
+module.exports = router;
@@ -3,31 +3,66 @@ const { Event, Booking, User } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const logger = require('../utils/logger');
-
+const realtimeService = require('./realtimeService');
+
+const LIVE_CHANNEL = 'analytics:live';
+const LEADER_LOCK = 'analytics-live-stats-leader';
+const STATS_INTERVAL_MS = 10000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// LIVE_STATS and activity events for the admin dashboard, streamed as
+// Server-Sent Events from GET /api/analytics/live.
+//
+// Stats are only computed while some dashboard is connected. With Redis
+// pub/sub enabled (connectPubSub, called by the server) every instance
+// forwards the shared channel to its own clients, and a Redis lock elects a
+// single leader among the instances with clients to compute LIVE_STATS.
 class AnalyticsService {
   constructor() {
     this.clients = new Set();
     this.broadcastInterval = null;
-    this.startBroadcasting();
-    if (process.env.NODE_ENV !== 'test') {
-      this.startBroadcasting();
-    }
+    this.heartbeatInterval = null;
+    this.leaderLock = null;
+    this.publisher = null;
+    this.subscriber = null;
+  }
 
+  // Share broadcasts between instances through Redis
+  connectPubSub() {
+    if (this.subscriber) return;
+
+    // Loaded here rather than at the top: scripts and tests never open Redis
+    const { redis, lock } = require('../config/redis');
+    this.publisher = redis;
+    this.lock = lock;
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('error', error => logger.error('Analytics subscriber error:', error.message));
+    this.subscriber.subscribe(LIVE_CHANNEL).catch(error => {
+      logger.error('Analytics subscription failed:', error.message);
+    });
+    this.subscriber.on('message', (channel, message) => {
+      if (channel === LIVE_CHANNEL) this.sendToClients(message);
+    });
   }
 
-  // Start broadcasting live stats every 10 seconds
+  // Start broadcasting live stats every 10 seconds (while clients are connected)
   startBroadcasting() {
-    if (this.broadcastInterval) {
-      clearInterval(this.broadcastInterval);
-    }
+    if (this.broadcastInterval) return;
 
     this.broadcastInterval = setInterval(async () => {
       try {
-        await this.broadcastLiveStats();
+        if (await this.holdLeadership()) {
+          await this.broadcastLiveStats();
+        }
       } catch (error) {
         logger.error('Analytics broadcast error:', error);
       }
-    }, 10000); // 10 seconds
+    }, STATS_INTERVAL_MS);
+
+    // Comment frames keep idle proxies from closing the streams
+    this.heartbeatInterval = setInterval(() => {
+      this.clients.forEach(client => this.write(client, ': ping\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
   }
 
   stopBroadcasting() {
@@ -35,8 +70,29 @@ class AnalyticsService {
       clearInterval(this.broadcastInterval);
       this.broadcastInterval = null;
     }
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    if (this.leaderLock) {
+      this.lock.release(this.leaderLock.key, this.leaderLock.value);
+      this.leaderLock = null;
+    }
   }
 
+  // Whether this instance computes LIVE_STATS this tick. Without pub/sub every
+  // instance only serves itself, so it always leads.
+  async holdLeadership() {
+    if (!this.publisher) return true;
+
+    const ttl = STATS_INTERVAL_MS * 3;
+    if (this.leaderLock && await this.lock.extend(this.leaderLock.key, this.leaderLock.value, ttl)) {
+      return true;
+    }
+
+    this.leaderLock = await this.lock.acquire(LEADER_LOCK, ttl);
+    return !!this.leaderLock;
+  }
 
   async broadcastLiveStats() {
     try {
@@ -210,6 +266,16 @@ class AnalyticsService {
       };
 
       this.broadcast('SEAT_ACTIVITY', payload);
+
+      // Seat map viewers only need the delta, not who made it
+      realtimeService.publishSeatActivity({
+        eventId,
+        action,
+        seatNumbers: data.seatNumbers || [],
+        reason: data.reason || null,
+        timestamp: payload.timestamp
+      });
+
       logger.info('Seat activity broadcasted:', payload);
     } catch (error) {
       logger.error('Error broadcasting seat activity:', error);
@@ -326,53 +392,75 @@ class AnalyticsService {
     }
   }
 
-  // Generic broadcast method
+  // Send an event to every dashboard, on all instances when pub/sub is enabled
   broadcast(type, data) {
     const message = JSON.stringify({ type, data });
-    
-    this.clients.forEach(client => {
-      try {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          client.send(message);
-        }
-      } catch (error) {
-        logger.error('Error sending message to client:', error);
-        this.clients.delete(client);
-      }
+
+    if (!this.publisher) {
+      this.sendToClients(message);
+      return;
+    }
+
+    this.publisher.publish(LIVE_CHANNEL, message).catch(error => {
+      logger.warn('Analytics publish failed, sending locally:', error.message);
+      this.sendToClients(message);
     });
   }
 
-  // WebSocket client management
-  addClient(ws) {
-    this.clients.add(ws);
+  sendToClients(message) {
+    if (this.clients.size === 0) return;
+
+    const { type, data } = JSON.parse(message);
+    const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(client => this.write(client, frame));
+  }
+
+  write(client, frame) {
+    try {
+      client.write(frame);
+      // compression() buffers responses until flushed
+      if (typeof client.flush === 'function') client.flush();
+    } catch (error) {
+      logger.error('Error sending message to client:', error);
+      this.removeClient(client);
+    }
+  }
+
+  // Register an open SSE response; broadcasting starts with the first client
+  addClient(res) {
+    this.clients.add(res);
     logger.info('Analytics client connected. Total clients:', this.clients.size);
 
-    ws.on('close', () => {
-      this.clients.delete(ws);
-      logger.info('Analytics client disconnected. Total clients:', this.clients.size);
-    });
+    res.on('close', () => this.removeClient(res));
 
-    ws.on('error', (error) => {
-      logger.error('WebSocket client error:', error);
-      this.clients.delete(ws);
-    });
+    if (this.clients.size === 1) {
+      this.startBroadcasting();
+    }
 
     // Send initial stats to new client
     this.getCurrentStats().then(stats => {
-      try {
-        ws.send(JSON.stringify({ type: 'INITIAL_STATS', data: stats }));
-      } catch (error) {
-        logger.error('Error sending initial stats:', error);
-      }
+      this.write(res, `event: INITIAL_STATS\ndata: ${JSON.stringify(stats)}\n\n`);
     });
   }
 
+  removeClient(res) {
+    if (!this.clients.delete(res)) return;
+    logger.info('Analytics client disconnected. Total clients:', this.clients.size);
+
+    if (this.clients.size === 0) {
+      this.stopBroadcasting();
+    }
+  }
+
   // Cleanup
   destroy() {
-    if (this.broadcastInterval) {
-      clearInterval(this.broadcastInterval);
-    }
+    this.stopBroadcasting();
+    this.clients.forEach(client => client.end());
     this.clients.clear();
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+      this.subscriber = null;
+    }
   }
 
   // Booking status change analytics
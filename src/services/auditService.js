@@ -0,0 +1,73 @@
+// src/services/auditService.js
+const { AuditLog } = require('../models');
+const logger = require('../utils/logger');
+
+// JSON-comparable form of a field value (dates and decimals compare as text)
+const normalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+const toPlain = (record) => (record && typeof record.get === 'function' ? record.get({ plain: true }) : record || {});
+
+class AuditService {
+  // Actor and request details for an entry; pass null for system actions
+  contextFrom(req) {
+    const userAgent = req.get && req.get('user-agent');
+
+    return {
+      actorId: req.user ? req.user.id : null,
+      actorRole: req.user ? req.user.role : null,
+      ip: req.ip || null,
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      requestId: req.id || null
+    };
+  }
+
+  // Field-level diff of two snapshots, limited to `fields` when given.
+  // Returns null when nothing changed.
+  diff(before, after, fields = null) {
+    const from = toPlain(before);
+    const to = toPlain(after);
+    const keys = fields || [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    const changes = {};
+    keys.forEach(key => {
+      const previous = normalize(from[key]);
+      const next = normalize(to[key]);
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+        changes[key] = { from: previous, to: next };
+      }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Write an entry. Inside a transaction the entry commits or rolls back with
+  // the change it describes, so failures propagate. Outside one the action
+  // has already happened, so a failed write is logged rather than thrown.
+  async record(context, { action, entityType, entityId, before, after, fields, changes, metadata }, { transaction } = {}) {
+    const entry = {
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : null,
+      ...(context || {}),
+      changes: changes || (before || after ? this.diff(before, after, fields) : null),
+      metadata: metadata || null
+    };
+
+    if (transaction) {
+      return AuditLog.create(entry, { transaction });
+    }
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      logger.error('Audit log write failed:', { action, entityType, entityId, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -17,21 +17,30 @@ class EmailService {
     });
   }
 
-  async sendBookingConfirmation(booking, event, user) {
+  // One QR attachment per ticket; bookings confirmed before per-seat tickets carry a single booking QR
+  async sendBookingConfirmation(booking, event, user, tickets = []) {
     try {
-      const emailHtml = await this.generateBookingConfirmationHTML(booking, event, user);
-      
+      const emailHtml = await this.generateBookingConfirmationHTML(booking, event, user, tickets);
+      const attachments = tickets.length > 0
+        ? tickets.map((ticket, index) => ({
+          filename: `ticket-${booking.bookingNumber}-${ticket.seatNumber || index + 1}.png`,
+          content: ticket.qrCode.split(',')[1],
+          encoding: 'base64',
+          cid: `ticket-${ticket.id}`
+        }))
+        : booking.qrCode ? [{
+          filename: `ticket-${booking.bookingNumber}.png`,
+          content: booking.qrCode.split(',')[1],
+          encoding: 'base64',
+          cid: 'qrticket'
+        }] : [];
+
       const mailOptions = {
         from: `"Evently" <${process.env.SMTP_FROM}>`,
         to: user.email,
         subject: `🎟️ Booking Confirmed: ${event.name}`,
         html: emailHtml,
-        attachments: booking.qrCode ? [{
-          filename: `ticket-${booking.bookingNumber}.png`,
-          content: booking.qrCode.split(',')[1],
-          encoding: 'base64',
-          cid: 'qrticket'
-        }] : []
+        attachments
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -52,7 +61,7 @@ class EmailService {
     }
   }
 
-  async generateBookingConfirmationHTML(booking, event, user) {
+  async generateBookingConfirmationHTML(booking, event, user, tickets = []) {
     const seatInfo = booking.seatNumbers ? 
       `Seats: ${booking.seatNumbers.join(', ')} (${booking.seatSection} - Row ${booking.seatRow})` :
       `General Admission: ${booking.ticketCount} ticket(s)`;
@@ -95,7 +104,16 @@ class EmailService {
                     <p><strong>Total Amount:</strong> ${booking.currency} ${booking.totalAmount}</p>
                 </div>
 
-                ${booking.qrCode ? `
+                ${tickets.length > 0 ? `
+                <div class="qr-section">
+                    <h3>📱 Your Digital Tickets</h3>
+                    ${tickets.map(ticket => `
+                    <p><strong>${ticket.seatNumber ? `Seat ${ticket.seatNumber}` : 'General Admission'}</strong></p>
+                    <img src="cid:ticket-${ticket.id}" alt="QR Ticket" style="max-width: 200px;">
+                    `).join('')}
+                    <p><small>Each QR code admits one person at the venue entrance</small></p>
+                </div>
+                ` : booking.qrCode ? `
                 <div class="qr-section">
                     <h3>📱 Your Digital Ticket</h3>
                     <img src="cid:qrticket" alt="QR Ticket" style="max-width: 200px;">
@@ -120,13 +138,21 @@ class EmailService {
     </html>`;
   }
 
-  async sendCancellationEmail(booking, event, user) {
+  async sendCancellationEmail(booking, event, user, { cancelledSeats = [], refund = null } = {}) {
+    const isPartial = booking.status !== 'CANCELLED';
+    const summary = isPartial
+      ? `Seats <strong>${cancelledSeats.join(', ')}</strong> of your booking <strong>${booking.bookingNumber}</strong> for <strong>${event.name}</strong> have been cancelled.`
+      : `Your booking <strong>${booking.bookingNumber}</strong> for <strong>${event.name}</strong> has been cancelled.`;
+    const refundInfo = refund
+      ? `A refund of ${refund.currency} ${refund.amount} has been initiated and will reach you within 5-7 business days.`
+      : 'No refund is due for this cancellation.';
+
     const emailHtml = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #dc3545;">Booking Cancelled</h2>
         <p>Hi ${user.name},</p>
-        <p>Your booking <strong>${booking.bookingNumber}</strong> for <strong>${event.name}</strong> has been cancelled.</p>
-        <p>Refund will be processed within 5-7 business days.</p>
+        <p>${summary}</p>
+        <p>${refundInfo}</p>
         <hr>
         <p><small>© 2025 Evently</small></p>
     </div>`;
@@ -138,6 +164,129 @@ class EmailService {
       html: emailHtml
     });
   }
+
+  async sendPasswordResetEmail(user, resetUrl) {
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Reset your password</h2>
+        <p>Hi ${user.name},</p>
+        <p>We received a request to reset the password for your Evently account.</p>
+        <p><a href="${resetUrl}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 4px;">Reset password</a></p>
+        <p>This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: user.email,
+      subject: 'Reset your Evently password',
+      html: emailHtml
+    });
+  }
+
+  async sendEmailVerification(user, verifyUrl) {
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Confirm your email address</h2>
+        <p>Hi ${user.name},</p>
+        <p>Please confirm that ${user.email} is your email address.</p>
+        <p><a href="${verifyUrl}" style="display: inline-block; padding: 12px 24px; background: #28a745; color: white; text-decoration: none; border-radius: 4px;">Verify email</a></p>
+        <p>This link expires in 24 hours.</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: user.email,
+      subject: 'Verify your Evently email address',
+      html: emailHtml
+    });
+  }
+
+  async sendEventCancellationEmail(event, user, { booking, refund = null, reason = null } = {}) {
+    const refundInfo = refund
+      ? `A full refund of ${refund.currency} ${refund.amount} has been initiated and will reach you within 5-7 business days.`
+      : 'No payment was taken for this booking, so no refund is due.';
+
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Event Cancelled</h2>
+        <p>Hi ${user.name},</p>
+        <p>We're sorry to let you know that <strong>${event.name}</strong>, scheduled for ${new Date(event.dateTime).toLocaleString()}, has been cancelled by the organizer.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        <p>Your booking <strong>${booking.bookingNumber}</strong> has been cancelled. ${refundInfo}</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: user.email,
+      subject: `Event Cancelled: ${event.name}`,
+      html: emailHtml
+    });
+  }
+
+  async sendSplitPaymentInvite(email, booking, event, owner, { share, payUrl }) {
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${owner.name} saved you a seat</h2>
+        <p>${owner.name} is booking <strong>${event.name}</strong> on ${new Date(event.dateTime).toLocaleString()} for a group and has asked you to pay for your share.</p>
+        <p><strong>Seats:</strong> ${share.seatNumbers.join(', ')}<br>
+           <strong>Amount:</strong> ${booking.currency} ${share.amount}</p>
+        <p><a href="${payUrl}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 4px;">Pay for your seats</a></p>
+        <p>Seats that are not paid for by ${new Date(booking.reservationExpiresAt).toLocaleString()} will be released. Sign in with ${email} to pay.</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: email,
+      subject: `Pay for your seats: ${event.name}`,
+      html: emailHtml
+    });
+  }
+
+  async sendTicketTransfer(recipient, ticket, event, fromUser) {
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>You've received a ticket</h2>
+        <p>Hi ${recipient.name},</p>
+        <p>${fromUser.name} has transferred a ticket for <strong>${event.name}</strong> on ${new Date(event.dateTime).toLocaleString()} to you${ticket.seatNumber ? ` (seat <strong>${ticket.seatNumber}</strong>)` : ''}.</p>
+        <p>The ticket is now in your Evently account. Show its QR code at the venue entrance.</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: recipient.email,
+      subject: `Ticket transferred to you: ${event.name}`,
+      html: emailHtml
+    });
+  }
+
+  async sendAdminInvite(email, invitedBy, inviteUrl) {
+    const emailHtml = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>You're invited to administer Evently</h2>
+        <p>${invitedBy.name} has invited you to join Evently as an administrator.</p>
+        <p><a href="${inviteUrl}" style="display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 4px;">Accept invitation</a></p>
+        <p>This invitation expires in 72 hours and can only be used once.</p>
+        <hr>
+        <p><small>© 2025 Evently</small></p>
+    </div>`;
+
+    return await this.transporter.sendMail({
+      from: `"Evently" <${process.env.SMTP_FROM}>`,
+      to: email,
+      subject: 'Your Evently admin invitation',
+      html: emailHtml
+    });
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,291 @@
+// src/services/eventLifecycleService.js
+const { Event, Booking, Seat, Waitlist, User, Refund, TicketType, PromoRedemption } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const refundService = require('./refundService');
+const groupBookingService = require('./groupBookingService');
+const ticketService = require('./ticketService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/constants');
+
+// Event-cancellation refunds still unsent after this long were interrupted
+const STALLED_REFUND_MINUTES = 5;
+
+// Event status changes (see EVENT_TRANSITIONS) and what cancelling an event
+// sets off. The status change is a single conditional update; the cascade
+// over bookings runs afterwards and is idempotent per booking, so
+// eventLifecycleJob can finish it if the process dies half way.
+class EventLifecycleService {
+  // Move `event` to `status` if it is still in the status it was loaded with.
+  // Returns false when a concurrent request got there first.
+  async transition(event, status, auditContext, { reason = null, metadata = null } = {}) {
+    const from = event.status;
+    const fields = { status };
+    if (status === 'CANCELLED') {
+      fields.cancelledAt = new Date();
+      fields.cancellationReason = reason;
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const [updated] = await Event.update(fields, {
+        where: { id: event.id, status: from },
+        transaction
+      });
+
+      if (updated === 0) {
+        await transaction.rollback();
+        return false;
+      }
+
+      await auditService.record(auditContext, {
+        action: `event.${status.toLowerCase()}`,
+        entityType: 'Event',
+        entityId: event.id,
+        changes: { status: { from, to: status } },
+        metadata: reason ? { ...metadata, reason } : metadata
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    Object.assign(event, fields);
+    logger.info(`Event ${event.id} moved from ${from} to ${status}`);
+    return true;
+  }
+
+  // Cancel, refund and notify every active booking of a cancelled event, then
+  // close its waitlist
+  async cascadeCancellation(event, auditContext = null) {
+    const reason = event.cancellationReason;
+    const summary = { cancelledBookings: 0, refundsRequested: 0, failures: 0, waitlistExpired: 0 };
+
+    const bookings = await Booking.findAll({
+      where: { eventId: event.id, status: { [Op.in]: ACTIVE_BOOKING_STATUSES } },
+      include: [{ model: User, as: 'user' }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const booking of bookings) {
+      try {
+        const result = await this.cancelBookingForEvent(booking, event, auditContext, reason);
+        if (result.cancelled) summary.cancelledBookings++;
+        summary.refundsRequested += result.refundCount;
+      } catch (error) {
+        summary.failures++;
+        logger.error('Failed to cancel booking for cancelled event:', {
+          eventId: event.id,
+          bookingId: booking.id,
+          error: error.message
+        });
+      }
+    }
+
+    const [waitlistExpired] = await Waitlist.update({ status: 'EXPIRED' }, {
+      where: { eventId: event.id, status: { [Op.in]: ['WAITING', 'NOTIFIED'] } }
+    });
+    summary.waitlistExpired = waitlistExpired;
+
+    logger.info('Event cancellation cascade finished:', { eventId: event.id, ...summary });
+    return summary;
+  }
+
+  // Cancel one booking because its event was cancelled. Paid bookings get
+  // their whole remaining balance back regardless of the refund policy.
+  async cancelBookingForEvent(booking, event, auditContext, reason) {
+    const result = await this.markCancelled(booking, auditContext);
+    if (!result) {
+      return { cancelled: false, refund: null, refundCount: 0 };
+    }
+
+    const { previousStatus } = result;
+    const refund = result.refund && await refundService.submit(result.refund);
+
+    if (result.shares) {
+      // Split bookings: every payer hears about their own seats and refund
+      let refundCount = 0;
+      for (const { share, refund: shareRefund } of result.shares) {
+        if (share.status !== 'PAID') continue;
+
+        const submitted = shareRefund && await refundService.submit(shareRefund);
+        if (submitted) refundCount++;
+
+        const payer = share.payer || { name: share.email, email: share.email };
+        await this.sendCancellationEmail(event, payer, { booking, refund: submitted, reason });
+      }
+      return { cancelled: true, refund: null, refundCount };
+    }
+
+    if (booking.user && ['CONFIRMED', 'PAYMENT_PENDING'].includes(previousStatus)) {
+      await this.sendCancellationEmail(event, booking.user, { booking, refund, reason });
+    }
+
+    return { cancelled: true, refund, refundCount: refund ? 1 : 0 };
+  }
+
+  async sendCancellationEmail(event, user, details) {
+    try {
+      await emailService.sendEventCancellationEmail(event, user, details);
+    } catch (error) {
+      logger.error('Event cancellation email failed:', { bookingId: details.booking.id, error: error.message });
+    }
+  }
+
+  // Conditionally cancel the booking, free its seats and, if it was paid,
+  // write the refund to the ledger in the same transaction (it is submitted
+  // afterwards; resumeStalledRefunds picks it up if that never happens).
+  // Re-reads and retries if the booking moved (e.g. a payment confirmed it)
+  // between load and update. Returns { previousStatus, refund }, or null if
+  // the booking was no longer active; split bookings return
+  // { previousStatus, shares: [{ share, refund }] } instead.
+  async markCancelled(booking, auditContext) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+        return null;
+      }
+
+      const previousStatus = booking.status;
+      const transaction = await sequelize.transaction();
+
+      try {
+        const [updated] = await Booking.update({ status: 'CANCELLED' }, {
+          where: { id: booking.id, status: previousStatus },
+          transaction
+        });
+
+        if (updated === 1 && booking.paymentMode === 'SPLIT') {
+          const shares = await groupBookingService.releaseForCancellation(booking, previousStatus, transaction);
+          const shareRefunds = [];
+          for (const share of shares) {
+            const [refund] = await refundService.createShareRefunds(booking, [share], 100, {
+              reason: 'EVENT_CANCELLED',
+              requestedBy: auditContext ? auditContext.actorId : null,
+              auditContext
+            }, transaction);
+            shareRefunds.push({ share, refund: refund || null });
+          }
+
+          await auditService.record(auditContext, {
+            action: 'booking.cancel',
+            entityType: 'Booking',
+            entityId: booking.id,
+            changes: { status: { from: previousStatus, to: 'CANCELLED' } },
+            metadata: { reason: 'EVENT_CANCELLED' }
+          }, { transaction });
+
+          await transaction.commit();
+          booking.status = 'CANCELLED';
+          return { previousStatus, shares: shareRefunds };
+        }
+
+        if (updated === 1) {
+          if (previousStatus === 'CONFIRMED') {
+            await Seat.releaseBookedSeats(booking.id, null, transaction);
+            await ticketService.cancelForBooking(booking, null, transaction);
+          } else {
+            await Seat.releaseReservation(booking.userId, booking.id, transaction);
+            await PromoRedemption.releaseForBooking(booking, transaction);
+          }
+          await Event.releaseSeats(booking.eventId, booking.ticketCount, transaction);
+          await TicketType.releaseForBooking(booking, null, transaction);
+
+          await auditService.record(auditContext, {
+            action: 'booking.cancel',
+            entityType: 'Booking',
+            entityId: booking.id,
+            changes: { status: { from: previousStatus, to: 'CANCELLED' } },
+            metadata: { reason: 'EVENT_CANCELLED' }
+          }, { transaction });
+
+          let refund = null;
+          const balance = await refundService.refundableBalance(booking, transaction);
+          if (previousStatus === 'CONFIRMED' && booking.paymentId && balance > 0) {
+            refund = await refundService.createRefund(booking, {
+              amount: balance,
+              reason: 'EVENT_CANCELLED',
+              requestedBy: auditContext ? auditContext.actorId : null,
+              auditContext
+            }, transaction);
+          }
+
+          await transaction.commit();
+          booking.status = 'CANCELLED';
+          return { previousStatus, refund };
+        }
+
+        await transaction.rollback();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      await booking.reload();
+    }
+
+    throw new Error(`Booking ${booking.id} kept changing while being cancelled`);
+  }
+
+  // Published events whose start lies more than `graceHours` in the past
+  async completePastEvents(graceHours, limit = 100) {
+    const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+    const events = await Event.findAll({
+      where: { status: 'PUBLISHED', dateTime: { [Op.lt]: cutoff } },
+      order: [['dateTime', 'ASC']],
+      limit
+    });
+
+    let completed = 0;
+    for (const event of events) {
+      if (await this.transition(event, 'COMPLETED', null, { metadata: { automatic: true } })) {
+        completed++;
+      }
+    }
+
+    return completed;
+  }
+
+  // Submit event-cancellation refunds whose ledger row was written but which
+  // never reached the gateway. The refund id is the gateway idempotency key,
+  // so a refund that did get through is not paid twice.
+  async resumeStalledRefunds(limit = 100) {
+    const refunds = await Refund.findAll({
+      where: {
+        status: 'PENDING',
+        reason: 'EVENT_CANCELLED',
+        gatewayRefundId: null,
+        createdAt: { [Op.lt]: new Date(Date.now() - STALLED_REFUND_MINUTES * 60 * 1000) }
+      },
+      order: [['createdAt', 'ASC']],
+      limit
+    });
+
+    for (const refund of refunds) {
+      await refundService.submit(refund);
+    }
+
+    return refunds.length;
+  }
+
+  // Cancelled events that still have active bookings, i.e. a cascade that
+  // was interrupted
+  async findUnfinishedCancellations() {
+    const bookings = await Booking.findAll({
+      attributes: ['eventId'],
+      where: { status: { [Op.in]: ACTIVE_BOOKING_STATUSES } },
+      include: [{ model: Event, as: 'event', where: { status: 'CANCELLED' }, attributes: [] }],
+      group: ['eventId'],
+      raw: true
+    });
+
+    if (bookings.length === 0) return [];
+    return Event.findAll({ where: { id: bookings.map(booking => booking.eventId) } });
+  }
+}
+
+module.exports = new EventLifecycleService();
@@ -0,0 +1,197 @@
+// src/services/eventSeriesService.js
+const { Event, EventSeries, Seat, Venue, SeatingLayout } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { createError } = require('../middleware/errorHandler');
+const { validateRecurrence, expandRecurrence, zonedDateTime, parseDate } = require('../utils/recurrence');
+const { getDefaultLayout, expandLayout } = require('../utils/seatLayout');
+const eventService = require('./eventService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// Occurrence fields an "all future occurrences" edit keeps in the template
+const TEMPLATE_FIELDS = ['name', 'description', 'venue', 'capacity', 'price', 'category', 'imageUrl'];
+
+// Creates the occurrences of a series and applies edits to one occurrence or
+// to it and every later one
+class EventSeriesService {
+  // `data` is schemas.createEventSeries: the recurrence rule plus the event
+  // fields every occurrence starts from. Occurrences are created as DRAFT
+  // with a seat map generated from the series layout.
+  async createSeries(data, user, auditContext) {
+    const { recurrence: rule, ...template } = data;
+
+    const errors = validateRecurrence(rule);
+    if (errors.length > 0) {
+      throw createError.badRequest(`Invalid recurrence rule: ${errors.join('; ')}`);
+    }
+
+    const selection = await eventService.resolveVenueSelection(template.venueId, template.seatingLayoutId);
+
+    // Without an explicit timezone occurrences follow the venue's clock
+    const recurrence = { interval: 1, ...rule };
+    if (!recurrence.timezone) {
+      const venue = selection.venueId ? await Venue.findByPk(selection.venueId) : null;
+      recurrence.timezone = (venue && venue.timezone) || 'UTC';
+    }
+
+    let occurrences;
+    try {
+      occurrences = expandRecurrence(recurrence);
+    } catch (error) {
+      throw createError.badRequest(error.message);
+    }
+
+    if (occurrences.length === 0) {
+      throw createError.badRequest('The recurrence rule does not produce any occurrences');
+    }
+    if (occurrences[0].dateTime <= new Date()) {
+      throw createError.badRequest('Every occurrence must be in the future');
+    }
+
+    const layout = selection.seatingLayoutId ? await SeatingLayout.findByPk(selection.seatingLayoutId) : null;
+    const seatTemplate = expandLayout(layout ? layout.definition : getDefaultLayout(), template.price);
+
+    // With nothing sold the seat map defines capacity, as for a generated seat map
+    const capacity = template.capacity || seatTemplate.length;
+    if (capacity > seatTemplate.length) {
+      throw createError.badRequest(`Capacity cannot exceed the ${seatTemplate.length} seats of the seating layout`);
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const series = await EventSeries.create({
+        name: template.name,
+        recurrence,
+        template: { ...template, ...selection, capacity },
+        ...selection,
+        createdBy: user.id
+      }, { transaction });
+
+      const events = [];
+      for (const occurrence of occurrences) {
+        const event = await Event.create({
+          ...template,
+          ...selection,
+          capacity,
+          availableSeats: capacity,
+          dateTime: occurrence.dateTime,
+          seriesId: series.id,
+          occurrenceDate: occurrence.date,
+          createdBy: user.id
+        }, { transaction });
+
+        await Seat.bulkCreate(seatTemplate.map(seat => ({
+          ...seat,
+          eventId: event.id,
+          isBooked: false,
+          isBlocked: false
+        })), { transaction });
+
+        events.push(event);
+      }
+
+      await auditService.record(auditContext, {
+        action: 'event_series.create',
+        entityType: 'EventSeries',
+        entityId: series.id,
+        metadata: {
+          occurrences: events.length,
+          seatsPerOccurrence: seatTemplate.length,
+          recurrence
+        }
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info(`Event series ${series.id} created with ${events.length} occurrences by user ${user.id}`);
+      return { series, events };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Edit `event` alone (scope THIS) or it and every later occurrence that can
+  // still be edited (scope FUTURE). A FUTURE edit takes `time` instead of a
+  // dateTime, since each occurrence keeps its own date. All occurrences are
+  // updated in one transaction, so a conflict on any of them changes nothing.
+  async updateOccurrences(series, event, scope, changes, auditContext) {
+    if (event.seriesId !== series.id) {
+      throw createError.notFound('Event is not an occurrence of this series');
+    }
+    if (!eventService.isEditable(event)) {
+      throw createError.conflict(`A ${event.status.toLowerCase()} event can no longer be edited`);
+    }
+
+    const targets = scope === 'THIS'
+      ? [event]
+      : await Event.findAll({
+        where: {
+          seriesId: series.id,
+          occurrenceDate: { [Op.gte]: event.occurrenceDate },
+          status: { [Op.in]: ['DRAFT', 'PUBLISHED'] },
+          dateTime: { [Op.gt]: new Date() }
+        },
+        order: [['occurrenceDate', 'ASC']]
+      });
+
+    const { time, ...fields } = changes;
+    const metadata = { seriesId: series.id, scope };
+    const priceChanges = [];
+    const transaction = await sequelize.transaction();
+
+    try {
+      for (const target of targets) {
+        const updates = { ...fields };
+        if (time) {
+          updates.dateTime = zonedDateTime(parseDate(target.occurrenceDate), time, series.recurrence.timezone);
+        }
+
+        const priceChange = await eventService.applyUpdate(target, updates, auditContext, transaction, metadata);
+        if (priceChange) {
+          priceChanges.push({ eventId: target.id, ...priceChange });
+        }
+      }
+
+      if (scope === 'FUTURE') {
+        await this.updateTemplate(series, fields, time, auditContext, transaction, {
+          fromOccurrence: event.occurrenceDate,
+          updatedOccurrences: targets.length
+        });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Event series ${series.id}: ${targets.length} occurrence(s) updated (${scope})`);
+    return { events: targets, priceChanges };
+  }
+
+  async updateTemplate(series, fields, time, auditContext, transaction, metadata) {
+    const template = { ...series.template };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) template[field] = fields[field];
+    });
+
+    const recurrence = time ? { ...series.recurrence, time } : series.recurrence;
+    const before = { name: series.name, template: series.template, recurrence: series.recurrence };
+
+    await series.update({ name: template.name, template, recurrence }, { transaction });
+
+    await auditService.record(auditContext, {
+      action: 'event_series.update',
+      entityType: 'EventSeries',
+      entityId: series.id,
+      before,
+      after: { name: series.name, template, recurrence },
+      metadata
+    }, { transaction });
+  }
+}
+
+module.exports = new EventSeriesService();
@@ -0,0 +1,115 @@
+// src/services/eventService.js
+const { Booking, Seat, Venue, SeatingLayout } = require('../models');
+const { sequelize } = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+const auditService = require('./auditService');
+
+// Events stay editable until they are cancelled or completed
+const EDITABLE_STATUSES = ['DRAFT', 'PUBLISHED'];
+
+// Edits shared by single events and event series. Both run under the same
+// rules, so a series-wide edit cannot do anything an edit of each
+// occurrence could not.
+class EventService {
+  isEditable(event) {
+    return EDITABLE_STATUSES.includes(event.status);
+  }
+
+  // Check a venue / layout pair; a layout implies its venue
+  async resolveVenueSelection(venueId, seatingLayoutId) {
+    if (seatingLayoutId) {
+      const layout = await SeatingLayout.findByPk(seatingLayoutId);
+      if (!layout) {
+        throw createError.notFound('Seating layout not found');
+      }
+      if (venueId && layout.venueId !== venueId) {
+        throw createError.badRequest('Seating layout belongs to a different venue');
+      }
+      return { venueId: layout.venueId, seatingLayoutId };
+    }
+
+    if (venueId) {
+      const venue = await Venue.findByPk(venueId);
+      if (!venue) {
+        throw createError.notFound('Venue not found');
+      }
+      return { venueId };
+    }
+
+    return {};
+  }
+
+  // Apply `changes` (see schemas.updateEvent) to an editable event inside
+  // `transaction`. Capacity cannot drop below what is sold or held nor exceed
+  // the seat map, and a price change reprices unsold seats. Returns the price
+  // change summary, or null if the price did not change.
+  async applyUpdate(event, changes, auditContext, transaction, metadata = null) {
+    const updates = { ...changes };
+    let priceChange = null;
+
+    // Lock the row so holdSeats cannot move availableSeats under us
+    await event.reload({ lock: transaction.LOCK.UPDATE, transaction });
+    const before = event.get({ plain: true });
+
+    if (updates.capacity !== undefined && updates.capacity !== event.capacity) {
+      const committedSeats = event.capacity - event.availableSeats; // Sold or held
+      if (updates.capacity < committedSeats) {
+        throw createError.conflict(
+          `Capacity cannot be lower than the ${committedSeats} seat(s) already sold or held`
+        );
+      }
+
+      const seatCount = await Seat.count({ where: { eventId: event.id }, transaction });
+      if (seatCount > 0 && updates.capacity > seatCount) {
+        throw createError.conflict(
+          `The seat map has ${seatCount} seats; generate or import a larger one to raise capacity`
+        );
+      }
+
+      updates.availableSeats = updates.capacity - committedSeats;
+    }
+
+    if (updates.price !== undefined && Number(updates.price) !== parseFloat(event.price)) {
+      priceChange = await this.repriceSeats(event, updates.price, transaction);
+    }
+
+    await event.update(updates, { transaction });
+
+    await auditService.record(auditContext, {
+      action: 'event.update',
+      entityType: 'Event',
+      entityId: event.id,
+      before,
+      after: event,
+      fields: Object.keys(updates),
+      metadata: priceChange ? { ...metadata, repricedSeats: priceChange.repricedSeats } : metadata
+    }, { transaction });
+
+    return priceChange;
+  }
+
+  // Reprice every seat that is not sold. Seat prices scale with the base price,
+  // so price tiers and custom imported prices keep their proportions. Held
+  // bookings are unaffected: their totalAmount was fixed when the seats were
+  // selected, and that is what payment charges.
+  async repriceSeats(event, newPrice, transaction) {
+    const oldPrice = parseFloat(event.price);
+    const price = oldPrice > 0
+      ? sequelize.literal(`ROUND("price" * ${Number(newPrice) / oldPrice}, 2)`)
+      : newPrice; // Nothing to scale from a free event
+
+    const [repricedSeats] = await Seat.update({ price }, {
+      where: { eventId: event.id, isBooked: false },
+      transaction
+    });
+
+    const heldBookings = await Booking.count({
+      where: { eventId: event.id, status: ['SEAT_SELECTED', 'RESERVED', 'PAYMENT_PENDING'] },
+      transaction
+    });
+
+    return { from: oldPrice, to: Number(newPrice), repricedSeats, heldBookingsKeepingPrice: heldBookings };
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,108 @@
+// src/services/gateways/paymentGateway.js
+const crypto = require('crypto');
+
+// Webhooks older than this are rejected to prevent replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Error raised by a gateway when an operation cannot be completed.
+// `retryable` marks transient failures (timeouts, network) that are safe to retry.
+class PaymentGatewayError extends Error {
+  constructor(message, code = 'PAYMENT_ERROR', retryable = false) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Base class every payment provider extends.
+// All operations resolve with a plain result object:
+//   { success, status, id, amount, currency, error?, code? }
+// and reject with PaymentGatewayError for transport-level failures.
+// Asynchronous methods (UPI, wallets) authorize with status 'PENDING' and are
+// settled later through a signed webhook.
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+    this.signatureHeader = 'x-webhook-signature';
+    this.asyncMethods = [];
+  }
+
+  // Whether `method` authorizes as PENDING and settles through a webhook
+  isAsyncMethod(method) {
+    return this.asyncMethods.includes(method);
+  }
+
+  // Shared secret for webhook signatures, e.g. PAYMENT_WEBHOOK_SECRET_SANDBOX
+  get webhookSecret() {
+    return process.env[`PAYMENT_WEBHOOK_SECRET_${this.name.toUpperCase()}`]
+      || process.env.PAYMENT_GATEWAY_SECRET;
+  }
+
+  // Reserve funds: { amount, currency, method, details, reference }
+  async authorize(payment) {
+    throw new PaymentGatewayError(`${this.name}: authorize not implemented`, 'NOT_IMPLEMENTED');
+  }
+
+  // Collect previously authorized funds (amount defaults to the authorized amount)
+  async capture(authorizationId, amount) {
+    throw new PaymentGatewayError(`${this.name}: capture not implemented`, 'NOT_IMPLEMENTED');
+  }
+
+  // Return captured funds, fully or partially. options: { reason, idempotencyKey }
+  async refund(paymentId, amount, options = {}) {
+    throw new PaymentGatewayError(`${this.name}: refund not implemented`, 'NOT_IMPLEMENTED');
+  }
+
+  // Release an authorization that was never captured
+  async void(authorizationId) {
+    throw new PaymentGatewayError(`${this.name}: void not implemented`, 'NOT_IMPLEMENTED');
+  }
+
+  // Signature header value for a raw payload: "t=<unix seconds>,v1=<hex hmac>"
+  signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  verifyWebhook(rawBody, signature) {
+    if (!this.webhookSecret || !rawBody || !signature) return false;
+
+    const parts = Object.fromEntries(
+      signature.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signWebhook(rawBody, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Normalize a verified webhook body into
+  //   { id, type, reference, paymentId, authorizationId, refundId, amount, error }
+  // Providers with a different payload shape override this.
+  parseWebhook(body) {
+    const data = body.data || {};
+    return {
+      id: body.id,
+      type: body.type,
+      reference: data.reference,
+      paymentId: data.paymentId || null,
+      authorizationId: data.authorizationId || null,
+      refundId: data.refundId || null,
+      amount: data.amount,
+      error: data.error || null
+    };
+  }
+}
+
+module.exports = { PaymentGateway, PaymentGatewayError };
@@ -0,0 +1,196 @@
+// src/services/gateways/sandboxGateway.js
+const { PaymentGateway, PaymentGatewayError } = require('./paymentGateway');
+
+const OUTCOMES = {
+  SUCCESS: 'SUCCESS',
+  DECLINE: 'DECLINE',
+  TIMEOUT: 'TIMEOUT'
+};
+
+// Methods the customer completes outside our checkout (collect request, wallet
+// redirect); their authorizations stay PENDING until settle() is called.
+const ASYNC_METHODS = ['UPI', 'WALLET'];
+
+// Card numbers that always produce a given outcome, so manual QA can
+// exercise failure paths without scripting the gateway.
+const TEST_CARDS = {
+  '4000000000000002': OUTCOMES.DECLINE,
+  '4000000000000119': OUTCOMES.TIMEOUT
+};
+
+// Deterministic local provider. Every call succeeds unless an outcome has been
+// queued with script(), e.g.
+//   sandbox.script('DECLINE')                                  // next call declines
+//   sandbox.script({ operation: 'capture', outcome: 'TIMEOUT' }) // next capture times out
+// Pending UPI/wallet payments are completed with settle(), which returns the
+// webhook body the real provider would post to /api/payments/webhooks/sandbox.
+class SandboxGateway extends PaymentGateway {
+  constructor() {
+    super('sandbox');
+    this.asyncMethods = ASYNC_METHODS;
+    this.reset();
+  }
+
+  reset() {
+    this.queue = [];
+    this.sequence = 0;
+    this.authorizations = new Map();
+    this.payments = new Map();
+  }
+
+  script(...outcomes) {
+    outcomes.forEach(entry => {
+      const step = typeof entry === 'string' ? { outcome: entry } : entry;
+      if (!OUTCOMES[step.outcome]) {
+        throw new Error(`Unknown sandbox outcome: ${step.outcome}`);
+      }
+      this.queue.push(step);
+    });
+    return this;
+  }
+
+  nextOutcome(operation, details = {}) {
+    const index = this.queue.findIndex(step => !step.operation || step.operation === operation);
+    if (index !== -1) {
+      return this.queue.splice(index, 1)[0].outcome;
+    }
+    return TEST_CARDS[details.cardNumber] || OUTCOMES.SUCCESS;
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `sbx_${prefix}_${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  // Applies the scripted outcome; returns a decline result or throws on timeout
+  resolveOutcome(operation, details) {
+    const outcome = this.nextOutcome(operation, details);
+
+    if (outcome === OUTCOMES.TIMEOUT) {
+      throw new PaymentGatewayError('Payment gateway timeout - please try again', 'GATEWAY_TIMEOUT', true);
+    }
+
+    if (outcome === OUTCOMES.DECLINE) {
+      return {
+        success: false,
+        status: 'DECLINED',
+        error: 'Payment declined by bank',
+        code: 'PAYMENT_DECLINED'
+      };
+    }
+
+    return null;
+  }
+
+  async authorize({ amount, currency, method, details = {}, reference }) {
+    const declined = this.resolveOutcome('authorize', details);
+    if (declined) return declined;
+
+    const id = this.nextId('auth');
+    const status = this.isAsyncMethod(method) ? 'PENDING' : 'AUTHORIZED';
+    this.authorizations.set(id, { amount, currency, method, reference, status });
+
+    return { success: true, status, id, amount, currency };
+  }
+
+  // Resolve a pending authorization and build the matching webhook body
+  settle(authorizationId, outcome = OUTCOMES.SUCCESS) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'PENDING') {
+      throw new Error(`No pending sandbox authorization: ${authorizationId}`);
+    }
+
+    const data = {
+      reference: authorization.reference,
+      authorizationId,
+      amount: authorization.amount
+    };
+
+    if (outcome === OUTCOMES.SUCCESS) {
+      data.paymentId = this.nextId('pay');
+      authorization.status = 'CAPTURED';
+      this.payments.set(data.paymentId, {
+        authorizationId,
+        amount: authorization.amount,
+        currency: authorization.currency,
+        refunded: 0
+      });
+    } else {
+      data.error = 'Payment declined by bank';
+      authorization.status = 'DECLINED';
+    }
+
+    return {
+      id: this.nextId('evt'),
+      type: outcome === OUTCOMES.SUCCESS ? 'payment.succeeded' : 'payment.failed',
+      data
+    };
+  }
+
+  async capture(authorizationId, amount) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || authorization.status !== 'AUTHORIZED') {
+      return { success: false, status: 'FAILED', error: 'Authorization not found', code: 'INVALID_AUTHORIZATION' };
+    }
+
+    const declined = this.resolveOutcome('capture');
+    if (declined) return declined;
+
+    const capturedAmount = amount !== undefined ? amount : authorization.amount;
+    const id = this.nextId('pay');
+    authorization.status = 'CAPTURED';
+    this.payments.set(id, {
+      authorizationId,
+      amount: capturedAmount,
+      currency: authorization.currency,
+      refunded: 0
+    });
+
+    return { success: true, status: 'CAPTURED', id, amount: capturedAmount, currency: authorization.currency };
+  }
+
+  async refund(paymentId, amount, options = {}) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      return { success: false, status: 'FAILED', error: 'Payment not found', code: 'INVALID_PAYMENT' };
+    }
+
+    const refundAmount = amount !== undefined ? amount : payment.amount - payment.refunded;
+    if (refundAmount <= 0 || payment.refunded + refundAmount > payment.amount) {
+      return { success: false, status: 'FAILED', error: 'Refund exceeds captured amount', code: 'INVALID_AMOUNT' };
+    }
+
+    const declined = this.resolveOutcome('refund');
+    if (declined) return declined;
+
+    payment.refunded += refundAmount;
+    return {
+      success: true,
+      status: 'REFUNDED',
+      id: this.nextId('ref'),
+      amount: refundAmount,
+      currency: payment.currency,
+      reason: options.reason
+    };
+  }
+
+  // Pending authorizations can be voided too: the collect request is withdrawn
+  async void(authorizationId) {
+    const authorization = this.authorizations.get(authorizationId);
+    if (!authorization || !['AUTHORIZED', 'PENDING'].includes(authorization.status)) {
+      return { success: false, status: 'FAILED', error: 'Authorization not found', code: 'INVALID_AUTHORIZATION' };
+    }
+
+    const declined = this.resolveOutcome('void');
+    if (declined) return declined;
+
+    authorization.status = 'VOIDED';
+    return { success: true, status: 'VOIDED', id: authorizationId };
+  }
+}
+
+SandboxGateway.OUTCOMES = OUTCOMES;
+SandboxGateway.TEST_CARDS = TEST_CARDS;
+SandboxGateway.ASYNC_METHODS = ASYNC_METHODS;
+
+module.exports = SandboxGateway;
@@ -0,0 +1,481 @@
+// src/services/groupBookingService.js
+const { Booking, BookingShare, Event, Seat, User, TicketType, PromoRedemption } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { createError } = require('../middleware/errorHandler');
+const { allocateAmount, removeSeats, priceOf } = require('../utils/lineItems');
+const { resolveRefundPolicy, evaluateRefundPolicy } = require('../utils/refundPolicy');
+const paymentService = require('./paymentService');
+const refundService = require('./refundService');
+const ticketService = require('./ticketService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const analyticsService = require('./analyticsService');
+const logger = require('../utils/logger');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Characters of the share id appended to the booking number in payment references
+const SHARE_REFERENCE_LENGTH = 8;
+
+// How long invited payers get to pay; never past the event start
+const paymentWindowMinutes = () => parseInt(process.env.SPLIT_PAYMENT_WINDOW_MINUTES || '1440', 10);
+
+// Group bookings paid by several people. The owner selects seats as usual and
+// then splits the booking into shares, one per payer (the owner keeps the
+// seats nobody else was given). The booking stays RESERVED while shares are
+// paid; each paid share books its seats and issues their tickets to the
+// payer. At the deadline unpaid shares are released and the booking is
+// confirmed for the seats that were paid for.
+class GroupBookingService {
+  async splitBooking(bookingId, invites, owner, auditContext) {
+    const transaction = await sequelize.transaction();
+    let booking;
+    let shares;
+    let event;
+
+    try {
+      booking = await Booking.findOne({
+        where: { id: bookingId, userId: owner.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!booking) {
+        throw createError.notFound('Booking not found');
+      }
+      if (booking.paymentMode === 'SPLIT') {
+        throw createError.conflict('Booking is already split');
+      }
+      if (booking.status !== 'SEAT_SELECTED') {
+        throw createError.conflict('Only bookings awaiting payment can be split');
+      }
+      if (booking.reservationExpiresAt && new Date() > booking.reservationExpiresAt) {
+        throw createError.gone('Booking expired');
+      }
+
+      const groups = this.planShares(booking, invites, owner);
+      const amounts = allocateAmount(parseFloat(booking.totalAmount), booking.lineItems, groups.map(group => group.seatNumbers));
+
+      event = await Event.findByPk(booking.eventId, { transaction });
+      const expiresAt = new Date(Math.min(
+        Date.now() + paymentWindowMinutes() * 60 * 1000,
+        new Date(event.dateTime).getTime()
+      ));
+
+      shares = await BookingShare.bulkCreate(groups.map((group, index) => ({
+        bookingId: booking.id,
+        email: group.email,
+        seatNumbers: group.seatNumbers,
+        amount: amounts[index]
+      })), { transaction, returning: true });
+
+      const before = booking.get({ plain: true });
+      await booking.update({
+        status: 'RESERVED',
+        paymentMode: 'SPLIT',
+        reservationExpiresAt: expiresAt
+      }, { transaction });
+      await Seat.extendReservation(booking.id, expiresAt, transaction);
+
+      await auditService.record(auditContext, {
+        action: 'booking.split',
+        entityType: 'Booking',
+        entityId: booking.id,
+        before,
+        after: booking,
+        fields: ['status', 'paymentMode', 'reservationExpiresAt'],
+        metadata: {
+          shares: shares.map(share => ({ email: share.email, seatNumbers: share.seatNumbers, amount: parseFloat(share.amount) }))
+        }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Booking ${booking.id} split into ${shares.length} share(s)`);
+
+    const ownerEmail = owner.email.toLowerCase();
+    const payUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shares`;
+    for (const share of shares.filter(share => share.email !== ownerEmail)) {
+      emailService.sendSplitPaymentInvite(share.email, booking, event, owner, { share, payUrl }).catch(error => {
+        logger.error('Split payment invite failed:', { shareId: share.id, error: error.message });
+      });
+    }
+
+    return { booking, shares };
+  }
+
+  // Turn the invites into shares that cover every seat exactly once; the
+  // owner's share holds whatever seats were not given away
+  planShares(booking, invites, owner) {
+    const bookingSeats = booking.seatNumbers || [];
+    const ownerEmail = owner.email.toLowerCase();
+    const assigned = new Set();
+    const emails = new Set();
+
+    const groups = invites.map(({ email, seatNumbers }) => {
+      const normalized = email.trim().toLowerCase();
+      if (normalized === ownerEmail) {
+        throw createError.badRequest('Your own seats are the ones not given to anyone else');
+      }
+      if (emails.has(normalized)) {
+        throw createError.badRequest(`${email} is invited more than once`);
+      }
+      emails.add(normalized);
+
+      const unknownSeats = seatNumbers.filter(seat => !bookingSeats.includes(seat));
+      if (unknownSeats.length > 0) {
+        throw createError.badRequest(`Seats not part of this booking: ${unknownSeats.join(', ')}`);
+      }
+      const repeatedSeats = seatNumbers.filter(seat => assigned.has(seat));
+      if (repeatedSeats.length > 0) {
+        throw createError.badRequest(`Seats given to more than one payer: ${repeatedSeats.join(', ')}`);
+      }
+      seatNumbers.forEach(seat => assigned.add(seat));
+
+      return { email: normalized, seatNumbers };
+    });
+
+    const ownerSeats = bookingSeats.filter(seat => !assigned.has(seat));
+    if (ownerSeats.length > 0) {
+      groups.push({ email: ownerEmail, seatNumbers: ownerSeats });
+    }
+    return groups;
+  }
+
+  // Shares waiting on, or paid by, the signed-in user
+  async findSharesFor(user) {
+    return BookingShare.findAll({
+      where: {
+        [Op.or]: [{ email: user.email.toLowerCase() }, { userId: user.id }]
+      },
+      include: [{
+        model: Booking,
+        as: 'booking',
+        attributes: ['id', 'bookingNumber', 'status', 'currency', 'reservationExpiresAt', 'eventId'],
+        include: [{ model: Event, as: 'event', attributes: ['id', 'name', 'venue', 'dateTime'] }]
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  // Charge one payer for their share and book its seats for them. The
+  // booking row is locked throughout so the deadline sweep cannot release the
+  // seats mid-payment; the last share to be paid confirms the booking. A
+  // charge captured before a failed step is reversed on rollback.
+  async payShare(shareId, user, { paymentMethod = 'CARD', paymentDetails = {} }, auditContext) {
+    if (paymentService.settlesAsynchronously(paymentMethod)) {
+      throw createError.badRequest('Shares must be paid with a method that settles immediately');
+    }
+
+    const transaction = await sequelize.transaction();
+    let booking;
+    let share;
+    let tickets;
+    let payment = null;
+
+    try {
+      share = await BookingShare.findByPk(shareId, { transaction });
+      if (!share || share.email !== user.email.toLowerCase()) {
+        throw createError.notFound('Share not found');
+      }
+
+      booking = await Booking.findByPk(share.bookingId, { lock: transaction.LOCK.UPDATE, transaction });
+      await share.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+      if (share.status !== 'PENDING') {
+        throw createError.conflict(`This share is already ${share.status.toLowerCase()}`);
+      }
+      if (booking.status !== 'RESERVED' || (booking.reservationExpiresAt && new Date() > booking.reservationExpiresAt)) {
+        throw createError.gone('The payment deadline for this booking has passed');
+      }
+
+      const event = await Event.findByPk(booking.eventId, { transaction });
+      if (!event.isOpenForBooking()) {
+        throw createError.conflict('Event is not open for booking');
+      }
+
+      const heldSeats = await Seat.count({
+        where: { bookingId: booking.id, seatNumber: { [Op.in]: share.seatNumbers }, isReserved: true },
+        transaction
+      });
+      if (heldSeats !== share.seatNumbers.length) {
+        throw createError.gone('Seat reservation has lapsed');
+      }
+
+      const amount = parseFloat(share.amount);
+      payment = { paymentId: null, gateway: null };
+      if (amount > 0) {
+        payment = await paymentService.charge({
+          amount,
+          currency: booking.currency || 'USD',
+          method: paymentMethod,
+          details: paymentDetails,
+          reference: this.shareReference(booking, share)
+        });
+        if (!payment.success) {
+          throw createError.badRequest(`Payment failed: ${payment.error || 'Payment declined'}`);
+        }
+      }
+
+      await Seat.confirmSeats(booking.id, share.seatNumbers, user.id, transaction);
+
+      tickets = await ticketService.issueForBooking(booking, {
+        seatNumbers: share.seatNumbers,
+        holderUserId: user.id,
+        shareId: share.id
+      }, transaction);
+      await share.update({
+        status: 'PAID',
+        userId: user.id,
+        paymentId: payment.paymentId,
+        paymentMethod,
+        paymentGateway: payment.gateway,
+        paidAt: new Date()
+      }, { transaction });
+
+      const unpaid = await BookingShare.count({
+        where: { bookingId: booking.id, status: 'PENDING' },
+        transaction
+      });
+      if (unpaid === 0) {
+        await booking.update({
+          status: 'CONFIRMED',
+          paymentStatus: 'COMPLETED',
+          reservationExpiresAt: null
+        }, { transaction });
+      }
+
+      await auditService.record(auditContext, {
+        action: 'booking.share_paid',
+        entityType: 'Booking',
+        entityId: booking.id,
+        metadata: {
+          shareId: share.id,
+          seatNumbers: share.seatNumbers,
+          amount,
+          paymentId: payment.paymentId,
+          bookingConfirmed: unpaid === 0
+        }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      if (payment && payment.success) {
+        await paymentService.reverse(payment, {
+          reference: this.shareReference(booking, share),
+          reason: 'SHARE_NOT_PAID'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Booking share paid:', { bookingId: booking.id, shareId: share.id, paymentId: share.paymentId });
+    this.broadcast(booking.eventId, 'BOOKED', { seatNumbers: share.seatNumbers, userId: user.id, bookingId: booking.id });
+
+    return { share, booking, tickets };
+  }
+
+  // Payment reference for a share; paymentController.findPaymentTarget
+  // resolves webhooks carrying it back to the share
+  shareReference(booking, share) {
+    return `${booking.bookingNumber}-${share.id.slice(0, SHARE_REFERENCE_LENGTH)}`;
+  }
+
+  // Deadline reached (reservationExpiryJob). With nothing paid the booking
+  // expires as a whole; otherwise the unpaid shares' seats go back on sale and
+  // the booking is confirmed for the rest. Returns false if the booking was
+  // no longer held.
+  async settleAtDeadline(booking) {
+    const transaction = await sequelize.transaction();
+    let released;
+    let expired;
+
+    try {
+      await booking.reload({ lock: transaction.LOCK.UPDATE, transaction });
+      if (booking.status !== 'RESERVED') {
+        await transaction.rollback();
+        return false;
+      }
+
+      const shares = await BookingShare.findAll({ where: { bookingId: booking.id }, transaction });
+      const paid = shares.filter(share => share.status === 'PAID');
+      const unpaid = shares.filter(share => share.status === 'PENDING');
+      released = unpaid.flatMap(share => share.seatNumbers);
+      expired = paid.length === 0;
+
+      const before = booking.get({ plain: true });
+
+      if (expired) {
+        await booking.update({ status: 'EXPIRED' }, { transaction });
+        await Seat.releaseReservation(booking.userId, booking.id, transaction);
+        await Event.releaseSeats(booking.eventId, booking.ticketCount, transaction);
+        await TicketType.releaseForBooking(booking, null, transaction);
+        await PromoRedemption.releaseForBooking(booking, transaction);
+      } else {
+        if (released.length > 0) {
+          await Seat.releaseReservation(booking.userId, booking.id, transaction, released);
+          await Event.releaseSeats(booking.eventId, released.length, transaction);
+          await TicketType.releaseForBooking(booking, released, transaction);
+        }
+
+        const seatNumbers = (booking.seatNumbers || []).filter(seat => !released.includes(seat));
+        const changes = {
+          status: 'CONFIRMED',
+          paymentStatus: 'COMPLETED',
+          reservationExpiresAt: null,
+          seatNumbers,
+          ticketCount: seatNumbers.length,
+          lineItems: booking.lineItems ? removeSeats(booking.lineItems, released) : null,
+          totalAmount: roundAmount(paid.reduce((sum, share) => sum + parseFloat(share.amount), 0))
+        };
+        // Refunds price seats at totalAmount / subtotalAmount, so the list
+        // price of the released seats comes off the subtotal as well
+        if (booking.subtotalAmount !== null && booking.subtotalAmount !== undefined) {
+          const releasedPrice = booking.lineItems
+            ? priceOf(booking.lineItems, released)
+            : parseFloat(booking.unitPrice) * released.length;
+          changes.subtotalAmount = roundAmount(parseFloat(booking.subtotalAmount) - releasedPrice);
+        }
+        await booking.update(changes, { transaction });
+      }
+
+      if (unpaid.length > 0) {
+        await BookingShare.update({ status: 'RELEASED' }, {
+          where: { id: { [Op.in]: unpaid.map(share => share.id) } },
+          transaction
+        });
+      }
+
+      await auditService.record(null, {
+        action: 'booking.split_settle',
+        entityType: 'Booking',
+        entityId: booking.id,
+        before,
+        after: booking,
+        fields: ['status', 'seatNumbers', 'ticketCount', 'totalAmount', 'subtotalAmount'],
+        metadata: { paidShares: paid.length, releasedShares: unpaid.length, releasedSeats: released }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info('Split booking settled at deadline:', { bookingId: booking.id, status: booking.status, releasedSeats: released.length });
+    this.broadcast(booking.eventId, 'RELEASED', {
+      seatNumbers: expired ? booking.seatNumbers : released,
+      reason: 'EXPIRED'
+    });
+
+    return true;
+  }
+
+  // Owner cancels the whole group. While payment is still being collected
+  // payers get everything back; once confirmed the event's refund policy
+  // applies to every paid share. Expects booking loaded with its event.
+  async cancelSplitBooking(booking, { seatNumbers, reason, auditContext }) {
+    if (['CANCELLED', 'EXPIRED'].includes(booking.status)) {
+      throw createError.badRequest(`Booking is already ${booking.status.toLowerCase()}`);
+    }
+    if (seatNumbers && seatNumbers.length > 0) {
+      throw createError.badRequest('Split bookings can only be cancelled as a whole');
+    }
+
+    let refundPercent = 100;
+    if (booking.status === 'CONFIRMED') {
+      const evaluation = evaluateRefundPolicy(resolveRefundPolicy(booking.event), booking.event.dateTime);
+      if (!evaluation.cancellable) {
+        throw createError.forbidden(evaluation.reason);
+      }
+      refundPercent = evaluation.refundPercent;
+    }
+
+    const previousStatus = booking.status;
+    const transaction = await sequelize.transaction();
+    let refunds;
+
+    try {
+      const [updated] = await Booking.update({ status: 'CANCELLED' }, {
+        where: { id: booking.id, status: previousStatus },
+        transaction
+      });
+      if (updated === 0) {
+        throw createError.conflict('Booking changed while being cancelled; please try again');
+      }
+
+      const shares = await this.releaseForCancellation(booking, previousStatus, transaction);
+      refunds = await refundService.createShareRefunds(booking, shares, refundPercent, {
+        reason: reason || 'CUSTOMER_CANCELLATION',
+        requestedBy: auditContext ? auditContext.actorId : null,
+        auditContext
+      }, transaction);
+
+      await auditService.record(auditContext, {
+        action: 'booking.cancel',
+        entityType: 'Booking',
+        entityId: booking.id,
+        changes: { status: { from: previousStatus, to: 'CANCELLED' } },
+        metadata: { cancelledSeats: booking.seatNumbers, refundPercent, reason: reason || null }
+      }, { transaction });
+
+      await transaction.commit();
+      booking.status = 'CANCELLED';
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const submitted = [];
+    for (const refund of refunds) {
+      submitted.push(await refundService.submit(refund));
+    }
+
+    this.broadcast(booking.eventId, 'RELEASED', { seatNumbers: booking.seatNumbers });
+    return { cancelledSeats: booking.seatNumbers, refunds: submitted };
+  }
+
+  // Free a cancelled split booking's seats, both booked (paid shares) and
+  // still held, and close its shares. Returns the shares as they were, so
+  // callers can refund the paid ones.
+  async releaseForCancellation(booking, previousStatus, transaction) {
+    const shares = await BookingShare.findAll({
+      where: { bookingId: booking.id, status: { [Op.in]: ['PENDING', 'PAID'] } },
+      include: [{ model: User, as: 'payer', attributes: ['id', 'name', 'email'] }],
+      transaction
+    });
+
+    await Seat.releaseBookedSeats(booking.id, null, transaction);
+    await Seat.releaseReservation(booking.userId, booking.id, transaction);
+    await ticketService.cancelForBooking(booking, null, transaction);
+    await Event.releaseSeats(booking.eventId, booking.ticketCount, transaction);
+    await TicketType.releaseForBooking(booking, null, transaction);
+    if (previousStatus !== 'CONFIRMED') {
+      await PromoRedemption.releaseForBooking(booking, transaction);
+    }
+
+    await BookingShare.update({ status: 'CANCELLED' }, {
+      where: { id: { [Op.in]: shares.map(share => share.id) } },
+      transaction
+    });
+
+    return shares;
+  }
+
+  broadcast(eventId, activity, data) {
+    try {
+      if (analyticsService && analyticsService.broadcastSeatActivity) {
+        analyticsService.broadcastSeatActivity(eventId, activity, data);
+      }
+    } catch (error) {
+      logger.error('Failed to broadcast seat activity:', error.message);
+    }
+  }
+}
+
+module.exports = new GroupBookingService();
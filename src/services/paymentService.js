@@ -0,0 +1,132 @@
+// src/services/paymentService.js
+const { PaymentGatewayError } = require('./gateways/paymentGateway');
+const SandboxGateway = require('./gateways/sandboxGateway');
+const logger = require('../utils/logger');
+
+// Registry of payment providers, keyed by the name stored in Booking.paymentGateway
+class PaymentService {
+  constructor() {
+    this.gateways = new Map();
+    this.register(new SandboxGateway());
+  }
+
+  get defaultGateway() {
+    return process.env.PAYMENT_GATEWAY || 'sandbox';
+  }
+
+  register(gateway) {
+    this.gateways.set(gateway.name, gateway);
+    return gateway;
+  }
+
+  getGateway(name) {
+    const gatewayName = name || this.defaultGateway;
+    const gateway = this.gateways.get(gatewayName);
+
+    if (!gateway) {
+      throw new PaymentGatewayError(`Unknown payment gateway: ${gatewayName}`, 'UNKNOWN_GATEWAY');
+    }
+
+    return gateway;
+  }
+
+  settlesAsynchronously(method, gatewayName) {
+    return this.getGateway(gatewayName).isAsyncMethod(method);
+  }
+
+  // Authorize and immediately capture. A failed capture voids the authorization
+  // so the customer's funds are not left on hold. Asynchronous methods come back
+  // with pending: true and are completed by the gateway's webhook.
+  async charge({ gateway: gatewayName, amount, currency, method, details, reference }) {
+    const gateway = this.getGateway(gatewayName);
+
+    const authorization = await gateway.authorize({ amount, currency, method, details, reference });
+    if (!authorization.success) {
+      return { ...authorization, gateway: gateway.name };
+    }
+
+    if (authorization.status === 'PENDING') {
+      return {
+        success: true,
+        pending: true,
+        status: 'PENDING',
+        gateway: gateway.name,
+        authorizationId: authorization.id,
+        paymentId: null,
+        amount: authorization.amount,
+        currency: authorization.currency
+      };
+    }
+
+    let capture;
+    try {
+      capture = await gateway.capture(authorization.id, amount);
+    } catch (error) {
+      await this.safeVoid(gateway, authorization.id, reference);
+      throw error;
+    }
+
+    if (!capture.success) {
+      await this.safeVoid(gateway, authorization.id, reference);
+      return { ...capture, gateway: gateway.name, authorizationId: authorization.id };
+    }
+
+    return {
+      success: true,
+      status: capture.status,
+      gateway: gateway.name,
+      authorizationId: authorization.id,
+      paymentId: capture.id,
+      amount: capture.amount,
+      currency: capture.currency
+    };
+  }
+
+  async refund({ gateway: gatewayName, paymentId, amount, reason, idempotencyKey }) {
+    const gateway = this.getGateway(gatewayName);
+    const result = await gateway.refund(paymentId, amount, { reason, idempotencyKey });
+    return { ...result, gateway: gateway.name };
+  }
+
+  // Undo a successful charge whose booking could not be recorded: refund the
+  // capture, or void an authorization that has not settled. Never throws, so
+  // the caller's original error is what surfaces; a failed reversal is
+  // logged with the booking reference for manual reconciliation.
+  async reverse({ gateway: gatewayName, paymentId, authorizationId, amount }, { reference, reason = 'BOOKING_FAILED' }) {
+    if (!paymentId && !authorizationId) return true;
+
+    try {
+      const gateway = this.getGateway(gatewayName);
+      const result = paymentId
+        ? await gateway.refund(paymentId, amount, { reason, idempotencyKey: `reversal-${paymentId}` })
+        : await gateway.void(authorizationId);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Reversal declined');
+      }
+
+      logger.warn('Payment reversed:', { gateway: gateway.name, paymentId, authorizationId, reference, reason });
+      return true;
+    } catch (error) {
+      logger.error('Payment reversal failed; reconcile manually:', {
+        gateway: gatewayName,
+        paymentId,
+        authorizationId,
+        amount,
+        reference,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  async safeVoid(gateway, authorizationId, reference) {
+    try {
+      await gateway.void(authorizationId);
+    } catch (error) {
+      logger.error('Failed to void authorization:', { gateway: gateway.name, authorizationId, reference, error: error.message });
+    }
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,165 @@
+// src/services/promoService.js
+const { Booking, Event, PromoCode, PromoRedemption } = require('../models');
+const { sequelize } = require('../config/database');
+const { createError } = require('../middleware/errorHandler');
+const { checkEligibility, calculateDiscount } = require('../utils/discount');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Applies promo codes to bookings before payment. The promo code row is
+// locked while a code is applied, so redemption limits hold under
+// concurrent checkouts.
+class PromoService {
+  async applyToBooking(bookingId, code, user, auditContext) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const booking = await this.findPayableBooking(bookingId, user.id, transaction);
+      const event = await Event.findByPk(booking.eventId, { transaction });
+
+      const promo = await PromoCode.findOne({
+        where: { code: code.trim().toUpperCase() },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!promo) {
+        throw createError.notFound('Promo code not found');
+      }
+      if (booking.discount && booking.discount.promoCodeId === promo.id) {
+        throw createError.conflict('This promo code is already applied to the booking');
+      }
+
+      const subtotal = this.subtotalOf(booking);
+      const reason = checkEligibility(promo, { event, subtotal });
+      if (reason) {
+        throw createError.badRequest(reason);
+      }
+
+      // A booking carries one code; applying another replaces it
+      const replaced = await PromoRedemption.releaseForBooking(booking, transaction);
+
+      if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+        throw createError.conflict('This promo code has been fully redeemed');
+      }
+
+      if (promo.perUserLimit !== null) {
+        const userRedemptions = await PromoRedemption.count({
+          where: { promoCodeId: promo.id, userId: user.id, status: 'ACTIVE' },
+          transaction
+        });
+        if (userRedemptions >= promo.perUserLimit) {
+          throw createError.conflict('You have already used this promo code');
+        }
+      }
+
+      const amount = calculateDiscount(promo, subtotal);
+
+      await PromoRedemption.create({
+        promoCodeId: promo.id,
+        bookingId: booking.id,
+        userId: user.id,
+        discountAmount: amount
+      }, { transaction });
+      await promo.increment('redemptionCount', { transaction });
+
+      const before = booking.get({ plain: true });
+      await booking.update({
+        subtotalAmount: subtotal,
+        discountAmount: amount,
+        totalAmount: roundAmount(subtotal - amount),
+        discount: {
+          promoCodeId: promo.id,
+          code: promo.code,
+          discountType: promo.discountType,
+          discountValue: parseFloat(promo.discountValue),
+          subtotal,
+          amount
+        }
+      }, { transaction });
+
+      await auditService.record(auditContext, {
+        action: 'booking.promo_apply',
+        entityType: 'Booking',
+        entityId: booking.id,
+        before,
+        after: booking,
+        fields: ['totalAmount', 'discountAmount'],
+        metadata: { code: promo.code, replacedPromoCodeId: replaced ? replaced.promoCodeId : null }
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info(`Promo code ${promo.code} applied to booking ${booking.id}`, { amount });
+      return booking;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async removeFromBooking(bookingId, user, auditContext) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const booking = await this.findPayableBooking(bookingId, user.id, transaction);
+      if (!booking.discount) {
+        throw createError.badRequest('No promo code is applied to this booking');
+      }
+
+      await PromoRedemption.releaseForBooking(booking, transaction);
+
+      const before = booking.get({ plain: true });
+      const { code } = booking.discount;
+      await booking.update({
+        totalAmount: this.subtotalOf(booking),
+        discountAmount: 0,
+        discount: null
+      }, { transaction });
+
+      await auditService.record(auditContext, {
+        action: 'booking.promo_remove',
+        entityType: 'Booking',
+        entityId: booking.id,
+        before,
+        after: booking,
+        fields: ['totalAmount', 'discountAmount'],
+        metadata: { code }
+      }, { transaction });
+
+      await transaction.commit();
+      return booking;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Codes can only change while the seats are selected and not yet paid for
+  async findPayableBooking(bookingId, userId, transaction) {
+    const booking = await Booking.findOne({
+      where: { id: bookingId, userId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!booking) {
+      throw createError.notFound('Booking not found');
+    }
+    if (booking.status !== 'SEAT_SELECTED') {
+      throw createError.conflict('Promo codes can only be changed before payment');
+    }
+    if (booking.reservationExpiresAt && new Date() > booking.reservationExpiresAt) {
+      throw createError.gone('Booking expired');
+    }
+    return booking;
+  }
+
+  subtotalOf(booking) {
+    return parseFloat(booking.subtotalAmount !== null && booking.subtotalAmount !== undefined
+      ? booking.subtotalAmount
+      : booking.totalAmount);
+  }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,127 @@
+// src/services/realtimeService.js
+const { Server } = require('socket.io');
+const { Event } = require('../models');
+const { verifyAccessToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const SEAT_CHANNEL = 'realtime:seat-activity';
+const eventRoom = (eventId) => `event:${eventId}`;
+
+// Live seat map deltas over socket.io. Clients authenticate with their access
+// token on the handshake, then join one room per event they are viewing:
+//
+//   const socket = io(BASE_URL, { auth: { token } });
+//   socket.emit('seats:subscribe', { eventId }, ack => ...);
+//   socket.on('seat:activity', ({ eventId, action, seatNumbers }) => ...);
+//
+// Activity is fanned out through Redis pub/sub so that a booking handled by
+// one API instance reaches viewers connected to any other.
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  attach(httpServer) {
+    if (this.io) return this.io;
+
+    this.io = new Server(httpServer, {
+      cors: { origin: process.env.CORS_ORIGIN || '*' }
+    });
+
+    this.io.use(async (socket, next) => {
+      try {
+        const authHeader = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth.token || (authHeader && authHeader.split(' ')[1]);
+        if (!token) {
+          return next(new Error('Access token required'));
+        }
+
+        const auth = await verifyAccessToken(token);
+        if (!auth) {
+          return next(new Error('Invalid token - session revoked or user inactive'));
+        }
+
+        socket.data.userId = auth.user.id;
+        socket.data.sessionId = auth.sessionId;
+        next();
+      } catch (error) {
+        next(new Error('Invalid token'));
+      }
+    });
+
+    this.io.on('connection', socket => this.handleConnection(socket));
+
+    // Loaded here rather than at the top: only a process serving sockets needs Redis pub/sub
+    const { redis } = require('../config/redis');
+    this.publisher = redis;
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('error', error => logger.error('Realtime subscriber error:', error.message));
+    this.subscriber.subscribe(SEAT_CHANNEL).catch(error => {
+      logger.error('Realtime subscription failed:', error.message);
+    });
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== SEAT_CHANNEL) return;
+      try {
+        this.emitLocal(JSON.parse(message));
+      } catch (error) {
+        logger.error('Invalid realtime message:', error.message);
+      }
+    });
+
+    logger.info('Realtime seat updates enabled');
+    return this.io;
+  }
+
+  handleConnection(socket) {
+    socket.on('seats:subscribe', async ({ eventId } = {}, ack = () => {}) => {
+      try {
+        const event = eventId && await Event.findByPk(eventId, { attributes: ['id'] });
+        if (!event) {
+          return ack({ success: false, message: 'Event not found' });
+        }
+
+        socket.join(eventRoom(eventId));
+        ack({ success: true, eventId });
+      } catch (error) {
+        logger.error('Seat subscription failed:', { eventId, error: error.message });
+        ack({ success: false, message: 'Subscription failed' });
+      }
+    });
+
+    socket.on('seats:unsubscribe', ({ eventId } = {}, ack = () => {}) => {
+      socket.leave(eventRoom(eventId));
+      ack({ success: true, eventId });
+    });
+  }
+
+  // Publish a seat change to every instance; falls back to this instance's
+  // sockets if Redis is unavailable
+  publishSeatActivity(activity) {
+    if (!this.io) return;
+
+    this.publisher.publish(SEAT_CHANNEL, JSON.stringify(activity)).catch(error => {
+      logger.warn('Realtime publish failed, emitting locally:', error.message);
+      this.emitLocal(activity);
+    });
+  }
+
+  emitLocal(activity) {
+    if (!this.io) return;
+    this.io.to(eventRoom(activity.eventId)).emit('seat:activity', activity);
+  }
+
+  async close() {
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+      this.subscriber = null;
+    }
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
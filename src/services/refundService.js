@@ -0,0 +1,221 @@
+// src/services/refundService.js
+const { Booking, Refund } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const paymentService = require('./paymentService');
+const auditService = require('./auditService');
+const { priceOf } = require('../utils/lineItems');
+const logger = require('../utils/logger');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class RefundService {
+  // Captured amount not yet returned or on its way back to the customer:
+  // refunds still PENDING at the gateway count as spent, so a second
+  // cancellation cannot refund the same money again
+  async refundableBalance(booking, transaction = null) {
+    const committed = await Refund.sum('amount', {
+      where: { bookingId: booking.id, status: { [Op.in]: ['PENDING', 'SUCCEEDED'] } },
+      transaction
+    });
+    return roundAmount(parseFloat(booking.totalAmount) - parseFloat(committed || 0));
+  }
+
+  // What `seatNumbers` were paid for: their list price (line item unit price,
+  // or the booking's unit price) less their share of any discount. Seats are
+  // priced from the original booking, not from what is left of it, so the
+  // penalty kept on an earlier partial cancellation stays with those seats.
+  // Never more than the remaining balance.
+  async calculateSeatRefund(booking, seatNumbers) {
+    const subtotal = parseFloat(booking.subtotalAmount !== null && booking.subtotalAmount !== undefined
+      ? booking.subtotalAmount
+      : booking.totalAmount);
+    if (!(subtotal > 0)) {
+      return 0;
+    }
+
+    const listPrice = booking.lineItems
+      ? priceOf(booking.lineItems, seatNumbers)
+      : parseFloat(booking.unitPrice) * seatNumbers.length;
+    const paid = roundAmount(parseFloat(booking.totalAmount) * listPrice / subtotal);
+    return Math.min(paid, await this.refundableBalance(booking));
+  }
+
+  // Record a refund in the ledger and submit it to the booking's gateway.
+  // The ledger row is written first so that every gateway call is traceable.
+  // `auditContext` (auditService.contextFrom) names the actor; omit it for
+  // system-initiated refunds.
+  async requestRefund(booking, options) {
+    const refund = await this.createRefund(booking, options);
+    return this.submit(refund);
+  }
+
+  // Write the PENDING ledger row without contacting the gateway, optionally
+  // inside the caller's transaction; submit() sends it afterwards
+  async createRefund(booking, { amount, seatNumbers = null, reason, requestedBy = null, paymentId = booking.paymentId, gateway = booking.paymentGateway, auditContext = null }, transaction = null) {
+    const refund = await Refund.create({
+      bookingId: booking.id,
+      amount: roundAmount(amount),
+      currency: booking.currency || 'USD',
+      reason,
+      seatNumbers,
+      gateway: gateway || paymentService.defaultGateway,
+      paymentId,
+      requestedBy,
+      status: 'PENDING'
+    }, { transaction });
+
+    await auditService.record(auditContext, {
+      action: 'refund.request',
+      entityType: 'Refund',
+      entityId: refund.id,
+      metadata: {
+        bookingId: booking.id,
+        amount: parseFloat(refund.amount),
+        currency: refund.currency,
+        reason,
+        seatNumbers
+      }
+    }, { transaction });
+
+    logger.info('Refund requested:', { refundId: refund.id, bookingId: booking.id, amount: refund.amount });
+
+    return refund;
+  }
+
+  // Split bookings are paid share by share: refund `percent` of each paid
+  // share against the payment that settled it
+  async createShareRefunds(booking, shares, percent, { reason, requestedBy = null, auditContext = null }, transaction = null) {
+    const refunds = [];
+    for (const share of shares) {
+      const amount = roundAmount(parseFloat(share.amount) * percent / 100);
+      if (share.status !== 'PAID' || !share.paymentId || amount <= 0) continue;
+
+      refunds.push(await this.createRefund(booking, {
+        amount,
+        seatNumbers: share.seatNumbers,
+        reason,
+        requestedBy,
+        paymentId: share.paymentId,
+        gateway: share.paymentGateway,
+        auditContext
+      }, transaction));
+    }
+    return refunds;
+  }
+
+  // Send a PENDING refund to the gateway. The refund id doubles as the
+  // idempotency key so a retried submission cannot pay out twice.
+  async submit(refund) {
+    let result;
+    try {
+      result = await paymentService.refund({
+        gateway: refund.gateway,
+        paymentId: refund.paymentId,
+        amount: parseFloat(refund.amount),
+        reason: refund.reason,
+        idempotencyKey: refund.id
+      });
+    } catch (error) {
+      result = { success: false, error: error.message, code: error.code };
+    }
+
+    // Gateway accepted the refund but settles it asynchronously (refund.* webhook)
+    if (result.success && result.status === 'PENDING') {
+      await refund.update({ gatewayRefundId: result.id });
+      return refund;
+    }
+
+    return this.complete(refund, result.success, {
+      gatewayRefundId: result.id,
+      failureReason: result.success ? null : result.error
+    });
+  }
+
+  // Record the gateway's final answer. Only a successful refund moves the
+  // booking's refundedAmount and paymentStatus.
+  async complete(refund, succeeded, { gatewayRefundId, failureReason } = {}, transaction = null) {
+    const ownTransaction = !transaction;
+    const t = transaction || await sequelize.transaction();
+
+    try {
+      await refund.reload({ lock: t.LOCK.UPDATE, transaction: t });
+
+      // Already settled by a concurrent webhook or the synchronous response
+      if (refund.status !== 'PENDING') {
+        if (ownTransaction) await t.commit();
+        return refund;
+      }
+
+      await refund.update({
+        status: succeeded ? 'SUCCEEDED' : 'FAILED',
+        gatewayRefundId: gatewayRefundId || refund.gatewayRefundId,
+        failureReason: succeeded ? null : (failureReason || 'Refund failed'),
+        processedAt: new Date()
+      }, { transaction: t });
+
+      let bookingChanges = null;
+      if (succeeded) {
+        const booking = await Booking.findByPk(refund.bookingId, { lock: t.LOCK.UPDATE, transaction: t });
+        const before = booking.get({ plain: true });
+        const refundedAmount = roundAmount(parseFloat(booking.refundedAmount || 0) + parseFloat(refund.amount));
+
+        await booking.update({
+          refundedAmount,
+          paymentStatus: refundedAmount >= parseFloat(booking.totalAmount) ? 'REFUNDED' : 'PARTIALLY_REFUNDED'
+        }, { transaction: t });
+
+        bookingChanges = auditService.diff(before, booking, ['refundedAmount', 'paymentStatus']);
+      }
+
+      // Outcomes arrive from the gateway, so the actor is the system
+      await auditService.record(null, {
+        action: succeeded ? 'refund.succeeded' : 'refund.failed',
+        entityType: 'Refund',
+        entityId: refund.id,
+        changes: { status: { from: 'PENDING', to: refund.status } },
+        metadata: {
+          bookingId: refund.bookingId,
+          amount: parseFloat(refund.amount),
+          gatewayRefundId: refund.gatewayRefundId,
+          failureReason: refund.failureReason,
+          booking: bookingChanges
+        }
+      }, { transaction: t });
+
+      if (ownTransaction) await t.commit();
+    } catch (error) {
+      if (ownTransaction) await t.rollback();
+      throw error;
+    }
+
+    if (succeeded) {
+      logger.info('Refund succeeded:', { refundId: refund.id, bookingId: refund.bookingId, amount: refund.amount });
+    } else {
+      logger.error('Refund failed:', { refundId: refund.id, bookingId: refund.bookingId, reason: refund.failureReason });
+    }
+
+    return refund;
+  }
+
+  async retry(refund, auditContext = null) {
+    if (refund.status !== 'FAILED') {
+      throw new Error('Only failed refunds can be retried');
+    }
+
+    const previousFailure = refund.failureReason;
+    await refund.update({ status: 'PENDING', failureReason: null, processedAt: null });
+
+    await auditService.record(auditContext, {
+      action: 'refund.retry',
+      entityType: 'Refund',
+      entityId: refund.id,
+      changes: { status: { from: 'FAILED', to: 'PENDING' } },
+      metadata: { bookingId: refund.bookingId, previousFailure }
+    });
+
+    return this.submit(refund);
+  }
+}
+
+module.exports = new RefundService();
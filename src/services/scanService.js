@@ -0,0 +1,348 @@
+// src/services/scanService.js
+const { Ticket, TicketRevocation, TicketScan, CheckIn, EventStaff, Booking, Event, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { hasPermission, canManageEvent } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+const { resolveEntryPolicy, evaluateMovement } = require('../utils/entryPolicy');
+
+// Row layout of manifest entries, sent once so the rows can be plain arrays
+const MANIFEST_FIELDS = ['jti', 'ticketId', 'seat', 'status', 'validatedAt'];
+
+const toEpochSeconds = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+// Gate scans from online check-in and from offline gate devices. Devices
+// download an event's manifest, verify QR signatures and admit people
+// without a connection, then upload what they scanned. The server replays
+// uploads in scan order against the event's entry policy: the earliest scan
+// of a ticket admits it, and scans beyond the entries the policy allows are
+// recorded as duplicate entry attempts.
+class ScanService {
+  // Check-in at an event's gates is limited to staff assigned to it, plus
+  // the organizer and admins
+  async canCheckIn(event, user) {
+    if (canManageEvent(event, user)) {
+      return true;
+    }
+    if (!hasPermission(user, PERMISSIONS.TICKETS_VALIDATE_ANY)) {
+      return false;
+    }
+
+    const assignment = await EventStaff.findOne({ where: { eventId: event.id, userId: user.id } });
+    return Boolean(assignment);
+  }
+
+  // Every credential of the event, or those changed since `since`. Rows are
+  // keyed by ticketId, so a transferred ticket's new jti replaces the old one
+  // on the device. Bookings from before per-seat tickets have ticketId null.
+  async buildManifest(event, since = null) {
+    const changed = since ? { updatedAt: { [Op.gt]: since } } : {};
+    const generatedAt = new Date();
+
+    const [tickets, legacyBookings] = await Promise.all([
+      Ticket.findAll({
+        where: { eventId: event.id, ...changed },
+        attributes: ['id', 'ticketHash', 'seatNumber', 'status', 'qrValidated', 'qrValidatedAt'],
+        order: [['seatNumber', 'ASC']]
+      }),
+      Booking.findAll({
+        where: {
+          eventId: event.id,
+          ticketHash: { [Op.ne]: null },
+          status: { [Op.in]: ['CONFIRMED', 'CANCELLED'] },
+          ...changed
+        },
+        attributes: ['ticketHash', 'seatNumbers', 'status', 'qrValidated', 'qrValidatedAt']
+      })
+    ]);
+
+    const rowStatus = (active, used) => (!active ? 'CANCELLED' : used ? 'USED' : 'VALID');
+
+    return {
+      eventId: event.id,
+      generatedAt,
+      full: !since,
+      entryPolicy: resolveEntryPolicy(event),
+      fields: MANIFEST_FIELDS,
+      tickets: [
+        ...tickets.map(ticket => [
+          ticket.ticketHash,
+          ticket.id,
+          ticket.seatNumber,
+          rowStatus(ticket.status === 'VALID', ticket.qrValidated),
+          toEpochSeconds(ticket.qrValidatedAt)
+        ]),
+        ...legacyBookings.map(booking => [
+          booking.ticketHash,
+          null,
+          (booking.seatNumbers || []).join(' ') || null,
+          rowStatus(booking.status === 'CONFIRMED', booking.qrValidated),
+          toEpochSeconds(booking.qrValidatedAt)
+        ])
+      ]
+    };
+  }
+
+  // What a scanned jti refers to: a ticket, a booking-wide legacy QR code or
+  // a revoked credential, with the event it is for (null if unknown)
+  async findCredential(ticketHash, transaction) {
+    const ticket = await Ticket.findOne({ where: { ticketHash }, lock: transaction.LOCK.UPDATE, transaction });
+    if (ticket) {
+      const [booking, event, holder] = await Promise.all([
+        Booking.findByPk(ticket.bookingId, { transaction }),
+        Event.findByPk(ticket.eventId, { transaction }),
+        User.findByPk(ticket.holderUserId, { attributes: ['name'], transaction })
+      ]);
+      return { ticketHash, ticket, booking, event, holder };
+    }
+
+    const booking = await Booking.findOne({ where: { ticketHash }, lock: transaction.LOCK.UPDATE, transaction });
+    if (booking) {
+      const [event, holder] = await Promise.all([
+        Event.findByPk(booking.eventId, { transaction }),
+        User.findByPk(booking.userId, { attributes: ['name'], transaction })
+      ]);
+      return { ticketHash, ticket: null, booking, event, holder };
+    }
+
+    const revocation = await TicketRevocation.findOne({ where: { jti: ticketHash }, transaction });
+    if (revocation) {
+      const event = await Event.findByPk(revocation.eventId, { transaction });
+      return { ticketHash, ticket: null, booking: null, event, revocation };
+    }
+
+    return { ticketHash, ticket: null, booking: null, event: null };
+  }
+
+  // Resolve one scan against the credential (loaded with findCredential in
+  // the same transaction) and record it. `expectedEventId` is the event the
+  // gate is scanning for.
+  async recordScan(credential, { expectedEventId, source, direction = 'IN', scannedAt, deviceId = null, gateId = null, scanId = null, deviceResult = null }, user, transaction) {
+    const { ticket, booking, revocation } = credential;
+    let movement = { outcome: null, duplicateOfId: null };
+
+    if (deviceResult === 'REJECTED') {
+      movement.outcome = 'REJECTED';
+    } else if (!credential.event) {
+      movement.outcome = 'UNKNOWN';
+    } else if (expectedEventId && credential.event.id !== expectedEventId) {
+      movement.outcome = 'WRONG_EVENT';
+    } else if (revocation) {
+      movement.outcome = 'REVOKED';
+    } else if (ticket ? ticket.status !== 'VALID' || booking.status !== 'CONFIRMED' : booking.status !== 'CONFIRMED') {
+      movement.outcome = 'CANCELLED';
+    } else {
+      movement = await this.resolveMovement(credential, direction, scannedAt, transaction);
+    }
+
+    const scan = await TicketScan.create({
+      eventId: credential.event ? credential.event.id : expectedEventId,
+      ticketId: ticket ? ticket.id : revocation ? revocation.ticketId : null,
+      bookingId: booking ? booking.id : null,
+      ticketHash: credential.ticketHash,
+      source,
+      direction,
+      deviceId,
+      gateId,
+      scanId,
+      scannedBy: user.id,
+      scannedAt,
+      deviceResult,
+      outcome: movement.outcome,
+      duplicateOfId: movement.duplicateOfId
+    }, { transaction });
+
+    if (movement.outcome === 'ADMITTED' || movement.outcome === 'CHECKED_OUT') {
+      await this.applyMovement(credential, scan, movement, transaction);
+    }
+
+    if (movement.outcome === 'DUPLICATE') {
+      logger.warn('Duplicate entry attempt:', {
+        eventId: scan.eventId,
+        ticketId: scan.ticketId,
+        bookingId: scan.bookingId,
+        gateId,
+        deviceId
+      });
+    }
+
+    return scan;
+  }
+
+  // Apply the event's entry policy to a scan of a valid ticket, placing it
+  // among the ticket's movements by scan time so late uploads land where
+  // they happened
+  async resolveMovement(credential, direction, scannedAt, transaction) {
+    const admission = credential.ticket || credential.booking;
+    const key = this.admissionKey(credential);
+    const movements = await CheckIn.findAll({ where: key, order: [['occurredAt', 'ASC']], transaction });
+    const entries = movements.filter(movement => movement.direction === 'IN');
+    const previous = movements.filter(movement => new Date(movement.occurredAt) <= scannedAt).pop();
+
+    // Tickets admitted before check-ins were recorded have no movements
+    const entryCount = entries.length || (admission.qrValidated ? 1 : 0);
+    const inside = previous
+      ? previous.direction === 'IN'
+      : entries.length === 0 && admission.qrValidated && new Date(admission.qrValidatedAt) <= scannedAt;
+
+    const outcome = evaluateMovement(resolveEntryPolicy(credential.event), { entries: entryCount, inside }, direction);
+
+    if (outcome !== 'DUPLICATE') {
+      return { outcome, duplicateOfId: null, entryNumber: direction === 'IN' ? entryCount + 1 : null };
+    }
+
+    const firstEntry = entries[0] || null;
+    const admitted = firstEntry
+      ? await TicketScan.findByPk(firstEntry.ticketScanId, { transaction })
+      : await TicketScan.findOne({ where: { ...key, outcome: 'ADMITTED' }, order: [['scannedAt', 'ASC']], transaction });
+
+    // Uploaded late but scanned before the recorded first entry: this scan
+    // was the real entry and the first one becomes the duplicate
+    if (admission.qrValidatedAt && scannedAt < new Date(admission.qrValidatedAt)) {
+      return { outcome: 'ADMITTED', duplicateOfId: null, takeover: { firstEntry, admitted } };
+    }
+
+    const lastEntry = entries.filter(entry => new Date(entry.occurredAt) <= scannedAt).pop();
+    return {
+      outcome,
+      duplicateOfId: lastEntry ? lastEntry.ticketScanId : admitted ? admitted.id : null
+    };
+  }
+
+  // Record an accepted scan as a check-in movement and keep the ticket's
+  // first-entry time (qrValidatedAt) current
+  async applyMovement(credential, scan, movement, transaction) {
+    const { ticket, booking } = credential;
+    const admission = ticket || booking;
+    const fields = {
+      ticketScanId: scan.id,
+      gateId: scan.gateId,
+      deviceId: scan.deviceId,
+      staffUserId: scan.scannedBy,
+      occurredAt: scan.scannedAt
+    };
+
+    if (movement.takeover) {
+      const { firstEntry, admitted } = movement.takeover;
+      if (admitted) {
+        await admitted.update({ outcome: 'DUPLICATE', duplicateOfId: scan.id }, { transaction });
+      }
+      if (firstEntry) {
+        await firstEntry.update(fields, { transaction });
+      }
+    }
+
+    if (!movement.takeover || !movement.takeover.firstEntry) {
+      await CheckIn.create({
+        ...fields,
+        eventId: scan.eventId,
+        ticketId: ticket ? ticket.id : null,
+        bookingId: booking.id,
+        direction: scan.direction,
+        entryNumber: movement.takeover ? 1 : movement.entryNumber
+      }, { transaction });
+    }
+
+    if (scan.direction === 'IN' && (!admission.qrValidated || scan.scannedAt < new Date(admission.qrValidatedAt))) {
+      const validation = { qrValidated: true, qrValidatedAt: scan.scannedAt };
+      if (ticket) validation.validatedBy = scan.scannedBy;
+      await admission.update(validation, { transaction });
+    }
+  }
+
+  admissionKey({ ticket, booking }) {
+    return ticket ? { ticketId: ticket.id } : { bookingId: booking.id, ticketId: null };
+  }
+
+  // Apply a device's batch in scan order. Scans already uploaded (same
+  // deviceId and scanId) are not applied again; their recorded outcome is
+  // returned, so a device can safely retry an upload. The unique index on
+  // those columns settles two uploads of the same batch racing each other.
+  async uploadScans(event, user, { deviceId, gateId = null, scans }) {
+    const ordered = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+    const results = [];
+
+    for (const entry of ordered) {
+      const existing = await TicketScan.findOne({ where: { deviceId, scanId: entry.scanId } });
+      if (existing) {
+        results.push(this.formatResult(existing, entry.scanId));
+        continue;
+      }
+
+      const transaction = await sequelize.transaction();
+      try {
+        const credential = await this.findCredential(entry.ticketHash, transaction);
+        const scan = await this.recordScan(credential, {
+          expectedEventId: event.id,
+          source: 'DEVICE',
+          direction: entry.direction || 'IN',
+          scannedAt: new Date(entry.scannedAt),
+          deviceId,
+          gateId: entry.gateId || gateId,
+          scanId: entry.scanId,
+          deviceResult: entry.result
+        }, user, transaction);
+
+        await transaction.commit();
+        results.push(this.formatResult(scan, entry.scanId));
+      } catch (error) {
+        await transaction.rollback();
+
+        // A concurrent upload of the same batch recorded this scan first
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          const recorded = await TicketScan.findOne({ where: { deviceId, scanId: entry.scanId } });
+          if (recorded) {
+            results.push(this.formatResult(recorded, entry.scanId));
+            continue;
+          }
+        }
+        throw error;
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+      return counts;
+    }, {});
+    logger.info('Scan batch uploaded:', { eventId: event.id, deviceId, scans: results.length, ...summary });
+
+    return { results, summary };
+  }
+
+  formatResult(scan, scanId) {
+    return {
+      scanId,
+      outcome: scan.outcome,
+      ticketId: scan.ticketId,
+      duplicateOfId: scan.duplicateOfId
+    };
+  }
+
+  // Duplicate entry attempts (or another problem outcome) for the admin view
+  async findProblemScans({ eventId, outcome = 'DUPLICATE', page = 1, limit = 50 }) {
+    const where = { outcome };
+    if (eventId) where.eventId = eventId;
+
+    return TicketScan.findAndCountAll({
+      where,
+      include: [
+        { model: Event, as: 'event', attributes: ['id', 'name', 'dateTime'] },
+        { model: Ticket, as: 'ticket', attributes: ['id', 'seatNumber', 'attendeeName', 'bookingId'] },
+        { model: User, as: 'scanner', attributes: ['id', 'name', 'email'] },
+        {
+          model: TicketScan,
+          as: 'duplicateOf',
+          attributes: ['id', 'source', 'deviceId', 'gateId', 'scannedAt', 'scannedBy']
+        }
+      ],
+      order: [['scannedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+}
+
+ScanService.MANIFEST_FIELDS = MANIFEST_FIELDS;
+
+module.exports = new ScanService();
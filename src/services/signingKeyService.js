@@ -0,0 +1,241 @@
+// src/services/signingKeyService.js
+const crypto = require('crypto');
+const { SigningKey } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { createError } = require('../middleware/errorHandler');
+const jws = require('../utils/jws');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// Keys are re-read at most this often. Rotations and revocations also reach
+// the other instances at once over KEYS_CHANNEL (see connectPubSub); the TTL
+// only bounds how stale a cache can get if that message is missed.
+const CACHE_TTL_MS = 60 * 1000;
+const KEYS_CHANNEL = 'signing-keys:changed';
+
+// Private keys are stored encrypted (AES-256-GCM) under a key derived from
+// TICKET_SIGNING_SECRET, falling back to JWT_SECRET
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET || '')
+  .digest();
+
+const seal = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const open = (sealed) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Signs ticket credentials and publishes the keys that verify them. Scanner
+// devices fetch the JWKS while online and then check QR codes offline.
+class SigningKeyService {
+  constructor() {
+    this.cache = null;
+    this.generation = 0; // Bumped on every invalidation
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  // Drop the cached keys whenever any instance rotates or revokes one
+  connectPubSub() {
+    if (this.subscriber) return;
+
+    // Loaded here rather than at the top: scripts and tests never open Redis
+    const { redis } = require('../config/redis');
+    this.publisher = redis;
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('error', error => logger.error('Signing key subscriber error:', error.message));
+    this.subscriber.subscribe(KEYS_CHANNEL).catch(error => {
+      logger.error('Signing key subscription failed:', error.message);
+    });
+    this.subscriber.on('message', (channel) => {
+      if (channel === KEYS_CHANNEL) this.forget();
+    });
+    // Changes announced while disconnected were missed
+    this.subscriber.on('ready', () => this.forget());
+  }
+
+  disconnectPubSub() {
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+      this.subscriber = null;
+    }
+  }
+
+  // A load() still in flight read the keys before the change, so it must
+  // not cache them either
+  forget() {
+    this.cache = null;
+    this.generation++;
+  }
+
+  // Forget the cached keys here and on every other instance
+  invalidate(kid) {
+    this.forget();
+    if (!this.publisher) return;
+
+    this.publisher.publish(KEYS_CHANNEL, kid).catch(error => {
+      logger.warn('Signing key change not announced; other instances reload within the cache TTL:', error.message);
+    });
+  }
+
+  async sign(payload) {
+    const { active } = await this.load();
+    return { token: jws.sign(payload, active), kid: active.kid };
+  }
+
+  // Payload of a token signed by a published (active or retired) key, or null
+  async verify(token) {
+    const { publicKeys } = await this.load();
+    return jws.verify(token, kid => publicKeys.get(kid));
+  }
+
+  async getJwks() {
+    const { publicKeys } = await this.load();
+    return { keys: [...publicKeys].map(([kid, publicKey]) => jws.publicJwk(kid, publicKey)) };
+  }
+
+  async getRevokedKids() {
+    const keys = await SigningKey.findAll({ where: { status: 'REVOKED' }, attributes: ['kid'] });
+    return keys.map(key => key.kid);
+  }
+
+  async list() {
+    return SigningKey.findAll({ order: [['activatedAt', 'DESC']] });
+  }
+
+  // Start signing with a new key; the previous one is retired but stays
+  // published for the tickets it already signed
+  async rotate(auditContext = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const key = await this.createKey(auditContext, transaction);
+
+      await auditService.record(auditContext, {
+        action: 'signing_key.rotate',
+        entityType: 'SigningKey',
+        entityId: key.id,
+        metadata: { kid: key.kid }
+      }, { transaction });
+
+      await transaction.commit();
+      this.invalidate(key.kid);
+
+      logger.info(`Ticket signing key rotated, now signing with ${key.kid}`);
+      return key;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Withdraw a (possibly compromised) key. Tickets it signed stop verifying
+  // until ticketService.reissueSignedWith gives them new credentials.
+  async revoke(kid, auditContext = null) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const key = await SigningKey.findOne({ where: { kid }, lock: transaction.LOCK.UPDATE, transaction });
+      if (!key) {
+        throw createError.notFound('Signing key not found');
+      }
+      // Revoking again lets the caller resume re-signing that was interrupted
+      if (key.status === 'REVOKED') {
+        await transaction.commit();
+        return key;
+      }
+
+      const wasActive = key.status === 'ACTIVE';
+      await key.update({ status: 'REVOKED', revokedAt: new Date() }, { transaction });
+
+      let replacement = null;
+      if (wasActive) {
+        replacement = await this.createKey(auditContext, transaction);
+      }
+
+      await auditService.record(auditContext, {
+        action: 'signing_key.revoke',
+        entityType: 'SigningKey',
+        entityId: key.id,
+        changes: { status: { from: wasActive ? 'ACTIVE' : 'RETIRED', to: 'REVOKED' } },
+        metadata: { kid, replacementKid: replacement ? replacement.kid : null }
+      }, { transaction });
+
+      await transaction.commit();
+      this.invalidate(kid);
+
+      logger.warn(`Ticket signing key ${kid} revoked`);
+      return key;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Generate a key pair and make it the active key, retiring the current one
+  async createKey(auditContext, transaction) {
+    const { publicKey, privateKey } = jws.generateKeyPair();
+
+    await SigningKey.update(
+      { status: 'RETIRED', retiredAt: new Date() },
+      { where: { status: 'ACTIVE' }, transaction }
+    );
+
+    return SigningKey.create({
+      kid: `tk_${crypto.randomBytes(8).toString('hex')}`,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: seal(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      status: 'ACTIVE',
+      activatedAt: new Date(),
+      createdBy: auditContext ? auditContext.actorId : null
+    }, { transaction });
+  }
+
+  // Active signing key and published public keys, cached per instance. The
+  // first ticket ever signed creates the initial key; if another instance
+  // creates it at the same time, the unique index on the ACTIVE key turns one
+  // of them away and that one uses the other's key.
+  async load() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const generation = this.generation;
+    const keys = await SigningKey.scope('withPrivateKey').findAll({
+      where: { status: { [Op.in]: ['ACTIVE', 'RETIRED'] } },
+      order: [['activatedAt', 'DESC']]
+    });
+
+    if (!keys.some(key => key.status === 'ACTIVE')) {
+      try {
+        await this.rotate();
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      }
+      return this.load();
+    }
+
+    const active = keys.find(key => key.status === 'ACTIVE');
+    const loaded = {
+      loadedAt: Date.now(),
+      active: { kid: active.kid, privateKey: crypto.createPrivateKey(open(active.privateKey)) },
+      publicKeys: new Map(keys.map(key => [key.kid, crypto.createPublicKey(key.publicKey)]))
+    };
+    if (generation === this.generation) {
+      this.cache = loaded;
+    }
+    return loaded;
+  }
+}
+
+module.exports = new SigningKeyService();
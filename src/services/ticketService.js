@@ -0,0 +1,302 @@
+// src/services/ticketService.js
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { Ticket, TicketRevocation, Booking, Event, User } = require('../models');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const { createError } = require('../middleware/errorHandler');
+const signingKeyService = require('./signingKeyService');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// Issues, cancels and transfers per-seat tickets. A booking gets one Ticket
+// per seat (per admission for general admission) when it is paid for; each
+// carries its own QR code so people can arrive separately. QR codes hold a
+// signed token that scanners verify offline; credentials replaced or voided
+// here are published through the revocation list.
+class TicketService {
+  // Create tickets for `seatNumbers` of a paid booking inside the caller's
+  // transaction. Split bookings pass the paying share and its payer.
+  async issueForBooking(booking, { seatNumbers = booking.seatNumbers, holderUserId = booking.userId, shareId = null } = {}, transaction = null) {
+    const seats = seatNumbers && seatNumbers.length > 0
+      ? seatNumbers
+      : Array.from({ length: booking.ticketCount }, () => null);
+
+    const rows = [];
+    for (const seatNumber of seats) {
+      const id = crypto.randomUUID();
+      rows.push({
+        id,
+        bookingId: booking.id,
+        eventId: booking.eventId,
+        shareId,
+        seatNumber,
+        holderUserId,
+        ...await this.generateCredentials(booking, { id, seatNumber })
+      });
+    }
+
+    const tickets = await Ticket.bulkCreate(rows, { transaction, returning: true });
+    logger.info(`Issued ${tickets.length} ticket(s) for booking ${booking.id}`);
+    return tickets;
+  }
+
+  // Fresh signed credential and QR code. The claims are everything a scanner
+  // needs offline: jti (the credential, Ticket.ticketHash), tid (ticket),
+  // eid (event), bn (booking number) and seat.
+  async generateCredentials(booking, { id, seatNumber }) {
+    const ticketHash = crypto.randomBytes(16).toString('hex');
+
+    const { token, kid } = await signingKeyService.sign({
+      jti: ticketHash,
+      tid: id,
+      eid: booking.eventId,
+      bn: booking.bookingNumber,
+      seat: seatNumber,
+      iat: Math.floor(Date.now() / 1000)
+    });
+
+    const qrCode = await QRCode.toDataURL(token, {
+      width: 300,
+      margin: 2,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+
+    return { ticketHash, signedToken: token, signingKeyId: kid, qrCode };
+  }
+
+  // Void the tickets of cancelled seats (all of the booking's when null)
+  async cancelForBooking(booking, seatNumbers = null, transaction = null) {
+    const where = { bookingId: booking.id, status: 'VALID' };
+    if (seatNumbers) {
+      where.seatNumber = { [Op.in]: seatNumbers };
+    }
+
+    const tickets = await Ticket.findAll({ where, attributes: ['id', 'eventId', 'ticketHash'], transaction });
+    if (tickets.length === 0) return 0;
+
+    await Ticket.update({ status: 'CANCELLED' }, {
+      where: { id: { [Op.in]: tickets.map(ticket => ticket.id) } },
+      transaction
+    });
+    await this.revokeCredentials(tickets, 'CANCELLED', transaction);
+    return tickets.length;
+  }
+
+  async revokeCredentials(tickets, reason, transaction = null) {
+    await TicketRevocation.bulkCreate(tickets.map(ticket => ({
+      jti: ticket.ticketHash,
+      ticketId: ticket.id,
+      eventId: ticket.eventId,
+      reason
+    })), { transaction, ignoreDuplicates: true });
+  }
+
+  // Credentials revoked for an event since `since`, for scanners to sync
+  async findRevocations(eventId, since = null) {
+    const where = { eventId };
+    if (since) {
+      where.revokedAt = { [Op.gt]: since };
+    }
+
+    return TicketRevocation.findAll({
+      where,
+      attributes: ['jti', 'ticketId', 'reason', 'revokedAt'],
+      order: [['revokedAt', 'ASC']]
+    });
+  }
+
+  // Give every valid ticket signed with a revoked key a new credential.
+  // The old tokens already fail verification once the key is withdrawn;
+  // holders see the new QR code next time they open their tickets.
+  async reissueSignedWith(kid) {
+    let reissued = 0;
+
+    for (;;) {
+      const tickets = await Ticket.findAll({
+        where: { signingKeyId: kid, status: 'VALID' },
+        include: [{ model: Booking, as: 'booking', attributes: ['bookingNumber', 'eventId'] }],
+        limit: 100
+      });
+      if (tickets.length === 0) break;
+
+      for (const ticket of tickets) {
+        await ticket.update(await this.generateCredentials(ticket.booking, ticket));
+        reissued++;
+      }
+    }
+
+    logger.info(`Re-signed ${reissued} ticket(s) after revoking key ${kid}`);
+    return reissued;
+  }
+
+  // The booking owner cannot cancel seats whose tickets now belong to someone else
+  async assertHeldByOwner(booking, seatNumbers = null) {
+    const where = {
+      bookingId: booking.id,
+      status: 'VALID',
+      holderUserId: { [Op.ne]: booking.userId }
+    };
+    if (seatNumbers) {
+      where.seatNumber = { [Op.in]: seatNumbers };
+    }
+
+    const transferred = await Ticket.findAll({ where, attributes: ['seatNumber'] });
+    if (transferred.length > 0) {
+      const seats = transferred.map(ticket => ticket.seatNumber).filter(Boolean);
+      throw createError.conflict(seats.length > 0
+        ? `Tickets for seats ${seats.join(', ')} have been transferred and cannot be cancelled`
+        : 'Some tickets of this booking have been transferred and cannot be cancelled');
+    }
+  }
+
+  // Tickets the user holds, their own and those transferred to them
+  async findHeldBy(user, { upcoming = false } = {}) {
+    const eventWhere = upcoming ? { dateTime: { [Op.gt]: new Date() } } : undefined;
+
+    return Ticket.findAll({
+      where: { holderUserId: user.id, status: 'VALID' },
+      include: [
+        { model: Event, as: 'event', attributes: ['id', 'name', 'venue', 'dateTime', 'status'], where: eventWhere },
+        { model: Booking, as: 'booking', attributes: ['id', 'bookingNumber', 'status'] }
+      ],
+      order: [[{ model: Event, as: 'event' }, 'dateTime', 'ASC'], ['seatNumber', 'ASC']]
+    });
+  }
+
+  // Hand a ticket to another account. The QR code is re-keyed so the
+  // previous holder's copy stops working.
+  async transfer(ticketId, user, { email, attendeeName }, auditContext) {
+    const recipient = await User.findOne({
+      where: sequelize.where(sequelize.fn('LOWER', sequelize.col('email')), email.trim().toLowerCase())
+    });
+    if (!recipient) {
+      throw createError.notFound('No account is registered with that email address');
+    }
+    if (recipient.id === user.id) {
+      throw createError.badRequest('You already hold this ticket');
+    }
+
+    const transaction = await sequelize.transaction();
+    let ticket;
+    let event;
+
+    try {
+      let booking;
+      ({ ticket, booking, event } = await this.findTransferableTicket(ticketId, user, transaction));
+
+      await this.revokeCredentials([ticket], 'TRANSFERRED', transaction);
+
+      const before = ticket.get({ plain: true });
+      await ticket.update({
+        holderUserId: recipient.id,
+        attendeeName: attendeeName || recipient.name,
+        attendeeEmail: recipient.email,
+        transferCount: ticket.transferCount + 1,
+        lastTransferredAt: new Date(),
+        ...await this.generateCredentials(booking, ticket)
+      }, { transaction });
+
+      await auditService.record(auditContext, {
+        action: 'ticket.transfer',
+        entityType: 'Ticket',
+        entityId: ticket.id,
+        before,
+        after: ticket,
+        fields: ['holderUserId', 'attendeeName', 'attendeeEmail'],
+        metadata: { bookingId: ticket.bookingId, seatNumber: ticket.seatNumber }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Ticket ${ticket.id} transferred from user ${user.id} to user ${recipient.id}`);
+
+    emailService.sendTicketTransfer(recipient, ticket, event, user).catch(error => {
+      logger.error('Ticket transfer email failed:', { ticketId: ticket.id, error: error.message });
+    });
+
+    return ticket;
+  }
+
+  // Name who will use the ticket without handing it over
+  async updateAttendee(ticketId, user, { attendeeName, attendeeEmail }, auditContext) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const { ticket } = await this.findTransferableTicket(ticketId, user, transaction);
+
+      const before = ticket.get({ plain: true });
+      await ticket.update({ attendeeName, attendeeEmail }, { transaction });
+
+      await auditService.record(auditContext, {
+        action: 'ticket.attendee_update',
+        entityType: 'Ticket',
+        entityId: ticket.id,
+        before,
+        after: ticket,
+        fields: ['attendeeName', 'attendeeEmail']
+      }, { transaction });
+
+      await transaction.commit();
+      return ticket;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  // Held by `user`, not used or cancelled, and the event has not started;
+  // returns it with its booking and event
+  async findTransferableTicket(ticketId, user, transaction) {
+    const ticket = await Ticket.findOne({
+      where: { id: ticketId, holderUserId: user.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!ticket) {
+      throw createError.notFound('Ticket not found');
+    }
+
+    const booking = await Booking.findByPk(ticket.bookingId, { transaction });
+    const event = await Event.findByPk(ticket.eventId, { transaction });
+
+    if (ticket.status !== 'VALID') {
+      throw createError.conflict('This ticket has been cancelled');
+    }
+    if (ticket.qrValidated) {
+      throw createError.conflict('This ticket has already been used');
+    }
+    if (new Date(event.dateTime) <= new Date()) {
+      throw createError.badRequest('Tickets cannot be changed after the event has started');
+    }
+    return { ticket, booking, event };
+  }
+
+  // QR codes are only shown to the ticket's holder (and box office staff)
+  format(ticket, { includeCode = true } = {}) {
+    return {
+      id: ticket.id,
+      bookingId: ticket.bookingId,
+      seatNumber: ticket.seatNumber,
+      attendeeName: ticket.attendeeName,
+      attendeeEmail: ticket.attendeeEmail,
+      holderUserId: ticket.holderUserId,
+      status: ticket.status,
+      isValidated: ticket.qrValidated,
+      validatedAt: ticket.qrValidatedAt,
+      ticketHash: includeCode ? ticket.ticketHash : undefined,
+      signedToken: includeCode ? ticket.signedToken : undefined,
+      qrCode: includeCode ? ticket.qrCode : undefined
+    };
+  }
+}
+
+module.exports = new TicketService();
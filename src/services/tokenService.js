@@ -0,0 +1,195 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+// Loaded on first use so that requiring the auth middleware never opens Redis
+const getRedis = () => require('../config/redis').redis;
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `user-sessions:${userId}`;
+const actionTokenKey = (tokenId) => `action-token:${tokenId}`;
+
+// Lifetimes of the emailed one-time tokens, in seconds
+const ACTION_TOKEN_TTL = {
+  PASSWORD_RESET: 60 * 60,
+  EMAIL_VERIFICATION: 24 * 60 * 60,
+  ADMIN_INVITE: 72 * 60 * 60
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Swap the refresh secret only if the presented one is still current, so two
+// concurrent refreshes with the same token cannot both succeed
+const ROTATE_SCRIPT = `
+  if redis.call("HGET", KEYS[1], "refreshHash") == ARGV[1] then
+    redis.call("HSET", KEYS[1], "refreshHash", ARGV[2], "rotatedAt", ARGV[3])
+    redis.call("EXPIRE", KEYS[1], ARGV[4])
+    return 1
+  else
+    return 0
+  end
+`;
+
+// Short-lived access JWTs backed by server-side sessions.
+//
+// Every login opens a session (a Redis hash keyed by session id, `sid` in the
+// JWT). The client also gets an opaque refresh token `<sid>.<secret>`; only a
+// hash of the secret is stored, and each refresh replaces it. Presenting a
+// refresh secret that is no longer current means the token was copied, so the
+// whole session is revoked. Deleting a session revokes its access tokens too,
+// because authenticateToken checks that the session still exists.
+class TokenService {
+  get accessTokenTtl() {
+    return process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+  }
+
+  get refreshTokenTtlSeconds() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60;
+  }
+
+  // Open a session for a freshly authenticated user
+  async createSession(user, { userAgent = null, ip = null } = {}) {
+    const redis = getRedis();
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const ttl = this.refreshTokenTtlSeconds;
+
+    await redis.multi()
+      .hset(sessionKey(sessionId), {
+        userId: user.id,
+        refreshHash: hashSecret(secret),
+        createdAt: new Date().toISOString(),
+        userAgent: userAgent || '',
+        ip: ip || ''
+      })
+      .expire(sessionKey(sessionId), ttl)
+      .sadd(userSessionsKey(user.id), sessionId)
+      .expire(userSessionsKey(user.id), ttl)
+      .exec();
+
+    return this.issueTokens(user, sessionId, `${sessionId}.${secret}`);
+  }
+
+  // Exchange a refresh token for a new token pair. Returns null if the token
+  // is unknown, expired or was already used.
+  async rotate(refreshToken, loadUser) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) return null;
+
+    const redis = getRedis();
+    const session = await redis.hgetall(sessionKey(sessionId));
+    if (!session || !session.userId) return null;
+
+    const newSecret = crypto.randomBytes(32).toString('base64url');
+    const rotated = await redis.eval(
+      ROTATE_SCRIPT, 1, sessionKey(sessionId),
+      hashSecret(secret), hashSecret(newSecret), new Date().toISOString(), this.refreshTokenTtlSeconds
+    );
+
+    if (rotated !== 1) {
+      logger.warn('Refresh token reuse detected, revoking session:', { sessionId, userId: session.userId });
+      await this.revokeSession(sessionId);
+      return null;
+    }
+
+    const user = await loadUser(session.userId);
+    if (!user || !user.isActive) {
+      await this.revokeSession(sessionId);
+      return null;
+    }
+
+    await redis.expire(userSessionsKey(user.id), this.refreshTokenTtlSeconds);
+
+    return this.issueTokens(user, sessionId, `${sessionId}.${newSecret}`);
+  }
+
+  issueTokens(user, sessionId, refreshToken) {
+    const accessToken = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: this.accessTokenTtl,
+        issuer: 'evently-api',
+        audience: 'evently-client'
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+    return (await getRedis().exists(sessionKey(sessionId))) === 1;
+  }
+
+  async revokeSession(sessionId) {
+    const redis = getRedis();
+    const userId = await redis.hget(sessionKey(sessionId), 'userId');
+
+    await redis.del(sessionKey(sessionId));
+    if (userId) {
+      await redis.srem(userSessionsKey(userId), sessionId);
+    }
+  }
+
+  // Revoke every session of a user, optionally keeping the caller's own.
+  // Returns the number of sessions revoked.
+  async revokeAllSessions(userId, { except = null } = {}) {
+    const redis = getRedis();
+    const sessionIds = (await redis.smembers(userSessionsKey(userId)))
+      .filter(sessionId => sessionId !== except);
+
+    if (sessionIds.length === 0) return 0;
+
+    await redis.multi()
+      .del(...sessionIds.map(sessionKey))
+      .srem(userSessionsKey(userId), ...sessionIds)
+      .exec();
+
+    logger.info('Sessions revoked:', { userId, count: sessionIds.length });
+    return sessionIds.length;
+  }
+
+  // One-time tokens sent by email (password reset, email verification, admin
+  // invites). The JWT carries the purpose, expiry and `claims`; a Redis key per
+  // token id makes it single-use, since consuming deletes the key.
+  async issueActionToken(purpose, claims) {
+    const tokenId = crypto.randomUUID();
+    const ttl = ACTION_TOKEN_TTL[purpose];
+
+    await getRedis().set(actionTokenKey(tokenId), purpose, 'EX', ttl);
+
+    return jwt.sign(
+      { ...claims, purpose, jti: tokenId },
+      process.env.JWT_SECRET,
+      { expiresIn: ttl, issuer: 'evently-api', audience: 'evently-action' }
+    );
+  }
+
+  // Returns the claims the token was issued with, or null if it is invalid,
+  // expired, meant for another purpose or already used
+  async consumeActionToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'evently-api',
+        audience: 'evently-action'
+      });
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+    const deleted = await getRedis().del(actionTokenKey(decoded.jti));
+    return deleted === 1 ? decoded : null;
+  }
+}
+
+module.exports = new TokenService();
@@ -5,6 +5,9 @@ const BOOKING_STATUS = {
   EXPIRED: 'EXPIRED'
 };
 
+// Booking states that still hold or own seats
+const ACTIVE_BOOKING_STATUSES = ['SEAT_SELECTED', 'RESERVED', 'PAYMENT_PENDING', 'CONFIRMED'];
+
 const EVENT_STATUS = {
   DRAFT: 'DRAFT',
   PUBLISHED: 'PUBLISHED',
@@ -12,11 +15,62 @@ const EVENT_STATUS = {
   COMPLETED: 'COMPLETED'
 };
 
+// Allowed Event.status moves; CANCELLED and COMPLETED are final
+const EVENT_TRANSITIONS = {
+  DRAFT: ['PUBLISHED', 'CANCELLED'],
+  PUBLISHED: ['CANCELLED', 'COMPLETED'],
+  CANCELLED: [],
+  COMPLETED: []
+};
+
 const USER_ROLES = {
   USER: 'USER',
+  ORGANIZER: 'ORGANIZER',
+  BOX_OFFICE: 'BOX_OFFICE',
+  GATE_STAFF: 'GATE_STAFF',
   ADMIN: 'ADMIN'
 };
 
+// Permissions checked by authorize() in middleware/auth. "_ANY" permissions
+// lift the ownership scope; without them organizers only reach events and
+// venues they created.
+const PERMISSIONS = {
+  EVENTS_CREATE: 'events:create',
+  EVENTS_MANAGE_ANY: 'events:manage_any',
+  VENUES_MANAGE: 'venues:manage',
+  VENUES_MANAGE_ANY: 'venues:manage_any',
+  BOOKINGS_VIEW_ANY: 'bookings:view_any',
+  TICKETS_VALIDATE_ANY: 'tickets:validate_any',
+  REFUNDS_MANAGE: 'refunds:manage',
+  ANALYTICS_VIEW: 'analytics:view',
+  USERS_MANAGE: 'users:manage',
+  PROMOTIONS_MANAGE: 'promotions:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: [],
+  [USER_ROLES.ORGANIZER]: [
+    PERMISSIONS.EVENTS_CREATE,
+    PERMISSIONS.VENUES_MANAGE
+  ],
+  [USER_ROLES.BOX_OFFICE]: [
+    PERMISSIONS.BOOKINGS_VIEW_ANY,
+    PERMISSIONS.TICKETS_VALIDATE_ANY
+  ],
+  [USER_ROLES.GATE_STAFF]: [
+    PERMISSIONS.TICKETS_VALIDATE_ANY
+  ],
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Normalized webhook event types (see PaymentGateway.parseWebhook)
+const PAYMENT_EVENTS = {
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  REFUND_FAILED: 'refund.failed'
+};
+
 const MESSAGES = {
   SUCCESS: {
     USER_REGISTERED: 'User registered successfully',
@@ -39,7 +93,12 @@ const MESSAGES = {
 
 module.exports = {
   BOOKING_STATUS,
+  ACTIVE_BOOKING_STATUSES,
   EVENT_STATUS,
+  EVENT_TRANSITIONS,
   USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PAYMENT_EVENTS,
   MESSAGES
 };
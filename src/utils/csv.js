@@ -0,0 +1,82 @@
+// src/utils/csv.js
+
+// Quote a value for CSV output (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: row => any }] or plain keys of each row
+const toCsv = (rows, columns) => {
+  const normalized = columns.map(column => (
+    typeof column === 'string' ? { header: column, value: row => row[column] } : column
+  ));
+
+  const lines = [normalized.map(column => escapeCsvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(normalized.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// Parse CSV text into records of { line, values }, where line is the 1-based
+// line the record starts on. Handles quoted fields, "" escapes and CRLF.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = { toCsv, parseCsv, escapeCsvValue };
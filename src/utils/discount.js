@@ -0,0 +1,53 @@
+// src/utils/discount.js
+//
+// Promo code rules. A code takes either a percentage (optionally capped by
+// maxDiscountAmount) or a fixed amount off the booking subtotal, never more
+// than the subtotal itself.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Why `promo` cannot be used for `event` with this `subtotal`, or null if it can.
+// Redemption limits need the database and are checked by promoService.
+const checkEligibility = (promo, { event, subtotal, now = new Date() }) => {
+  if (!promo.isActive) {
+    return 'This promo code is no longer active';
+  }
+  if (promo.validFrom && now < new Date(promo.validFrom)) {
+    return 'This promo code is not valid yet';
+  }
+  if (promo.validUntil && now >= new Date(promo.validUntil)) {
+    return 'This promo code has expired';
+  }
+  if ((promo.eventIds && !promo.eventIds.includes(event.id)) ||
+      (promo.categories && !promo.categories.includes(event.category))) {
+    return 'This promo code does not apply to this event';
+  }
+
+  const minOrderAmount = toNumber(promo.minOrderAmount);
+  if (minOrderAmount !== null && subtotal < minOrderAmount) {
+    return `Orders must be at least ${minOrderAmount.toFixed(2)} to use this promo code`;
+  }
+
+  return null;
+};
+
+const calculateDiscount = (promo, subtotal) => {
+  const value = toNumber(promo.discountValue);
+  let amount = promo.discountType === 'PERCENTAGE'
+    ? subtotal * Math.min(value, 100) / 100
+    : value;
+
+  const cap = toNumber(promo.maxDiscountAmount);
+  if (promo.discountType === 'PERCENTAGE' && cap !== null) {
+    amount = Math.min(amount, cap);
+  }
+
+  return roundAmount(Math.min(amount, subtotal));
+};
+
+module.exports = {
+  checkEligibility,
+  calculateDiscount
+};
@@ -0,0 +1,41 @@
+// src/utils/entryPolicy.js
+//
+// An entry policy says how often a ticket gets its holder through the gates:
+//
+//   {
+//     maxReentries: 2,        // re-entries after the first entry; null = unlimited
+//     requireCheckOut: true   // re-entry only after being scanned out at a gate
+//   }
+//
+// Requiring check-out stops a ticket being passed back over the fence to a
+// second person while its holder is still inside.
+
+// Used for events that do not publish their own policy: single entry
+const DEFAULT_ENTRY_POLICY = Object.freeze({ maxReentries: 0, requireCheckOut: false });
+
+const resolveEntryPolicy = (event) => ({ ...DEFAULT_ENTRY_POLICY, ...(event.entryPolicy || {}) });
+
+// Outcome of scanning a ticket in `direction` (IN or OUT). `entries` counts
+// the ticket's entries so far; `inside` is whether its last movement was IN.
+const evaluateMovement = (policy, { entries, inside }, direction) => {
+  if (direction === 'OUT') {
+    return inside ? 'CHECKED_OUT' : 'NOT_INSIDE';
+  }
+
+  if (entries === 0) {
+    return 'ADMITTED';
+  }
+  if (policy.requireCheckOut && inside) {
+    return 'DUPLICATE';
+  }
+  if (policy.maxReentries !== null && entries - 1 >= policy.maxReentries) {
+    return 'DUPLICATE';
+  }
+  return 'ADMITTED';
+};
+
+module.exports = {
+  DEFAULT_ENTRY_POLICY,
+  resolveEntryPolicy,
+  evaluateMovement
+};
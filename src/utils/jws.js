@@ -0,0 +1,72 @@
+// src/utils/jws.js
+//
+// Compact JWS (RFC 7515) signed with Ed25519 ("EdDSA", RFC 8037):
+//
+//   base64url(header) . base64url(payload) . base64url(signature)
+//
+// Ticket QR codes carry these tokens so scanners can check them offline
+// against the published keys (GET /api/tickets/jwks). Keys are Node
+// KeyObjects; publicJwk() gives the form scanners download.
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'EdDSA';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+const generateKeyPair = () => crypto.generateKeyPairSync('ed25519');
+
+const sign = (payload, { kid, privateKey }) => {
+  const signingInput = `${encode({ alg: ALGORITHM, typ: 'JWT', kid })}.${encode(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+// Header and payload without checking the signature, or null if `token` is not a compact JWS
+const decode = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    return { header: decodePart(parts[0]), payload: decodePart(parts[1]) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns the payload, or null when the token is malformed, signed with an
+// unknown key or tampered with. `resolveKey(kid)` returns a public KeyObject.
+const verify = (token, resolveKey) => {
+  const decoded = decode(token);
+  if (!decoded || decoded.header.alg !== ALGORITHM || !decoded.header.kid) return null;
+
+  const publicKey = resolveKey(decoded.header.kid);
+  if (!publicKey) return null;
+
+  const [header, payload, signature] = String(token).split('.');
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  return valid ? decoded.payload : null;
+};
+
+const publicJwk = (kid, publicKey) => ({
+  ...publicKey.export({ format: 'jwk' }),
+  kid,
+  alg: ALGORITHM,
+  use: 'sig'
+});
+
+module.exports = {
+  ALGORITHM,
+  generateKeyPair,
+  sign,
+  decode,
+  verify,
+  publicJwk
+};
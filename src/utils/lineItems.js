@@ -0,0 +1,103 @@
+// src/utils/lineItems.js
+//
+// Booking line items: one entry per ticket type in a booking, stored on
+// Booking.lineItems as
+//
+//   [{ ticketTypeId, name, unitPrice, quantity, seatNumbers: ['A1'], amount }]
+//
+// Bookings of events without ticket types have no line items; their seats
+// share booking.unitPrice.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// `assignments` is [{ ticketType, seat }], one per selected seat
+const buildLineItems = (assignments) => {
+  const items = new Map();
+
+  assignments.forEach(({ ticketType, seat }) => {
+    if (!items.has(ticketType.id)) {
+      items.set(ticketType.id, {
+        ticketTypeId: ticketType.id,
+        name: ticketType.name,
+        unitPrice: roundAmount(parseFloat(ticketType.price)),
+        quantity: 0,
+        seatNumbers: [],
+        amount: 0
+      });
+    }
+
+    const item = items.get(ticketType.id);
+    item.quantity++;
+    item.seatNumbers.push(seat.seatNumber);
+    item.amount = roundAmount(item.unitPrice * item.quantity);
+  });
+
+  const lineItems = [...items.values()];
+  return { lineItems, totalAmount: roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0)) };
+};
+
+// Seats per ticket type among `seatNumbers` (all seats when null)
+const countByTicketType = (lineItems, seatNumbers = null) => {
+  const counts = {};
+  (lineItems || []).forEach(item => {
+    const count = seatNumbers
+      ? item.seatNumbers.filter(seat => seatNumbers.includes(seat)).length
+      : item.quantity;
+    if (count > 0) counts[item.ticketTypeId] = count;
+  });
+  return counts;
+};
+
+// Line items left after `seatNumbers` are cancelled
+const removeSeats = (lineItems, seatNumbers) => (lineItems || [])
+  .map(item => {
+    const remaining = item.seatNumbers.filter(seat => !seatNumbers.includes(seat));
+    return { ...item, seatNumbers: remaining, quantity: remaining.length, amount: roundAmount(item.unitPrice * remaining.length) };
+  })
+  .filter(item => item.quantity > 0);
+
+// Fraction of the booking's value that `seatNumbers` account for
+const priceShare = (lineItems, seatNumbers) => {
+  let selected = 0;
+  let total = 0;
+  (lineItems || []).forEach(item => {
+    item.seatNumbers.forEach(seat => {
+      total += item.unitPrice;
+      if (seatNumbers.includes(seat)) selected += item.unitPrice;
+    });
+  });
+  return total > 0 ? selected / total : 0;
+};
+
+// List price of `seatNumbers` by their ticket types
+const priceOf = (lineItems, seatNumbers) => roundAmount((lineItems || []).reduce(
+  (sum, item) => sum + item.unitPrice * item.seatNumbers.filter(seat => seatNumbers.includes(seat)).length,
+  0
+));
+
+// Split `total` over groups of the booking's seats by what each group's seats
+// are worth (evenly per seat without line items). Amounts add up to `total`
+// exactly; the last group takes the rounding difference.
+const allocateAmount = (total, lineItems, seatGroups) => {
+  const seatCount = seatGroups.reduce((sum, seats) => sum + seats.length, 0);
+  let allocated = 0;
+
+  return seatGroups.map((seats, index) => {
+    if (index === seatGroups.length - 1) {
+      return roundAmount(total - allocated);
+    }
+    const share = lineItems ? priceShare(lineItems, seats) : seats.length / seatCount;
+    const amount = roundAmount(total * share);
+    allocated += amount;
+    return amount;
+  });
+};
+
+module.exports = {
+  buildLineItems,
+  allocateAmount,
+  countByTicketType,
+  removeSeats,
+  priceShare,
+  priceOf
+};
@@ -0,0 +1,164 @@
+// src/utils/recurrence.js
+//
+// Recurrence rules for event series, modelled on iCalendar RRULE but kept as
+// JSON:
+//
+//   {
+//     frequency: 'WEEKLY',            // or 'DAILY'
+//     interval: 1,                    // every n days / weeks
+//     byDay: ['TU', 'TH'],            // WEEKLY only; defaults to startDate's weekday
+//     startDate: '2026-03-03',        // first candidate date (local to timezone)
+//     time: '18:30',                  // local start time of every occurrence
+//     timezone: 'Europe/London',      // IANA zone, defaults to UTC
+//     until: '2026-06-30',            // last possible date, or `count` instead
+//     count: 12,
+//     exclusions: ['2026-04-14']      // dates to skip (holidays, ...)
+//   }
+//
+// Occurrences keep the same wall-clock time across DST changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY'];
+const MAX_OCCURRENCES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const parseDate = (text) => {
+  if (typeof text !== 'string' || !DATE_PATTERN.test(text)) return null;
+  const [year, month, day] = text.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null; // rejects 2026-02-30
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of `timezone` from UTC at `instant`, in milliseconds
+const timezoneOffset = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(instant).reduce((values, part) => {
+    values[part.type] = part.value;
+    return values;
+  }, {});
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant at which the clock in `timezone` shows `date` `time`
+const zonedDateTime = (date, time, timezone = 'UTC') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes);
+
+  // Two passes settle the offset on either side of a DST change
+  let instant = wallClock - timezoneOffset(new Date(wallClock), timezone);
+  instant = wallClock - timezoneOffset(new Date(instant), timezone);
+  return new Date(instant);
+};
+
+// Returns a list of problems; empty means the rule is usable
+const validateRecurrence = (rule) => {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return ['Recurrence rule is required'];
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+    errors.push('interval must be a positive integer');
+  }
+  if (rule.byDay !== undefined) {
+    if (rule.frequency !== 'WEEKLY') {
+      errors.push('byDay is only supported for WEEKLY rules');
+    } else if (!Array.isArray(rule.byDay) || rule.byDay.length === 0 || rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`byDay must list weekdays out of ${WEEKDAYS.join(', ')}`);
+    }
+  }
+
+  const start = parseDate(rule.startDate);
+  if (!start) errors.push('startDate must be a date (YYYY-MM-DD)');
+  if (!TIME_PATTERN.test(rule.time || '')) errors.push('time must be HH:mm');
+  if (rule.timezone !== undefined && !isValidTimezone(rule.timezone)) {
+    errors.push(`Unknown timezone "${rule.timezone}"`);
+  }
+
+  if ((rule.until === undefined) === (rule.count === undefined)) {
+    errors.push('Exactly one of until or count is required');
+  } else if (rule.until !== undefined) {
+    const until = parseDate(rule.until);
+    if (!until) errors.push('until must be a date (YYYY-MM-DD)');
+    else if (start && until < start) errors.push('until must not be before startDate');
+  } else if (!(Number.isInteger(rule.count) && rule.count >= 1 && rule.count <= MAX_OCCURRENCES)) {
+    errors.push(`count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+
+  if (rule.exclusions !== undefined &&
+      (!Array.isArray(rule.exclusions) || rule.exclusions.some(date => !parseDate(date)))) {
+    errors.push('exclusions must be a list of dates (YYYY-MM-DD)');
+  }
+
+  return errors;
+};
+
+// Expand a valid rule into [{ date: 'YYYY-MM-DD', dateTime: Date }], oldest
+// first. Throws if the rule would produce more than MAX_OCCURRENCES.
+const expandRecurrence = (rule) => {
+  const start = parseDate(rule.startDate);
+  const until = rule.until ? parseDate(rule.until) : null;
+  const interval = rule.interval || 1;
+  const timezone = rule.timezone || 'UTC';
+  const excluded = new Set(rule.exclusions || []);
+  const byDay = rule.frequency === 'WEEKLY'
+    ? new Set(rule.byDay || [WEEKDAYS[start.getUTCDay()]])
+    : null;
+
+  // Weekly intervals count from the week (Sunday-based) that contains startDate
+  const firstWeek = start.getTime() - start.getUTCDay() * DAY_MS;
+
+  const occurrences = [];
+  for (let day = start.getTime(); ; day += DAY_MS) {
+    const date = new Date(day);
+    if (until && date > until) break;
+    if (!until && occurrences.length >= rule.count) break;
+
+    const daysFromStart = Math.round((day - start.getTime()) / DAY_MS);
+    const matches = byDay
+      ? byDay.has(WEEKDAYS[date.getUTCDay()]) && Math.floor((day - firstWeek) / (7 * DAY_MS)) % interval === 0
+      : daysFromStart % interval === 0;
+
+    if (!matches || excluded.has(formatDate(date))) continue;
+
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      throw new Error(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+    }
+
+    occurrences.push({ date: formatDate(date), dateTime: zonedDateTime(date, rule.time, timezone) });
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  validateRecurrence,
+  expandRecurrence,
+  zonedDateTime,
+  parseDate
+};
@@ -0,0 +1,71 @@
+// src/utils/refundPolicy.js
+//
+// A refund policy is a list of tiers, each granting a refund percentage while at
+// least `hoursBeforeEvent` hours remain before Event.dateTime:
+//
+//   {
+//     tiers: [
+//       { hoursBeforeEvent: 168, refundPercent: 100 },  // 7+ days out: full refund
+//       { hoursBeforeEvent: 24, refundPercent: 50 }     // 1-7 days out: half
+//     ],
+//     allowLateCancellation: false                      // past the last tier: blocked
+//   }
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used for events that do not publish their own policy
+const getDefaultRefundPolicy = () => ({
+  tiers: [
+    { hoursBeforeEvent: parseInt(process.env.CANCELLATION_DEADLINE_HOURS || '24', 10), refundPercent: 100 }
+  ],
+  allowLateCancellation: false
+});
+
+const resolveRefundPolicy = (event) => event.refundPolicy || getDefaultRefundPolicy();
+
+// Returns { cancellable, refundPercent, tier, deadline, reason }
+const evaluateRefundPolicy = (policy, eventDateTime, now = new Date()) => {
+  const startsAt = new Date(eventDateTime);
+  const hoursUntilEvent = (startsAt.getTime() - now.getTime()) / HOUR_MS;
+
+  if (hoursUntilEvent <= 0) {
+    return {
+      cancellable: false,
+      refundPercent: 0,
+      tier: null,
+      deadline: null,
+      reason: 'Event has already started'
+    };
+  }
+
+  const tiers = [...(policy.tiers || [])].sort((a, b) => b.hoursBeforeEvent - a.hoursBeforeEvent);
+  const tier = tiers.find(candidate => hoursUntilEvent >= candidate.hoursBeforeEvent);
+
+  if (!tier) {
+    const lastTier = tiers[tiers.length - 1];
+    return {
+      cancellable: !!policy.allowLateCancellation,
+      refundPercent: 0,
+      tier: null,
+      deadline: lastTier ? new Date(startsAt.getTime() - lastTier.hoursBeforeEvent * HOUR_MS) : null,
+      reason: policy.allowLateCancellation
+        ? 'Cancellation deadline passed; no refund applies'
+        : 'Cancellation deadline has passed'
+    };
+  }
+
+  return {
+    cancellable: true,
+    refundPercent: tier.refundPercent,
+    tier,
+    // Until this moment the current tier applies
+    deadline: new Date(startsAt.getTime() - tier.hoursBeforeEvent * HOUR_MS),
+    reason: null
+  };
+};
+
+module.exports = {
+  getDefaultRefundPolicy,
+  resolveRefundPolicy,
+  evaluateRefundPolicy
+};
@@ -0,0 +1,193 @@
+// src/utils/seatLayout.js
+//
+// A seating layout describes a venue's seats once so every event held there can
+// generate its Seat rows from it:
+//
+//   {
+//     priceTiers: { STANDARD: 1, FRONT: 1.5, VIP: 2 },   // multipliers of Event.price
+//     aisleEdges: true,                                   // first/last seat of each block is AISLE
+//     sections: [
+//       {
+//         name: 'VIP',
+//         priceTier: 'VIP',
+//         seatType: 'VIP',                                // default type for the section
+//         rows: [
+//           { label: 'A', seats: 12, gaps: [6, 7], seatTypes: { 1: 'WHEELCHAIR_ACCESSIBLE' } }
+//         ]
+//       }
+//     ]
+//   }
+//
+// Seats are numbered by position (`A1`..`A12`); gap positions produce no seat,
+// so the row above has A1-A5 and A8-A12. Row labels must be unique across the
+// layout, and so must the seat numbers they produce (row "A" with 12 seats and
+// row "A1" both have an A11), because seat numbers are unique per event.
+
+const SEAT_TYPES = ['REGULAR', 'WHEELCHAIR_ACCESSIBLE', 'AISLE', 'PREMIUM', 'VIP'];
+
+// The grid used before layouts existed; events without a layout still get it
+const getDefaultLayout = () => ({
+  priceTiers: { VIP: 2.0, PREMIUM: 1.5, GENERAL: 1.0 },
+  aisleEdges: true,
+  sections: [
+    {
+      name: 'VIP',
+      priceTier: 'VIP',
+      rows: [
+        { label: 'A', seats: 10, seatTypes: { 1: 'WHEELCHAIR_ACCESSIBLE', 2: 'WHEELCHAIR_ACCESSIBLE', 5: 'PREMIUM', 6: 'PREMIUM' } },
+        { label: 'B', seats: 10, seatTypes: { 5: 'PREMIUM', 6: 'PREMIUM' } }
+      ]
+    },
+    {
+      name: 'PREMIUM',
+      priceTier: 'PREMIUM',
+      rows: ['C', 'D', 'E'].map(label => ({ label, seats: 15 }))
+    },
+    {
+      name: 'GENERAL',
+      priceTier: 'GENERAL',
+      rows: ['F', 'G', 'H', 'I', 'J'].map(label => ({ label, seats: 20 }))
+    }
+  ]
+});
+
+// Checks the rules the JSON schema cannot express. Returns a list of problems.
+const validateLayout = (definition) => {
+  const errors = [];
+  const priceTiers = definition.priceTiers || {};
+  const sectionNames = new Set();
+  const rowLabels = new Set();
+  const seatNumbers = new Set();
+  let totalSeats = 0;
+
+  (definition.sections || []).forEach((section, sectionIndex) => {
+    const sectionRef = section.name || `sections[${sectionIndex}]`;
+
+    if (sectionNames.has(section.name)) {
+      errors.push(`Duplicate section name "${section.name}"`);
+    }
+    sectionNames.add(section.name);
+
+    if (section.priceTier && priceTiers[section.priceTier] === undefined) {
+      errors.push(`Section ${sectionRef} uses unknown price tier "${section.priceTier}"`);
+    }
+    if (section.seatType && !SEAT_TYPES.includes(section.seatType)) {
+      errors.push(`Section ${sectionRef} has invalid seat type "${section.seatType}"`);
+    }
+
+    (section.rows || []).forEach(row => {
+      const rowRef = `row ${row.label} in section ${sectionRef}`;
+
+      const duplicateLabel = rowLabels.has(row.label);
+      if (duplicateLabel) {
+        errors.push(`Duplicate row label "${row.label}"`);
+      }
+      rowLabels.add(row.label);
+
+      if (row.priceTier && priceTiers[row.priceTier] === undefined) {
+        errors.push(`${rowRef} uses unknown price tier "${row.priceTier}"`);
+      }
+
+      const gaps = row.gaps || [];
+      const outOfRange = gaps.filter(position => position < 1 || position > row.seats);
+      if (outOfRange.length > 0) {
+        errors.push(`${rowRef} has gaps outside 1-${row.seats}: ${outOfRange.join(', ')}`);
+      }
+
+      Object.entries(row.seatTypes || {}).forEach(([position, seatType]) => {
+        const seatPosition = Number(position);
+        if (!Number.isInteger(seatPosition) || seatPosition < 1 || seatPosition > row.seats) {
+          errors.push(`${rowRef} sets a seat type for position ${position}, outside 1-${row.seats}`);
+        } else if (gaps.includes(seatPosition)) {
+          errors.push(`${rowRef} sets a seat type for gap position ${position}`);
+        }
+        if (!SEAT_TYPES.includes(seatType)) {
+          errors.push(`${rowRef} has invalid seat type "${seatType}"`);
+        }
+      });
+
+      const collisions = [];
+      for (let position = 1; position <= row.seats; position++) {
+        if (gaps.includes(position)) continue;
+        const seatNumber = `${row.label}${position}`;
+        if (seatNumbers.has(seatNumber)) collisions.push(seatNumber);
+        seatNumbers.add(seatNumber);
+      }
+      if (collisions.length > 0 && !duplicateLabel) {
+        errors.push(`${rowRef} repeats seat numbers of another row: ${collisions.join(', ')}`);
+      }
+
+      totalSeats += row.seats - new Set(gaps.filter(position => position >= 1 && position <= row.seats)).size;
+    });
+  });
+
+  if (errors.length === 0 && totalSeats === 0) {
+    errors.push('Layout has no seats');
+  }
+
+  return errors;
+};
+
+// Expand a layout into Seat attributes priced from the event's base price
+const expandLayout = (definition, basePrice) => {
+  const priceTiers = definition.priceTiers || {};
+  const seats = [];
+
+  definition.sections.forEach(section => {
+    section.rows.forEach(row => {
+      const gaps = new Set(row.gaps || []);
+      const seatTypes = row.seatTypes || {};
+      const tier = row.priceTier || section.priceTier;
+      const multiplier = tier ? priceTiers[tier] : 1;
+      const price = Math.round(parseFloat(basePrice) * multiplier * 100) / 100;
+
+      for (let position = 1; position <= row.seats; position++) {
+        if (gaps.has(position)) continue;
+
+        // A seat next to a gap or the end of the row sits on an aisle
+        const isEdge = position === 1 || position === row.seats ||
+          gaps.has(position - 1) || gaps.has(position + 1);
+
+        let seatType = section.seatType || 'REGULAR';
+        if (definition.aisleEdges && isEdge) seatType = 'AISLE';
+        if (seatTypes[position]) seatType = seatTypes[position];
+
+        seats.push({
+          seatNumber: `${row.label}${position}`,
+          row: row.label,
+          section: section.name,
+          price,
+          seatType
+        });
+      }
+    });
+  });
+
+  return seats;
+};
+
+// Seat counts per section, for listings and previews
+const summarizeLayout = (definition) => {
+  const sections = definition.sections.map(section => ({
+    name: section.name,
+    priceTier: section.priceTier || null,
+    rows: section.rows.length,
+    seats: section.rows.reduce(
+      (sum, row) => sum + row.seats - new Set(row.gaps || []).size,
+      0
+    )
+  }));
+
+  return {
+    totalSeats: sections.reduce((sum, section) => sum + section.seats, 0),
+    sections
+  };
+};
+
+module.exports = {
+  SEAT_TYPES,
+  getDefaultLayout,
+  validateLayout,
+  expandLayout,
+  summarizeLayout
+};
@@ -0,0 +1,197 @@
+// src/utils/seatMapFile.js
+//
+// Seat map files for import/export. Two formats are accepted:
+//
+//   CSV   header row `section,row,seat,type,price` (extra columns such as the
+//         exported `status` are ignored). `seat` is either the position in the
+//         row ("12" -> "A12") or a full seat number; a blank `type` is REGULAR
+//         and a blank `price` is the event's base price.
+//
+//   JSON  either a seating layout definition ({ sections: [...] }, see
+//         utils/seatLayout) or a seat list ({ seats: [{ section, row, seat,
+//         type, price }] }) as produced by the JSON export.
+//
+// Parsing never throws on bad content: every problem is returned as
+// { line, message } so the whole file can be fixed in one pass.
+
+const { toCsv, parseCsv } = require('./csv');
+const { SEAT_TYPES, validateLayout, expandLayout } = require('./seatLayout');
+
+const REQUIRED_COLUMNS = ['section', 'row', 'seat'];
+const EXPORT_COLUMNS = ['section', 'row', 'seat', 'type', 'price', 'status'];
+const MAX_SEATS = 10000;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Validate one seat entry; `line` is the CSV line or 1-based JSON entry index
+const normalizeSeatEntry = (entry, line, basePrice) => {
+  const errors = [];
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+  const section = text(entry.section);
+  const row = text(entry.row);
+  const seat = text(entry.seat);
+  const seatType = text(entry.type).toUpperCase() || 'REGULAR';
+  const priceText = text(entry.price);
+
+  if (!section) errors.push('section is required');
+  if (!row) errors.push('row is required');
+  if (!seat) errors.push('seat is required');
+
+  if (!SEAT_TYPES.includes(seatType)) {
+    errors.push(`unknown seat type "${entry.type}" (expected one of ${SEAT_TYPES.join(', ')})`);
+  }
+
+  let price = parseFloat(basePrice);
+  if (priceText) {
+    price = Number(priceText);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`invalid price "${priceText}"`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors: errors.map(message => ({ line, message })) };
+  }
+
+  return {
+    seat: {
+      line,
+      seatNumber: /^\d+$/.test(seat) ? `${row}${seat}` : seat,
+      row,
+      section,
+      seatType,
+      price: roundPrice(price)
+    },
+    errors: []
+  };
+};
+
+const parseCsvSeats = (content, basePrice) => {
+  let records;
+  try {
+    records = parseCsv(content);
+  } catch (error) {
+    return { seats: [], errors: [{ line: null, message: error.message }] };
+  }
+
+  if (records.length === 0) {
+    return { seats: [], errors: [{ line: null, message: 'File is empty' }] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.values.map(value => value.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return {
+      seats: [],
+      errors: [{ line: header.line, message: `missing column(s): ${missing.join(', ')}` }]
+    };
+  }
+
+  const seats = [];
+  const errors = [];
+
+  rows.forEach(record => {
+    const entry = {};
+    columns.forEach((column, index) => { entry[column] = record.values[index]; });
+
+    const result = normalizeSeatEntry(entry, record.line, basePrice);
+    if (result.seat) seats.push(result.seat);
+    errors.push(...result.errors);
+  });
+
+  return { seats, errors };
+};
+
+const parseJsonSeats = (content, basePrice) => {
+  let document;
+  try {
+    document = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    return { seats: [], errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+  }
+
+  // A layout document expands into seats the same way generateSeatMap does
+  if (document && Array.isArray(document.sections)) {
+    const layoutErrors = validateLayout(document);
+    if (layoutErrors.length > 0) {
+      return { seats: [], errors: layoutErrors.map(message => ({ line: null, message })) };
+    }
+    return {
+      seats: expandLayout(document, basePrice).map((seat, index) => ({ line: index + 1, ...seat })),
+      errors: []
+    };
+  }
+
+  const entries = Array.isArray(document) ? document : document && document.seats;
+  if (!Array.isArray(entries)) {
+    return {
+      seats: [],
+      errors: [{ line: null, message: 'Expected a layout ({ sections }) or a seat list ({ seats })' }]
+    };
+  }
+
+  const seats = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const result = normalizeSeatEntry(entry || {}, index + 1, basePrice);
+    if (result.seat) seats.push(result.seat);
+    errors.push(...result.errors);
+  });
+
+  return { seats, errors };
+};
+
+// Parse an uploaded seat map. `existingSeatNumbers` are seats the event keeps
+// (append mode), which the file may not redefine.
+const parseSeatMapFile = (content, format, { basePrice = 0, existingSeatNumbers = [] } = {}) => {
+  const { seats, errors } = format === 'csv'
+    ? parseCsvSeats(content, basePrice)
+    : parseJsonSeats(content, basePrice);
+
+  const firstLine = new Map();
+  const existing = new Set(existingSeatNumbers);
+
+  seats.forEach(seat => {
+    if (existing.has(seat.seatNumber)) {
+      errors.push({ line: seat.line, message: `seat ${seat.seatNumber} already exists for this event` });
+    } else if (firstLine.has(seat.seatNumber)) {
+      errors.push({
+        line: seat.line,
+        message: `duplicate seat ${seat.seatNumber} (first defined on line ${firstLine.get(seat.seatNumber)})`
+      });
+    } else {
+      firstLine.set(seat.seatNumber, seat.line);
+    }
+  });
+
+  if (seats.length + existing.size > MAX_SEATS) {
+    errors.push({ line: null, message: `An event cannot have more than ${MAX_SEATS} seats` });
+  }
+
+  errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+  return { seats: errors.length > 0 ? [] : seats, errors };
+};
+
+const toExportRow = (seat) => ({
+  section: seat.section,
+  row: seat.row,
+  seat: seat.seatNumber,
+  type: seat.seatType,
+  price: parseFloat(seat.price),
+  status: seat.getStatus()
+});
+
+const serializeSeatMap = (seats, format) => {
+  const rows = seats.map(toExportRow);
+  return format === 'csv' ? toCsv(rows, EXPORT_COLUMNS) : rows;
+};
+
+module.exports = {
+  parseSeatMapFile,
+  serializeSeatMap,
+  MAX_SEATS
+};
@@ -0,0 +1,163 @@
+const { User } = require('../../../src/models');
+const { lock } = require('../../../src/config/redis');
+const tokenService = require('../../../src/services/tokenService');
+const authController = require('../../../src/controllers/authController');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/config/redis', () => ({ lock: { acquire: jest.fn(), release: jest.fn() } }));
+jest.mock('../../../src/services/tokenService', () => ({
+  createSession: jest.fn(),
+  issueActionToken: jest.fn(),
+  consumeActionToken: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../../../src/services/emailService', () => ({
+  sendEmailVerification: jest.fn(),
+  sendPasswordResetEmail: jest.fn()
+}));
+
+describe('AuthController', () => {
+  let req, res, next;
+  const bootstrapLock = { key: 'lock:admin-bootstrap', value: 'token' };
+
+  beforeEach(() => {
+    process.env.ADMIN_CREATION_CODE = 'open-sesame';
+    // Automocked models share their inherited static methods
+    User.count = jest.fn();
+    User.findOne = jest.fn();
+    User.findByPk = jest.fn();
+    User.create = jest.fn(async (fields) => ({ id: 'user-new', ...fields }));
+
+    req = { body: {}, ip: '10.0.0.1', get: jest.fn() };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+
+    lock.acquire.mockResolvedValue(bootstrapLock);
+    tokenService.createSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'sid.secret' });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_CREATION_CODE;
+  });
+
+  describe('registerAdmin', () => {
+    const admin = { email: 'root@example.com', password: 'Passw0rd!', name: 'Root', adminCode: 'open-sesame' };
+
+    it('should create the first admin', async () => {
+      req.body = admin;
+      User.count.mockResolvedValue(0);
+
+      await authController.registerAdmin(req, res, next);
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'root@example.com', role: 'ADMIN' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(lock.release).toHaveBeenCalledWith(bootstrapLock.key, bootstrapLock.value);
+    });
+
+    it('should close once an admin exists', async () => {
+      req.body = admin;
+      User.count.mockResolvedValue(1);
+
+      await authController.registerAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ADMIN_BOOTSTRAP_CLOSED' }));
+      expect(User.create).not.toHaveBeenCalled();
+      expect(lock.release).toHaveBeenCalledWith(bootstrapLock.key, bootstrapLock.value);
+    });
+
+    it('should refuse a wrong or unconfigured creation code before anything else', async () => {
+      req.body = { ...admin, adminCode: 'guess' };
+      await authController.registerAdmin(req, res, next);
+
+      delete process.env.ADMIN_CREATION_CODE;
+      req.body = admin;
+      await authController.registerAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 403);
+      expect(res.status).toHaveBeenNthCalledWith(2, 403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_ADMIN_CODE' }));
+      expect(lock.acquire).not.toHaveBeenCalled();
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should turn away a concurrent bootstrap', async () => {
+      req.body = admin;
+      lock.acquire.mockResolvedValue(null);
+
+      await authController.registerAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(User.count).not.toHaveBeenCalled();
+      expect(lock.release).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptAdminInvite', () => {
+    it('should create a verified admin for the invited address', async () => {
+      req.body = { token: 'invite-token', password: 'Passw0rd!', name: 'Grace' };
+      tokenService.consumeActionToken.mockResolvedValue({ email: 'grace@example.com', invitedBy: 'admin-1' });
+      User.findOne.mockResolvedValue(null);
+
+      await authController.acceptAdminInvite(req, res, next);
+
+      expect(tokenService.consumeActionToken).toHaveBeenCalledWith('invite-token', 'ADMIN_INVITE');
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'grace@example.com',
+        role: 'ADMIN',
+        emailVerified: true
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject an invalid or used invitation', async () => {
+      req.body = { token: 'used-token', password: 'Passw0rd!', name: 'Grace' };
+      tokenService.consumeActionToken.mockResolvedValue(null);
+
+      await authController.acceptAdminInvite(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should set the new password and sign out every session', async () => {
+      const user = { id: 'user-1', email: 'ada@example.com', isActive: true, emailVerified: false, update: jest.fn() };
+      req.body = { token: 'reset-token', newPassword: 'N3wPassw0rd!' };
+      tokenService.consumeActionToken.mockResolvedValue({ userId: 'user-1' });
+      User.findByPk.mockResolvedValue(user);
+
+      await authController.resetPassword(req, res, next);
+
+      expect(tokenService.consumeActionToken).toHaveBeenCalledWith('reset-token', 'PASSWORD_RESET');
+      expect(user.update).toHaveBeenCalledWith(expect.objectContaining({ password: 'N3wPassw0rd!', emailVerified: true }));
+      expect(tokenService.revokeAllSessions).toHaveBeenCalledWith('user-1');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should reject a token that was already used', async () => {
+      req.body = { token: 'reset-token', newPassword: 'N3wPassw0rd!' };
+      tokenService.consumeActionToken.mockResolvedValue(null);
+
+      await authController.resetPassword(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(tokenService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the address verified', async () => {
+      const user = { id: 'user-1', email: 'ada@example.com', emailVerified: false, update: jest.fn() };
+      req.body = { token: 'verify-token' };
+      tokenService.consumeActionToken.mockResolvedValue({ userId: 'user-1' });
+      User.findByPk.mockResolvedValue(user);
+
+      await authController.verifyEmail(req, res, next);
+
+      expect(tokenService.consumeActionToken).toHaveBeenCalledWith('verify-token', 'EMAIL_VERIFICATION');
+      expect(user.update).toHaveBeenCalledWith(expect.objectContaining({ emailVerified: true }));
+    });
+  });
+});
@@ -1,10 +1,16 @@
 const BookingController = require('../../../src/controllers/bookingController');
-const { Booking, Event, User, sequelize } = require('../../../src/models');
+const { Booking, Event, Seat, User, TicketType, PromoRedemption, Refund, sequelize } = require('../../../src/models');
+const ticketService = require('../../../src/services/ticketService');
+const refundService = require('../../../src/services/refundService');
+const auditService = require('../../../src/services/auditService');
 const { Op } = require('sequelize');
 const QRCode = require('qrcode');
 
 jest.mock('../../../src/models');
 jest.mock('qrcode');
+jest.mock('../../../src/jobs/reservationExpiryJob', () => ({
+  expireBooking: jest.fn().mockResolvedValue(true)
+}));
 const analyticsService = require('../../../src/services/analyticsService');
 
 afterAll(() => {
@@ -52,6 +58,18 @@ describe('BookingController', () => {
       expect(error.message).toBe('Event not found');
     });
 
+    it('should return 409 if the event is not open for booking', async () => {
+      req.body = { eventId: 1, seatNumbers: ['A1'] };
+      Event.findByPk.mockResolvedValue({ id: 1, status: 'CANCELLED', isBookable: () => false, isOpenForBooking: () => false });
+
+      await BookingController.selectSeats(req, res, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('Event is not open for booking');
+      expect(Seat.findAll).not.toHaveBeenCalled();
+    });
+
     it('should return 409 if seats unavailable', async () => {
       req.body = {
         eventId: 1,
@@ -59,8 +77,11 @@ describe('BookingController', () => {
         seatSection: 'GOLD',
         seatRow: 'A'
       };
-      Event.findByPk.mockResolvedValue({ id: 1, price: 100 });
-      BookingController.checkSeatAvailability = jest.fn().mockResolvedValue(['A1']);
+      Event.findByPk.mockResolvedValue({ id: 1, price: 100, isBookable: () => true, isOpenForBooking: () => true });
+      Seat.findAll.mockResolvedValue([
+        { id: 's1', seatNumber: 'A1', isAvailable: () => false },
+        { id: 's2', seatNumber: 'A2', isAvailable: () => true }
+      ]);
 
       await BookingController.selectSeats(req, res, next);
 
@@ -79,8 +100,11 @@ describe('BookingController', () => {
         seatSection: 'GOLD',
         seatRow: 'A'
       };
-      Event.findByPk.mockResolvedValue({ id: 1, price: 100 });
-      BookingController.checkSeatAvailability = jest.fn().mockResolvedValue([]);
+      Event.findByPk.mockResolvedValue({ id: 1, price: 100, isBookable: () => true, isOpenForBooking: () => true });
+      Seat.findAll.mockResolvedValue([
+        { id: 's1', seatNumber: 'A1', section: 'GOLD', row: 'A', price: '100.00', isAvailable: () => true },
+        { id: 's2', seatNumber: 'A2', section: 'GOLD', row: 'A', price: '100.00', isAvailable: () => true }
+      ]);
       Booking.create.mockResolvedValue({
         id: 1,
         bookingNumber: 'BKG123',
@@ -132,6 +156,62 @@ describe('BookingController', () => {
       expect(error.message).toBe('Booking expired');
     });
 
+    it('should return 409 if the event was cancelled after seats were selected', async () => {
+      req.params.bookingId = 1;
+      Booking.findOne.mockResolvedValue({
+        id: 1,
+        status: 'SEAT_SELECTED',
+        reservationExpiresAt: new Date(Date.now() + 10000),
+        event: { id: 1, status: 'CANCELLED', isOpenForBooking: () => false }
+      });
+      BookingController.processPayment = jest.fn();
+
+      await BookingController.confirmBooking(req, res, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error.statusCode).toBe(409);
+      expect(BookingController.processPayment).not.toHaveBeenCalled();
+    });
+
+    it('should reverse the charge when the confirmation fails after payment', async () => {
+      const { sequelize: database } = require('../../../src/config/database');
+      const paymentService = require('../../../src/services/paymentService');
+      const transaction = { commit: jest.fn(), rollback: jest.fn() };
+      const transactionSpy = jest.spyOn(database, 'transaction').mockResolvedValue(transaction);
+      const reverseSpy = jest.spyOn(paymentService, 'reverse').mockResolvedValue(true);
+
+      req.params.bookingId = 1;
+      Booking.findOne.mockResolvedValue({
+        id: 1,
+        bookingNumber: 'BKG123',
+        ticketCount: 1,
+        status: 'SEAT_SELECTED',
+        reservationExpiresAt: new Date(Date.now() + 10000),
+        event: { id: 1, isOpenForBooking: () => true }
+      });
+      Seat.extendReservation.mockResolvedValue(1);
+      Seat.confirmReservation.mockRejectedValue(new Error('deadlock detected'));
+      BookingController.processPayment = jest.fn().mockResolvedValue({
+        success: true,
+        paymentId: 'PAY123',
+        transactionId: 'AUTH123',
+        gateway: 'sandbox',
+        amount: 100
+      });
+
+      await BookingController.confirmBooking(req, res, next);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(reverseSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ paymentId: 'PAY123', authorizationId: 'AUTH123', amount: 100 }),
+        expect.objectContaining({ reference: 'BKG123' })
+      );
+      expect(next.mock.calls[0][0].message).toBe('deadlock detected');
+
+      transactionSpy.mockRestore();
+      reverseSpy.mockRestore();
+    });
+
     it('should confirm booking successfully', async () => {
       req.params.bookingId = 1;
       req.body = { paymentMethod: 'CARD', paymentDetails: {} };
@@ -145,12 +225,11 @@ describe('BookingController', () => {
         status: 'SEAT_SELECTED',
         reservationExpiresAt: new Date(Date.now() + 10000),
         update: jest.fn(),
-        event: { id: 1, name: 'Concert', venue: 'Stadium', dateTime: new Date() }
+        event: { id: 1, name: 'Concert', venue: 'Stadium', dateTime: new Date(), isOpenForBooking: () => true }
       });
       QRCode.toDataURL.mockResolvedValue('qrCodeData');
       sequelize.transaction.mockImplementation(fn => fn({ commit: jest.fn(), rollback: jest.fn() }));
       BookingController.processPayment = jest.fn().mockResolvedValue({ success: true, paymentId: 'PAY123' });
-      BookingController.generateTicketHash = jest.fn().mockReturnValue('hash123');
 
       await BookingController.confirmBooking(req, res, next);
 
@@ -161,6 +240,27 @@ describe('BookingController', () => {
     });
   });
 
+  // -------------------- processPayment --------------------
+  describe('processPayment', () => {
+    it('should settle a free booking without calling the gateway', async () => {
+      const paymentService = require('../../../src/services/paymentService');
+      jest.spyOn(paymentService, 'charge');
+
+      // confirmBooking tests above stub processPayment on the instance
+      const { processPayment } = Object.getPrototypeOf(BookingController);
+
+      const result = await processPayment.call(
+        BookingController,
+        { id: 1, totalAmount: '0.00', discountAmount: '0.00' },
+        'CARD',
+        {}
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, pending: false, paymentId: null, amount: 0 }));
+      expect(paymentService.charge).not.toHaveBeenCalled();
+    });
+  });
+
   // -------------------- getSeatMap --------------------
   describe('getSeatMap', () => {
     it('should return 404 if event not found', async () => {
@@ -178,8 +278,9 @@ describe('BookingController', () => {
     it('should return seat map', async () => {
       req.params.eventId = 1;
       Event.findByPk.mockResolvedValue({ id: 1, name: 'Concert', price: 100 });
-      Booking.findAll.mockResolvedValue([
-        { seatNumbers: ['A1'], seatSection: 'PREMIUM', seatRow: 'A', status: 'CONFIRMED' }
+      Seat.findAll.mockResolvedValue([
+        { id: 's1', seatNumber: 'A1', section: 'PREMIUM', row: 'A', price: '150.00', getStatus: () => 'BOOKED' },
+        { id: 's2', seatNumber: 'A2', section: 'PREMIUM', row: 'A', price: '150.00', getStatus: () => 'AVAILABLE' }
       ]);
 
       await BookingController.getSeatMap(req, res, next);
@@ -218,6 +319,92 @@ describe('BookingController', () => {
         message: 'Booking cancelled successfully'
       }));
     });
+
+    it('should release and refund a seat listed twice only once', async () => {
+      const { sequelize: database } = require('../../../src/config/database');
+      const booking = {
+        id: 'booking-1',
+        userId: 1,
+        eventId: 'event-1',
+        status: 'CONFIRMED',
+        paymentId: 'pay_1',
+        paymentStatus: 'COMPLETED',
+        totalAmount: '300.00',
+        unitPrice: '100.00',
+        ticketCount: 3,
+        seatNumbers: ['A1', 'A2', 'A3'],
+        event: { dateTime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) },
+        get: jest.fn(() => ({})),
+        update: jest.fn()
+      };
+      req.params.bookingId = 'booking-1';
+      req.body = { seatNumbers: ['A1', 'A1'] };
+      Booking.findOne.mockResolvedValue(booking);
+      // Automocked models share their inherited static methods
+      Refund.sum = jest.fn().mockResolvedValue(0);
+      Event.releaseSeats = jest.fn();
+      Seat.releaseBookedSeats = jest.fn();
+      TicketType.releaseForBooking = jest.fn();
+      jest.spyOn(database, 'transaction').mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() });
+      jest.spyOn(ticketService, 'assertHeldByOwner').mockResolvedValue();
+      jest.spyOn(ticketService, 'cancelForBooking').mockResolvedValue();
+      jest.spyOn(auditService, 'record').mockResolvedValue();
+      jest.spyOn(refundService, 'requestRefund').mockResolvedValue(null);
+
+      await BookingController.cancelBooking(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 1, expect.anything());
+      expect(booking.update).toHaveBeenCalledWith(expect.objectContaining({
+        seatNumbers: ['A2', 'A3'],
+        ticketCount: 2
+      }), expect.anything());
+      expect(refundService.requestRefund).toHaveBeenCalledWith(booking, expect.objectContaining({
+        amount: 100,
+        seatNumbers: ['A1']
+      }));
+    });
+
+    it('should void the pending payment of a booking cancelled before it settled', async () => {
+      const { sequelize: database } = require('../../../src/config/database');
+      const paymentService = require('../../../src/services/paymentService');
+      const transaction = { commit: jest.fn(), rollback: jest.fn() };
+      const booking = {
+        id: 'booking-1',
+        bookingNumber: 'BK1001',
+        userId: 1,
+        eventId: 'event-1',
+        status: 'PAYMENT_PENDING',
+        paymentStatus: 'PENDING',
+        paymentGateway: 'sandbox',
+        paymentAuthorizationId: 'sbx_auth_000001',
+        ticketCount: 2,
+        seatNumbers: ['A1', 'A2'],
+        get: jest.fn(() => ({})),
+        update: jest.fn()
+      };
+      req.params.bookingId = 'booking-1';
+      Booking.findOne.mockResolvedValue(booking);
+      // Automocked models share their inherited static methods
+      Event.releaseSeats = jest.fn();
+      Seat.releaseReservation = jest.fn();
+      PromoRedemption.releaseForBooking = jest.fn();
+      TicketType.releaseForBooking = jest.fn();
+      jest.spyOn(database, 'transaction').mockResolvedValue(transaction);
+      jest.spyOn(auditService, 'record').mockResolvedValue();
+      jest.spyOn(paymentService, 'reverse').mockResolvedValue(true);
+
+      await BookingController.cancelBooking(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(booking.update).toHaveBeenCalledWith({ status: 'CANCELLED', paymentStatus: 'FAILED' }, { transaction });
+      expect(paymentService.reverse).toHaveBeenCalledWith(
+        { gateway: 'sandbox', authorizationId: 'sbx_auth_000001' },
+        { reference: 'BK1001', reason: 'CUSTOMER_CANCELLATION' }
+      );
+      expect(transaction.commit.mock.invocationCallOrder[0])
+        .toBeLessThan(paymentService.reverse.mock.invocationCallOrder[0]);
+    });
   });
 
   // -------------------- getUserBookings --------------------
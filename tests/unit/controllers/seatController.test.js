@@ -0,0 +1,138 @@
+const { Seat, Event, SeatingLayout } = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+const seatController = require('../../../src/controllers/seatController');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/jobs/reservationExpiryJob', () => ({ expireBooking: jest.fn() }));
+jest.mock('../../../src/services/auditService', () => ({ record: jest.fn(), contextFrom: jest.fn() }));
+
+describe('SeatController', () => {
+  describe('generateSeatMap', () => {
+    let event, req, res, next, transaction;
+
+    beforeEach(() => {
+      event = {
+        id: 'event-1',
+        createdBy: 'organizer-1',
+        price: '50.00',
+        capacity: 100,
+        availableSeats: 100,
+        seatingLayoutId: null,
+        update: jest.fn()
+      };
+      // Automocked models share their inherited static methods
+      Event.findByPk = jest.fn().mockResolvedValue(event);
+      SeatingLayout.findByPk = jest.fn();
+      Seat.count = jest.fn().mockResolvedValue(100);
+      Seat.findAll = jest.fn().mockResolvedValue([]);
+      Seat.destroy = jest.fn();
+      Seat.bulkCreate = jest.fn();
+
+      req = {
+        params: { eventId: 'event-1' },
+        query: { regenerate: 'true' },
+        user: { id: 'organizer-1', role: 'ORGANIZER' }
+      };
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      next = jest.fn();
+      transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    });
+
+    it('should check for taken seats under a lock before replacing them', async () => {
+      await seatController.generateSeatMap(req, res, next);
+
+      expect(Seat.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { eventId: 'event-1' },
+        lock: 'UPDATE',
+        transaction
+      }));
+      expect(Seat.findAll.mock.invocationCallOrder[0]).toBeLessThan(Seat.destroy.mock.invocationCallOrder[0]);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should keep the seat map when a seat was held before the lock was taken', async () => {
+      Seat.findAll.mockResolvedValue([{ id: 'seat-1', isBooked: false, isReserved: true }]);
+
+      await seatController.generateSeatMap(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(Seat.destroy).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importSeatMap', () => {
+    let event, req, res, next, transaction;
+
+    const csv = [
+      'section,row,seat,type,price',
+      'BALCONY,Z,1,,',
+      'BALCONY,Z,2,,'
+    ].join('\n');
+
+    beforeEach(() => {
+      event = {
+        id: 'event-1',
+        createdBy: 'organizer-1',
+        price: '50.00',
+        capacity: 100,
+        availableSeats: 100,
+        update: jest.fn(async (fields) => Object.assign(event, fields)),
+        increment: jest.fn(),
+        reload: jest.fn()
+      };
+      // Automocked models share their inherited static methods
+      Event.findByPk = jest.fn().mockResolvedValue(event);
+      Seat.findAll = jest.fn().mockResolvedValue(
+        Array.from({ length: 100 }, (_, index) => ({ seatNumber: `A${index + 1}`, isBooked: index < 30, isReserved: false }))
+      );
+      Seat.bulkCreate = jest.fn();
+
+      req = {
+        params: { eventId: 'event-1' },
+        query: { mode: 'append' },
+        user: { id: 'organizer-1', role: 'ORGANIZER' },
+        file: { originalname: 'balcony.csv', buffer: Buffer.from(csv) }
+      };
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      next = jest.fn();
+      transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    });
+
+    it('should not replace a seat map once a seat is taken under the import\'s lock', async () => {
+      req.query.mode = 'replace';
+      Seat.destroy = jest.fn();
+
+      await seatController.importSeatMap(req, res, next);
+
+      expect(Seat.findAll).toHaveBeenLastCalledWith(expect.objectContaining({ lock: 'UPDATE', transaction }));
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(Seat.destroy).not.toHaveBeenCalled();
+      expect(Seat.bulkCreate).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should put appended seats on sale on top of the seats already sold', async () => {
+      event.availableSeats = 70;
+
+      await seatController.importSeatMap(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Seat.bulkCreate).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ seatNumber: 'Z1', section: 'BALCONY' })
+      ]), { transaction });
+      expect(event.increment).toHaveBeenCalledWith({ capacity: 2, availableSeats: 2 }, { transaction });
+      expect(event.update).not.toHaveBeenCalled();
+    });
+
+    it('should size an unsold event to its whole seat map', async () => {
+      await seatController.importSeatMap(req, res, next);
+
+      expect(event.update).toHaveBeenCalledWith({ capacity: 102, availableSeats: 102 }, { transaction });
+      expect(event.increment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { sequelize } = require('../../../src/config/database');
+const redisConfig = require('../../../src/config/redis');
+const eventLifecycleService = require('../../../src/services/eventLifecycleService');
+const eventLifecycleJob = require('../../../src/jobs/eventLifecycleJob');
+
+const { lock } = redisConfig;
+
+jest.mock('../../../src/config/redis', () => ({ redis: {}, lock: { acquire: jest.fn(), release: jest.fn() } }));
+jest.mock('../../../src/services/eventLifecycleService', () => ({
+  completePastEvents: jest.fn(),
+  findUnfinishedCancellations: jest.fn(),
+  cascadeCancellation: jest.fn(),
+  resumeStalledRefunds: jest.fn()
+}));
+
+describe('EventLifecycleJob', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    lock.acquire.mockResolvedValue({ key: 'lock:event-lifecycle-sweep', value: 'token' });
+    redisConfig.redis.status = 'ready';
+    eventLifecycleService.completePastEvents.mockResolvedValue(0);
+    eventLifecycleService.findUnfinishedCancellations.mockResolvedValue([]);
+    eventLifecycleService.resumeStalledRefunds.mockResolvedValue(0);
+  });
+
+  describe('runOnce', () => {
+    it('should complete past events under the Redis lock', async () => {
+      await eventLifecycleJob.runOnce();
+
+      expect(eventLifecycleService.completePastEvents).toHaveBeenCalledWith(6);
+      expect(lock.release).toHaveBeenCalledWith('lock:event-lifecycle-sweep', 'token');
+    });
+
+    it('should leave the sweep to the instance holding the lock', async () => {
+      lock.acquire.mockResolvedValue(null);
+      jest.spyOn(sequelize, 'query');
+
+      await eventLifecycleJob.runOnce();
+
+      expect(sequelize.query).not.toHaveBeenCalled();
+      expect(eventLifecycleService.completePastEvents).not.toHaveBeenCalled();
+    });
+
+    it('should keep completing events under a database lock while Redis is unreachable', async () => {
+      lock.acquire.mockResolvedValue(null);
+      redisConfig.redis.status = 'reconnecting';
+      jest.spyOn(sequelize, 'query').mockResolvedValue([{ locked: true }]);
+
+      await eventLifecycleJob.runOnce();
+
+      expect(sequelize.query).toHaveBeenCalledWith(
+        expect.stringContaining('pg_try_advisory_xact_lock'),
+        expect.objectContaining({ replacements: { resource: 'event-lifecycle-sweep' }, transaction })
+      );
+      expect(eventLifecycleService.completePastEvents).toHaveBeenCalled();
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+  });
+});
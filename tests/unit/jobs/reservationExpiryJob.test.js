@@ -0,0 +1,148 @@
+const { Booking, Event, Seat, TicketType, PromoRedemption } = require('../../../src/models');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../../src/config/database');
+const redisConfig = require('../../../src/config/redis');
+const { lock } = redisConfig;
+const paymentService = require('../../../src/services/paymentService');
+const reservationExpiryJob = require('../../../src/jobs/reservationExpiryJob');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/config/redis', () => ({ redis: {}, lock: { acquire: jest.fn(), release: jest.fn() } }));
+jest.mock('../../../src/services/paymentService', () => ({ reverse: jest.fn() }));
+jest.mock('../../../src/services/groupBookingService', () => ({ settleAtDeadline: jest.fn() }));
+jest.mock('../../../src/services/analyticsService', () => ({ broadcastSeatActivity: jest.fn() }));
+
+describe('ReservationExpiryJob', () => {
+  let transaction;
+
+  const bookingFor = (fields = {}) => ({
+    id: 'booking-1',
+    bookingNumber: 'BK1001',
+    userId: 'user-1',
+    eventId: 'event-1',
+    status: 'SEAT_SELECTED',
+    ticketCount: 2,
+    seatNumbers: ['A1', 'A2'],
+    reservationExpiresAt: new Date(Date.now() - 1000),
+    ...fields
+  });
+
+  beforeEach(() => {
+    // Automocked models share their inherited static methods
+    Booking.findAll = jest.fn();
+    Booking.update = jest.fn();
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    lock.acquire.mockResolvedValue({ key: 'lock:reservation-expiry-sweep', value: 'token' });
+    redisConfig.redis.status = 'ready';
+    paymentService.reverse.mockResolvedValue(true);
+  });
+
+  describe('expireBooking', () => {
+    it('should release the seats of a lapsed hold', async () => {
+      const booking = bookingFor();
+      Booking.update.mockResolvedValue([1]);
+
+      expect(await reservationExpiryJob.expireBooking(booking)).toBe(true);
+
+      expect(Booking.update).toHaveBeenCalledWith({ status: 'EXPIRED' }, expect.anything());
+      expect(Seat.releaseReservation).toHaveBeenCalledWith('user-1', 'booking-1', transaction);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 2, transaction);
+      expect(TicketType.releaseForBooking).toHaveBeenCalledWith(booking, null, transaction);
+      expect(PromoRedemption.releaseForBooking).toHaveBeenCalledWith(booking, transaction);
+      expect(paymentService.reverse).not.toHaveBeenCalled();
+    });
+
+    it('should void a payment that missed its deadline once the seats are released', async () => {
+      const booking = bookingFor({
+        status: 'PAYMENT_PENDING',
+        paymentGateway: 'sandbox',
+        paymentAuthorizationId: 'sbx_auth_000001'
+      });
+      Booking.update.mockResolvedValue([1]);
+
+      expect(await reservationExpiryJob.expireBooking(booking)).toBe(true);
+
+      expect(paymentService.reverse).toHaveBeenCalledWith(
+        { gateway: 'sandbox', authorizationId: 'sbx_auth_000001' },
+        { reference: 'BK1001', reason: 'PAYMENT_TIMEOUT' }
+      );
+      expect(Booking.update).toHaveBeenCalledWith({ status: 'EXPIRED', paymentStatus: 'FAILED' }, expect.anything());
+      expect(Seat.releaseReservation).toHaveBeenCalledWith('user-1', 'booking-1', transaction);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 2, transaction);
+      expect(transaction.commit.mock.invocationCallOrder[0])
+        .toBeLessThan(paymentService.reverse.mock.invocationCallOrder[0]);
+    });
+
+    it('should leave bookings that were settled in the meantime alone', async () => {
+      Booking.update.mockResolvedValue([0]);
+
+      expect(await reservationExpiryJob.expireBooking(bookingFor())).toBe(false);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(Seat.releaseReservation).not.toHaveBeenCalled();
+    });
+
+    it('should not void the payment of a booking its webhook confirmed first', async () => {
+      Booking.update.mockResolvedValue([0]);
+
+      expect(await reservationExpiryJob.expireBooking(bookingFor({
+        status: 'PAYMENT_PENDING',
+        paymentGateway: 'sandbox',
+        paymentAuthorizationId: 'sbx_auth_000001'
+      }))).toBe(false);
+
+      expect(paymentService.reverse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runOnce', () => {
+    it('should sweep bookings awaiting payment along with held ones', async () => {
+      Booking.findAll.mockResolvedValue([]);
+
+      await reservationExpiryJob.runOnce();
+
+      const { where } = Booking.findAll.mock.calls[0][0];
+      expect(where.status[Op.in]).toEqual(['SEAT_SELECTED', 'RESERVED', 'PAYMENT_PENDING']);
+      expect(lock.release).toHaveBeenCalledWith('lock:reservation-expiry-sweep', 'token');
+    });
+
+    it('should leave the sweep to the instance holding the lock', async () => {
+      lock.acquire.mockResolvedValue(null);
+      jest.spyOn(sequelize, 'query');
+
+      expect(await reservationExpiryJob.runOnce()).toBe(0);
+
+      expect(sequelize.query).not.toHaveBeenCalled();
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should sweep under a database lock while Redis is unreachable', async () => {
+      lock.acquire.mockResolvedValue(null);
+      redisConfig.redis.status = 'reconnecting';
+      jest.spyOn(sequelize, 'query').mockResolvedValue([{ locked: true }]);
+      Booking.findAll.mockResolvedValue([bookingFor()]);
+      Booking.update.mockResolvedValue([1]);
+
+      expect(await reservationExpiryJob.runOnce()).toBe(1);
+
+      expect(sequelize.query).toHaveBeenCalledWith(
+        expect.stringContaining('pg_try_advisory_xact_lock'),
+        expect.objectContaining({ transaction })
+      );
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(lock.release).not.toHaveBeenCalled();
+    });
+
+    it('should skip the sweep when another instance holds the database lock', async () => {
+      lock.acquire.mockResolvedValue(null);
+      redisConfig.redis.status = 'reconnecting';
+      jest.spyOn(sequelize, 'query').mockResolvedValue([{ locked: false }]);
+
+      expect(await reservationExpiryJob.runOnce()).toBe(0);
+
+      expect(Booking.findAll).not.toHaveBeenCalled();
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+  });
+});
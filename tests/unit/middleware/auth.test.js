@@ -0,0 +1,43 @@
+const { authorize, canManageEvent } = require('../../../src/middleware/auth');
+const { PERMISSIONS } = require('../../../src/utils/constants');
+
+jest.mock('../../../src/models');
+
+describe('auth middleware permissions', () => {
+  let res, next;
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  it('should let a role through when it holds the permission', () => {
+    authorize(PERMISSIONS.EVENTS_CREATE)({ user: { role: 'ORGANIZER' } }, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject roles without the permission', () => {
+    authorize(PERMISSIONS.EVENTS_CREATE)({ user: { role: 'GATE_STAFF' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      requiredPermission: PERMISSIONS.EVENTS_CREATE
+    }));
+  });
+
+  it('should scope organizers to the events they created', () => {
+    const organizer = { id: 'u1', role: 'ORGANIZER' };
+
+    expect(canManageEvent({ createdBy: 'u1' }, organizer)).toBe(true);
+    expect(canManageEvent({ createdBy: 'u2' }, organizer)).toBe(false);
+    expect(canManageEvent({ createdBy: 'u2' }, { id: 'a1', role: 'ADMIN' })).toBe(true);
+    // Events created before roles existed stay with their creator
+    expect(canManageEvent({ createdBy: 'u1' }, { id: 'u1', role: 'USER' })).toBe(true);
+    expect(canManageEvent({ createdBy: 'u2' }, { id: 'u1', role: 'USER' })).toBe(false);
+  });
+});
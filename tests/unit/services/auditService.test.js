@@ -0,0 +1,65 @@
+const auditService = require('../../../src/services/auditService');
+const { AuditLog } = require('../../../src/models');
+
+jest.mock('../../../src/models');
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diff', () => {
+    it('should list only the fields that changed', () => {
+      const before = { name: 'Gala', price: '50.00', capacity: 100 };
+      const after = { name: 'Gala', price: '65.00', capacity: 100 };
+
+      expect(auditService.diff(before, after)).toEqual({
+        price: { from: '50.00', to: '65.00' }
+      });
+    });
+
+    it('should respect the field list and compare dates by value', () => {
+      const before = { dateTime: new Date('2026-05-01T18:00:00Z'), updatedAt: new Date(1) };
+      const after = { dateTime: new Date('2026-05-01T18:00:00Z'), updatedAt: new Date(2) };
+
+      expect(auditService.diff(before, after, ['dateTime'])).toBeNull();
+    });
+  });
+
+  describe('record', () => {
+    it('should store the actor, request and diff', async () => {
+      const req = {
+        user: { id: 'admin-1', role: 'ADMIN' },
+        ip: '10.0.0.1',
+        id: 'req-1',
+        get: () => 'jest'
+      };
+
+      await auditService.record(auditService.contextFrom(req), {
+        action: 'user.role_change',
+        entityType: 'User',
+        entityId: 'user-1',
+        changes: { role: { from: 'USER', to: 'ORGANIZER' } }
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        action: 'user.role_change',
+        entityType: 'User',
+        entityId: 'user-1',
+        actorId: 'admin-1',
+        actorRole: 'ADMIN',
+        ip: '10.0.0.1',
+        userAgent: 'jest',
+        requestId: 'req-1',
+        changes: { role: { from: 'USER', to: 'ORGANIZER' } },
+        metadata: null
+      });
+    });
+
+    it('should not fail the caller when a write outside a transaction fails', async () => {
+      AuditLog.create.mockRejectedValue(new Error('db down'));
+
+      await expect(auditService.record(null, { action: 'refund.retry', entityType: 'Refund' })).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { Event, Booking, Seat, Waitlist, TicketType } = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+const refundService = require('../../../src/services/refundService');
+const ticketService = require('../../../src/services/ticketService');
+const emailService = require('../../../src/services/emailService');
+const auditService = require('../../../src/services/auditService');
+const eventLifecycleService = require('../../../src/services/eventLifecycleService');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/services/refundService', () => ({
+  refundableBalance: jest.fn(),
+  createRefund: jest.fn(),
+  createShareRefunds: jest.fn(),
+  submit: jest.fn()
+}));
+jest.mock('../../../src/services/groupBookingService', () => ({ releaseForCancellation: jest.fn() }));
+jest.mock('../../../src/services/ticketService', () => ({ cancelForBooking: jest.fn() }));
+jest.mock('../../../src/services/emailService', () => ({ sendEventCancellationEmail: jest.fn() }));
+jest.mock('../../../src/services/auditService', () => ({ record: jest.fn() }));
+
+describe('EventLifecycleService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Automocked models share their inherited static methods
+    Event.update = jest.fn();
+    Booking.update = jest.fn();
+    Waitlist.update = jest.fn();
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  });
+
+  describe('transition', () => {
+    it('should publish a draft event and audit the change', async () => {
+      const event = { id: 'event-1', status: 'DRAFT' };
+      Event.update.mockResolvedValue([1]);
+
+      expect(await eventLifecycleService.transition(event, 'PUBLISHED', null)).toBe(true);
+
+      expect(Event.update).toHaveBeenCalledWith(
+        { status: 'PUBLISHED' },
+        expect.objectContaining({ where: { id: 'event-1', status: 'DRAFT' } })
+      );
+      expect(auditService.record).toHaveBeenCalledWith(null, expect.objectContaining({
+        action: 'event.published',
+        changes: { status: { from: 'DRAFT', to: 'PUBLISHED' } }
+      }), { transaction });
+      expect(event.status).toBe('PUBLISHED');
+    });
+
+    it('should lose to a concurrent status change', async () => {
+      const event = { id: 'event-1', status: 'PUBLISHED' };
+      Event.update.mockResolvedValue([0]);
+
+      expect(await eventLifecycleService.transition(event, 'CANCELLED', null, { reason: 'Storm' })).toBe(false);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+      expect(event.status).toBe('PUBLISHED');
+    });
+  });
+
+  describe('cascadeCancellation', () => {
+    const event = { id: 'event-1', status: 'CANCELLED', cancellationReason: 'Storm' };
+
+    it('should free the seats of held and confirmed bookings and refund the paid ones', async () => {
+      const confirmed = {
+        id: 'booking-1',
+        eventId: 'event-1',
+        userId: 'user-1',
+        status: 'CONFIRMED',
+        paymentId: 'pay-1',
+        ticketCount: 2,
+        user: { name: 'Ada', email: 'ada@example.com' }
+      };
+      const held = { id: 'booking-2', eventId: 'event-1', userId: 'user-2', status: 'SEAT_SELECTED', ticketCount: 1 };
+      const refund = { id: 'refund-1' };
+
+      Booking.findAll.mockResolvedValue([confirmed, held]);
+      Booking.update.mockResolvedValue([1]);
+      Waitlist.update.mockResolvedValue([3]);
+      refundService.refundableBalance.mockResolvedValue(200);
+      refundService.createRefund.mockResolvedValue(refund);
+      refundService.submit.mockResolvedValue(refund);
+
+      const summary = await eventLifecycleService.cascadeCancellation(event);
+
+      expect(summary).toEqual({ cancelledBookings: 2, refundsRequested: 1, failures: 0, waitlistExpired: 3 });
+
+      expect(Seat.releaseBookedSeats).toHaveBeenCalledWith('booking-1', null, transaction);
+      expect(ticketService.cancelForBooking).toHaveBeenCalledWith(confirmed, null, transaction);
+      expect(Seat.releaseReservation).toHaveBeenCalledWith('user-2', 'booking-2', transaction);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 2, transaction);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 1, transaction);
+      expect(TicketType.releaseForBooking).toHaveBeenCalledTimes(2);
+
+      // Only the paid booking is refunded, in full regardless of the refund policy
+      expect(refundService.createRefund).toHaveBeenCalledTimes(1);
+      expect(refundService.createRefund).toHaveBeenCalledWith(confirmed, expect.objectContaining({
+        amount: 200,
+        reason: 'EVENT_CANCELLED'
+      }), transaction);
+      expect(emailService.sendEventCancellationEmail).toHaveBeenCalledTimes(1);
+      expect(confirmed.status).toBe('CANCELLED');
+      expect(held.status).toBe('CANCELLED');
+    });
+
+    it('should skip bookings that stopped being active and keep going after a failure', async () => {
+      const expired = { id: 'booking-1', status: 'SEAT_SELECTED' };
+      const broken = { id: 'booking-2', status: 'RESERVED', userId: 'user-2', eventId: 'event-1', ticketCount: 1 };
+
+      Booking.findAll.mockResolvedValue([expired, broken]);
+      Booking.update
+        .mockResolvedValueOnce([0]) // Expired by the sweeper in the meantime
+        .mockResolvedValueOnce([1]);
+      expired.reload = jest.fn(async () => { expired.status = 'EXPIRED'; });
+      Seat.releaseReservation.mockRejectedValue(new Error('deadlock'));
+      Waitlist.update.mockResolvedValue([0]);
+
+      const summary = await eventLifecycleService.cascadeCancellation(event);
+
+      expect(summary).toEqual({ cancelledBookings: 0, refundsRequested: 0, failures: 1, waitlistExpired: 0 });
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const { Booking, BookingShare, Event, Seat, TicketType, PromoRedemption } = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+const paymentService = require('../../../src/services/paymentService');
+const ticketService = require('../../../src/services/ticketService');
+const emailService = require('../../../src/services/emailService');
+const auditService = require('../../../src/services/auditService');
+const groupBookingService = require('../../../src/services/groupBookingService');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/services/paymentService', () => ({
+  settlesAsynchronously: jest.fn(),
+  charge: jest.fn(),
+  reverse: jest.fn()
+}));
+jest.mock('../../../src/services/refundService', () => ({ createShareRefunds: jest.fn(), submit: jest.fn() }));
+jest.mock('../../../src/services/ticketService', () => ({ issueForBooking: jest.fn(), cancelForBooking: jest.fn() }));
+jest.mock('../../../src/services/emailService', () => ({ sendSplitPaymentInvite: jest.fn() }));
+jest.mock('../../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../../src/services/analyticsService', () => ({ broadcastSeatActivity: jest.fn() }));
+
+describe('GroupBookingService', () => {
+  const owner = { id: 'owner-1', email: 'Owner@example.com' };
+  const friend = { id: 'friend-1', email: 'friend@example.com' };
+  let transaction;
+
+  const bookingFor = (fields = {}) => {
+    const booking = {
+      id: 'booking-1',
+      bookingNumber: 'BK1001',
+      userId: owner.id,
+      eventId: 'event-1',
+      status: 'RESERVED',
+      paymentMode: 'SPLIT',
+      currency: 'USD',
+      seatNumbers: ['A1', 'A2', 'A3'],
+      ticketCount: 3,
+      totalAmount: '300.00',
+      lineItems: null,
+      reservationExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields
+    };
+    booking.update = jest.fn(async (changes) => Object.assign(booking, changes));
+    booking.reload = jest.fn();
+    booking.get = jest.fn(() => ({ ...booking }));
+    return booking;
+  };
+
+  const shareFor = (fields = {}) => {
+    const share = {
+      id: 'a1b2c3d4-0000-4000-8000-000000000001',
+      bookingId: 'booking-1',
+      email: friend.email,
+      seatNumbers: ['A1', 'A2'],
+      amount: '200.00',
+      status: 'PENDING',
+      ...fields
+    };
+    share.update = jest.fn(async (changes) => Object.assign(share, changes));
+    share.reload = jest.fn();
+    return share;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Automocked models share their inherited static methods
+    Booking.findOne = jest.fn();
+    Booking.findByPk = jest.fn();
+    Event.findByPk = jest.fn();
+    BookingShare.findByPk = jest.fn();
+    BookingShare.findAll = jest.fn();
+    BookingShare.count = jest.fn();
+    BookingShare.update = jest.fn();
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    emailService.sendSplitPaymentInvite.mockResolvedValue(true);
+  });
+
+  describe('splitBooking', () => {
+    it('should give the owner the seats nobody else was given and hold them until the deadline', async () => {
+      const booking = bookingFor({ status: 'SEAT_SELECTED', paymentMode: 'FULL' });
+      const eventStart = new Date(Date.now() + 2 * 60 * 60 * 1000);
+      Booking.findOne.mockResolvedValue(booking);
+      Event.findByPk.mockResolvedValue({ id: 'event-1', dateTime: eventStart });
+      BookingShare.bulkCreate.mockImplementation(async (rows) => rows.map((row, index) => ({ id: `share-${index}`, ...row })));
+
+      const { shares } = await groupBookingService.splitBooking('booking-1', [
+        { email: 'Friend@example.com', seatNumbers: ['A1', 'A2'] }
+      ], owner, null);
+
+      expect(shares.map(share => [share.email, share.seatNumbers, share.amount])).toEqual([
+        ['friend@example.com', ['A1', 'A2'], 200],
+        ['owner@example.com', ['A3'], 100]
+      ]);
+      expect(booking.status).toBe('RESERVED');
+      expect(booking.paymentMode).toBe('SPLIT');
+      // The default 24 hour window is cut short by the event start
+      expect(booking.reservationExpiresAt).toEqual(eventStart);
+      expect(Seat.extendReservation).toHaveBeenCalledWith('booking-1', eventStart, transaction);
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('should reject seats given to more than one payer', async () => {
+      Booking.findOne.mockResolvedValue(bookingFor({ status: 'SEAT_SELECTED', paymentMode: 'FULL' }));
+
+      await expect(groupBookingService.splitBooking('booking-1', [
+        { email: 'a@example.com', seatNumbers: ['A1'] },
+        { email: 'b@example.com', seatNumbers: ['A1', 'A2'] }
+      ], owner, null)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(BookingShare.bulkCreate).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('payShare', () => {
+    let booking;
+    let share;
+
+    beforeEach(() => {
+      booking = bookingFor();
+      share = shareFor();
+      BookingShare.findByPk.mockResolvedValue(share);
+      Booking.findByPk.mockResolvedValue(booking);
+      Event.findByPk.mockResolvedValue({ id: 'event-1', isOpenForBooking: () => true });
+      Seat.count.mockResolvedValue(2);
+      paymentService.settlesAsynchronously.mockReturnValue(false);
+      paymentService.charge.mockResolvedValue({ success: true, paymentId: 'pay-1', gateway: 'sandbox', amount: 200 });
+      ticketService.issueForBooking.mockResolvedValue([{ id: 'ticket-1' }, { id: 'ticket-2' }]);
+    });
+
+    it('should book the share for its payer and confirm the booking once every share is paid', async () => {
+      BookingShare.count.mockResolvedValue(0);
+
+      const result = await groupBookingService.payShare(share.id, friend, { paymentMethod: 'CARD' }, null);
+
+      expect(paymentService.charge).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 200,
+        reference: 'BK1001-a1b2c3d4'
+      }));
+      expect(Seat.confirmSeats).toHaveBeenCalledWith('booking-1', ['A1', 'A2'], 'friend-1', transaction);
+      expect(share).toMatchObject({ status: 'PAID', userId: 'friend-1', paymentId: 'pay-1' });
+      expect(booking.status).toBe('CONFIRMED');
+      expect(result.tickets).toHaveLength(2);
+      expect(paymentService.reverse).not.toHaveBeenCalled();
+    });
+
+    it('should keep the booking reserved while other shares are unpaid', async () => {
+      BookingShare.count.mockResolvedValue(1);
+
+      await groupBookingService.payShare(share.id, friend, { paymentMethod: 'CARD' }, null);
+
+      expect(share.status).toBe('PAID');
+      expect(booking.status).toBe('RESERVED');
+    });
+
+    it('should refuse methods that settle later before charging', async () => {
+      paymentService.settlesAsynchronously.mockReturnValue(true);
+
+      await expect(groupBookingService.payShare(share.id, friend, { paymentMethod: 'UPI' }, null))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      expect(paymentService.charge).not.toHaveBeenCalled();
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reverse the charge when booking the seats fails after payment', async () => {
+      ticketService.issueForBooking.mockRejectedValue(new Error('deadlock'));
+
+      await expect(groupBookingService.payShare(share.id, friend, { paymentMethod: 'CARD' }, null))
+        .rejects.toThrow('deadlock');
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(paymentService.reverse).toHaveBeenCalledWith(
+        expect.objectContaining({ paymentId: 'pay-1', gateway: 'sandbox' }),
+        { reference: 'BK1001-a1b2c3d4', reason: 'SHARE_NOT_PAID' }
+      );
+    });
+
+    it('should not charge once the deadline has passed', async () => {
+      booking.reservationExpiresAt = new Date(Date.now() - 1000);
+
+      await expect(groupBookingService.payShare(share.id, friend, { paymentMethod: 'CARD' }, null))
+        .rejects.toMatchObject({ statusCode: 410 });
+
+      expect(paymentService.charge).not.toHaveBeenCalled();
+      expect(paymentService.reverse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleAtDeadline', () => {
+    it('should release the unpaid seats and confirm the booking for the paid ones', async () => {
+      const booking = bookingFor();
+      BookingShare.findAll.mockResolvedValue([
+        shareFor({ status: 'PAID', paymentId: 'pay-1' }),
+        shareFor({ id: 'share-2', email: owner.email, seatNumbers: ['A3'], amount: '100.00' })
+      ]);
+
+      expect(await groupBookingService.settleAtDeadline(booking)).toBe(true);
+
+      expect(Seat.releaseReservation).toHaveBeenCalledWith('owner-1', 'booking-1', transaction, ['A3']);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 1, transaction);
+      expect(TicketType.releaseForBooking).toHaveBeenCalledWith(booking, ['A3'], transaction);
+      expect(booking).toMatchObject({
+        status: 'CONFIRMED',
+        paymentStatus: 'COMPLETED',
+        seatNumbers: ['A1', 'A2'],
+        ticketCount: 2,
+        totalAmount: 200
+      });
+      expect(BookingShare.update).toHaveBeenCalledWith({ status: 'RELEASED' }, expect.objectContaining({ transaction }));
+      expect(auditService.record).toHaveBeenCalledWith(null, expect.objectContaining({ action: 'booking.split_settle' }), { transaction });
+    });
+
+    it('should take the released seats off the subtotal so later refunds stay whole', async () => {
+      const booking = bookingFor({
+        totalAmount: '250.00',
+        subtotalAmount: '300.00',
+        lineItems: [
+          { ticketTypeId: 'vip', unitPrice: 150, quantity: 1, seatNumbers: ['A1'], amount: 150 },
+          { ticketTypeId: 'standard', unitPrice: 75, quantity: 2, seatNumbers: ['A2', 'A3'], amount: 150 }
+        ]
+      });
+      BookingShare.findAll.mockResolvedValue([
+        shareFor({ status: 'PAID', paymentId: 'pay-1', amount: '187.50' }),
+        shareFor({ id: 'share-2', email: owner.email, seatNumbers: ['A3'], amount: '62.50' })
+      ]);
+
+      await groupBookingService.settleAtDeadline(booking);
+
+      expect(booking).toMatchObject({ totalAmount: 187.5, subtotalAmount: 225 });
+      expect(booking.lineItems).toEqual([
+        expect.objectContaining({ ticketTypeId: 'vip', seatNumbers: ['A1'] }),
+        expect.objectContaining({ ticketTypeId: 'standard', seatNumbers: ['A2'] })
+      ]);
+    });
+
+    it('should expire the booking when nobody paid', async () => {
+      const booking = bookingFor();
+      BookingShare.findAll.mockResolvedValue([shareFor(), shareFor({ id: 'share-2', seatNumbers: ['A3'] })]);
+
+      expect(await groupBookingService.settleAtDeadline(booking)).toBe(true);
+
+      expect(booking.status).toBe('EXPIRED');
+      expect(Seat.releaseReservation).toHaveBeenCalledWith('owner-1', 'booking-1', transaction);
+      expect(Event.releaseSeats).toHaveBeenCalledWith('event-1', 3, transaction);
+      expect(PromoRedemption.releaseForBooking).toHaveBeenCalledWith(booking, transaction);
+    });
+
+    it('should leave bookings that are no longer held alone', async () => {
+      const booking = bookingFor({ status: 'CANCELLED' });
+
+      expect(await groupBookingService.settleAtDeadline(booking)).toBe(false);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(BookingShare.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const paymentService = require('../../../src/services/paymentService');
+const SandboxGateway = require('../../../src/services/gateways/sandboxGateway');
+
+describe('PaymentService', () => {
+  let sandbox;
+
+  const payment = {
+    gateway: 'sandbox',
+    amount: 200,
+    currency: 'USD',
+    method: 'CARD',
+    details: {},
+    reference: 'BKG123'
+  };
+
+  beforeEach(() => {
+    sandbox = paymentService.getGateway('sandbox');
+    sandbox.reset();
+  });
+
+  describe('registry', () => {
+    it('should resolve the sandbox gateway by default', () => {
+      expect(paymentService.getGateway()).toBeInstanceOf(SandboxGateway);
+    });
+
+    it('should reject unknown gateways', () => {
+      expect(() => paymentService.getGateway('acme')).toThrow('Unknown payment gateway: acme');
+    });
+  });
+
+  describe('charge', () => {
+    it('should authorize and capture the full amount', async () => {
+      const result = await paymentService.charge(payment);
+
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        status: 'CAPTURED',
+        gateway: 'sandbox',
+        amount: 200,
+        currency: 'USD'
+      }));
+      expect(result.paymentId).toMatch(/^sbx_pay_/);
+    });
+
+    it('should return a decline when scripted', async () => {
+      sandbox.script('DECLINE');
+
+      const result = await paymentService.charge(payment);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PAYMENT_DECLINED');
+    });
+
+    it('should throw a retryable error on timeout', async () => {
+      sandbox.script('TIMEOUT');
+
+      await expect(paymentService.charge(payment)).rejects.toMatchObject({
+        code: 'GATEWAY_TIMEOUT',
+        retryable: true
+      });
+    });
+
+    it('should void the authorization when capture fails', async () => {
+      sandbox.script({ operation: 'capture', outcome: 'DECLINE' });
+
+      const result = await paymentService.charge(payment);
+
+      expect(result.success).toBe(false);
+      expect(sandbox.authorizations.get(result.authorizationId).status).toBe('VOIDED');
+    });
+
+    it('should decline the sandbox test card', async () => {
+      const result = await paymentService.charge({
+        ...payment,
+        details: { cardNumber: '4000000000000002' }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PAYMENT_DECLINED');
+    });
+  });
+
+  describe('refund', () => {
+    it('should refund part of a captured payment', async () => {
+      const { paymentId } = await paymentService.charge(payment);
+
+      const result = await paymentService.refund({ gateway: 'sandbox', paymentId, amount: 50 });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, status: 'REFUNDED', amount: 50 }));
+    });
+
+    it('should not refund more than was captured', async () => {
+      const { paymentId } = await paymentService.charge(payment);
+
+      const result = await paymentService.refund({ gateway: 'sandbox', paymentId, amount: 250 });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_AMOUNT');
+    });
+  });
+
+  describe('reverse', () => {
+    it('should refund a captured charge in full', async () => {
+      const charge = await paymentService.charge(payment);
+
+      expect(await paymentService.reverse(charge, { reference: 'BKG123' })).toBe(true);
+
+      const retry = await paymentService.refund({ gateway: 'sandbox', paymentId: charge.paymentId, amount: 1 });
+      expect(retry.code).toBe('INVALID_AMOUNT');
+    });
+
+    it('should report a reversal the gateway declines instead of throwing', async () => {
+      const charge = await paymentService.charge(payment);
+      sandbox.script({ operation: 'refund', outcome: 'DECLINE' });
+
+      expect(await paymentService.reverse(charge, { reference: 'BKG123' })).toBe(false);
+    });
+  });
+
+  describe('asynchronous methods', () => {
+    it('should leave UPI payments pending until settled', async () => {
+      const result = await paymentService.charge({ ...payment, method: 'UPI' });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, pending: true, paymentId: null }));
+
+      const webhook = sandbox.settle(result.authorizationId);
+      expect(webhook.type).toBe('payment.succeeded');
+      expect(webhook.data).toEqual(expect.objectContaining({ reference: 'BKG123', amount: 200 }));
+      expect(webhook.data.paymentId).toMatch(/^sbx_pay_/);
+    });
+
+    it('should report failed settlements', async () => {
+      const result = await paymentService.charge({ ...payment, method: 'WALLET' });
+
+      const webhook = sandbox.settle(result.authorizationId, 'DECLINE');
+
+      expect(webhook.type).toBe('payment.failed');
+      expect(webhook.data.error).toBeDefined();
+    });
+
+    it('should void a payment that has not settled', async () => {
+      const result = await paymentService.charge({ ...payment, method: 'UPI' });
+
+      expect(await paymentService.reverse({ gateway: 'sandbox', authorizationId: result.authorizationId }, { reference: 'BKG123' })).toBe(true);
+
+      expect(() => sandbox.settle(result.authorizationId)).toThrow('No pending sandbox authorization');
+    });
+  });
+
+  describe('webhook signatures', () => {
+    const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { reference: 'BKG123' } });
+
+    it('should accept a payload signed with the gateway secret', () => {
+      const signature = sandbox.signWebhook(rawBody);
+
+      expect(sandbox.verifyWebhook(rawBody, signature)).toBe(true);
+    });
+
+    it('should reject a tampered payload', () => {
+      const signature = sandbox.signWebhook(rawBody);
+
+      expect(sandbox.verifyWebhook(rawBody.replace('BKG123', 'BKG999'), signature)).toBe(false);
+    });
+
+    it('should reject stale signatures', () => {
+      const staleTimestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+      const signature = sandbox.signWebhook(rawBody, staleTimestamp);
+
+      expect(sandbox.verifyWebhook(rawBody, signature)).toBe(false);
+    });
+
+    it('should normalize the webhook body', () => {
+      expect(sandbox.parseWebhook(JSON.parse(rawBody))).toEqual(expect.objectContaining({
+        id: 'evt_1',
+        type: 'payment.succeeded',
+        reference: 'BKG123'
+      }));
+    });
+  });
+});
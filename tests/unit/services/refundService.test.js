@@ -0,0 +1,95 @@
+const { Op } = require('sequelize');
+const { Refund } = require('../../../src/models');
+const refundService = require('../../../src/services/refundService');
+const { removeSeats } = require('../../../src/utils/lineItems');
+
+jest.mock('../../../src/models');
+
+describe('RefundService', () => {
+  beforeEach(() => {
+    Refund.sum = jest.fn().mockResolvedValue(null);
+  });
+
+  describe('refundableBalance', () => {
+    it('should subtract refunds that succeeded or are still pending', async () => {
+      Refund.sum.mockResolvedValue(100);
+
+      expect(await refundService.refundableBalance({ id: 'booking-1', totalAmount: '300.00', refundedAmount: '40.00' })).toBe(200);
+
+      expect(Refund.sum).toHaveBeenCalledWith('amount', {
+        where: { bookingId: 'booking-1', status: { [Op.in]: ['PENDING', 'SUCCEEDED'] } },
+        transaction: null
+      });
+    });
+
+    it('should return the whole amount when nothing was refunded', async () => {
+      expect(await refundService.refundableBalance({ id: 'booking-1', totalAmount: '300.00' })).toBe(300);
+    });
+  });
+
+  describe('calculateSeatRefund', () => {
+    it('should refund the unit price per seat', async () => {
+      const booking = { totalAmount: '300.00', unitPrice: '100.00', ticketCount: 3 };
+
+      expect(await refundService.calculateSeatRefund(booking, ['A1'])).toBe(100);
+      expect(await refundService.calculateSeatRefund(booking, ['A1', 'A2', 'A3'])).toBe(300);
+    });
+
+    it('should take each seat\'s share of the discount off', async () => {
+      const booking = { totalAmount: '250.00', subtotalAmount: '300.00', unitPrice: '100.00', ticketCount: 3 };
+
+      expect(await refundService.calculateSeatRefund(booking, ['A1'])).toBe(83.33);
+      expect(await refundService.calculateSeatRefund(booking, ['A1', 'A2', 'A3'])).toBe(250);
+    });
+
+    it('should weigh seats by their ticket type price', async () => {
+      const booking = {
+        totalAmount: '250.00',
+        ticketCount: 3,
+        lineItems: [
+          { ticketTypeId: 'vip', unitPrice: 150, quantity: 1, seatNumbers: ['A1'], amount: 150 },
+          { ticketTypeId: 'student', unitPrice: 50, quantity: 2, seatNumbers: ['A2', 'A3'], amount: 100 }
+        ]
+      };
+
+      expect(await refundService.calculateSeatRefund(booking, ['A1'])).toBe(150);
+      expect(await refundService.calculateSeatRefund(booking, ['A3'])).toBe(50);
+    });
+
+    it('should keep an earlier penalty off the seats cancelled after it', async () => {
+      const booking = {
+        totalAmount: '300.00',
+        ticketCount: 3,
+        seatNumbers: ['A1', 'A2', 'A3'],
+        lineItems: [
+          { ticketTypeId: 'standard', unitPrice: 100, quantity: 3, seatNumbers: ['A1', 'A2', 'A3'], amount: 300 }
+        ]
+      };
+      let refunded = 0;
+      Refund.sum.mockImplementation(async () => refunded);
+
+      // What a partial cancellation does to the booking and the refund ledger
+      const cancel = async (seatNumbers, refundPercent) => {
+        const refund = Math.round(await refundService.calculateSeatRefund(booking, seatNumbers) * refundPercent) / 100;
+        booking.seatNumbers = booking.seatNumbers.filter(seat => !seatNumbers.includes(seat));
+        booking.ticketCount = booking.seatNumbers.length;
+        booking.lineItems = removeSeats(booking.lineItems, seatNumbers);
+        refunded += refund;
+        return refund;
+      };
+
+      expect(await cancel(['A1'], 50)).toBe(50);
+      expect(await cancel(['A2'], 100)).toBe(100);
+      expect(await cancel(['A3'], 100)).toBe(100);
+      expect(await refundService.refundableBalance(booking)).toBe(50);
+    });
+
+    it('should never return more than is left to refund', async () => {
+      const booking = { totalAmount: '100.00', unitPrice: '50.00', ticketCount: 1 };
+      // Includes a refund the gateway has not confirmed yet
+      Refund.sum.mockResolvedValue(66.67);
+
+      expect(await refundService.calculateSeatRefund(booking, ['A3'])).toBe(33.33);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const scanService = require('../../../src/services/scanService');
+const { TicketScan, CheckIn } = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+
+jest.mock('../../../src/models');
+
+describe('ScanService', () => {
+  const user = { id: 'staff-1' };
+  const event = { id: 'event-1' };
+
+  const credentialFor = (ticketFields = {}, entryPolicy = null) => {
+    const ticket = {
+      id: 'ticket-1',
+      status: 'VALID',
+      qrValidated: false,
+      qrValidatedAt: null,
+      ...ticketFields
+    };
+    ticket.update = jest.fn(async (fields) => Object.assign(ticket, fields));
+
+    return {
+      ticketHash: 'jti-1',
+      ticket,
+      booking: { id: 'booking-1', status: 'CONFIRMED' },
+      event: { ...event, entryPolicy }
+    };
+  };
+
+  const scanAt = (scannedAt, direction = 'IN') => ({
+    expectedEventId: event.id,
+    source: 'DEVICE',
+    direction,
+    scannedAt: new Date(scannedAt),
+    deviceId: 'gate-a-1',
+    scanId: 'scan-1',
+    deviceResult: 'ADMITTED'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TicketScan.create.mockImplementation(async (fields) => ({ id: 'scan-new', ...fields }));
+    CheckIn.findAll.mockResolvedValue([]);
+  });
+
+  const movement = (direction, occurredAt, ticketScanId) => ({
+    direction,
+    occurredAt: new Date(occurredAt),
+    ticketScanId,
+    update: jest.fn()
+  });
+
+  describe('recordScan', () => {
+    it('should admit a ticket on its first scan', async () => {
+      const credential = credentialFor();
+
+      const scan = await scanService.recordScan(credential, scanAt('2026-05-01T18:00:00Z'), user, {});
+
+      expect(scan.outcome).toBe('ADMITTED');
+      expect(credential.ticket.update).toHaveBeenCalledWith(
+        { qrValidated: true, qrValidatedAt: new Date('2026-05-01T18:00:00Z'), validatedBy: 'staff-1' },
+        expect.anything()
+      );
+      expect(CheckIn.create).toHaveBeenCalledWith(
+        expect.objectContaining({ ticketScanId: 'scan-new', direction: 'IN', entryNumber: 1, staffUserId: 'staff-1' }),
+        expect.anything()
+      );
+    });
+
+    it('should record a later scan of an admitted ticket as a duplicate', async () => {
+      const credential = credentialFor({ qrValidated: true, qrValidatedAt: new Date('2026-05-01T18:00:00Z') });
+      CheckIn.findAll.mockResolvedValue([movement('IN', '2026-05-01T18:00:00Z', 'scan-admitted')]);
+
+      const scan = await scanService.recordScan(credential, scanAt('2026-05-01T18:05:00Z'), user, {});
+
+      expect(scan.outcome).toBe('DUPLICATE');
+      expect(scan.duplicateOfId).toBe('scan-admitted');
+      expect(credential.ticket.update).not.toHaveBeenCalled();
+      expect(CheckIn.create).not.toHaveBeenCalledWith(
+        expect.objectContaining({ ticketScanId: expect.anything() }),
+        expect.anything()
+      );
+    });
+
+    it('should let an earlier scan uploaded late take over the admission', async () => {
+      const credential = credentialFor({ qrValidated: true, qrValidatedAt: new Date('2026-05-01T18:05:00Z') });
+      const firstEntry = movement('IN', '2026-05-01T18:05:00Z', 'scan-admitted');
+      const admitted = { id: 'scan-admitted', update: jest.fn() };
+      CheckIn.findAll.mockResolvedValue([firstEntry]);
+      TicketScan.findByPk.mockResolvedValue(admitted);
+
+      const scan = await scanService.recordScan(credential, scanAt('2026-05-01T18:00:00Z'), user, {});
+
+      expect(scan.outcome).toBe('ADMITTED');
+      expect(admitted.update).toHaveBeenCalledWith(
+        { outcome: 'DUPLICATE', duplicateOfId: 'scan-new' },
+        expect.anything()
+      );
+      expect(firstEntry.update).toHaveBeenCalledWith(
+        expect.objectContaining({ ticketScanId: 'scan-new', occurredAt: new Date('2026-05-01T18:00:00Z') }),
+        expect.anything()
+      );
+      expect(credential.ticket.qrValidatedAt).toEqual(new Date('2026-05-01T18:00:00Z'));
+    });
+
+    it('should allow re-entry after check-out when the entry policy does', async () => {
+      const credential = credentialFor(
+        { qrValidated: true, qrValidatedAt: new Date('2026-05-01T18:00:00Z') },
+        { maxReentries: 1, requireCheckOut: true }
+      );
+      CheckIn.findAll.mockResolvedValue([movement('IN', '2026-05-01T18:00:00Z', 'scan-admitted')]);
+
+      const stillInside = await scanService.recordScan(credential, scanAt('2026-05-01T18:30:00Z'), user, {});
+      expect(stillInside.outcome).toBe('DUPLICATE');
+
+      CheckIn.findAll.mockResolvedValue([
+        movement('IN', '2026-05-01T18:00:00Z', 'scan-admitted'),
+        movement('OUT', '2026-05-01T19:00:00Z', 'scan-out')
+      ]);
+
+      const reentry = await scanService.recordScan(credential, scanAt('2026-05-01T19:30:00Z'), user, {});
+      expect(reentry.outcome).toBe('ADMITTED');
+      expect(CheckIn.create).toHaveBeenCalledWith(
+        expect.objectContaining({ direction: 'IN', entryNumber: 2 }),
+        expect.anything()
+      );
+      // The first entry time is kept
+      expect(credential.ticket.update).not.toHaveBeenCalled();
+    });
+
+    it('should not admit tickets for another event or cancelled tickets', async () => {
+      const otherEvent = { ...credentialFor(), event: { id: 'event-2' } };
+      const cancelled = credentialFor({ status: 'CANCELLED' });
+
+      expect((await scanService.recordScan(otherEvent, scanAt('2026-05-01T18:00:00Z'), user, {})).outcome).toBe('WRONG_EVENT');
+      expect((await scanService.recordScan(cancelled, scanAt('2026-05-01T18:00:00Z'), user, {})).outcome).toBe('CANCELLED');
+      expect(otherEvent.ticket.update).not.toHaveBeenCalled();
+      expect(cancelled.ticket.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadScans', () => {
+    const upload = {
+      deviceId: 'gate-a-1',
+      scans: [{ scanId: 'scan-1', ticketHash: 'jti-1', scannedAt: '2026-05-01T18:00:00Z', result: 'ADMITTED' }]
+    };
+    let transaction;
+
+    beforeEach(() => {
+      transaction = { commit: jest.fn(), rollback: jest.fn() };
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+      jest.spyOn(scanService, 'findCredential').mockResolvedValue(credentialFor());
+    });
+
+    it('should return the recorded outcome of a scan that was already uploaded', async () => {
+      TicketScan.findOne.mockResolvedValue({ id: 'scan-old', outcome: 'ADMITTED', ticketId: 'ticket-1', duplicateOfId: null });
+
+      const { results } = await scanService.uploadScans(event, user, upload);
+
+      expect(results).toEqual([{ scanId: 'scan-1', outcome: 'ADMITTED', ticketId: 'ticket-1', duplicateOfId: null }]);
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should report a scan a concurrent upload recorded first as already recorded', async () => {
+      TicketScan.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'scan-other', outcome: 'ADMITTED', ticketId: 'ticket-1', duplicateOfId: null });
+      jest.spyOn(scanService, 'recordScan').mockRejectedValue(
+        Object.assign(new Error('duplicate key value'), { name: 'SequelizeUniqueConstraintError' })
+      );
+
+      const { results, summary } = await scanService.uploadScans(event, user, upload);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(results).toEqual([{ scanId: 'scan-1', outcome: 'ADMITTED', ticketId: 'ticket-1', duplicateOfId: null }]);
+      expect(summary).toEqual({ ADMITTED: 1 });
+    });
+  });
+});
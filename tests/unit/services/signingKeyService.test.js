@@ -0,0 +1,109 @@
+const { SigningKey } = require('../../../src/models');
+const { sequelize } = require('../../../src/config/database');
+const redisConfig = require('../../../src/config/redis');
+const auditService = require('../../../src/services/auditService');
+const signingKeyService = require('../../../src/services/signingKeyService');
+
+jest.mock('../../../src/models');
+jest.mock('../../../src/config/redis', () => ({ redis: null }));
+jest.mock('../../../src/services/auditService', () => ({ record: jest.fn() }));
+
+describe('SigningKeyService', () => {
+  let rows, subscriber, transaction;
+
+  // A stored key row, with the private key sealed the way the service stores it
+  const createRow = async (status = 'ACTIVE') => {
+    SigningKey.create = jest.fn(async (fields) => fields);
+    const row = await signingKeyService.createKey(null, null);
+    return { ...row, status };
+  };
+
+  beforeEach(async () => {
+    // Automocked models share their inherited static methods
+    SigningKey.update = jest.fn();
+    rows = [await createRow()];
+    SigningKey.scope = jest.fn(() => ({ findAll: jest.fn(async () => rows) }));
+    SigningKey.findOne = jest.fn();
+
+    transaction = { commit: jest.fn(), rollback: jest.fn(), LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    auditService.record.mockResolvedValue();
+
+    const handlers = {};
+    subscriber = {
+      handlers,
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      subscribe: jest.fn().mockResolvedValue(1),
+      disconnect: jest.fn()
+    };
+    redisConfig.redis = { publish: jest.fn().mockResolvedValue(1), duplicate: jest.fn(() => subscriber) };
+
+    signingKeyService.disconnectPubSub();
+    signingKeyService.publisher = null;
+    signingKeyService.forget();
+  });
+
+  it('should reuse the cached keys between signatures', async () => {
+    await signingKeyService.sign({ ticketId: 'ticket-1' });
+    await signingKeyService.sign({ ticketId: 'ticket-2' });
+    await signingKeyService.verify('token');
+
+    expect(SigningKey.scope).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop signing and verifying with a key another instance revoked', async () => {
+    signingKeyService.connectPubSub();
+    const revoked = rows[0];
+    const { token } = await signingKeyService.sign({ ticketId: 'ticket-1' });
+    expect(await signingKeyService.verify(token)).toEqual({ ticketId: 'ticket-1' });
+
+    // The other instance revokes the key and announces it
+    rows = [await createRow()];
+    subscriber.handlers.message('signing-keys:changed', revoked.kid);
+
+    const { kid } = await signingKeyService.sign({ ticketId: 'ticket-2' });
+    expect(kid).toBe(rows[0].kid);
+    expect(await signingKeyService.verify(token)).toBeNull();
+  });
+
+  it('should announce a revocation to the other instances', async () => {
+    signingKeyService.connectPubSub();
+    const key = { kid: rows[0].kid, id: 'key-1', status: 'RETIRED', update: jest.fn() };
+    SigningKey.findOne.mockResolvedValue(key);
+
+    await signingKeyService.revoke(key.kid);
+
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(redisConfig.redis.publish).toHaveBeenCalledWith('signing-keys:changed', key.kid);
+  });
+
+  it('should not cache keys read before a change was announced', async () => {
+    let finishRead;
+    SigningKey.scope = jest.fn(() => ({
+      findAll: () => new Promise(resolve => { finishRead = () => resolve(rows); })
+    }));
+
+    const loading = signingKeyService.load();
+    signingKeyService.forget();
+    finishRead();
+    await loading;
+
+    expect(signingKeyService.cache).toBeNull();
+  });
+
+  it('should use the key another instance created first', async () => {
+    const winner = rows[0];
+    let reads = 0;
+    SigningKey.scope = jest.fn(() => ({
+      findAll: async () => (reads++ === 0 ? [] : [winner])
+    }));
+    SigningKey.create = jest.fn().mockRejectedValue(
+      Object.assign(new Error('duplicate key value'), { name: 'SequelizeUniqueConstraintError' })
+    );
+
+    const { kid } = await signingKeyService.sign({ ticketId: 'ticket-1' });
+
+    expect(kid).toBe(winner.kid);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
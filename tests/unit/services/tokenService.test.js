@@ -0,0 +1,193 @@
+const jwt = require('jsonwebtoken');
+const redisConfig = require('../../../src/config/redis');
+const tokenService = require('../../../src/services/tokenService');
+
+jest.mock('../../../src/config/redis', () => ({ redis: null }));
+
+// In-memory stand-in for the ioredis calls tokenService makes. eval only ever
+// runs ROTATE_SCRIPT, so it implements that script's compare-and-swap.
+const createFakeRedis = () => {
+  const store = new Map();
+
+  const redis = {
+    store,
+    async hset(key, fields) {
+      store.set(key, { ...(store.get(key) || {}), ...fields });
+      return 1;
+    },
+    async hgetall(key) {
+      return { ...(store.get(key) || {}) };
+    },
+    async hget(key, field) {
+      const hash = store.get(key);
+      return hash && hash[field] !== undefined ? hash[field] : null;
+    },
+    async expire(key) {
+      return store.has(key) ? 1 : 0;
+    },
+    async exists(key) {
+      return store.has(key) ? 1 : 0;
+    },
+    async del(...keys) {
+      return keys.filter(key => store.delete(key)).length;
+    },
+    async sadd(key, ...members) {
+      const set = store.get(key) || new Set();
+      members.forEach(member => set.add(member));
+      store.set(key, set);
+      return members.length;
+    },
+    async srem(key, ...members) {
+      const set = store.get(key) || new Set();
+      return members.filter(member => set.delete(member)).length;
+    },
+    async smembers(key) {
+      return [...(store.get(key) || [])];
+    },
+    async set(key, value) {
+      store.set(key, value);
+      return 'OK';
+    },
+    async eval(script, keyCount, key, presentedHash, newHash, rotatedAt) {
+      const session = store.get(key);
+      if (!session || session.refreshHash !== presentedHash) return 0;
+      Object.assign(session, { refreshHash: newHash, rotatedAt });
+      return 1;
+    },
+    multi() {
+      const queued = [];
+      const chain = {
+        async exec() {
+          for (const run of queued) await run();
+          return [];
+        }
+      };
+      ['hset', 'expire', 'sadd', 'del', 'srem'].forEach(name => {
+        chain[name] = (...args) => {
+          queued.push(() => redis[name](...args));
+          return chain;
+        };
+      });
+      return chain;
+    }
+  };
+
+  return redis;
+};
+
+describe('TokenService', () => {
+  const user = { id: 'user-1', email: 'ada@example.com', role: 'USER', isActive: true };
+  const loadUser = async (userId) => (userId === user.id ? user : null);
+
+  beforeEach(() => {
+    redisConfig.redis = createFakeRedis();
+  });
+
+  const sessionIdOf = (refreshToken) => refreshToken.split('.')[0];
+
+  describe('sessions', () => {
+    it('should issue an access token bound to a new session', async () => {
+      const tokens = await tokenService.createSession(user, { ip: '10.0.0.1' });
+
+      const decoded = jwt.verify(tokens.accessToken, process.env.JWT_SECRET, { audience: 'evently-client' });
+      expect(decoded).toEqual(expect.objectContaining({ userId: 'user-1', sid: sessionIdOf(tokens.refreshToken) }));
+      expect(await tokenService.isSessionActive(decoded.sid)).toBe(true);
+    });
+
+    it('should rotate the refresh token and keep the session', async () => {
+      const first = await tokenService.createSession(user);
+
+      const second = await tokenService.rotate(first.refreshToken, loadUser);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(sessionIdOf(second.refreshToken)).toBe(sessionIdOf(first.refreshToken));
+      expect(await tokenService.isSessionActive(sessionIdOf(second.refreshToken))).toBe(true);
+      expect(await tokenService.rotate(second.refreshToken, loadUser)).not.toBeNull();
+    });
+
+    it('should revoke the whole session when a used refresh token comes back', async () => {
+      const first = await tokenService.createSession(user);
+      const second = await tokenService.rotate(first.refreshToken, loadUser);
+      const sessionId = sessionIdOf(first.refreshToken);
+
+      expect(await tokenService.rotate(first.refreshToken, loadUser)).toBeNull();
+
+      expect(await tokenService.isSessionActive(sessionId)).toBe(false);
+      expect(await redisConfig.redis.smembers('user-sessions:user-1')).toEqual([]);
+      // The legitimate holder's newer token dies with the session
+      expect(await tokenService.rotate(second.refreshToken, loadUser)).toBeNull();
+    });
+
+    it('should refuse malformed refresh tokens and sessions of deactivated users', async () => {
+      expect(await tokenService.rotate('not-a-token', loadUser)).toBeNull();
+      expect(await tokenService.rotate(undefined, loadUser)).toBeNull();
+
+      const tokens = await tokenService.createSession(user);
+      expect(await tokenService.rotate(tokens.refreshToken, async () => ({ ...user, isActive: false }))).toBeNull();
+      expect(await tokenService.isSessionActive(sessionIdOf(tokens.refreshToken))).toBe(false);
+    });
+
+    it('should revoke every other session of a user', async () => {
+      const current = await tokenService.createSession(user);
+      const laptop = await tokenService.createSession(user);
+      const phone = await tokenService.createSession(user);
+      const currentId = sessionIdOf(current.refreshToken);
+
+      expect(await tokenService.revokeAllSessions('user-1', { except: currentId })).toBe(2);
+
+      expect(await tokenService.isSessionActive(currentId)).toBe(true);
+      expect(await tokenService.isSessionActive(sessionIdOf(laptop.refreshToken))).toBe(false);
+      expect(await tokenService.isSessionActive(sessionIdOf(phone.refreshToken))).toBe(false);
+      expect(await redisConfig.redis.smembers('user-sessions:user-1')).toEqual([currentId]);
+      expect(await tokenService.revokeAllSessions('user-1', { except: currentId })).toBe(0);
+    });
+
+    it('should revoke all sessions, the caller\'s included, without an exception', async () => {
+      const tokens = await tokenService.createSession(user);
+
+      expect(await tokenService.revokeAllSessions('user-1')).toBe(1);
+      expect(await tokenService.rotate(tokens.refreshToken, loadUser)).toBeNull();
+    });
+  });
+
+  describe('action tokens', () => {
+    it('should accept a password reset token exactly once', async () => {
+      const token = await tokenService.issueActionToken('PASSWORD_RESET', { userId: 'user-1' });
+
+      expect(await tokenService.consumeActionToken(token, 'PASSWORD_RESET')).toEqual(
+        expect.objectContaining({ userId: 'user-1', purpose: 'PASSWORD_RESET' })
+      );
+      expect(await tokenService.consumeActionToken(token, 'PASSWORD_RESET')).toBeNull();
+    });
+
+    it('should not let a token serve another purpose, nor burn it trying', async () => {
+      const token = await tokenService.issueActionToken('EMAIL_VERIFICATION', { userId: 'user-1' });
+
+      expect(await tokenService.consumeActionToken(token, 'PASSWORD_RESET')).toBeNull();
+      expect(await tokenService.consumeActionToken(token, 'EMAIL_VERIFICATION')).toEqual(
+        expect.objectContaining({ userId: 'user-1' })
+      );
+    });
+
+    it('should carry admin invite claims and expire after three days', async () => {
+      const token = await tokenService.issueActionToken('ADMIN_INVITE', { email: 'new-admin@example.com', invitedBy: 'admin-1' });
+
+      const { exp, iat } = jwt.decode(token);
+      expect(exp - iat).toBe(72 * 60 * 60);
+      expect(await tokenService.consumeActionToken(token, 'ADMIN_INVITE')).toEqual(
+        expect.objectContaining({ email: 'new-admin@example.com', invitedBy: 'admin-1' })
+      );
+    });
+
+    it('should reject tokens that were tampered with or signed for sessions', async () => {
+      const token = await tokenService.issueActionToken('PASSWORD_RESET', { userId: 'user-1' });
+      const [header, , signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ ...jwt.decode(token), userId: 'admin-1' })).toString('base64url');
+      const { accessToken } = await tokenService.createSession(user);
+
+      expect(await tokenService.consumeActionToken(`${header}.${forgedPayload}.${signature}`, 'PASSWORD_RESET')).toBeNull();
+      expect(await tokenService.consumeActionToken(accessToken, 'PASSWORD_RESET')).toBeNull();
+      expect(await tokenService.consumeActionToken('garbage', 'PASSWORD_RESET')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { checkEligibility, calculateDiscount } = require('../../../src/utils/discount');
+
+describe('discount', () => {
+  const event = { id: 'event-1', category: 'CONFERENCE' };
+  const now = new Date('2026-05-01T12:00:00Z');
+
+  describe('calculateDiscount', () => {
+    it('should take a percentage off, up to the cap', () => {
+      const promo = { discountType: 'PERCENTAGE', discountValue: '20.00', maxDiscountAmount: '50.00' };
+
+      expect(calculateDiscount(promo, 199.99)).toBe(40);
+      expect(calculateDiscount(promo, 400)).toBe(50);
+    });
+
+    it('should never discount more than the subtotal', () => {
+      expect(calculateDiscount({ discountType: 'FIXED_AMOUNT', discountValue: '30.00' }, 25)).toBe(25);
+    });
+  });
+
+  describe('checkEligibility', () => {
+    const promo = {
+      isActive: true,
+      validFrom: '2026-04-01T00:00:00Z',
+      validUntil: '2026-06-01T00:00:00Z',
+      eventIds: null,
+      categories: ['CONFERENCE'],
+      minOrderAmount: '50.00'
+    };
+
+    it('should accept a booking inside the scope and window', () => {
+      expect(checkEligibility(promo, { event, subtotal: 80, now })).toBeNull();
+    });
+
+    it('should explain why a code cannot be used', () => {
+      expect(checkEligibility(promo, { event, subtotal: 80, now: new Date('2026-06-01T00:00:00Z') }))
+        .toBe('This promo code has expired');
+      expect(checkEligibility(promo, { event: { ...event, category: 'CONCERT' }, subtotal: 80, now }))
+        .toBe('This promo code does not apply to this event');
+      expect(checkEligibility(promo, { event, subtotal: 49.99, now }))
+        .toBe('Orders must be at least 50.00 to use this promo code');
+      expect(checkEligibility({ ...promo, isActive: false }, { event, subtotal: 80, now }))
+        .toBe('This promo code is no longer active');
+    });
+  });
+});
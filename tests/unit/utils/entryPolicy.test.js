@@ -0,0 +1,35 @@
+const { resolveEntryPolicy, evaluateMovement } = require('../../../src/utils/entryPolicy');
+
+describe('entryPolicy', () => {
+  describe('resolveEntryPolicy', () => {
+    it('should default to single entry', () => {
+      expect(resolveEntryPolicy({ entryPolicy: null })).toEqual({ maxReentries: 0, requireCheckOut: false });
+    });
+  });
+
+  describe('evaluateMovement', () => {
+    const singleEntry = { maxReentries: 0, requireCheckOut: false };
+    const twoReentries = { maxReentries: 2, requireCheckOut: false };
+    const unlimitedWithCheckOut = { maxReentries: null, requireCheckOut: true };
+
+    it('should admit a first entry under any policy', () => {
+      expect(evaluateMovement(singleEntry, { entries: 0, inside: false }, 'IN')).toBe('ADMITTED');
+    });
+
+    it('should refuse entries beyond the allowed re-entries', () => {
+      expect(evaluateMovement(singleEntry, { entries: 1, inside: false }, 'IN')).toBe('DUPLICATE');
+      expect(evaluateMovement(twoReentries, { entries: 2, inside: true }, 'IN')).toBe('ADMITTED');
+      expect(evaluateMovement(twoReentries, { entries: 3, inside: true }, 'IN')).toBe('DUPLICATE');
+    });
+
+    it('should require a check-out before re-entry when configured', () => {
+      expect(evaluateMovement(unlimitedWithCheckOut, { entries: 5, inside: true }, 'IN')).toBe('DUPLICATE');
+      expect(evaluateMovement(unlimitedWithCheckOut, { entries: 5, inside: false }, 'IN')).toBe('ADMITTED');
+    });
+
+    it('should only check out tickets that are inside', () => {
+      expect(evaluateMovement(singleEntry, { entries: 1, inside: true }, 'OUT')).toBe('CHECKED_OUT');
+      expect(evaluateMovement(singleEntry, { entries: 0, inside: false }, 'OUT')).toBe('NOT_INSIDE');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { generateKeyPair, sign, verify, decode, publicJwk } = require('../../../src/utils/jws');
+
+describe('jws', () => {
+  const { publicKey, privateKey } = generateKeyPair();
+  const resolveKey = (kid) => (kid === 'key-1' ? publicKey : null);
+  const payload = { jti: 'abc', tid: 'ticket-1', eid: 'event-1', seat: 'A1' };
+
+  it('should round-trip a signed payload', () => {
+    const token = sign(payload, { kid: 'key-1', privateKey });
+
+    expect(decode(token).header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: 'key-1' });
+    expect(verify(token, resolveKey)).toEqual(payload);
+  });
+
+  it('should reject a tampered payload', () => {
+    const [header, , signature] = sign(payload, { kid: 'key-1', privateKey }).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...payload, seat: 'A2' })).toString('base64url');
+
+    expect(verify(`${header}.${forged}.${signature}`, resolveKey)).toBeNull();
+  });
+
+  it('should reject tokens signed with an unknown or different key', () => {
+    const other = crypto.generateKeyPairSync('ed25519');
+
+    expect(verify(sign(payload, { kid: 'key-2', privateKey }), resolveKey)).toBeNull();
+    expect(verify(sign(payload, { kid: 'key-1', privateKey: other.privateKey }), resolveKey)).toBeNull();
+    expect(verify('not-a-token', resolveKey)).toBeNull();
+  });
+
+  it('should publish the public key as an OKP JWK', () => {
+    const jwk = publicJwk('key-1', publicKey);
+
+    expect(jwk).toMatchObject({ kty: 'OKP', crv: 'Ed25519', kid: 'key-1', alg: 'EdDSA', use: 'sig' });
+    expect(jwk.d).toBeUndefined();
+    expect(crypto.createPublicKey({ key: jwk, format: 'jwk' }).equals(publicKey)).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+const { buildLineItems, countByTicketType, removeSeats, allocateAmount, priceOf } = require('../../../src/utils/lineItems');
+
+describe('lineItems', () => {
+  const earlyBird = { id: 'early', name: 'Early Bird', price: '79.50' };
+  const vip = { id: 'vip', name: 'VIP', price: '199.00' };
+
+  const { lineItems, totalAmount } = buildLineItems([
+    { ticketType: earlyBird, seat: { seatNumber: 'B1' } },
+    { ticketType: vip, seat: { seatNumber: 'A1' } },
+    { ticketType: earlyBird, seat: { seatNumber: 'B2' } }
+  ]);
+
+  it('should group seats into one line item per ticket type', () => {
+    expect(lineItems).toEqual([
+      { ticketTypeId: 'early', name: 'Early Bird', unitPrice: 79.5, quantity: 2, seatNumbers: ['B1', 'B2'], amount: 159 },
+      { ticketTypeId: 'vip', name: 'VIP', unitPrice: 199, quantity: 1, seatNumbers: ['A1'], amount: 199 }
+    ]);
+    expect(totalAmount).toBe(358);
+  });
+
+  it('should count tickets per type for a subset of seats', () => {
+    expect(countByTicketType(lineItems)).toEqual({ early: 2, vip: 1 });
+    expect(countByTicketType(lineItems, ['B2', 'A1'])).toEqual({ early: 1, vip: 1 });
+  });
+
+  it('should drop cancelled seats and empty line items', () => {
+    expect(removeSeats(lineItems, ['A1', 'B1'])).toEqual([
+      { ticketTypeId: 'early', name: 'Early Bird', unitPrice: 79.5, quantity: 1, seatNumbers: ['B2'], amount: 79.5 }
+    ]);
+  });
+
+  it('should price a subset of seats by their ticket types', () => {
+    expect(priceOf(lineItems, ['A1', 'B2'])).toBe(278.5);
+    expect(priceOf(lineItems, ['Z9'])).toBe(0);
+  });
+
+  it('should split a discounted total over seat groups by seat value', () => {
+    // 358 worth of tickets sold for 300 after a promo code
+    expect(allocateAmount(300, lineItems, [['A1'], ['B1'], ['B2']])).toEqual([166.76, 66.62, 66.62]);
+    expect(allocateAmount(100, null, [['A1'], ['A2'], ['A3']])).toEqual([33.33, 33.33, 33.34]);
+  });
+});
@@ -0,0 +1,67 @@
+const { validateRecurrence, expandRecurrence } = require('../../../src/utils/recurrence');
+
+describe('recurrence', () => {
+  it('should expand a weekly Tue/Thu rule until a date, skipping exclusions', () => {
+    const rule = {
+      frequency: 'WEEKLY',
+      byDay: ['TU', 'TH'],
+      startDate: '2026-03-02', // a Monday
+      time: '18:30',
+      until: '2026-03-17',
+      exclusions: ['2026-03-10']
+    };
+
+    expect(validateRecurrence(rule)).toEqual([]);
+    expect(expandRecurrence(rule).map(occurrence => occurrence.date)).toEqual([
+      '2026-03-03',
+      '2026-03-05',
+      '2026-03-12',
+      '2026-03-17'
+    ]);
+  });
+
+  it('should keep the local start time across a DST change', () => {
+    const occurrences = expandRecurrence({
+      frequency: 'WEEKLY',
+      startDate: '2026-03-24',
+      time: '19:00',
+      timezone: 'Europe/London',
+      count: 2
+    });
+
+    // BST starts on 29 March 2026
+    expect(occurrences.map(occurrence => occurrence.dateTime.toISOString())).toEqual([
+      '2026-03-24T19:00:00.000Z',
+      '2026-03-31T18:00:00.000Z'
+    ]);
+  });
+
+  it('should honour intervals and counts', () => {
+    const occurrences = expandRecurrence({
+      frequency: 'DAILY',
+      interval: 3,
+      startDate: '2026-01-30',
+      time: '09:00',
+      count: 3
+    });
+
+    expect(occurrences.map(occurrence => occurrence.date)).toEqual(['2026-01-30', '2026-02-02', '2026-02-05']);
+  });
+
+  it('should report every problem with a rule', () => {
+    expect(validateRecurrence({
+      frequency: 'MONTHLY',
+      startDate: '2026-02-30',
+      time: '25:00',
+      timezone: 'Mars/Olympus',
+      count: 3,
+      until: '2026-05-01'
+    })).toEqual([
+      'frequency must be one of DAILY, WEEKLY',
+      'startDate must be a date (YYYY-MM-DD)',
+      'time must be HH:mm',
+      'Unknown timezone "Mars/Olympus"',
+      'Exactly one of until or count is required'
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  getDefaultRefundPolicy,
+  resolveRefundPolicy,
+  evaluateRefundPolicy
+} = require('../../../src/utils/refundPolicy');
+
+describe('refundPolicy', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date('2025-06-01T12:00:00Z');
+  const eventIn = (hours) => new Date(now.getTime() + hours * HOUR);
+
+  const policy = {
+    tiers: [
+      { hoursBeforeEvent: 24, refundPercent: 50 },
+      { hoursBeforeEvent: 168, refundPercent: 100 }
+    ]
+  };
+
+  it('should grant a full refund more than 7 days out', () => {
+    const result = evaluateRefundPolicy(policy, eventIn(200), now);
+
+    expect(result.cancellable).toBe(true);
+    expect(result.refundPercent).toBe(100);
+    expect(result.deadline).toEqual(eventIn(200 - 168));
+  });
+
+  it('should grant a partial refund between tiers', () => {
+    const result = evaluateRefundPolicy(policy, eventIn(48), now);
+
+    expect(result.cancellable).toBe(true);
+    expect(result.refundPercent).toBe(50);
+  });
+
+  it('should block cancellation after the last tier', () => {
+    const result = evaluateRefundPolicy(policy, eventIn(12), now);
+
+    expect(result.cancellable).toBe(false);
+    expect(result.refundPercent).toBe(0);
+    expect(result.reason).toBe('Cancellation deadline has passed');
+  });
+
+  it('should allow refund-free late cancellation when the policy permits it', () => {
+    const result = evaluateRefundPolicy({ ...policy, allowLateCancellation: true }, eventIn(12), now);
+
+    expect(result.cancellable).toBe(true);
+    expect(result.refundPercent).toBe(0);
+  });
+
+  it('should block cancellation once the event has started', () => {
+    const result = evaluateRefundPolicy({ ...policy, allowLateCancellation: true }, eventIn(-1), now);
+
+    expect(result.cancellable).toBe(false);
+    expect(result.reason).toBe('Event has already started');
+  });
+
+  it('should fall back to the default policy', () => {
+    expect(resolveRefundPolicy({ refundPolicy: null })).toEqual(getDefaultRefundPolicy());
+    expect(getDefaultRefundPolicy().tiers[0]).toEqual({
+      hoursBeforeEvent: parseInt(process.env.CANCELLATION_DEADLINE_HOURS, 10),
+      refundPercent: 100
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  getDefaultLayout,
+  validateLayout,
+  expandLayout,
+  summarizeLayout
+} = require('../../../src/utils/seatLayout');
+
+describe('seatLayout', () => {
+  const layout = {
+    priceTiers: { STANDARD: 1, VIP: 2 },
+    aisleEdges: true,
+    sections: [
+      {
+        name: 'FLOOR',
+        priceTier: 'VIP',
+        seatType: 'VIP',
+        rows: [
+          { label: 'A', seats: 6, gaps: [3, 4], seatTypes: { 1: 'WHEELCHAIR_ACCESSIBLE' } }
+        ]
+      },
+      {
+        name: 'BALCONY',
+        priceTier: 'STANDARD',
+        rows: [
+          { label: 'B', seats: 4 }
+        ]
+      }
+    ]
+  };
+
+  it('should accept a well-formed layout', () => {
+    expect(validateLayout(layout)).toEqual([]);
+    expect(validateLayout(getDefaultLayout())).toEqual([]);
+  });
+
+  it('should skip gap positions and mark the seats beside them as aisles', () => {
+    const seats = expandLayout(layout, 50);
+    const floor = seats.filter(seat => seat.section === 'FLOOR');
+
+    expect(floor.map(seat => seat.seatNumber)).toEqual(['A1', 'A2', 'A5', 'A6']);
+    expect(floor.map(seat => seat.seatType)).toEqual(['WHEELCHAIR_ACCESSIBLE', 'AISLE', 'AISLE', 'AISLE']);
+    expect(floor[0].price).toBe(100);
+  });
+
+  it('should fall back to the section seat type away from aisles', () => {
+    const seats = expandLayout({ ...layout, aisleEdges: false }, 50);
+
+    expect(seats.find(seat => seat.seatNumber === 'A2').seatType).toBe('VIP');
+    expect(seats.find(seat => seat.seatNumber === 'B2').seatType).toBe('REGULAR');
+    expect(seats.find(seat => seat.seatNumber === 'B2').price).toBe(50);
+  });
+
+  it('should reproduce the legacy fixed grid by default', () => {
+    const seats = expandLayout(getDefaultLayout(), 100);
+
+    expect(seats).toHaveLength(20 + 45 + 100);
+    expect(seats.find(seat => seat.seatNumber === 'A1').seatType).toBe('WHEELCHAIR_ACCESSIBLE');
+    expect(seats.find(seat => seat.seatNumber === 'B5').seatType).toBe('PREMIUM');
+    expect(seats.find(seat => seat.seatNumber === 'J20')).toEqual(expect.objectContaining({
+      section: 'GENERAL',
+      seatType: 'AISLE',
+      price: 100
+    }));
+  });
+
+  it('should report duplicate rows, unknown tiers and out-of-range positions', () => {
+    const errors = validateLayout({
+      priceTiers: { STANDARD: 1 },
+      sections: [
+        { name: 'LOWER', priceTier: 'GOLD', rows: [{ label: 'A', seats: 5, gaps: [9] }] },
+        { name: 'UPPER', rows: [{ label: 'A', seats: 5, seatTypes: { 7: 'AISLE' } }] }
+      ]
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('unknown price tier "GOLD"'),
+      expect.stringContaining('gaps outside 1-5'),
+      'Duplicate row label "A"',
+      expect.stringContaining('position 7')
+    ]));
+  });
+
+  it('should report rows whose seat numbers run into another row', () => {
+    const rows = (...extra) => validateLayout({
+      sections: [{ name: 'FLOOR', rows: [{ label: 'A', seats: 12 }, ...extra] }]
+    });
+
+    expect(rows({ label: 'A1', seats: 2 })).toEqual([
+      'row A1 in section FLOOR repeats seat numbers of another row: A11, A12'
+    ]);
+    // Gaps that leave the shared numbers unused are fine
+    expect(rows({ label: 'A1', seats: 3, gaps: [1, 2] })).toEqual([]);
+  });
+
+  it('should summarize seats per section', () => {
+    expect(summarizeLayout(layout)).toEqual({
+      totalSeats: 8,
+      sections: [
+        { name: 'FLOOR', priceTier: 'VIP', rows: 1, seats: 4 },
+        { name: 'BALCONY', priceTier: 'STANDARD', rows: 1, seats: 4 }
+      ]
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { parseSeatMapFile, serializeSeatMap } = require('../../../src/utils/seatMapFile');
+
+describe('seatMapFile', () => {
+  it('should parse CSV rows, expanding seat positions and defaulting type and price', () => {
+    const csv = [
+      'section,row,seat,type,price',
+      'VIP,A,1,wheelchair_accessible,150',
+      'VIP,A,A2,,',
+      '"Upper, East",B,1,AISLE,40.5'
+    ].join('\n');
+
+    const { seats, errors } = parseSeatMapFile(csv, 'csv', { basePrice: 100 });
+
+    expect(errors).toEqual([]);
+    expect(seats).toEqual([
+      expect.objectContaining({ seatNumber: 'A1', section: 'VIP', seatType: 'WHEELCHAIR_ACCESSIBLE', price: 150 }),
+      expect.objectContaining({ seatNumber: 'A2', seatType: 'REGULAR', price: 100 }),
+      expect.objectContaining({ seatNumber: 'B1', section: 'Upper, East', price: 40.5 })
+    ]);
+  });
+
+  it('should report every bad line and import nothing', () => {
+    const csv = [
+      'section,row,seat,type,price',
+      'VIP,A,1,REGULAR,100',
+      'VIP,A,2,THRONE,100',
+      'VIP,A,1,REGULAR,100',
+      'VIP,,3,REGULAR,-5'
+    ].join('\n');
+
+    const { seats, errors } = parseSeatMapFile(csv, 'csv', { basePrice: 100 });
+
+    expect(seats).toEqual([]);
+    expect(errors).toEqual([
+      { line: 3, message: expect.stringContaining('unknown seat type "THRONE"') },
+      { line: 4, message: 'duplicate seat A1 (first defined on line 2)' },
+      { line: 5, message: 'row is required' },
+      { line: 5, message: 'invalid price "-5"' }
+    ]);
+  });
+
+  it('should require the section, row and seat columns', () => {
+    const { errors } = parseSeatMapFile('section,seat\nVIP,1\n', 'csv');
+
+    expect(errors).toEqual([{ line: 1, message: 'missing column(s): row' }]);
+  });
+
+  it('should reject seats that already exist when appending', () => {
+    const { errors } = parseSeatMapFile({ seats: [{ section: 'VIP', row: 'A', seat: '1' }] }, 'json', {
+      existingSeatNumbers: ['A1']
+    });
+
+    expect(errors).toEqual([{ line: 1, message: 'seat A1 already exists for this event' }]);
+  });
+
+  it('should expand a JSON layout document', () => {
+    const layout = {
+      priceTiers: { STANDARD: 1 },
+      sections: [{ name: 'MAIN', priceTier: 'STANDARD', rows: [{ label: 'A', seats: 3, gaps: [2] }] }]
+    };
+
+    const { seats, errors } = parseSeatMapFile(JSON.stringify(layout), 'json', { basePrice: 20 });
+
+    expect(errors).toEqual([]);
+    expect(seats.map(seat => seat.seatNumber)).toEqual(['A1', 'A3']);
+  });
+
+  it('should export seats with status in a re-importable CSV', () => {
+    const seat = {
+      section: 'VIP',
+      row: 'A',
+      seatNumber: 'A1',
+      seatType: 'AISLE',
+      price: '150.00',
+      getStatus: () => 'BOOKED'
+    };
+
+    const csv = serializeSeatMap([seat], 'csv');
+    expect(csv).toBe('section,row,seat,type,price,status\nVIP,A,A1,AISLE,150,BOOKED\n');
+
+    const { seats, errors } = parseSeatMapFile(csv, 'csv');
+    expect(errors).toEqual([]);
+    expect(seats[0]).toEqual(expect.objectContaining({ seatNumber: 'A1', seatType: 'AISLE', price: 150 }));
+  });
+});